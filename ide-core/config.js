@@ -3,7 +3,7 @@
  * 
  * Central configuration for the application.
  * Loads from environment and config files.
- * Cross-platform support for Windows and macOS.
+ * Cross-platform support for Windows, macOS and Linux.
  * 
  * @module ide-core/config
  */
@@ -34,6 +34,19 @@ if (isDevelopment) {
   userDataPath = path.join(process.env.HOME || '', '.restricted-ide');
 }
 
+// Files an admin installs for the whole machine, outside the student's home
+// (and outside the read-only paths of the execution sandbox)
+let machineDataPath;
+if (isDevelopment) {
+  machineDataPath = userDataPath;
+} else if (isWindows) {
+  machineDataPath = path.join(process.env.ProgramData || 'C:\\ProgramData', 'RestrictedIDE');
+} else if (isMac) {
+  machineDataPath = path.join('/Library', 'Application Support', 'RestrictedIDE');
+} else {
+  machineDataPath = path.join('/var', 'lib', 'restricted-ide');
+}
+
 // Ensure user data directory exists
 if (!fs.existsSync(userDataPath)) {
   fs.mkdirSync(userDataPath, { recursive: true });
@@ -83,6 +96,7 @@ const config = {
     policies: path.join(userDataPath, 'policies'),
     config: path.join(userDataPath, 'config'),
     sandbox: path.join(userDataPath, 'sandbox'),
+    audit: path.join(userDataPath, 'audit'),
   },
   
   // Kiosk mode settings
@@ -114,6 +128,22 @@ const config = {
     // User policy file (overrides default)
     userPolicyPath: path.join(userDataPath, 'policies', 'user-policy.json'),
     
+    // Numbered revisions of every applied policy
+    historyDir: path.join(userDataPath, 'policies', 'history'),
+    
+    // Policy files and updates must carry a valid Ed25519 signature
+    // (always on in production; not configurable from the user data dir)
+    requireSignatures: !isDevelopment,
+    
+    // Public half of the policy signing key, shipped with the app
+    publicKeyPath: path.join(appRoot, 'ide-core', 'policy', 'keys', 'policy-signing.pub'),
+    
+    // Reload policy files when they change on disk
+    hotReload: policyConfig.hotReload ?? true,
+    
+    // Wait for writes to settle before reloading (ms)
+    reloadDebounce: 500,
+    
     // Policy validation strictness
     strictValidation: policyConfig.strictValidation ?? true,
     
@@ -121,6 +151,25 @@ const config = {
     logViolations: policyConfig.logViolations ?? true,
   },
   
+  // Audit trail settings
+  audit: {
+    // Append-only, hash-chained record of every policy decision
+    logPath: path.join(userDataPath, 'audit', 'policy-audit.ndjson'),
+    
+    // Sequence number and hash of the last record, kept apart from the log
+    // so that removing records from its end is detected
+    headPath: path.join(userDataPath, 'config', 'audit-head.json'),
+  },
+  
+  // End-of-session enforcement
+  session: {
+    // How often the time left in the schedule window is checked (ms)
+    checkInterval: 10000,
+    
+    // Active minutes per user, for time quotas
+    quotaUsagePath: path.join(userDataPath, 'quota', 'usage.json'),
+  },
+  
   // Input control settings
   inputControl: {
     // Block these key combinations - platform-specific
@@ -169,7 +218,10 @@ const config = {
     // Interval for checking processes (ms)
     monitorInterval: 2000,
     
-/*  */    // Process whitelist - system processes that should always be allowed
+    // Protected system processes - default for the policy's processes.protected list.
+    // Protected processes skip every other check, so macOS and Linux pin
+    // them by path: a name alone would protect any binary copied under it.
+    // tasklist reports no paths, so Windows has to use names.
     whitelist: isWindows ? [
       'csrss.exe',
       'smss.exe',
@@ -182,16 +234,94 @@ const config = {
       'wininit.exe',
       'System',
       'Idle',
-      'restricted-ide.exe',
-      'electron.exe',
-      'node.exe',
+      path.basename(process.execPath),
+    ] : isMac ? [
+      '/sbin/launchd',
+      '/System/Library/PrivateFrameworks/SkyLight.framework/Resources/WindowServer',
+      process.execPath,
     ] : [
-      'kernel_task',
-      'launchd',
-      'WindowServer',
+      '/usr/lib/systemd/systemd',
+      '/usr/bin/dbus-daemon',
+      '/usr/bin/dbus-broker',
+      '/usr/lib/xorg/Xorg',
+      '/usr/libexec/Xorg',
+      '/usr/bin/Xwayland',
+      '/usr/bin/gnome-shell',
+      process.execPath,
+    ],
+    
+    // Programs the kiosk user may run in whitelist mode - default for the
+    // policy's processes.allowed list and the only copy of it: the shipped
+    // policy adds to it through allowed_<platform> instead of repeating it,
+    // and a policy's own allowed list replaces it. The IDE, what it starts
+    // and the processes that launched it are never checked against it. On
+    // Linux these are the desktop session's own services (GNOME, as shipped
+    // by Debian, Ubuntu and Fedora), by path so that renamed binaries do not
+    // pass; other desktops need their services added in the policy.
+    allowed: isWindows ? [
+      'restricted-ide.exe',
+    ] : isMac ? [
       'restricted-ide',
-      'electron',
-      'node',
+    ] : [
+      // Session and service managers
+      '/usr/lib/systemd/systemd',
+      '/usr/bin/dbus-daemon',
+      '/usr/bin/dbus-broker',
+      '/usr/bin/dbus-broker-launch',
+      '/usr/libexec/gnome-session-binary',
+      '/usr/libexec/gnome-session-ctl',
+      '/usr/lib/gnome-session/gnome-session-binary',
+      // Display
+      '/usr/bin/gnome-shell',
+      '/usr/bin/Xwayland',
+      '/usr/lib/xorg/Xorg',
+      '/usr/libexec/Xorg',
+      '/usr/libexec/mutter-x11-frames',
+      '/usr/libexec/gnome-shell-calendar-server',
+      '/usr/bin/gjs-console',
+      // Sound
+      '/usr/bin/pipewire',
+      '/usr/bin/pipewire-pulse',
+      '/usr/bin/wireplumber',
+      '/usr/bin/pulseaudio',
+      // Input methods
+      '/usr/bin/ibus-daemon',
+      '/usr/libexec/ibus-dconf',
+      '/usr/libexec/ibus-engine-simple',
+      '/usr/libexec/ibus-extension-gtk3',
+      '/usr/libexec/ibus-portal',
+      '/usr/libexec/ibus-x11',
+      // Accessibility
+      '/usr/libexec/at-spi-bus-launcher',
+      '/usr/libexec/at-spi2-registryd',
+      // Portals, settings and storage
+      '/usr/libexec/xdg-desktop-portal',
+      '/usr/libexec/xdg-desktop-portal-gnome',
+      '/usr/libexec/xdg-desktop-portal-gtk',
+      '/usr/libexec/xdg-document-portal',
+      '/usr/libexec/xdg-permission-store',
+      '/usr/libexec/dconf-service',
+      '/usr/bin/gnome-keyring-daemon',
+      '/usr/libexec/gvfsd',
+      '/usr/libexec/gvfsd-fuse',
+      '/usr/libexec/gvfsd-metadata',
+      '/usr/libexec/gvfs-udisks2-volume-monitor',
+      // GNOME settings daemons
+      '/usr/libexec/gsd-a11y-settings',
+      '/usr/libexec/gsd-color',
+      '/usr/libexec/gsd-datetime',
+      '/usr/libexec/gsd-housekeeping',
+      '/usr/libexec/gsd-keyboard',
+      '/usr/libexec/gsd-media-keys',
+      '/usr/libexec/gsd-power',
+      '/usr/libexec/gsd-print-notifications',
+      '/usr/libexec/gsd-rfkill',
+      '/usr/libexec/gsd-screensaver-proxy',
+      '/usr/libexec/gsd-sharing',
+      '/usr/libexec/gsd-smartcard',
+      '/usr/libexec/gsd-sound',
+      '/usr/libexec/gsd-wacom',
+      '/usr/libexec/gsd-xsettings',
     ],
     
     // Processes to immediately terminate - platform-specific
@@ -210,7 +340,7 @@ const config = {
       'firefox.exe',
       'msedge.exe',
       'iexplore.exe',
-    ] : [
+    ] : isMac ? [
       'terminal',
       'iterm2',
       'activity monitor',
@@ -220,6 +350,18 @@ const config = {
       'safari',
       'google chrome',
       'firefox',
+    ] : [
+      // Linux: matched exactly against the resolved executable name or path
+      'gnome-terminal-server',
+      'konsole',
+      'xterm',
+      'xfce4-terminal',
+      'gnome-system-monitor',
+      'nautilus',
+      'gedit',
+      'firefox',
+      'chrome',
+      'chromium',
     ],
     
     // Kill unauthorized processes
@@ -262,6 +404,151 @@ const config = {
     ],
   },
   
+  // User program confinement (defaults for policy.execution, Linux only)
+  execution: {
+    sandbox: {
+      // Run programs under bwrap with private namespaces
+      enabled: true,
+      // Refuse to run when bwrap/prlimit are missing instead of running
+      // unconfined; only development builds fall back
+      required: !isDevelopment,
+      // Keep the host network namespace
+      network: false,
+      // Load the seccomp filter
+      seccomp: true,
+      // Host paths visible read-only inside the sandbox
+      readOnlyPaths: ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/etc', '/opt'],
+    },
+    // Per-run limits; languages can raise them (execution.languages[id].limits)
+    limits: {
+      wallSeconds: 30,
+      cpuSeconds: 10,
+      memoryMB: 512,
+      fileSizeMB: 16,
+      outputKB: 1024,
+      processes: 64,
+    },
+    // Environment variables students may set for their programs
+    allowedEnv: ['LANG', 'LC_ALL', 'TZ', 'PYTHONHASHSEED', 'PYTHONIOENCODING', 'DEBUG'],
+    // Programs (runs and test runs, across windows) allowed at once; 0 = no cap
+    maxConcurrentRuns: 0,
+    // Interactive interpreter sessions in the REPL tab. They count as runs
+    // and get the limits above, except that maxMinutes replaces the wall
+    // time; a session without input for idleMinutes is ended. 0 = no limit
+    repl: {
+      enabled: true,
+      idleMinutes: 10,
+      maxMinutes: 60,
+    },
+    // Last program arguments / stdin file / environment per file (not policy)
+    runConfigPath: path.join(userDataPath, 'run', 'configurations.json'),
+    // Built-in language registry, keyed by language id. Policies add or
+    // override entries under execution.languages. Templates take {file},
+    // {dir}, {base} (file name without extension), {output} and {exe}
+    // ('.exe' on Windows); a command list names alternatives for one tool.
+    // {args} is the list of program arguments from the run configuration.
+    // `project` holds the arguments for multi-file builds (ide-project.json),
+    // which add {root}, {build}, {name}, {entry} and the lists {sources},
+    // {flags} and {args}; allowedFlags are anchored regular expressions.
+    // `repl` holds the arguments that start the run command interactively;
+    // the REPL tab shows its own prompts, so the interpreter's are turned off.
+    languages: {
+      python: {
+        name: 'Python',
+        extensions: ['.py'],
+        run: { command: ['python', 'python3'], args: ['{file}', '{args}'] },
+        version: { command: ['python', 'python3'], args: ['--version'] },
+        repl: { args: ['-i', '-q', '-u', '-c', "import sys; sys.ps1 = sys.ps2 = ''"] },
+        project: {
+          run: { args: ['{entry}', '{args}'] },
+        },
+      },
+      javascript: {
+        name: 'JavaScript (Node.js)',
+        extensions: ['.js'],
+        run: { command: 'node', args: ['{file}', '{args}'] },
+        version: { command: 'node', args: ['--version'] },
+        repl: { args: ['-e', "require('repl').start({ prompt: '' }).displayPrompt = () => {}"] },
+        project: {
+          run: { args: ['{entry}', '{args}'] },
+        },
+      },
+      cpp: {
+        name: 'C++',
+        extensions: ['.cpp'],
+        output: '{dir}/{base}{exe}',
+        compile: { command: 'g++', args: ['{file}', '-o', '{output}'] },
+        run: { command: '{output}', args: ['{args}'] },
+        version: { command: 'g++', args: ['--version'] },
+        project: {
+          output: '{build}/{name}{exe}',
+          compile: { args: ['{flags}', '{sources}', '-o', '{output}'] },
+          run: { args: ['{args}'] },
+          allowedFlags: [
+            '^-std=(c|gnu)\\+\\+\\d\\d$',
+            '^-O[0-3s]?$',
+            '^-W(all|extra|error|pedantic|shadow|conversion)$',
+            '^-pedantic$',
+            '^-g$',
+            '^-D[A-Za-z_]\\w*(=\\w*)?$',
+            '^-I\\w[\\w/-]*$',
+            '^-l(m|pthread)$',
+          ],
+        },
+      },
+      c: {
+        name: 'C',
+        extensions: ['.c'],
+        output: '{dir}/{base}{exe}',
+        compile: { command: 'gcc', args: ['{file}', '-o', '{output}'] },
+        run: { command: '{output}', args: ['{args}'] },
+        version: { command: 'gcc', args: ['--version'] },
+        project: {
+          output: '{build}/{name}{exe}',
+          compile: { args: ['{flags}', '{sources}', '-o', '{output}'] },
+          run: { args: ['{args}'] },
+          allowedFlags: [
+            '^-std=(c|gnu)\\d\\d$',
+            '^-O[0-3s]?$',
+            '^-W(all|extra|error|pedantic|shadow|conversion)$',
+            '^-pedantic$',
+            '^-g$',
+            '^-D[A-Za-z_]\\w*(=\\w*)?$',
+            '^-I\\w[\\w/-]*$',
+            '^-l(m|pthread)$',
+          ],
+        },
+      },
+      java: {
+        name: 'Java',
+        extensions: ['.java'],
+        output: '{dir}/{base}.class',
+        compile: { command: 'javac', args: ['{file}'] },
+        run: { command: 'java', args: ['-cp', '{dir}', '{base}', '{args}'] },
+        version: { command: 'javac', args: ['-version'] },
+        project: {
+          // {entry} is the main class; classes are compiled into {build}
+          entry: 'class',
+          output: '{build}',
+          compile: { args: ['-d', '{build}', '{flags}', '{sources}'] },
+          run: { args: ['-cp', '{build}', '{entry}', '{args}'] },
+          allowedFlags: ['^-Xlint(:[\\w,-]+)?$', '^-g$', '^-nowarn$'],
+        },
+        // The JVM reserves a large heap and runs JIT/GC threads next to the program
+        limits: { memoryMB: 1024, cpuSeconds: 20 },
+      },
+    },
+  },
+
+  // Test results (Run Tests), collected by admins
+  grading: {
+    // One JSON file per run, plus a detached .sig when a signing key is enrolled
+    resultsDir: path.join(userDataPath, 'grading', 'results'),
+    // Ed25519 key enrolled by an admin (scripts/sign-policy.js keygen); the
+    // IDE never creates one, and writes results unsigned without it
+    signingKeyPath: path.join(machineDataPath, 'grading', 'results-signing.key'),
+  },
+
   // Web viewer settings
   webViewer: {
     // URL whitelist (regex patterns)
@@ -336,18 +623,18 @@ const config = {
     maxMessageSize: 1024 * 1024, // 1 MB
   },
   
-  // Editor settings
+  // Editor settings (the renderer's Monaco editor)
   editor: {
     // Default font size
     fontSize: 14,
     
-    // Default theme
+    // Default theme: 'vs', 'vs-dark', 'hc-black' or 'hc-light'
     theme: 'vs-dark',
     
     // Enable minimap
     minimap: true,
     
-    // Word wrap
+    // Word wrap: 'off', 'on', 'wordWrapColumn' or 'bounded'
     wordWrap: 'on',
     
     // Tab size
@@ -22,6 +22,14 @@ const IpcChannels = {
   POLICY_VALIDATE_FILE: 'policy:validate-file',
   POLICY_GET: 'policy:get',
   POLICY_UPDATE: 'policy:update',
+  POLICY_LIST_REVISIONS: 'policy:list-revisions',
+  POLICY_DIFF: 'policy:diff',
+  POLICY_ROLLBACK: 'policy:rollback',
+  POLICY_SHADOW_START: 'policy:shadow-start',
+  POLICY_SHADOW_STOP: 'policy:shadow-stop',
+  POLICY_SHADOW_REPORT: 'policy:shadow-report',
+  POLICY_GET_PROFILE: 'policy:get-profile',
+  POLICY_EXPLAIN: 'policy:explain',
 
   // ============================================
   // File system channels
@@ -40,6 +48,7 @@ const IpcChannels = {
   EDITOR_OPEN_FILE: 'editor:open-file',
   EDITOR_SAVE_FILE: 'editor:save-file',
   EDITOR_GET_CONTENT: 'editor:get-content',
+  EDITOR_GET_SETTINGS: 'editor:get-settings',
 
   // ============================================
   // WebView channels
@@ -59,12 +68,18 @@ const IpcChannels = {
   ADMIN_REQUEST_EXIT: 'admin:request-exit',
   ADMIN_GET_LOGS: 'admin:get-logs',
   ADMIN_CLEAR_LOGS: 'admin:clear-logs',
+  ADMIN_VERIFY_AUDIT_LOG: 'admin:verify-audit-log',
+  ADMIN_SET_PROFILE: 'admin:set-profile',
+  ADMIN_DISMISS_SESSION_LOCK: 'admin:dismiss-session-lock',
+  ADMIN_GRANT_TIME: 'admin:grant-time',
+  ADMIN_LOCK_SESSION: 'admin:lock-session',
 
   // ============================================
   // System channels
   // ============================================
   SYSTEM_GET_INFO: 'system:get-info',
   SYSTEM_GET_STATUS: 'system:get-status',
+  SYSTEM_GET_TOOLCHAINS: 'system:toolchains',
   SYSTEM_RESTART: 'system:restart',
 
   // ============================================
@@ -72,6 +87,8 @@ const IpcChannels = {
   // ============================================
   RUNTIME_GET_STATE: 'runtime:get-state',
   RUNTIME_GET_SESSION: 'runtime:get-session',
+  RUNTIME_REPORT_AUTOSAVE: 'runtime:report-autosave',
+  RUNTIME_GET_QUOTA: 'runtime:get-quota',
 
   // ============================================
   // Code execution channels
@@ -79,6 +96,12 @@ const IpcChannels = {
   CODE_RUN: 'code:run',
   CODE_STOP: 'code:stop',
   CODE_INPUT: 'code:input',
+  CODE_GET_RUN_CONFIG: 'code:get-run-config',
+  CODE_RUN_TESTS: 'code:run-tests',
+  CODE_LIST_RUNS: 'code:list-runs',
+  CODE_STOP_RUN: 'code:stop-run',
+  CODE_RESIZE_TERMINAL: 'code:resize-terminal',
+  CODE_START_REPL: 'code:start-repl',
 
   // ============================================
   // Notification channels (main to renderer)
@@ -87,8 +110,13 @@ const IpcChannels = {
   NOTIFY_SYSTEM_MESSAGE: 'notify:system-message',
   NOTIFY_SESSION_WARNING: 'notify:session-warning',
   NOTIFY_TIME_WARNING: 'notify:time-warning',
+  NOTIFY_SESSION_ENDED: 'notify:session-ended',
+  NOTIFY_CODE_STARTED: 'notify:code-started',
   NOTIFY_CODE_OUTPUT: 'notify:code-output',
   NOTIFY_CODE_EXIT: 'notify:code-exit',
+  NOTIFY_CODE_DIAGNOSTICS: 'notify:code-diagnostics',
+  NOTIFY_TEST_CASE: 'notify:test-case',
+  NOTIFY_PROFILE_CHANGED: 'notify:profile-changed',
 };
 
 /**
@@ -132,8 +160,20 @@ function isValidChannel(channel) {
 function requiresAdmin(channel) {
   const adminChannels = [
     IpcChannels.POLICY_UPDATE,
+    IpcChannels.POLICY_LIST_REVISIONS,
+    IpcChannels.POLICY_DIFF,
+    IpcChannels.POLICY_ROLLBACK,
+    IpcChannels.POLICY_SHADOW_START,
+    IpcChannels.POLICY_SHADOW_STOP,
+    IpcChannels.POLICY_SHADOW_REPORT,
+    IpcChannels.POLICY_EXPLAIN,
     IpcChannels.ADMIN_REQUEST_EXIT,
     IpcChannels.ADMIN_CLEAR_LOGS,
+    IpcChannels.ADMIN_VERIFY_AUDIT_LOG,
+    IpcChannels.ADMIN_SET_PROFILE,
+    IpcChannels.ADMIN_DISMISS_SESSION_LOCK,
+    IpcChannels.ADMIN_GRANT_TIME,
+    IpcChannels.ADMIN_LOCK_SESSION,
     IpcChannels.SYSTEM_RESTART,
   ];
   return adminChannels.includes(channel);
@@ -9,16 +9,31 @@
 
 'use strict';
 
-const { ipcMain, BrowserWindow } = require('electron');
+const { ipcMain } = require('electron');
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
 const { Logger } = require('../utils/Logger');
 const { IpcChannels, isValidChannel, requiresAdmin } = require('./IpcChannels');
+const { ExecutionSandbox, describeConfinement, sendSeccompFilter } = require('../runtime/ExecutionSandbox');
+const { ExitReasons, RunMonitor, describeRunLimits, resolveLimits } = require('../runtime/RunLimits');
+const { LanguageRegistry } = require('../runtime/LanguageRegistry');
+const { Toolchains } = require('../runtime/Toolchains');
+const { PROJECT_MANIFEST, findManifestDir, findProjectRoot, loadProject } = require('../runtime/ProjectManifest');
+const { DiagnosticStream } = require('../runtime/Diagnostics');
+const { RunConfigurations, defaultRunConfig, validateRunConfig } = require('../runtime/RunConfigurations');
+const { TEST_SUITE_FILE, compareOutput, loadTestSuite } = require('../runtime/TestSuite');
+const { GradingResults } = require('../runtime/GradingResults');
+const { ExecutionManager, killProcess } = require('../runtime/ExecutionManager');
+const { DEFAULT_SIZE, Terminal, checkTerminalSize, isTerminalAvailable, signalProgram, stripAnsi } = require('../runtime/Terminal');
 const config = require('../config');
 
 const logger = new Logger('IpcMain');
 
+/** stderr kept per test case for the results, in bytes */
+const MAX_TEST_STDERR = 4096;
+
 /**
  * IpcMain - Main process IPC handler
  */
@@ -32,7 +47,10 @@ class IpcMain {
     this.policyEngine = policyEngine;
     this.runtimeManager = runtimeManager;
     this.systemServiceManager = systemServiceManager;
-    this.runningProcess = null; // Currently running code process
+    this.executions = new ExecutionManager(); // User program runs by run ID
+    this.toolchains = new Toolchains(); // Probed compilers and interpreters
+    this.runConfigurations = new RunConfigurations(config.execution.runConfigPath); // Last run settings per file
+    this.gradingResults = new GradingResults(config.grading.resultsDir, config.grading.signingKeyPath);
   }
 
   /**
@@ -47,6 +65,14 @@ class IpcMain {
     this.handle(IpcChannels.POLICY_VALIDATE_FILE, this.handleValidateFile.bind(this));
     this.handle(IpcChannels.POLICY_GET, this.handleGetPolicy.bind(this));
     this.handle(IpcChannels.POLICY_UPDATE, this.handleUpdatePolicy.bind(this));
+    this.handle(IpcChannels.POLICY_LIST_REVISIONS, this.handleListPolicyRevisions.bind(this));
+    this.handle(IpcChannels.POLICY_DIFF, this.handleDiffPolicy.bind(this));
+    this.handle(IpcChannels.POLICY_ROLLBACK, this.handleRollbackPolicy.bind(this));
+    this.handle(IpcChannels.POLICY_SHADOW_START, this.handleStartShadowPolicy.bind(this));
+    this.handle(IpcChannels.POLICY_SHADOW_STOP, this.handleStopShadowPolicy.bind(this));
+    this.handle(IpcChannels.POLICY_SHADOW_REPORT, this.handleGetShadowReport.bind(this));
+    this.handle(IpcChannels.POLICY_GET_PROFILE, this.handleGetProfile.bind(this));
+    this.handle(IpcChannels.POLICY_EXPLAIN, this.handleExplainPolicy.bind(this));
 
     // File system handlers
     this.handle(IpcChannels.FS_READ_FILE, this.handleReadFile.bind(this));
@@ -57,6 +83,9 @@ class IpcMain {
     this.handle(IpcChannels.FS_FILE_EXISTS, this.handleFileExists.bind(this));
     this.handle(IpcChannels.FS_GET_SANDBOX_PATH, this.handleGetSandboxPath.bind(this));
 
+    // Editor handlers
+    this.handle(IpcChannels.EDITOR_GET_SETTINGS, this.handleGetEditorSettings.bind(this));
+
     // WebView handlers
     this.handle(IpcChannels.WEBVIEW_CAN_NAVIGATE, this.handleCanNavigate.bind(this));
 
@@ -66,21 +95,59 @@ class IpcMain {
     this.handle(IpcChannels.ADMIN_CHECK_SESSION, this.handleCheckAdminSession.bind(this));
     this.handle(IpcChannels.ADMIN_REQUEST_EXIT, this.handleRequestExit.bind(this));
     this.handle(IpcChannels.ADMIN_GET_LOGS, this.handleGetLogs.bind(this));
+    this.handle(IpcChannels.ADMIN_VERIFY_AUDIT_LOG, this.handleVerifyAuditLog.bind(this));
+    this.handle(IpcChannels.ADMIN_SET_PROFILE, this.handleSetProfile.bind(this));
+    this.handle(IpcChannels.ADMIN_DISMISS_SESSION_LOCK, this.handleDismissSessionLock.bind(this));
+    this.handle(IpcChannels.ADMIN_GRANT_TIME, this.handleGrantTime.bind(this));
+    this.handle(IpcChannels.ADMIN_LOCK_SESSION, this.handleLockSession.bind(this));
 
     // System handlers
     this.handle(IpcChannels.SYSTEM_GET_INFO, this.handleGetSystemInfo.bind(this));
     this.handle(IpcChannels.SYSTEM_GET_STATUS, this.handleGetSystemStatus.bind(this));
+    this.handle(IpcChannels.SYSTEM_GET_TOOLCHAINS, this.handleGetToolchains.bind(this));
 
     // Runtime handlers
     this.handle(IpcChannels.RUNTIME_GET_STATE, this.handleGetRuntimeState.bind(this));
     this.handle(IpcChannels.RUNTIME_GET_SESSION, this.handleGetSession.bind(this));
+    this.handle(IpcChannels.RUNTIME_REPORT_AUTOSAVE, this.handleReportAutosave.bind(this));
+    this.handle(IpcChannels.RUNTIME_GET_QUOTA, this.handleGetQuota.bind(this));
 
     // Code execution handlers
     this.handle(IpcChannels.CODE_RUN, this.handleRunCode.bind(this));
     this.handle(IpcChannels.CODE_STOP, this.handleStopCode.bind(this));
     this.handle(IpcChannels.CODE_INPUT, this.handleCodeInput.bind(this));
+    this.handle(IpcChannels.CODE_GET_RUN_CONFIG, this.handleGetRunConfig.bind(this));
+    this.handle(IpcChannels.CODE_RUN_TESTS, this.handleRunTests.bind(this));
+    this.handle(IpcChannels.CODE_LIST_RUNS, this.handleListRuns.bind(this));
+    this.handle(IpcChannels.CODE_STOP_RUN, this.handleStopRun.bind(this));
+    this.handle(IpcChannels.CODE_RESIZE_TERMINAL, this.handleResizeTerminal.bind(this));
+    this.handle(IpcChannels.CODE_START_REPL, this.handleStartRepl.bind(this));
 
     logger.info('IPC handlers registered');
+
+    // Load node-pty now, so that a missing or incompatible build is logged at startup
+    isTerminalAvailable();
+
+    // Probe toolchains now and whenever the language registry may have changed
+    const refresh = () => this.refreshToolchains()
+      .catch(error => logger.error(`Toolchain probe failed: ${error.message}`));
+    refresh();
+    this.policyEngine.onPolicyChange(refresh);
+  }
+
+  /**
+   * Probe the compilers and interpreters of the current language registry
+   * @returns {Promise<Object>} Toolchain report
+   */
+  async refreshToolchains() {
+    const report = await this.toolchains.probe(this.getLanguageRegistry());
+    for (const language of report.languages) {
+      if (language.enabled && !language.available) {
+        logger.warn(this.toolchains.getProblem(language));
+      }
+    }
+    logger.info(`Toolchains probed: ${report.languages.filter(language => language.available).length}/${report.languages.length} available`);
+    return report;
   }
 
   /**
@@ -146,8 +213,50 @@ class IpcMain {
     return this.policyEngine.getPolicy();
   }
 
-  async handleUpdatePolicy(event, newPolicy) {
-    return this.policyEngine.updatePolicy(newPolicy);
+  async handleUpdatePolicy(event, newPolicy, options = {}) {
+    return this.policyEngine.updatePolicy(newPolicy, {
+      author: this.runtimeManager.getAdminSessionId(),
+      note: options.note,
+      signature: options.signature,
+    });
+  }
+
+  async handleListPolicyRevisions(_event) {
+    return this.policyEngine.listPolicyRevisions();
+  }
+
+  async handleDiffPolicy(event, fromRevision, toRevision) {
+    return this.policyEngine.diffPolicyRevisions(fromRevision, toRevision);
+  }
+
+  async handleRollbackPolicy(event, revision, note) {
+    return this.policyEngine.rollbackPolicy(revision, {
+      author: this.runtimeManager.getAdminSessionId(),
+      note,
+    });
+  }
+
+  async handleStartShadowPolicy(event, candidate, note) {
+    return this.policyEngine.startShadow(candidate, {
+      author: this.runtimeManager.getAdminSessionId(),
+      note,
+    });
+  }
+
+  async handleStopShadowPolicy(_event) {
+    return this.policyEngine.stopShadow();
+  }
+
+  async handleGetShadowReport(_event) {
+    return this.policyEngine.getShadowReport();
+  }
+
+  async handleGetProfile(_event) {
+    return this.policyEngine.getProfileInfo();
+  }
+
+  async handleExplainPolicy(event, ruleType, target, operation) {
+    return this.policyEngine.explain(ruleType, target, operation);
   }
 
   // ============================================
@@ -251,6 +360,18 @@ class IpcMain {
     return config.fsSandbox.sandboxRoot;
   }
 
+  // ============================================
+  // Editor Handlers
+  // ============================================
+
+  /**
+   * Editor appearance: theme, font size, tab size, word wrap and minimap
+   * @returns {Promise<Object>} config.editor
+   */
+  async handleGetEditorSettings() {
+    return { ...config.editor };
+  }
+
   // ============================================
   // WebView Handlers
   // ============================================
@@ -336,6 +457,31 @@ class IpcMain {
     }
   }
 
+  async handleVerifyAuditLog(_event) {
+    logger.security('AUDIT_LOG_VERIFY_REQUESTED');
+    return this.policyEngine.verifyAuditLog();
+  }
+
+  async handleSetProfile(event, name) {
+    return this.policyEngine.setProfile(name ?? null, {
+      author: this.runtimeManager.getAdminSessionId(),
+    });
+  }
+
+  async handleDismissSessionLock(_event) {
+    return this.runtimeManager.dismissSessionLock(this.runtimeManager.getAdminSessionId());
+  }
+
+  async handleGrantTime(event, minutes, user) {
+    return this.policyEngine.grantQuotaMinutes(user ?? null, minutes, {
+      author: this.runtimeManager.getAdminSessionId(),
+    });
+  }
+
+  async handleLockSession() {
+    return this.runtimeManager.lockSession(this.runtimeManager.getAdminSessionId());
+  }
+
   // ============================================
   // System Handlers
   // ============================================
@@ -361,6 +507,21 @@ class IpcMain {
     };
   }
 
+  /**
+   * Toolchain report for the status bar and admin panel
+   * @param {Object} [options] - { refresh: boolean } to probe again first
+   */
+  async handleGetToolchains(event, options = {}) {
+    if (options.refresh) {
+      if (!this.runtimeManager?.isAdminAuthenticated()) {
+        throw new Error('Admin authentication required');
+      }
+      return this.refreshToolchains();
+    }
+    await this.toolchains.ready();
+    return this.toolchains.getReport();
+  }
+
   // ============================================
   // Runtime Handlers
   // ============================================
@@ -373,66 +534,96 @@ class IpcMain {
     return this.runtimeManager?.getSession() || null;
   }
 
+  async handleReportAutosave(event, report) {
+    const saved = Array.isArray(report?.saved) ? report.saved : [];
+    const failed = Array.isArray(report?.failed) ? report.failed : [];
+    
+    this.runtimeManager.auditSessionStage('AUTOSAVE', { saved, failed });
+    return true;
+  }
+
+  async handleGetQuota(_event) {
+    return this.policyEngine.getQuotaInfo();
+  }
+
   // ============================================
   // Code Execution Handlers (SECURE)
   // ============================================
 
   /**
-   * Supported languages and their execution commands
-   * SECURITY: Only these exact executables are allowed.
-   * No shell, no flags that could be abused.
-   */
-  static LANGUAGE_CONFIG = {
-    '.py': {
-      name: 'Python',
-      commands: [
-        { cmd: 'python', args: (file) => [file] },
-        { cmd: 'python3', args: (file) => [file] },
-      ],
-    },
-    '.js': {
-      name: 'JavaScript (Node.js)',
-      commands: [
-        { cmd: 'node', args: (file) => [file] },
-      ],
-    },
-    '.cpp': {
-      name: 'C++',
-      compile: true,
-      commands: [
-        { cmd: 'g++', args: (file, outFile) => [file, '-o', outFile] },
-      ],
-      runCompiled: (outFile) => ({ cmd: outFile, args: [] }),
-    },
-    '.c': {
-      name: 'C',
-      compile: true,
-      commands: [
-        { cmd: 'gcc', args: (file, outFile) => [file, '-o', outFile] },
-      ],
-      runCompiled: (outFile) => ({ cmd: outFile, args: [] }),
-    },
-    '.java': {
-      name: 'Java',
-      compile: true,
-      commands: [
-        { cmd: 'javac', args: (file) => [file] },
-      ],
-      runCompiled: (outFile, dir, className) => ({ cmd: 'java', args: ['-cp', dir, className] }),
-    },
-  };
-
-  /**
-   * Maximum execution time (30 seconds)
-   */
-  static MAX_EXECUTION_TIME = 30000;
+   * Run code from a file - SECURE execution
+   * @param {IpcMainInvokeEvent} event - IPC event
+   * @param {string} filePath - File to run
+   * @param {Object} [runConfig] - { args, stdinFile, env, terminal }; defaults to the file's last configuration
+   * @returns {Promise<Object>} { running, language, runId }
+   */
+  async handleRunCode(event, filePath, runConfig) {
+    const { registry, language, project, execution, vars, version } = await this.prepareRun(event.sender, filePath, runConfig);
+    const { run } = execution;
+
+    const target = project
+      ? `project ${project.name} (${project.sources.length} source${project.sources.length === 1 ? '' : 's'})`
+      : path.basename(filePath);
+
+    logger.info(`Running ${language.name} ${project ? `project: ${project.root}` : `file: ${filePath}`} (${describeConfinement(execution.applied)})`);
+
+    // Send status to renderer
+    this.notifyRun(run, IpcChannels.NOTIFY_CODE_OUTPUT, {
+      type: 'info',
+      text: `▶ Running ${language.name}${version ? ` (${version})` : ''}: ${target}\n`,
+    });
+    this.notifyRun(run, IpcChannels.NOTIFY_CODE_OUTPUT, {
+      type: 'info',
+      text: `${execution.applied.confined ? '🔒' : '⚠'} ${describeConfinement(execution.applied)}\n`,
+    });
+    this.notifyRun(run, IpcChannels.NOTIFY_CODE_OUTPUT, {
+      type: 'info',
+      text: `⏱ ${describeRunLimits(execution.limits)}\n`,
+    });
+    const runDescription = this.describeRunConfig(execution.runConfig, execution.workingDir);
+    if (runDescription) {
+      this.notifyRun(run, IpcChannels.NOTIFY_CODE_OUTPUT, {
+        type: 'info',
+        text: `⚙ ${runDescription}\n`,
+      });
+    }
+    if (execution.runConfig.terminal && !execution.runConfig.stdinFile && !run.terminal) {
+      this.notifyRun(run, IpcChannels.NOTIFY_CODE_OUTPUT, {
+        type: 'info',
+        text: '⌨ No terminal available here; input is sent a line at a time\n',
+      });
+    }
+
+    try {
+      if (language.compile) {
+        // Compile first, then run
+        await this.compileAndRun(registry, language, vars, execution);
+      } else {
+        // Interpreted language - run directly
+        await this.runInterpreted(registry, language, vars, execution);
+      }
+    } catch (error) {
+      this.executions.finish(run);
+      throw error;
+    }
+
+    return { running: true, language: language.name, runId: run.id };
+  }
 
   /**
-   * Run code from a file - SECURE execution
+   * Validate a request to run a file, resolve what it runs with and
+   * register the run. The caller must finish the run if it throws later.
+   * @param {WebContents} owner - Window contents that asked for the run
+   * @param {string} filePath - File to run
+   * @param {Object} [runConfig] - { args, stdinFile, env, terminal }; defaults to the file's last configuration
+   * @param {Object} [options] - { remember: save runConfig as the file's last configuration, kind: 'run'|'tests' }
+   * @returns {Promise<Object>} { registry, language, project, execution, vars, version }; execution.run is the new run
+   * @throws {Error} If the file, its language, toolchain or sandbox cannot be used, or too many programs run
    */
-  async handleRunCode(event, filePath) {
-    // Kill any existing process
-    this.killRunningProcess();
+  async prepareRun(owner, filePath, runConfig, { remember = true, kind = 'run' } = {}) {
+    if (this.runtimeManager?.isSessionLocked()) {
+      throw new Error('Session has ended');
+    }
 
     // Validate file is in sandbox
     const fileAccess = this.policyEngine.validateFileAccess(filePath, 'read');
@@ -443,204 +634,752 @@ class IpcMain {
     // Check file exists
     await fs.access(filePath);
 
-    // Get file extension
+    const runOptions = await this.resolveRunConfig(filePath, runConfig, remember);
+
+    // SECURITY: Only languages in the policy's registry run, with their declared commands
+    const registry = this.getLanguageRegistry();
+
+    // A manifest above the file makes this a project build of all its sources
+    const projectRoot = await findProjectRoot(filePath, this.getSandboxRoot());
+    const project = projectRoot ? await this.loadProject(projectRoot, registry) : null;
+
+    const language = project ? project.language : registry.findForFile(filePath);
     const ext = path.extname(filePath).toLowerCase();
-    const langConfig = IpcMain.LANGUAGE_CONFIG[ext];
 
-    if (!langConfig) {
-      throw new Error(`Unsupported language: ${ext}. Supported: ${Object.keys(IpcMain.LANGUAGE_CONFIG).join(', ')}`);
+    if (!language) {
+      throw new Error(`Unsupported language: ${ext}. Supported: ${registry.getSupportedExtensions().join(', ')}`);
+    }
+    if (!language.enabled) {
+      throw new Error(`${language.name} is not allowed by policy`);
     }
 
-    const window = BrowserWindow.fromWebContents(event.sender);
-    const workingDir = path.dirname(filePath);
+    await this.toolchains.ready();
+    const toolchainProblem = this.toolchains.getProblem(language);
+    if (toolchainProblem) {
+      throw new Error(toolchainProblem);
+    }
 
-    logger.info(`Running ${langConfig.name} file: ${filePath}`);
+    const workingDir = project ? project.root : path.dirname(filePath);
 
-    // Send status to renderer
-    this.notify(window, IpcChannels.NOTIFY_CODE_OUTPUT, {
-      type: 'info',
-      text: `▶ Running ${langConfig.name}: ${path.basename(filePath)}\n`,
+    // Throws before anything runs if the policy requires a sandbox we cannot provide
+    const execution = this.createExecution(workingDir, language, runOptions);
+
+    const vars = project
+      ? registry.getProjectVariables(language, project)
+      : registry.getVariables(language, filePath);
+    // Arguments from the run configuration replace a project's default arguments
+    if (runOptions.args.length > 0) {
+      vars.args = runOptions.args;
+    }
+
+    // Registered last, so a request that fails validation never counts as a run
+    execution.run = this.executions.start({
+      owner,
+      kind,
+      language: language.id,
+      file: filePath,
+      // Test cases and input files need the program's output and input as plain pipes
+      terminal: kind === 'run' && runOptions.terminal && !runOptions.stdinFile && isTerminalAvailable(),
+      maxConcurrent: this.policyEngine.getPolicy().execution?.maxConcurrentRuns,
+    });
+    execution.run.inputFile = runOptions.stdinFile;
+    this.notifyRun(execution.run, IpcChannels.NOTIFY_CODE_STARTED, {
+      kind,
+      language: language.id,
+      file: filePath,
+      terminal: execution.run.terminal,
     });
 
-    if (langConfig.compile) {
-      // Compile first, then run
-      await this.compileAndRun(event, filePath, langConfig, workingDir, window);
-    } else {
-      // Interpreted language - run directly
-      await this.runInterpreted(event, filePath, langConfig, workingDir, window);
+    return {
+      registry,
+      language,
+      project,
+      execution,
+      vars,
+      version: this.toolchains.get(language.id)?.version,
+    };
+  }
+
+  /**
+   * Validate a run configuration, or load the file's last one
+   * @param {string} filePath - File being run
+   * @param {Object} [runConfig] - Configuration from the renderer
+   * @param {boolean} [remember] - Save a given configuration as the file's last one
+   * @returns {Promise<Object>} { args, stdinFile, env, terminal }
+   * @throws {Error} If the configuration is invalid or the input file is not accessible
+   */
+  async resolveRunConfig(filePath, runConfig, remember = true) {
+    const allowedEnv = this.policyEngine.getPolicy().execution?.allowedEnv || [];
+    const resolved = validateRunConfig(runConfig ?? this.runConfigurations.get(filePath), allowedEnv);
+
+    if (resolved.stdinFile) {
+      const access = this.policyEngine.validateFileAccess(resolved.stdinFile, 'read');
+      if (!access.allowed) {
+        throw new Error(`Access denied to input file: ${access.reason}`);
+      }
+      const stats = await fs.stat(resolved.stdinFile).catch(() => null);
+      if (!stats || !stats.isFile()) {
+        throw new Error(`Input file not found: ${resolved.stdinFile}`);
+      }
     }
 
-    return { running: true, language: langConfig.name };
+    if (runConfig !== undefined && remember) {
+      this.runConfigurations.set(filePath, resolved);
+    }
+    return resolved;
   }
 
   /**
-   * Run an interpreted language file
+   * One-line summary of a run configuration for the output panel
+   * @param {Object} runConfig - { args, stdinFile, env, terminal }
+   * @param {string} workingDir - Directory input file names are shown relative to
+   * @returns {string|null} Summary, or null if nothing is configured
    */
-  async runInterpreted(event, filePath, langConfig, workingDir, window) {
-    const cmdConfig = langConfig.commands[0];
-    
-    const child = spawn(cmdConfig.cmd, cmdConfig.args(filePath), {
-      cwd: workingDir,
-      stdio: ['pipe', 'pipe', 'pipe'],
-      shell: false,  // SECURITY: No shell access
+  describeRunConfig(runConfig, workingDir) {
+    const parts = [];
+    if (runConfig.args.length > 0) {
+      parts.push(`arguments: ${runConfig.args.map(arg => JSON.stringify(arg)).join(' ')}`);
+    }
+    if (runConfig.stdinFile) {
+      parts.push(`input from ${path.relative(workingDir, runConfig.stdinFile)}`);
+    }
+    const names = Object.keys(runConfig.env);
+    if (names.length > 0) {
+      parts.push(`environment: ${names.map(name => `${name}=${runConfig.env[name]}`).join(' ')}`);
+    }
+    if (!runConfig.terminal) {
+      parts.push('no terminal');
+    }
+    return parts.length > 0 ? `Run with ${parts.join('; ')}` : null;
+  }
+
+  /**
+   * Last run configuration of a file, for the run configuration dialog
+   * @param {IpcMainInvokeEvent} event - IPC event
+   * @param {string} filePath - Source file
+   * @returns {Object} { config, allowedEnv }
+   */
+  async handleGetRunConfig(event, filePath) {
+    const fileAccess = this.policyEngine.validateFileAccess(filePath, 'read');
+    if (!fileAccess.allowed) {
+      throw new Error(`Access denied: ${fileAccess.reason}`);
+    }
+
+    return {
+      config: this.runConfigurations.get(filePath),
+      allowedEnv: this.policyEngine.getPolicy().execution?.allowedEnv || [],
+    };
+  }
+
+  /**
+   * Load a project manifest and check that every source may be read
+   * @param {string} root - Project root
+   * @param {LanguageRegistry} registry - Language registry
+   * @returns {Promise<Object>} From loadProject
+   * @throws {Error} If the manifest is invalid or a source is not accessible
+   */
+  async loadProject(root, registry) {
+    const project = await loadProject(root, registry);
+    for (const source of project.sources) {
+      const access = this.policyEngine.validateFileAccess(source, 'read');
+      if (!access.allowed) {
+        throw new Error(`${PROJECT_MANIFEST}: access denied to ${path.relative(root, source)}: ${access.reason}`);
+      }
+    }
+    return project;
+  }
+
+  /**
+   * Sandbox directory for the current policy
+   * @returns {string}
+   */
+  getSandboxRoot() {
+    return this.policyEngine.getPolicy().fileAccess?.sandboxPath || config.fsSandbox.sandboxRoot;
+  }
+
+  /**
+   * Language registry for the current policy
+   * @returns {LanguageRegistry}
+   */
+  getLanguageRegistry() {
+    const registry = new LanguageRegistry(this.policyEngine.getPolicy().execution?.languages);
+    for (const error of registry.errors) {
+      logger.warn(`Ignoring language entry ${error}`);
+    }
+    return registry;
+  }
+
+  /**
+   * Sandbox settings and limits for one run, from the policy's execution section
+   * @param {string} workingDir - Directory of the file being run, or the project root
+   * @param {Object} language - LanguageRegistry entry
+   * @param {Object} runConfig - From resolveRunConfig
+   * @returns {Object} { sandbox, sandboxDir, workingDir, limits, applied, runConfig }
+   * @throws {Error} If confinement is required but not available
+   */
+  createExecution(workingDir, language, runConfig) {
+    const policy = this.policyEngine.getPolicy();
+    const limits = resolveLimits(policy.execution, language);
+    const sandbox = new ExecutionSandbox({ ...policy.execution, limits });
+
+    // Only the sandbox directory is writable; files run from elsewhere
+    // (whitelist mode) get just their own directory
+    const sandboxRoot = this.getSandboxRoot();
+    const relative = path.relative(sandboxRoot, workingDir);
+    const insideRoot = !relative.startsWith('..') && !path.isAbsolute(relative);
+
+    return {
+      sandbox,
+      sandboxDir: insideRoot ? sandboxRoot : workingDir,
+      workingDir,
+      limits,
+      applied: sandbox.getConfinement(),
+      runConfig,
+    };
+  }
+
+  /**
+   * Spawn a compiler or user program through the execution sandbox
+   * @param {Object} execution - From createExecution
+   * @param {string} command - Executable
+   * @param {string[]} args - Arguments
+   * @param {Object} [userEnv] - Variables from the run configuration (user programs only)
+   * @param {Terminal} [terminal] - Pty to use as stdin, stdout and stderr instead of pipes
+   * @returns {Object} { child, launch }
+   */
+  spawnConfined(execution, command, args, userEnv = {}, terminal = null) {
+    const launch = execution.sandbox.prepare(command, args, {
+      sandboxDir: execution.sandboxDir,
+      cwd: execution.workingDir,
       env: {
         PATH: process.env.PATH,
         HOME: process.env.HOME || process.env.USERPROFILE,
         TEMP: process.env.TEMP,
         TMP: process.env.TMP,
+        ...(terminal ? { TERM: terminal.name } : {}),
         // Don't pass other env vars - security measure
       },
+      userEnv,
+    });
+
+    const child = spawn(launch.command, launch.args, {
+      cwd: execution.workingDir,
+      // Extra descriptors (the seccomp filter) stay pipes on a terminal too
+      stdio: terminal ? [...terminal.stdio, ...launch.stdio.slice(3)] : launch.stdio,
+      shell: false,  // SECURITY: No shell access
+      env: launch.env,
       windowsHide: true,
     });
+    if (terminal) {
+      terminal.releaseSlave();
+    }
+    sendSeccompFilter(child, launch);
+
+    return { child, launch };
+  }
+
+  /**
+   * Spawn the user program of a run, on a terminal if the run has one
+   * @param {Object} execution - From createExecution, with its run
+   * @param {Object} runCommand - { cmd, args } from the language registry
+   */
+  spawnProgram(execution, runCommand) {
+    const { run } = execution;
+    const terminal = run.terminal ? new Terminal(run.terminalSize || DEFAULT_SIZE) : null;
+
+    let spawned;
+    try {
+      spawned = this.spawnConfined(execution, runCommand.cmd, runCommand.args, execution.runConfig.env, terminal);
+    } catch (error) {
+      terminal?.close();
+      throw error;
+    }
+
+    this.setupProcessHandlers(spawned.child, execution, spawned.launch.launchers, terminal);
+  }
+
+  /**
+   * Run an interpreted language file
+   */
+  async runInterpreted(registry, language, vars, execution) {
+    const runCommand = registry.buildCommand(language, 'run', vars, this.toolchains.resolveCommand(language, 'run'));
+    this.spawnProgram(execution, runCommand);
+  }
+
+  /**
+   * Compile and run a compiled language file or project
+   */
+  async compileAndRun(registry, language, vars, execution) {
+    const compiled = await this.compile(registry, language, vars, execution);
+    if (!compiled.ok) {
+      this.executions.finish(execution.run);
+      this.notifyRun(execution.run, IpcChannels.NOTIFY_CODE_EXIT, {
+        code: compiled.code,
+        signal: null,
+        error: compiled.error,
+      });
+      return;
+    }
+
+    this.notifyRun(execution.run, IpcChannels.NOTIFY_CODE_OUTPUT, {
+      type: 'info',
+      text: '✅ Compiled. Running...\n',
+    });
 
-    this.setupProcessHandlers(child, window);
+    // Now run the compiled artifact
+    const runCommand = registry.buildCommand(language, 'run', vars, this.toolchains.resolveCommand(language, 'run'));
+    this.spawnProgram(execution, runCommand);
   }
 
   /**
-   * Compile and run a compiled language file
+   * Compile a file or project, forwarding compiler errors and their locations
+   * @returns {Promise<Object>} { ok, code, error }
    */
-  async compileAndRun(event, filePath, langConfig, workingDir, window) {
-    const baseName = path.basename(filePath, path.extname(filePath));
-    const outFile = path.join(workingDir, process.platform === 'win32' ? `${baseName}.exe` : baseName);
-    const cmdConfig = langConfig.commands[0];
+  async compile(registry, language, vars, execution) {
+    const { run } = execution;
+    const compileCommand = registry.buildCommand(language, 'compile', vars, this.toolchains.resolveCommand(language, 'compile'));
 
-    this.notify(window, IpcChannels.NOTIFY_CODE_OUTPUT, {
+    if (vars.project) {
+      await fs.mkdir(vars.build, { recursive: true });
+    }
+
+    this.notifyRun(run, IpcChannels.NOTIFY_CODE_OUTPUT, {
       type: 'info',
       text: `⏳ Compiling...\n`,
     });
 
-    return new Promise((resolve, reject) => {
-      const compiler = spawn(cmdConfig.cmd, cmdConfig.args(filePath, outFile), {
-        cwd: workingDir,
-        stdio: ['pipe', 'pipe', 'pipe'],
-        shell: false,
-        env: {
-          PATH: process.env.PATH,
-          HOME: process.env.HOME || process.env.USERPROFILE,
-          TEMP: process.env.TEMP,
-          TMP: process.env.TMP,
-        },
-        windowsHide: true,
-      });
+    return new Promise((resolve) => {
+      const { child: compiler, launch } = this.spawnConfined(execution, compileCommand.cmd, compileCommand.args);
+      this.executions.attach(run, compiler, { launchers: launch.launchers });
 
-      let compileErrors = '';
+      const diagnostics = new DiagnosticStream(execution.workingDir);
 
       compiler.stderr.on('data', (data) => {
-        compileErrors += data.toString();
-        this.notify(window, IpcChannels.NOTIFY_CODE_OUTPUT, {
+        this.notifyRun(run, IpcChannels.NOTIFY_CODE_OUTPUT, {
           type: 'stderr',
           text: data.toString(),
         });
+        this.notifyDiagnostics(run, diagnostics.push(data.toString()));
       });
 
       compiler.on('close', (code) => {
-        if (code !== 0) {
-          this.notify(window, IpcChannels.NOTIFY_CODE_EXIT, {
-            code,
-            signal: null,
-            error: 'Compilation failed',
-          });
-          resolve();
-          return;
-        }
-
-        this.notify(window, IpcChannels.NOTIFY_CODE_OUTPUT, {
-          type: 'info',
-          text: '✅ Compiled. Running...\n',
-        });
-
-        // Now run the compiled binary
-        let runConfig;
-        if (path.extname(filePath) === '.java') {
-          runConfig = langConfig.runCompiled(outFile, workingDir, baseName);
+        this.executions.detach(run, compiler);
+        this.notifyDiagnostics(run, diagnostics.flush());
+        if (run.cancelled) {
+          resolve({ ok: false, code, error: 'Stopped' });
         } else {
-          runConfig = langConfig.runCompiled(outFile);
+          resolve(code === 0 ? { ok: true, code, error: null } : { ok: false, code, error: 'Compilation failed' });
         }
-
-        const child = spawn(runConfig.cmd, runConfig.args, {
-          cwd: workingDir,
-          stdio: ['pipe', 'pipe', 'pipe'],
-          shell: false,
-          env: {
-            PATH: process.env.PATH,
-            HOME: process.env.HOME || process.env.USERPROFILE,
-            TEMP: process.env.TEMP,
-            TMP: process.env.TMP,
-          },
-          windowsHide: true,
-        });
-
-        this.setupProcessHandlers(child, window);
-        resolve();
       });
 
       compiler.on('error', (err) => {
-        this.notify(window, IpcChannels.NOTIFY_CODE_OUTPUT, {
+        this.executions.detach(run, compiler);
+        this.notifyRun(run, IpcChannels.NOTIFY_CODE_OUTPUT, {
           type: 'stderr',
-          text: `Compiler not found: ${cmdConfig.cmd}. Make sure it's installed and in your PATH.\n`,
-        });
-        this.notify(window, IpcChannels.NOTIFY_CODE_EXIT, {
-          code: 1,
-          signal: null,
-          error: err.message,
+          text: `Compiler not found: ${compileCommand.cmd}. Make sure it's installed and in your PATH.\n`,
         });
-        resolve();
+        resolve({ ok: false, code: 1, error: err.message });
       });
     });
   }
 
   /**
-   * Setup stdout/stderr/exit handlers for a child process
+   * Run the test suite of the exercise a file belongs to, and write the results
+   * (signed when a key is enrolled). Cases run one after another through the
+   * same sandbox as handleRunCode.
+   * @param {string} filePath - Program under test (a source file, or any file of a project)
+   * @returns {Promise<Object>} { runId, results, resultsFile, signed }
    */
-  setupProcessHandlers(child, window) {
-    this.runningProcess = child;
+  async handleRunTests(event, filePath) {
+    const suiteRoot = await findManifestDir(filePath, this.getSandboxRoot(), TEST_SUITE_FILE);
+    if (!suiteRoot) {
+      throw new Error(`No ${TEST_SUITE_FILE} found for ${path.basename(filePath)}`);
+    }
 
-    // Timeout - kill process after MAX_EXECUTION_TIME
-    const timer = setTimeout(() => {
-      if (this.runningProcess === child) {
-        this.notify(window, IpcChannels.NOTIFY_CODE_OUTPUT, {
-          type: 'stderr',
-          text: `\n⏱ Process killed: exceeded ${IpcMain.MAX_EXECUTION_TIME / 1000}s time limit.\n`,
-        });
-        this.killRunningProcess();
+    const suiteFile = path.join(suiteRoot, TEST_SUITE_FILE);
+    const suiteAccess = this.policyEngine.validateFileAccess(suiteFile, 'read');
+    if (!suiteAccess.allowed) {
+      throw new Error(`Access denied: ${suiteAccess.reason}`);
+    }
+    const suite = await loadTestSuite(suiteRoot);
+    for (const dataFile of suite.dataFiles) {
+      const access = this.policyEngine.validateFileAccess(dataFile, 'read');
+      if (!access.allowed) {
+        throw new Error(`${TEST_SUITE_FILE}: access denied to ${path.relative(suiteRoot, dataFile)}: ${access.reason}`);
       }
-    }, IpcMain.MAX_EXECUTION_TIME);
+    }
 
-    child.stdout.on('data', (data) => {
-      this.notify(window, IpcChannels.NOTIFY_CODE_OUTPUT, {
-        type: 'stdout',
-        text: data.toString(),
+    // Cases bring their own input and arguments; the file's run configuration is not used
+    const { registry, language, execution, vars, version } = await this.prepareRun(
+      event.sender,
+      filePath,
+      defaultRunConfig(),
+      { remember: false, kind: 'tests' },
+    );
+
+    const { run } = execution;
+    const startedAt = new Date().toISOString();
+    const total = suite.cases.length;
+    const cases = [];
+
+    logger.info(`Testing ${filePath} against ${suiteFile} (${total} cases, ${describeConfinement(execution.applied)})`);
+    this.notifyRun(run, IpcChannels.NOTIFY_CODE_OUTPUT, {
+      type: 'info',
+      text: `🧪 Testing ${path.basename(filePath)}: ${suite.name} (${total} case${total === 1 ? '' : 's'})\n`,
+    });
+
+    try {
+      let compileError = null;
+      if (language.compile) {
+        const compiled = await this.compile(registry, language, vars, execution);
+        compileError = compiled.ok ? null : compiled.error;
+      }
+
+      for (const [index, testCase] of suite.cases.entries()) {
+        let result;
+        if (compileError) {
+          result = { name: testCase.name, status: 'error', passed: false, message: compileError };
+        } else if (run.cancelled || this.runtimeManager?.isSessionLocked()) {
+          result = { name: testCase.name, status: 'error', passed: false, message: 'Not run: tests were stopped' };
+        } else {
+          result = await this.runTestCase(registry, language, vars, execution, testCase);
+          if (run.cancelled && !result.passed) {
+            result.message = 'Stopped before it finished';
+          }
+        }
+        cases.push(result);
+        this.notifyRun(run, IpcChannels.NOTIFY_TEST_CASE, { index, total, result });
+      }
+    } finally {
+      this.executions.finish(run);
+    }
+
+    const passed = cases.filter(result => result.passed).length;
+    const results = {
+      exercise: suite.name,
+      suiteHash: suite.hash,
+      file: path.relative(suiteRoot, filePath),
+      user: this.policyEngine.sessionUser?.username || null,
+      language: language.id,
+      toolchain: version || null,
+      confinement: describeConfinement(execution.applied),
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      passed,
+      total,
+      cases,
+    };
+    const { filePath: resultsFile, signed } = this.gradingResults.write(results);
+
+    logger.info(`Tests for ${suite.name}: ${passed}/${total} passed, results in ${resultsFile}${signed ? '' : ' (unsigned)'}`);
+    this.notifyRun(run, IpcChannels.NOTIFY_CODE_OUTPUT, {
+      type: 'info',
+      text: `🧪 ${passed}/${total} test${total === 1 ? '' : 's'} passed\n`,
+    });
+    if (!signed) {
+      this.notifyRun(run, IpcChannels.NOTIFY_CODE_OUTPUT, {
+        type: 'info',
+        text: '⚠ Results were saved unsigned: no signing key is enrolled on this station\n',
       });
+    }
+
+    return { runId: run.id, results, resultsFile, signed };
+  }
+
+  /**
+   * Run one test case and compare its output
+   * @param {LanguageRegistry} registry - Language registry
+   * @param {Object} language - LanguageRegistry entry
+   * @param {Object} vars - From prepareRun
+   * @param {Object} execution - From createExecution
+   * @param {Object} testCase - From loadTestSuite
+   * @returns {Promise<Object>} { name, status: 'passed'|'failed'|'timeout'|'error', passed, message, diff, stderr, exitCode, durationMs }
+   */
+  runTestCase(registry, language, vars, execution, testCase) {
+    // A case may lower the policy's wall time, never raise it
+    const policyWall = execution.limits.wallSeconds;
+    const wallSeconds = testCase.timeLimitSeconds && (!policyWall || testCase.timeLimitSeconds < policyWall)
+      ? testCase.timeLimitSeconds
+      : policyWall;
+    const limits = { ...execution.limits, wallSeconds };
+
+    const runCommand = registry.buildCommand(language, 'run', { ...vars, args: testCase.args }, this.toolchains.resolveCommand(language, 'run'));
+    const { child, launch } = this.spawnConfined(execution, runCommand.cmd, runCommand.args);
+    const started = Date.now();
+
+    this.systemServiceManager?.registerUserProgram(child.pid, launch.launchers);
+
+    const monitor = new RunMonitor(child, limits, {
+      launchers: launch.launchers,
+      onLimit: () => killProcess(child),
     });
+    this.executions.attach(execution.run, child, { launchers: launch.launchers, monitor });
+    monitor.start();
 
+    const stdout = [];
+    const stderr = [];
+    let stderrBytes = 0;
+    child.stdout.on('data', (data) => {
+      if (monitor.addOutput(data.length)) {
+        stdout.push(data);
+      }
+    });
     child.stderr.on('data', (data) => {
-      this.notify(window, IpcChannels.NOTIFY_CODE_OUTPUT, {
-        type: 'stderr',
-        text: data.toString(),
+      if (monitor.addOutput(data.length) && stderrBytes < MAX_TEST_STDERR) {
+        stderr.push(data);
+        stderrBytes += data.length;
+      }
+    });
+
+    child.stdin.on('error', (err) => logger.debug(`Program input closed: ${err.message}`));
+    child.stdin.end(testCase.input);
+
+    return new Promise((resolve) => {
+      let finished = false;
+      const finish = (code, signal, error) => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        monitor.stop();
+        this.systemServiceManager?.unregisterUserProgram(child.pid);
+        this.executions.detach(execution.run, child);
+
+        const result = {
+          name: testCase.name,
+          exitCode: code,
+          durationMs: Date.now() - started,
+          stderr: Buffer.concat(stderr).toString().slice(0, MAX_TEST_STDERR),
+          diff: null,
+        };
+
+        const exceeded = monitor.getExitReason(code, signal);
+        if (error) {
+          Object.assign(result, { status: 'error', message: error });
+        } else if (exceeded) {
+          const status = exceeded.reason === ExitReasons.TIME_LIMIT ? 'timeout' : 'error';
+          Object.assign(result, { status, message: `Stopped: ${exceeded.detail}` });
+        } else if (signal) {
+          Object.assign(result, { status: 'error', message: `Killed by ${signal}` });
+        } else if (code !== 0) {
+          Object.assign(result, { status: 'error', message: `Exited with code ${code}` });
+        } else {
+          const comparison = compareOutput(Buffer.concat(stdout).toString(), testCase);
+          Object.assign(result, { status: comparison.passed ? 'passed' : 'failed', ...comparison });
+        }
+        result.passed = result.status === 'passed';
+        resolve(result);
+      };
+
+      child.on('close', (code, signal) => finish(code, signal, null));
+      child.on('error', (err) => finish(1, null, err.message));
+    });
+  }
+
+  /**
+   * Start an interactive interpreter for the REPL tab
+   *
+   * A REPL session is a run of kind 'repl': it is confined and limited like
+   * a program run from the sandbox root, and counts against the run cap,
+   * but the policy's repl.maxMinutes replaces the wall time and a session
+   * without input for repl.idleMinutes is ended. Input and Stop use the
+   * code channels with the run ID; the session is stopped with the other
+   * runs when the station is locked. Start and end are audited.
+   * @param {string} languageId - Language registry id
+   * @returns {Promise<Object>} { running, language, runId }
+   * @throws {Error} If the policy does not allow it or the language has no REPL
+   */
+  async handleStartRepl(event, languageId) {
+    if (this.runtimeManager?.isSessionLocked()) {
+      throw new Error('Session has ended');
+    }
+
+    const policy = this.policyEngine.getPolicy();
+    const replPolicy = { ...config.execution.repl, ...(policy.execution?.repl || {}) };
+    if (!replPolicy.enabled) {
+      this.policyEngine.auditLog.append('REPL_START', {
+        data: { language: languageId },
+        allowed: false,
+        reason: 'disabled by policy',
       });
+      throw new Error('The REPL is not allowed by policy');
+    }
+
+    const registry = this.getLanguageRegistry();
+    const language = typeof languageId === 'string' ? registry.get(languageId) : null;
+    if (!language || !language.repl) {
+      throw new Error(`No REPL for language: ${languageId}`);
+    }
+    if (!language.enabled) {
+      throw new Error(`${language.name} is not allowed by policy`);
+    }
+
+    await this.toolchains.ready();
+    const toolchainProblem = this.toolchains.getProblem(language);
+    if (toolchainProblem) {
+      throw new Error(toolchainProblem);
+    }
+
+    const workingDir = this.getSandboxRoot();
+    const execution = this.createExecution(workingDir, language, { ...defaultRunConfig(), terminal: false });
+    execution.limits = {
+      ...execution.limits,
+      wallSeconds: replPolicy.maxMinutes * 60,
+      idleSeconds: replPolicy.idleMinutes * 60,
+    };
+
+    const run = this.executions.start({
+      owner: event.sender,
+      kind: 'repl',
+      language: language.id,
+      file: null,
+      maxConcurrent: policy.execution?.maxConcurrentRuns,
+    });
+    execution.run = run;
+    this.notifyRun(run, IpcChannels.NOTIFY_CODE_STARTED, {
+      kind: 'repl',
+      language: language.id,
+      file: null,
+      terminal: false,
+    });
+
+    const version = this.toolchains.get(language.id)?.version;
+    this.notifyRun(run, IpcChannels.NOTIFY_CODE_OUTPUT, {
+      type: 'info',
+      text: `▶ ${language.name} REPL${version ? ` (${version})` : ''} in ${workingDir}\n`,
+    });
+    this.notifyRun(run, IpcChannels.NOTIFY_CODE_OUTPUT, {
+      type: 'info',
+      text: `${execution.applied.confined ? '🔒' : '⚠'} ${describeConfinement(execution.applied)}\n`,
+    });
+    this.notifyRun(run, IpcChannels.NOTIFY_CODE_OUTPUT, {
+      type: 'info',
+      text: `⏱ ${describeRunLimits(execution.limits)}\n`,
     });
 
+    const replCommand = registry.buildCommand(
+      language,
+      'repl',
+      { dir: workingDir, args: [] },
+      this.toolchains.resolveCommand(language, 'run'),
+    );
+    try {
+      this.spawnProgram(execution, replCommand);
+    } catch (error) {
+      this.executions.finish(run);
+      throw error;
+    }
+
+    const { child, monitor } = run;
+    this.auditRepl('START', run, { pid: child.pid, confined: execution.applied.confined });
     child.on('close', (code, signal) => {
-      clearTimeout(timer);
-      if (this.runningProcess === child) {
-        this.runningProcess = null;
+      const exceeded = monitor.getExitReason(code, signal);
+      this.auditRepl('END', run, {
+        pid: child.pid,
+        durationSeconds: Math.round((Date.now() - run.startedAt) / 1000),
+        reason: exceeded ? exceeded.reason : run.stopReason || 'exited',
+      });
+    });
+
+    return { running: true, language: language.name, runId: run.id };
+  }
+
+  /**
+   * Record the start or end of a REPL session in the log and the audit trail
+   * @param {string} stage - START or END
+   * @param {Object} run - The session's run
+   * @param {Object} data - Stage details
+   */
+  auditRepl(stage, run, data) {
+    const details = { runId: run.id, language: run.language, ...data };
+    logger.audit(`REPL_${stage}`, details);
+    this.policyEngine.auditLog.append(`REPL_${stage}`, {
+      data: details,
+      allowed: true,
+      reason: data.reason || null,
+    });
+  }
+
+  /**
+   * Send the source locations parsed from compiler or program errors
+   * @param {Object} run - Run they belong to
+   * @param {Object[]} diagnostics - From DiagnosticStream
+   */
+  notifyDiagnostics(run, diagnostics) {
+    // REPL tracebacks point at <stdin>, not at a file
+    if (diagnostics.length > 0 && run.kind !== 'repl') {
+      this.notifyRun(run, IpcChannels.NOTIFY_CODE_DIAGNOSTICS, { diagnostics });
+    }
+  }
+
+  /**
+   * Setup stdout/stderr/exit handlers for a child process
+   * @param {ChildProcess} child - Program root process
+   * @param {Object} execution - From createExecution, with its run
+   * @param {string[]} [launchers] - Paths of the sandbox wrappers the program runs under
+   * @param {Terminal} [terminal] - The program's pty, if it has no pipes
+   */
+  setupProcessHandlers(child, execution, launchers = [], terminal = null) {
+    const { run } = execution;
+    this.systemServiceManager?.registerUserProgram(child.pid, launchers);
+
+    const diagnostics = new DiagnosticStream(execution.workingDir);
+    const monitor = new RunMonitor(child, execution.limits, {
+      launchers,
+      onLimit: (reason, detail) => {
+        logger.info(`Program ${child.pid} stopped (${reason}): ${detail}`);
+        killProcess(child);
+      },
+    });
+    this.executions.attach(run, child, { launchers, monitor, pty: terminal });
+    monitor.start();
+
+    if (terminal) {
+      // stdout and stderr arrive interleaved as raw terminal bytes
+      terminal.onData((data) => {
+        if (monitor.addOutput(Buffer.byteLength(data))) {
+          this.notifyRun(run, IpcChannels.NOTIFY_CODE_OUTPUT, {
+            type: 'terminal',
+            text: data,
+          });
+          this.notifyDiagnostics(run, diagnostics.push(stripAnsi(data)));
+        }
+      });
+    } else {
+      this.forwardPipes(child, execution, monitor, diagnostics);
+    }
+
+    child.on('close', async (code, signal) => {
+      monitor.stop();
+      if (terminal) {
+        // Output written just before the exit may still be in the pty
+        await terminal.drain();
+        terminal.close();
       }
-      this.notify(window, IpcChannels.NOTIFY_CODE_EXIT, {
+      this.notifyDiagnostics(run, diagnostics.flush());
+      this.systemServiceManager?.unregisterUserProgram(child.pid);
+      this.executions.detach(run, child);
+      this.executions.finish(run);
+      const exceeded = monitor.getExitReason(code, signal);
+      this.notifyRun(run, IpcChannels.NOTIFY_CODE_EXIT, {
         code,
         signal,
+        reason: exceeded ? exceeded.reason : null,
+        detail: exceeded ? exceeded.detail : null,
       });
     });
 
     child.on('error', (err) => {
-      clearTimeout(timer);
-      if (this.runningProcess === child) {
-        this.runningProcess = null;
-      }
-      this.notify(window, IpcChannels.NOTIFY_CODE_OUTPUT, {
+      monitor.stop();
+      terminal?.close();
+      this.systemServiceManager?.unregisterUserProgram(child.pid);
+      this.executions.detach(run, child);
+      this.executions.finish(run);
+      this.notifyRun(run, IpcChannels.NOTIFY_CODE_OUTPUT, {
         type: 'stderr',
         text: `Error: ${err.message}. Make sure the language runtime is installed and in your PATH.\n`,
       });
-      this.notify(window, IpcChannels.NOTIFY_CODE_EXIT, {
+      this.notifyRun(run, IpcChannels.NOTIFY_CODE_EXIT, {
         code: 1,
         signal: null,
         error: err.message,
@@ -648,16 +1387,98 @@ class IpcMain {
     });
   }
 
+  /**
+   * Forward a program's stdout and stderr, and feed it its input file
+   * @param {ChildProcess} child - Program root process
+   * @param {Object} execution - From createExecution, with its run
+   * @param {RunMonitor} monitor - Counts output against the limit
+   * @param {DiagnosticStream} diagnostics - Parses stderr for error locations
+   */
+  forwardPipes(child, execution, monitor, diagnostics) {
+    const { run } = execution;
+    const forward = (type) => (data) => {
+      if (monitor.addOutput(data.length)) {
+        this.notifyRun(run, IpcChannels.NOTIFY_CODE_OUTPUT, {
+          type,
+          text: data.toString(),
+        });
+        if (type === 'stderr') {
+          this.notifyDiagnostics(run, diagnostics.push(data.toString()));
+        }
+      }
+    };
+    child.stdout.on('data', forward('stdout'));
+    child.stderr.on('data', forward('stderr'));
+
+    // A program that exits without reading all of its input closes the pipe
+    child.stdin.on('error', (err) => logger.debug(`Program input closed: ${err.message}`));
+    if (execution.runConfig.stdinFile) {
+      const input = createReadStream(execution.runConfig.stdinFile);
+      input.on('error', (err) => {
+        this.notifyRun(run, IpcChannels.NOTIFY_CODE_OUTPUT, {
+          type: 'stderr',
+          text: `Cannot read input file: ${err.message}\n`,
+        });
+        child.stdin.end();
+      });
+      input.pipe(child.stdin);
+    }
+  }
+
+  /**
+   * Active run of a window: the given one, or its most recent
+   * @param {WebContents} owner - Window contents asking
+   * @param {string} [runId] - Run ID
+   * @returns {Object|null}
+   */
+  findOwnRun(owner, runId) {
+    if (runId !== undefined && runId !== null) {
+      const run = this.executions.get(runId);
+      return run && run.ownerId === owner.id ? run : null;
+    }
+    const runs = this.executions.list(owner.id);
+    return runs.length > 0 ? runs[runs.length - 1] : null;
+  }
+
   /**
    * Send input to running process (for interactive programs)
+   * @param {string} text - Line to send, or keystrokes for a terminal run
+   * @param {string} [runId] - Run to send it to; defaults to the window's latest
+   * @returns {Promise<boolean>} Whether the input reached the program
    */
-  async handleCodeInput(event, text) {
-    if (!this.runningProcess || this.runningProcess.killed) {
+  async handleCodeInput(event, text, runId) {
+    const run = this.findOwnRun(event.sender, runId);
+    if (!run || !run.child || run.child.killed) {
       throw new Error('No running process');
     }
+    if (typeof text !== 'string') {
+      throw new Error('Input must be text');
+    }
+    if (run.kind === 'tests') {
+      throw new Error('Test cases take their input from the test suite');
+    }
+    if (run.inputFile) {
+      throw new Error(`Program input comes from ${path.basename(run.inputFile)}`);
+    }
+    if (run.terminal && !run.pty) {
+      // Still compiling: keystrokes are not the compiler's input
+      return false;
+    }
+    // Restarts the idle limit of REPL sessions
+    run.monitor?.recordInput();
 
     try {
-      this.runningProcess.stdin.write(text + '\n');
+      if (run.pty) {
+        const { child, launchers } = run;
+        // Signalled after the write, so ^C is echoed before the program reacts
+        run.pty.write(text, () => {
+          if (text.includes('\x03')) {
+            signalProgram(child, launchers, 'SIGINT');
+          }
+        });
+      } else {
+        run.child.stdin.write(text + '\n');
+      }
     } catch (err) {
       logger.error(`Failed to send input: ${err.message}`);
       throw new Error('Failed to send input to process');
@@ -667,44 +1488,91 @@ class IpcMain {
   }
 
   /**
-   * Stop the running process
+   * Stop the window's runs, or one of them
+   * @param {string} [runId] - Run to stop; defaults to all of the window's runs
    */
-  async handleStopCode(event) {
-    if (!this.runningProcess) {
+  async handleStopCode(event, runId) {
+    const runs = runId !== undefined && runId !== null
+      ? [this.findOwnRun(event.sender, runId)].filter(Boolean)
+      : this.executions.list(event.sender.id);
+    if (runs.length === 0) {
       return { stopped: false, reason: 'No running process' };
     }
 
-    this.killRunningProcess();
+    for (const run of runs) {
+      this.executions.stop(run.id, 'stopped by user');
+    }
     return { stopped: true };
   }
 
   /**
-   * Kill the currently running process
+   * Active runs of every window
+   * @returns {Promise<Object[]>} ExecutionManager descriptions, with own: started by this window
    */
-  killRunningProcess() {
-    if (this.runningProcess && !this.runningProcess.killed) {
-      try {
-        if (process.platform === 'win32') {
-          spawn('taskkill', ['/pid', this.runningProcess.pid.toString(), '/f', '/t'], { windowsHide: true });
-        } else {
-          this.runningProcess.kill('SIGKILL');
-        }
-      } catch (err) {
-        logger.error(`Failed to kill process: ${err.message}`);
-      }
-      this.runningProcess = null;
+  async handleListRuns(event) {
+    return this.executions.list().map(run => ({
+      ...this.executions.describe(run),
+      own: run.ownerId === event.sender.id,
+    }));
+  }
+
+  /**
+   * Stop a run by ID. Runs of other windows need an admin session.
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object>} { stopped, pid }
+   */
+  async handleStopRun(event, runId) {
+    const run = this.executions.get(runId);
+    if (!run) {
+      throw new Error(`No such run: ${runId}`);
     }
+    if (run.ownerId !== event.sender.id && !this.runtimeManager?.isAdminAuthenticated()) {
+      throw new Error('Only an admin may stop programs started by another window');
+    }
+
+    return { stopped: true, pid: this.executions.stop(run.id, 'stopped by ID') };
+  }
+
+  /**
+   * Size of a terminal run's output panel; the program gets SIGWINCH when it changes
+   * @param {string} runId - Run ID
+   * @param {number} cols - Columns
+   * @param {number} rows - Rows
+   * @returns {Promise<boolean>} Whether the run has a terminal
+   */
+  async handleResizeTerminal(event, runId, cols, rows) {
+    const run = this.findOwnRun(event.sender, runId);
+    if (!run || !run.terminal) {
+      return false;
+    }
+
+    // Kept for a program that is not running yet (compiling)
+    run.terminalSize = checkTerminalSize(cols, rows);
+    if (run.pty) {
+      run.pty.resize(cols, rows);
+      signalProgram(run.child, run.launchers, 'SIGWINCH');
+    }
+    return true;
+  }
+
+  /**
+   * Stop every run on behalf of the runtime (e.g. at session end)
+   * @param {string} reason - Why programs are being stopped
+   * @returns {number[]} PIDs of the stopped programs
+   */
+  stopAllRuns(reason) {
+    return this.executions.stopAll(reason);
   }
 
   /**
-   * Send notification to renderer
-   * @param {BrowserWindow} window - Target window
+   * Send a run's notification to the window that started it, tagged with the run ID
+   * @param {Object} run - From the execution manager
    * @param {string} channel - Notification channel
-   * @param {*} data - Notification data
+   * @param {Object} data - Notification data
    */
-  notify(window, channel, data) {
-    if (window && !window.isDestroyed()) {
-      window.webContents.send(channel, data);
+  notifyRun(run, channel, data) {
+    if (!run.owner.isDestroyed()) {
+      run.owner.send(channel, { runId: run.id, ...data });
     }
   }
 }
@@ -12,7 +12,7 @@
 
 'use strict';
 
-const { app, BrowserWindow, ipcMain, Menu, screen, globalShortcut, clipboard } = require('electron');
+const { app, BrowserWindow, ipcMain, Menu, screen, globalShortcut, clipboard, powerMonitor } = require('electron');
 const path = require('path');
 const { Logger } = require('./utils/Logger');
 const { PolicyEngine } = require('./policy/PolicyEngine');
@@ -216,6 +216,7 @@ function initializeRuntimeManager() {
   logger.info('Initializing runtime manager...');
   
   runtimeManager = new RuntimeManager(policyEngine);
+  runtimeManager.setIdleProbe(() => powerMonitor.getSystemIdleTime());
   runtimeManager.initialize();
   
   logger.info('Runtime manager initialized');
@@ -308,6 +309,18 @@ async function startup() {
       await systemServiceManager.start();
     }
     
+    policyEngine.onPolicyChange(() => {
+      // Input control clears global shortcuts whenever a new policy is pushed
+      registerAdminShortcut();
+      
+      // Keep the status bar's profile indicator current
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('notify:profile-changed', policyEngine.getProfileInfo().active);
+      }
+    });
+    
+    runtimeManager.onSessionEvent(handleSessionEvent);
+    
     logger.info('Startup complete');
     
   } catch (error) {
@@ -317,12 +330,42 @@ async function startup() {
   }
 }
 
+/**
+ * Forward end-of-session stages to the UI
+ * At expiry running programs are stopped here; the renderer saves open
+ * buffers, reports the result and shows the session-ended screen.
+ * @param {Object} sessionEvent - { stage, ... } from the runtime manager
+ */
+function handleSessionEvent(sessionEvent) {
+  if (sessionEvent.stage === 'ended') {
+    const pids = ipcHandler ? ipcHandler.stopAllRuns(sessionEvent.reason) : [];
+    for (const pid of pids) {
+      runtimeManager.auditSessionStage('PROGRAM_STOPPED', { pid });
+    }
+  }
+  
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    return;
+  }
+  
+  if (sessionEvent.stage === 'warning') {
+    mainWindow.webContents.send('notify:time-warning', sessionEvent);
+  } else if (sessionEvent.stage === 'ended') {
+    mainWindow.webContents.send('notify:session-ended', sessionEvent);
+  }
+}
+
 /**
  * Application shutdown sequence
  */
 async function shutdown() {
   logger.info('Shutting down...');
   
+  // Stop reacting to policy file changes
+  if (policyEngine) {
+    policyEngine.stopWatching();
+  }
+  
   // Stop system services
   if (systemServiceManager) {
     await systemServiceManager.stop();
@@ -10,9 +10,16 @@
 'use strict';
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { execFileSync } = require('child_process');
 const Ajv = require('ajv');
 const { Logger } = require('../utils/Logger');
+const { AuditLog } = require('../utils/AuditLog');
+const { PolicyHistory } = require('./PolicyHistory');
+const { QuotaUsage } = require('./QuotaUsage');
+const { verifyPolicySignature } = require('./PolicySignature');
+const { ShadowPolicy } = require('./ShadowPolicy');
 const { UrlRule } = require('./rules/UrlRule');
 const { KeyboardRule } = require('./rules/KeyboardRule');
 const { ProcessRule } = require('./rules/ProcessRule');
@@ -33,9 +40,21 @@ const logger = new Logger('PolicyEngine');
  */
 class PolicyEngine {
   constructor() {
-    /** @type {Object} Current active policy */
+    /** @type {Object} Current active policy (as stored, before profiles) */
     this.policy = null;
     
+    /** @type {Object} Policy in force: the active policy with the profile applied */
+    this.effectivePolicy = null;
+    
+    /** @type {Object|null} Active profile { name, description, source } */
+    this.activeProfile = null;
+    
+    /** @type {string|null} Profile chosen by an admin, overriding login-time selection */
+    this.profileOverride = null;
+    
+    /** @type {Object} Logged-in OS user { username, groups } used to pick a profile */
+    this.sessionUser = { username: null, groups: [] };
+    
     /** @type {Map<string, Object>} Rule instances by type */
     this.rules = new Map();
     
@@ -47,6 +66,36 @@ class PolicyEngine {
     
     /** @type {Array} Policy violation callbacks */
     this.violationCallbacks = [];
+    
+    /** @type {AuditLog} Hash-chained audit trail of policy decisions */
+    this.auditLog = new AuditLog(config.audit.logPath, config.audit.headPath);
+    
+    /** @type {PolicyHistory} Numbered revisions of applied policies */
+    this.history = new PolicyHistory(config.policy.historyDir);
+    
+    /** @type {QuotaUsage} Active IDE time per user, for time quotas */
+    this.quotaUsage = new QuotaUsage(config.session.quotaUsagePath);
+    
+    /** @type {string|null} Trusted policy signing key (PEM) */
+    this.signingKey = null;
+    
+    /** @type {Object} Built-in default merged with the default policy file */
+    this.basePolicy = null;
+    
+    /** @type {Object|null} Signed user policy layer { policy, signature } */
+    this.userDocument = null;
+    
+    /** @type {Array} Policy change callbacks */
+    this.policyChangeCallbacks = [];
+    
+    /** @type {fs.FSWatcher[]} Policy file watchers */
+    this.watchers = [];
+    
+    /** @type {NodeJS.Timeout|null} Pending debounced reload */
+    this.reloadTimer = null;
+    
+    /** @type {ShadowPolicy|null} Candidate policy evaluated in dry-run mode */
+    this.shadow = null;
   }
 
   /**
@@ -56,15 +105,32 @@ class PolicyEngine {
   async initialize() {
     logger.info('Initializing policy engine...');
     
+    // Open the audit trail so decisions link onto the existing chain
+    this.auditLog.initialize();
+    
     // Load JSON schema for policy validation
     await this.loadSchema();
     
+    // Load the public key that policy files must be signed with
+    this.loadSigningKey();
+    
     // Load policies
     await this.loadPolicies();
     
+    // Identify the logged-in user so the matching profile is applied
+    this.sessionUser = this.detectSessionUser();
+    
     // Initialize rule handlers
     this.initializeRules();
     
+    // Make sure the policy in force is the newest revision
+    this.recordStartupRevision();
+    
+    // Pick up edits to the policy files without a restart
+    if (config.policy.hotReload) {
+      this.startWatching();
+    }
+    
     this.initialized = true;
     logger.info('Policy engine initialized');
   }
@@ -93,39 +159,150 @@ class PolicyEngine {
   }
 
   /**
-   * Load policies from files
+   * Load the policy signing public key shipped with the app
    * @private
    */
-  async loadPolicies() {
-    // Load default policy first (from code)
-    let defaultPolicy = this.getDefaultPolicy();
-    
-    // Load and MERGE policy file (deep merge, so good defaults aren't lost)
+  loadSigningKey() {
     try {
-      if (fs.existsSync(config.policy.defaultPolicyPath)) {
-        const content = fs.readFileSync(config.policy.defaultPolicyPath, 'utf8');
-        const filePolicyData = JSON.parse(content);
-        defaultPolicy = this.mergePolicies(defaultPolicy, filePolicyData);
-        logger.info('Loaded default policy from file');
+      this.signingKey = fs.readFileSync(config.policy.publicKeyPath, 'utf8');
+    } catch (error) {
+      this.signingKey = null;
+      if (config.policy.requireSignatures) {
+        logger.error(`Policy signing key not found: ${error.message}`);
       }
+    }
+  }
+
+  /**
+   * Check a policy document against its detached signature
+   * @private
+   * @param {Object} policy - Policy document
+   * @param {Object|null} signature - Signature object
+   * @returns {Object} { valid: boolean, reason: string|null }
+   */
+  checkSignature(policy, signature) {
+    if (!this.signingKey) {
+      return { valid: false, reason: 'Policy signing key not available' };
+    }
+    return verifyPolicySignature(policy, signature, this.signingKey);
+  }
+
+  /**
+   * Raise a security event for an unsigned or tampered policy
+   * @private
+   * @param {string} source - Which document was rejected
+   * @param {string} reason - Why it was rejected
+   */
+  reportSignatureFailure(source, reason) {
+    logger.security('POLICY_SIGNATURE_INVALID', { source, reason });
+    this.auditLog.append('POLICY_SIGNATURE', { data: source, allowed: false, reason });
+    this.notifyViolation('policySignature', source, reason);
+  }
+
+  /**
+   * Read a policy file and, when required, its detached signature (<file>.sig)
+   * @private
+   * @param {string} filePath - Policy file path
+   * @param {string} label - Name used in logs
+   * @returns {Object} { policy, signature, rejected, error }
+   */
+  readPolicyFile(filePath, label) {
+    if (!fs.existsSync(filePath)) {
+      return { policy: null, signature: null, rejected: false };
+    }
+    
+    let policy;
+    try {
+      policy = JSON.parse(fs.readFileSync(filePath, 'utf8'));
     } catch (error) {
-      logger.warn(`Failed to load default policy file: ${error.message}`);
+      logger.warn(`Failed to load ${label} policy file: ${error.message}`);
+      return { policy: null, signature: null, rejected: false, error: `${label} policy: ${error.message}` };
+    }
+    
+    if (!config.policy.requireSignatures) {
+      return { policy, signature: null, rejected: false };
+    }
+    
+    let signature = null;
+    try {
+      signature = JSON.parse(fs.readFileSync(`${filePath}.sig`, 'utf8'));
+    } catch {
+      // Missing or unreadable signature is reported as unsigned below
+    }
+    
+    const check = this.checkSignature(policy, signature);
+    if (!check.valid) {
+      this.reportSignatureFailure(filePath, check.reason);
+      return { policy: null, signature: null, rejected: true };
+    }
+    
+    return { policy, signature, rejected: false };
+  }
+
+  /**
+   * Build the effective policy from the built-in default and the policy files
+   * @private
+   * @returns {Object} { policy, basePolicy, userDocument, rejected: string[], errors: string[] }
+   */
+  composePolicy() {
+    // Load default policy first (from code)
+    let basePolicy = this.getDefaultPolicy();
+    
+    const defaultFile = this.readPolicyFile(config.policy.defaultPolicyPath, 'default');
+    const userFile = this.readPolicyFile(config.policy.userPolicyPath, 'user');
+    const errors = [defaultFile.error, userFile.error].filter(Boolean);
+    
+    // A rejected signature means someone tampered with the policy files;
+    // ignore them all and enforce the built-in default
+    const rejected = [];
+    if (defaultFile.rejected) {
+      rejected.push('default');
+    }
+    if (userFile.rejected) {
+      rejected.push('user');
+    }
+    
+    // MERGE the default policy file (deep merge, so good defaults aren't lost)
+    if (rejected.length === 0 && defaultFile.policy) {
+      basePolicy = this.mergePolicies(basePolicy, defaultFile.policy);
+      logger.info('Loaded default policy from file');
     }
     
     // Load user policy (overrides default)
     let userPolicy = {};
-    try {
-      if (fs.existsSync(config.policy.userPolicyPath)) {
-        const content = fs.readFileSync(config.policy.userPolicyPath, 'utf8');
-        userPolicy = JSON.parse(content);
-        logger.info('Loaded user policy from file');
+    let userDocument = null;
+    if (rejected.length === 0 && userFile.policy) {
+      userPolicy = userFile.policy;
+      if (userFile.signature) {
+        userDocument = { policy: userFile.policy, signature: userFile.signature };
       }
-    } catch (error) {
-      logger.warn(`Failed to load user policy file: ${error.message}`);
+      logger.info('Loaded user policy from file');
     }
     
-    // Merge policies (user overrides default)
-    this.policy = this.mergePolicies(defaultPolicy, userPolicy);
+    return {
+      // Merge policies (user overrides default)
+      policy: this.mergePolicies(basePolicy, userPolicy),
+      basePolicy,
+      userDocument,
+      rejected,
+      errors,
+    };
+  }
+
+  /**
+   * Load policies from files
+   * @private
+   */
+  async loadPolicies() {
+    const composed = this.composePolicy();
+    
+    if (composed.rejected.length > 0) {
+      logger.security('POLICY_FALLBACK_TO_BUILTIN', { rejected: composed.rejected });
+    }
+    
+    this.policy = composed.policy;
+    this.basePolicy = composed.basePolicy;
+    this.userDocument = composed.userDocument;
     
     // Validate merged policy
     if (config.policy.strictValidation && !this.validatePolicy(this.policy)) {
@@ -137,6 +314,129 @@ class PolicyEngine {
     logger.debug('Active policy:', JSON.stringify(this.policy, null, 2));
   }
 
+  /**
+   * Re-read the policy files and swap in the result if it is valid
+   * On any problem the last good policy stays in force.
+   * @param {string} trigger - What caused the reload (for logs)
+   * @returns {boolean} Whether a new policy is now in force
+   */
+  reloadPolicies(trigger = 'manual') {
+    const reject = (reason) => {
+      logger.warn(`Policy reload rejected: ${reason}`);
+      logger.security('POLICY_RELOAD_REJECTED', { trigger, reason });
+      this.auditLog.append('POLICY_RELOAD', { data: trigger, allowed: false, reason });
+      return false;
+    };
+    
+    const composed = this.composePolicy();
+    
+    if (composed.errors.length > 0) {
+      return reject(composed.errors.join('; '));
+    }
+    if (composed.rejected.length > 0) {
+      return reject(`Invalid signature on ${composed.rejected.join(' and ')} policy`);
+    }
+    if (config.policy.strictValidation && !this.validatePolicy(composed.policy)) {
+      return reject(this.validator.errorsText(this.validatePolicy.errors));
+    }
+    
+    // Our own saves trigger the watcher too
+    if (JSON.stringify(composed.policy) === JSON.stringify(this.policy)) {
+      logger.debug(`Policy reload (${trigger}): no changes`);
+      return false;
+    }
+    
+    const { policy: effectivePolicy, profile } = this.applyProfile(composed.policy);
+    
+    let rules;
+    try {
+      rules = this.buildRules(effectivePolicy);
+    } catch (error) {
+      return reject(`Failed to build rules: ${error.message}`);
+    }
+    
+    // Swap policy and rule map together. Validations look up this.rules
+    // once per call, so they see either the old set or the new one.
+    this.policy = composed.policy;
+    this.effectivePolicy = effectivePolicy;
+    this.basePolicy = composed.basePolicy;
+    this.userDocument = composed.userDocument;
+    this.rules = rules;
+    this.setActiveProfile(profile);
+    
+    logger.info(`Policy reloaded (${trigger})`);
+    this.auditLog.append('POLICY_RELOAD', { data: trigger, allowed: true, reason: null });
+    this.recordRevision({ author: 'system', note: `Reloaded from disk (${trigger})` });
+    this.notifyPolicyChange();
+    
+    return true;
+  }
+
+  /**
+   * Watch the policy files (and their signatures) and reload on change
+   */
+  startWatching() {
+    if (this.watchers.length > 0) {
+      return;
+    }
+    
+    const files = [config.policy.defaultPolicyPath, config.policy.userPolicyPath];
+    const watched = new Set(files.flatMap(file => [file, `${file}.sig`]));
+    
+    // Watch directories: editors often replace a file instead of writing it
+    for (const dir of new Set(files.map(file => path.dirname(file)))) {
+      try {
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir, { recursive: true });
+        }
+        
+        const watcher = fs.watch(dir, (eventType, filename) => {
+          if (filename && watched.has(path.join(dir, filename.toString()))) {
+            this.scheduleReload(filename.toString());
+          }
+        });
+        watcher.on('error', error => logger.warn(`Policy watcher error on ${dir}: ${error.message}`));
+        watcher.unref();
+        this.watchers.push(watcher);
+      } catch (error) {
+        logger.warn(`Cannot watch ${dir} for policy changes: ${error.message}`);
+      }
+    }
+    
+    logger.info('Watching policy files for changes');
+  }
+
+  /**
+   * Stop watching policy files
+   */
+  stopWatching() {
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+    
+    if (this.reloadTimer) {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = null;
+    }
+  }
+
+  /**
+   * Debounce reloads so a policy and its signature written together reload once
+   * @private
+   * @param {string} trigger - Changed file name
+   */
+  scheduleReload(trigger) {
+    if (this.reloadTimer) {
+      clearTimeout(this.reloadTimer);
+    }
+    
+    this.reloadTimer = setTimeout(() => {
+      this.reloadTimer = null;
+      this.reloadPolicies(trigger);
+    }, config.policy.reloadDebounce);
+  }
+
   /**
    * Get default policy (fallback)
    * @private
@@ -172,15 +472,28 @@ class PolicyEngine {
       
       processes: {
         mode: 'whitelist',
-        allowed: [
-          'restricted-ide.exe',
-        ],
+        allowed: config.processControl.allowed,
         blocked: [
           'cmd.exe',
           'powershell.exe',
           'taskmgr.exe',
           'explorer.exe',
         ],
+        protected: config.processControl.whitelist,
+        userCode: {
+          allowSubprocesses: true,
+          mode: 'blacklist',
+          allowed: [],
+          blocked: [
+            // Shells
+            'sh', 'bash', 'dash', 'zsh', 'fish', 'csh', 'tcsh', 'ksh',
+            'cmd.exe', 'powershell.exe', 'pwsh', 'pwsh.exe',
+            // Interpreters that could run arbitrary code via -c / -e
+            'python', 'python3', 'node', 'perl', 'ruby',
+            // Network tools
+            'nc', 'ncat', 'netcat', 'socat', 'curl', 'wget', 'ssh', 'scp', 'telnet', 'ftp',
+          ],
+        },
       },
       
       fileAccess: {
@@ -195,6 +508,17 @@ class PolicyEngine {
       time: {
         enabled: false,
         schedule: null,
+        quota: null,
+        warnings: [15, 5, 1],
+      },
+      
+      execution: {
+        sandbox: { ...config.execution.sandbox },
+        limits: { ...config.execution.limits },
+        languages: config.execution.languages,
+        allowedEnv: [...config.execution.allowedEnv],
+        maxConcurrentRuns: config.execution.maxConcurrentRuns,
+        repl: { ...config.execution.repl },
       },
     };
   }
@@ -233,18 +557,187 @@ class PolicyEngine {
    * @private
    */
   initializeRules() {
+    const { policy, profile } = this.applyProfile(this.policy);
+    
     // Debug: log the fileAccess config to see sandboxPath
-    logger.debug('FileAccess policy config:', JSON.stringify(this.policy.fileAccess, null, 2));
+    logger.debug('FileAccess policy config:', JSON.stringify(policy.fileAccess, null, 2));
     
-    this.rules.set('url', new UrlRule(this.policy.urls));
-    this.rules.set('keyboard', new KeyboardRule(this.policy.keyboard));
-    this.rules.set('process', new ProcessRule(this.policy.processes));
-    this.rules.set('fileAccess', new FileAccessRule(this.policy.fileAccess));
-    this.rules.set('time', new TimeRule(this.policy.time));
+    this.rules = this.buildRules(policy);
+    this.effectivePolicy = policy;
+    this.setActiveProfile(profile);
     
     logger.debug('Rule handlers initialized');
   }
 
+  /**
+   * Identify the logged-in OS user and the groups they belong to
+   * @private
+   * @returns {Object} { username, groups }
+   */
+  detectSessionUser() {
+    let username = null;
+    let groups = [];
+    
+    try {
+      username = os.userInfo().username;
+    } catch (error) {
+      logger.warn(`Cannot determine session user: ${error.message}`);
+    }
+    
+    // Group membership is only resolved on macOS/Linux; on Windows
+    // profiles are matched by user name
+    if (username && process.platform !== 'win32') {
+      try {
+        groups = execFileSync('id', ['-Gn', username], { encoding: 'utf8', timeout: 2000 })
+          .trim()
+          .split(/\s+/)
+          .filter(Boolean);
+      } catch (error) {
+        logger.warn(`Cannot determine groups of ${username}: ${error.message}`);
+      }
+    }
+    
+    return { username, groups };
+  }
+
+  /**
+   * Pick the profile for this session: admin switch, then user, then group, then default
+   * @private
+   * @param {Object} policy - Policy holding the profiles section
+   * @returns {Object|null} { name, description, source }
+   */
+  resolveProfile(policy) {
+    const profiles = policy.profiles || {};
+    const names = Object.keys(profiles);
+    const { username, groups } = this.sessionUser;
+    const describe = (name, source) => ({ name, description: profiles[name].description || '', source });
+    
+    if (this.profileOverride && profiles[this.profileOverride]) {
+      return describe(this.profileOverride, 'admin');
+    }
+    
+    const byUser = names.find(name => username && (profiles[name].users || []).includes(username));
+    if (byUser) {
+      return describe(byUser, 'user');
+    }
+    
+    const byGroup = names.find(name => (profiles[name].groups || []).some(group => groups.includes(group)));
+    if (byGroup) {
+      return describe(byGroup, 'group');
+    }
+    
+    if (policy.defaultProfile && profiles[policy.defaultProfile]) {
+      return describe(policy.defaultProfile, 'default');
+    }
+    
+    return null;
+  }
+
+  /**
+   * Layer the session's profile on top of a policy
+   * @private
+   * @param {Object} policy - Policy holding the profiles section
+   * @returns {Object} { policy, profile }
+   */
+  applyProfile(policy) {
+    const profile = this.resolveProfile(policy);
+    if (!profile) {
+      return { policy, profile: null };
+    }
+    
+    const profiled = this.mergePolicies(policy, policy.profiles[profile.name].overrides || {});
+    
+    if (config.policy.strictValidation && !this.validatePolicy(profiled)) {
+      const reason = this.validator.errorsText(this.validatePolicy.errors);
+      logger.security('POLICY_PROFILE_INVALID', { profile: profile.name, reason });
+      return { policy, profile: null };
+    }
+    
+    return { policy: profiled, profile };
+  }
+
+  /**
+   * Record the active profile and stamp it on every audit record
+   * @private
+   * @param {Object|null} profile - Active profile
+   */
+  setActiveProfile(profile) {
+    const previous = this.activeProfile ? this.activeProfile.name : null;
+    const current = profile ? profile.name : null;
+    
+    this.activeProfile = profile;
+    this.auditLog.setContext({ profile: current });
+    
+    if (previous !== current || !this.initialized) {
+      logger.info(`Active policy profile: ${current || '(none)'}${profile ? ` [${profile.source}]` : ''}`);
+      this.auditLog.append('POLICY_PROFILE', {
+        data: { user: this.sessionUser.username, source: profile ? profile.source : null },
+        allowed: true,
+        reason: null,
+      });
+    }
+  }
+
+  /**
+   * Active profile and the profiles an admin can switch to
+   * @returns {Object} { active, available, user }
+   */
+  getProfileInfo() {
+    const profiles = this.policy.profiles || {};
+    
+    return {
+      active: this.activeProfile,
+      available: Object.entries(profiles).map(([name, profile]) => ({
+        name,
+        description: profile.description || '',
+      })),
+      user: this.sessionUser.username,
+    };
+  }
+
+  /**
+   * Switch the active profile (admin), or return to automatic selection with null
+   * @param {string|null} name - Profile name
+   * @param {Object} [meta] - { author }
+   * @returns {Object} Profile info after the switch
+   */
+  setProfile(name, meta = {}) {
+    if (name !== null && !(this.policy.profiles || {})[name]) {
+      throw new Error(`Unknown policy profile: ${name}`);
+    }
+    
+    this.profileOverride = name;
+    this.initializeRules();
+    
+    logger.security('POLICY_PROFILE_SWITCHED', { profile: name, author: meta.author });
+    this.auditLog.append('POLICY_PROFILE_SWITCH', {
+      data: { requested: name, author: meta.author || null },
+      allowed: true,
+      reason: null,
+    });
+    this.notifyPolicyChange();
+    
+    return this.getProfileInfo();
+  }
+
+  /**
+   * Build a complete rule map for a policy without touching the active one
+   * @private
+   * @param {Object} policy - Policy to build rules for
+   * @returns {Map<string, Object>} Rule instances by type
+   */
+  buildRules(policy) {
+    const rules = new Map();
+    
+    rules.set('url', new UrlRule(policy.urls));
+    rules.set('keyboard', new KeyboardRule(policy.keyboard));
+    rules.set('process', new ProcessRule(policy.processes));
+    rules.set('fileAccess', new FileAccessRule(policy.fileAccess));
+    rules.set('time', new TimeRule(policy.time));
+    
+    return rules;
+  }
+
   /**
    * Validate a URL against policy
    * @param {string} url - URL to validate
@@ -255,6 +748,7 @@ class PolicyEngine {
     const result = rule.validate(url);
     
     this.logAction('URL_NAVIGATION', url, result);
+    this.compareWithShadow('url', url, result, shadowRule => shadowRule.validate(url));
     
     if (!result.allowed) {
       this.notifyViolation('url', url, result.reason);
@@ -273,6 +767,7 @@ class PolicyEngine {
     const result = rule.validate(keys);
     
     this.logAction('KEYBOARD', keys.join('+'), result);
+    this.compareWithShadow('keyboard', keys.join('+'), result, shadowRule => shadowRule.validate(keys));
     
     if (!result.allowed) {
       this.notifyViolation('keyboard', keys, result.reason);
@@ -281,6 +776,31 @@ class PolicyEngine {
     return result.allowed;
   }
 
+  /**
+   * Record a process that a user program tried to start against processes.userCode
+   * (process-control has already decided and killed it)
+   * @param {Object} processInfo - { name, pid, path, reason, ancestry }
+   */
+  reportUserCodeProcess(processInfo) {
+    const ancestry = (processInfo.ancestry || []).map(p => `${p.name}(${p.pid})`);
+    const result = { allowed: false, reason: processInfo.reason };
+
+    logger.security('USER_CODE_VIOLATION', {
+      name: processInfo.name,
+      path: processInfo.path,
+      reason: processInfo.reason,
+      ancestry: ancestry.join(' <- '),
+    });
+
+    this.logAction('USER_CODE_PROCESS', {
+      name: processInfo.name,
+      path: processInfo.path,
+      ancestry: processInfo.ancestry || [],
+    }, result);
+
+    this.notifyViolation('userCode', processInfo.path || processInfo.name, result.reason);
+  }
+
   /**
    * Validate a process against policy
    * @param {string} processName - Process executable name
@@ -291,6 +811,7 @@ class PolicyEngine {
     const result = rule.validate(processName);
     
     this.logAction('PROCESS', processName, result);
+    this.compareWithShadow('process', processName, result, shadowRule => shadowRule.validate(processName));
     
     if (!result.allowed) {
       this.notifyViolation('process', processName, result.reason);
@@ -310,6 +831,8 @@ class PolicyEngine {
     const result = rule.validate(filePath, operation);
     
     this.logAction('FILE_ACCESS', `${operation}: ${filePath}`, result);
+    this.compareWithShadow('fileAccess', `${operation}: ${filePath}`, result,
+      shadowRule => shadowRule.validate(filePath, operation));
     
     if (!result.allowed) {
       this.notifyViolation('fileAccess', { filePath, operation }, result.reason);
@@ -324,16 +847,233 @@ class PolicyEngine {
    */
   validateTime() {
     const rule = this.rules.get('time');
-    const result = rule.validate();
+    const usage = this.getQuotaUsage();
+    const result = rule.validate(usage);
+    
+    this.logAction('TIME_RESTRICTION', new Date().toISOString(), result);
+    this.compareWithShadow('time', 'session', result, shadowRule => shadowRule.validate(usage));
     
     if (!result.allowed) {
-      this.logAction('TIME_RESTRICTION', new Date().toISOString(), result);
       this.notifyViolation('time', new Date(), result.reason);
     }
     
     return result.allowed;
   }
 
+  /**
+   * Time left in the current schedule window or quota, without recording a decision
+   * @returns {number|null} Milliseconds remaining (0 when closed), or null if unrestricted
+   */
+  getTimeRemaining() {
+    return this.rules.get('time').getTimeRemaining(new Date(), this.getQuotaUsage());
+  }
+
+  /**
+   * Quota usage of a user in the current quota day and week
+   * @param {string} [user] - Username, defaults to the session user
+   * @returns {Object} { today, week, grantedToday, grantedWeek } in milliseconds
+   */
+  getQuotaUsage(user = this.sessionUser.username) {
+    const period = this.rules.get('time').getQuotaPeriod();
+    return this.quotaUsage.getUsage(user, period);
+  }
+
+  /**
+   * Count active IDE time against the session user's quota
+   * @param {number} ms - Milliseconds since the last call
+   * @param {Object} activity - { idleSeconds } since the last input
+   * @returns {boolean} Whether the time was counted
+   */
+  recordActiveTime(ms, activity = {}) {
+    const rule = this.rules.get('time');
+    if (!rule.hasQuota() || rule.isIdle(activity.idleSeconds || 0)) {
+      return false;
+    }
+    
+    this.quotaUsage.add(this.sessionUser.username, rule.getQuotaPeriod().today, ms);
+    return true;
+  }
+
+  /**
+   * Quota limits, usage and remaining time of a user
+   * @param {string} [user] - Username, defaults to the session user
+   * @returns {Object} { user, quota, usage, status } - quota and status are null without a quota
+   */
+  getQuotaInfo(user = this.sessionUser.username) {
+    const rule = this.rules.get('time');
+    const usage = this.getQuotaUsage(user);
+    
+    return {
+      user,
+      quota: rule.hasQuota() ? { ...rule.quota } : null,
+      usage,
+      status: rule.getQuotaStatus(usage),
+    };
+  }
+
+  /**
+   * Grant a user extra quota minutes for today (admin)
+   * @param {string|null} user - Username, defaults to the session user
+   * @param {number} minutes - Extra minutes
+   * @param {Object} [meta] - { author }
+   * @returns {Object} Quota info after the grant
+   */
+  grantQuotaMinutes(user, minutes, meta = {}) {
+    if (!Number.isInteger(minutes) || minutes <= 0) {
+      throw new Error('Granted minutes must be a positive integer');
+    }
+    
+    const target = user || this.sessionUser.username;
+    this.quotaUsage.grant(target, this.rules.get('time').getQuotaPeriod().today, minutes);
+    
+    logger.security('QUOTA_GRANTED', { user: target, minutes, author: meta.author });
+    this.auditLog.append('QUOTA_GRANT', {
+      data: { user: target, minutes, author: meta.author || null },
+      allowed: true,
+      reason: null,
+    });
+    
+    return this.getQuotaInfo(target);
+  }
+
+  /**
+   * Minutes before the end of a window at which users are warned
+   * @returns {number[]} Thresholds, largest first
+   */
+  getTimeWarnings() {
+    return this.rules.get('time').getWarningThresholds();
+  }
+
+  /**
+   * Explain how the active policy decides an action, without enforcing or
+   * auditing it. Targets use the same shapes as violation data, so a
+   * violation's { type, data } can be passed straight back in.
+   * @param {string} ruleType - url, keyboard, process, fileAccess or time
+   * @param {*} [target] - URL, key array or 'ctrl+c' string, process name,
+   *   file path or { filePath, operation }, Date for time
+   * @param {string} [operation] - File operation when target is a path
+   * @returns {Object} Rule explanation plus the active profile and revision
+   */
+  explain(ruleType, target, operation = 'read') {
+    const rule = this.rules.get(ruleType);
+    
+    if (!rule) {
+      throw new Error(`Unknown rule type: ${ruleType}`);
+    }
+    
+    let explanation;
+    switch (ruleType) {
+    case 'keyboard':
+      explanation = rule.explain(typeof target === 'string' ? target.split('+') : target);
+      break;
+    case 'fileAccess':
+      explanation = target && typeof target === 'object'
+        ? rule.explain(target.filePath, target.operation || operation)
+        : rule.explain(target, operation);
+      break;
+    case 'time':
+      explanation = rule.explain(target ? new Date(target) : new Date(), this.getQuotaUsage());
+      break;
+    default:
+      explanation = rule.explain(target);
+    }
+    
+    return {
+      ...explanation,
+      profile: this.activeProfile ? this.activeProfile.name : null,
+      revision: this.history.getLatestRevision(),
+    };
+  }
+
+  /**
+   * Start evaluating a candidate policy in dry-run mode
+   * The candidate is layered on the active policy like an update, but
+   * nothing it decides is enforced.
+   * @param {Object} candidate - Candidate policy (full or partial)
+   * @param {Object} [meta] - { author, note }
+   * @returns {Object} Empty report for the new dry run
+   */
+  startShadow(candidate, meta = {}) {
+    const merged = this.mergePolicies(this.policy, candidate);
+    
+    if (config.policy.strictValidation && !this.validatePolicy(merged)) {
+      throw new Error(`Invalid candidate policy: ${this.validator.errorsText(this.validatePolicy.errors)}`);
+    }
+    
+    // Evaluate the candidate under the same profile as the active policy
+    const { policy } = this.applyProfile(merged);
+    this.shadow = new ShadowPolicy(policy, this.buildRules(policy), meta);
+    
+    logger.security('SHADOW_POLICY_STARTED', { author: meta.author, note: meta.note });
+    this.auditLog.append('SHADOW_POLICY', { data: 'start', allowed: true, reason: meta.note || null });
+    
+    return this.shadow.getReport();
+  }
+
+  /**
+   * Stop the dry run
+   * @returns {Object|null} Final report, or null if no dry run was active
+   */
+  stopShadow() {
+    if (!this.shadow) {
+      return null;
+    }
+    
+    const report = this.shadow.getReport();
+    this.shadow = null;
+    
+    logger.security('SHADOW_POLICY_STOPPED', { totals: report.totals });
+    this.auditLog.append('SHADOW_POLICY', { data: 'stop', allowed: true, reason: null });
+    
+    return report;
+  }
+
+  /**
+   * Report of decisions where the candidate and active policy disagree
+   * @returns {Object|null} Report, or null if no dry run is active
+   */
+  getShadowReport() {
+    return this.shadow ? this.shadow.getReport() : null;
+  }
+
+  /**
+   * Evaluate the shadow rule for a decision and record any disagreement
+   * @private
+   * @param {string} ruleType - Rule type
+   * @param {string} target - What was validated
+   * @param {Object} activeResult - Result from the active policy
+   * @param {Function} evaluate - Runs the same check against a rule instance
+   */
+  compareWithShadow(ruleType, target, activeResult, evaluate) {
+    const shadow = this.shadow;
+    const shadowRule = shadow?.rules.get(ruleType);
+    if (!shadowRule) {
+      return;
+    }
+    
+    let shadowResult;
+    try {
+      shadowResult = evaluate(shadowRule);
+    } catch (error) {
+      logger.error(`Shadow ${ruleType} evaluation failed: ${error.message}`);
+      return;
+    }
+    
+    const divergence = shadow.record(ruleType, target, activeResult, shadowResult);
+    if (!divergence || divergence.count > 1) {
+      return;
+    }
+    
+    // Audit only the first occurrence per target; the report keeps the counts
+    const verb = shadowResult.allowed ? 'allowed' : 'blocked';
+    logger.info(`Shadow policy would have ${verb} ${ruleType}: ${target}`);
+    this.auditLog.append('SHADOW_DIVERGENCE', {
+      data: { rule: ruleType, target },
+      allowed: shadowResult.allowed,
+      reason: divergence.reason || null,
+    });
+  }
+
   /**
    * Generic action validation
    * @param {string} actionType - Type of action
@@ -366,21 +1106,33 @@ class PolicyEngine {
    * @param {Object} result - Validation result
    */
   logAction(action, data, result) {
-    const logEntry = {
-      timestamp: new Date().toISOString(),
-      action,
-      data: typeof data === 'object' ? JSON.stringify(data) : data,
-      allowed: result.allowed,
-      reason: result.reason || null,
-    };
-    
     if (result.allowed) {
       logger.debug(`Action allowed: ${action}`, data);
     } else {
       logger.warn(`Action blocked: ${action}`, data, result.reason);
     }
     
-    // TODO: Write to audit log file
+    this.auditLog.append(action, {
+      data,
+      allowed: result.allowed,
+      reason: result.reason || null,
+    });
+  }
+
+  /**
+   * Verify the audit trail hash chain
+   * @returns {Object} { valid, entries, brokenAt } - brokenAt describes the first broken link
+   */
+  verifyAuditLog() {
+    const result = this.auditLog.verify();
+    
+    if (result.valid) {
+      logger.info(`Audit log verified: ${result.entries} entries intact`);
+    } else {
+      logger.security('AUDIT_LOG_TAMPERED', result.brokenAt);
+    }
+    
+    return result;
   }
 
   /**
@@ -391,6 +1143,30 @@ class PolicyEngine {
     this.violationCallbacks.push(callback);
   }
 
+  /**
+   * Register a callback for when a different policy comes into force
+   * @param {Function} callback - Called with the new policy
+   */
+  onPolicyChange(callback) {
+    this.policyChangeCallbacks.push(callback);
+  }
+
+  /**
+   * Notify all policy change callbacks
+   * @private
+   */
+  notifyPolicyChange() {
+    const policy = this.getPolicy();
+    
+    for (const callback of this.policyChangeCallbacks) {
+      try {
+        callback(policy);
+      } catch (error) {
+        logger.error('Policy change callback error:', error);
+      }
+    }
+  }
+
   /**
    * Notify all violation callbacks
    * @private
@@ -413,42 +1189,176 @@ class PolicyEngine {
   /**
    * Update policy at runtime
    * @param {Object} newPolicy - New policy object
+   * @param {Object} [meta] - Revision metadata { author, note }
    * @returns {boolean} Whether update succeeded
    */
-  updatePolicy(newPolicy) {
+  updatePolicy(newPolicy, meta = {}) {
+    // Check the signature before anything else looks at the document
+    if (config.policy.requireSignatures) {
+      const check = this.checkSignature(newPolicy, meta.signature);
+      if (!check.valid) {
+        this.reportSignatureFailure('policy update', check.reason);
+        return false;
+      }
+    }
+    
     // Validate new policy
     if (config.policy.strictValidation && !this.validatePolicy(newPolicy)) {
       logger.error('New policy validation failed:', this.validatePolicy.errors);
       return false;
     }
     
-    // Merge with current policy
-    this.policy = this.mergePolicies(this.policy, newPolicy);
+    if (config.policy.requireSignatures) {
+      // The kiosk cannot re-sign a merged document, so a signed
+      // update replaces the whole user layer on top of the base policy
+      this.userDocument = { policy: newPolicy, signature: meta.signature };
+      this.policy = this.mergePolicies(this.basePolicy, newPolicy);
+    } else {
+      // Merge with current policy
+      this.policy = this.mergePolicies(this.policy, newPolicy);
+    }
     
     // Reinitialize rules
     this.initializeRules();
     
     // Save to user policy file
+    this.savePolicy();
+    
+    this.recordRevision(meta);
+    this.notifyPolicyChange();
+    
+    return true;
+  }
+
+  /**
+   * Restore the policy stored in an earlier revision
+   * The restored policy is applied as a new revision, so history stays linear.
+   * @param {number} revision - Revision number to restore
+   * @param {Object} [meta] - Revision metadata { author, note }
+   * @returns {Object} Summary of the new revision
+   */
+  rollbackPolicy(revision, meta = {}) {
+    const entry = this.history.get(revision);
+    if (!entry) {
+      throw new Error(`Unknown policy revision: ${revision}`);
+    }
+    
+    if (config.policy.strictValidation && !this.validatePolicy(entry.policy)) {
+      logger.error(`Revision ${revision} failed validation:`, this.validatePolicy.errors);
+      throw new Error(`Policy revision ${revision} is not valid against the current schema`);
+    }
+    
+    if (config.policy.requireSignatures) {
+      // Only revisions that came from a signed document can be restored
+      const document = entry.signedDocument;
+      const check = document
+        ? this.checkSignature(document.policy, document.signature)
+        : { valid: false, reason: 'Revision has no signed policy document' };
+      if (!check.valid) {
+        this.reportSignatureFailure(`revision ${revision}`, check.reason);
+        throw new Error(`Cannot roll back to revision ${revision}: ${check.reason}`);
+      }
+      this.userDocument = document;
+      this.policy = this.mergePolicies(this.basePolicy, document.policy);
+    } else {
+      // Replace, not merge - the revision holds the complete effective policy
+      this.policy = entry.policy;
+    }
+    this.initializeRules();
+    this.savePolicy();
+    
+    logger.security('POLICY_ROLLBACK', { revision, author: meta.author });
+    
+    const summary = this.recordRevision({
+      author: meta.author,
+      note: meta.note || `Rollback to revision ${revision}`,
+      rollbackOf: revision,
+    });
+    this.notifyPolicyChange();
+    
+    return summary;
+  }
+
+  /**
+   * List policy revisions, newest first
+   * @returns {Object[]} Revision summaries
+   */
+  listPolicyRevisions() {
+    return this.history.list();
+  }
+
+  /**
+   * Structural diff between two policy revisions
+   * @param {number} fromRevision - Older revision
+   * @param {number} toRevision - Newer revision
+   * @returns {Object} { from, to, changes }
+   */
+  diffPolicyRevisions(fromRevision, toRevision) {
+    return this.history.diff(fromRevision, toRevision);
+  }
+
+  /**
+   * Write the active policy to the user policy file
+   * @private
+   */
+  savePolicy() {
     try {
       const policyDir = path.dirname(config.policy.userPolicyPath);
       if (!fs.existsSync(policyDir)) {
         fs.mkdirSync(policyDir, { recursive: true });
       }
-      fs.writeFileSync(config.policy.userPolicyPath, JSON.stringify(this.policy, null, 2));
+      
+      // Signed documents are stored exactly as signed, next to their signature
+      if (config.policy.requireSignatures && this.userDocument) {
+        fs.writeFileSync(config.policy.userPolicyPath, JSON.stringify(this.userDocument.policy, null, 2));
+        fs.writeFileSync(`${config.policy.userPolicyPath}.sig`, JSON.stringify(this.userDocument.signature, null, 2));
+      } else {
+        fs.writeFileSync(config.policy.userPolicyPath, JSON.stringify(this.policy, null, 2));
+      }
       logger.info('Policy updated and saved');
     } catch (error) {
       logger.error(`Failed to save policy: ${error.message}`);
     }
+  }
+
+  /**
+   * Store the active policy as a new revision and audit it
+   * @private
+   * @param {Object} meta - { author, note, rollbackOf }
+   * @returns {Object|null} Revision summary
+   */
+  recordRevision(meta) {
+    try {
+      const revision = this.history.record(this.policy, { ...meta, signedDocument: this.userDocument });
+      logger.audit('POLICY_REVISION', revision);
+      this.auditLog.append('POLICY_REVISION', { data: revision, allowed: true, reason: null });
+      return revision;
+    } catch (error) {
+      logger.error(`Failed to record policy revision: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Record the loaded policy if history is empty or the files changed on disk
+   * @private
+   */
+  recordStartupRevision() {
+    const latest = this.history.get(this.history.getLatestRevision());
     
-    return true;
+    if (!latest) {
+      this.recordRevision({ author: 'system', note: 'Initial policy' });
+    } else if (JSON.stringify(latest.policy) !== JSON.stringify(this.policy)) {
+      this.recordRevision({ author: 'system', note: 'Policy files changed on disk' });
+    }
   }
 
   /**
-   * Get current policy
+   * Get current policy (with the active profile applied)
    * @returns {Object} Current policy
    */
   getPolicy() {
-    return { ...this.policy };
+    return { ...this.effectivePolicy };
   }
 
   /**
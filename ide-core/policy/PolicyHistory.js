@@ -0,0 +1,213 @@
+/**
+ * Policy History - Numbered revisions of every applied policy
+ *
+ * Each revision is stored as its own JSON file holding the complete
+ * effective policy together with who applied it, when, and why, so any
+ * earlier state can be compared against or restored.
+ *
+ * @module ide-core/policy/PolicyHistory
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/Logger');
+
+const logger = new Logger('PolicyHistory');
+
+/**
+ * Structural diff of two policy documents
+ *
+ * Arrays of plain values (patterns, process lists) are compared as sets so
+ * the result reads as "added X, removed Y"; everything else is compared
+ * key by key.
+ *
+ * @param {*} from - Older value
+ * @param {*} to - Newer value
+ * @param {string} [basePath] - Dotted path of the values being compared
+ * @returns {Object[]} Changes: { path, type: 'added'|'removed'|'changed', from, to, added, removed }
+ */
+function diffPolicies(from, to, basePath = '') {
+  const changes = [];
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isPlainArray = value => Array.isArray(value) && value.every(item => item === null || typeof item !== 'object');
+
+  if (isObject(from) && isObject(to)) {
+    const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+    for (const key of [...keys].sort()) {
+      const keyPath = basePath ? `${basePath}.${key}` : key;
+      if (!(key in from)) {
+        changes.push({ path: keyPath, type: 'added', to: to[key] });
+      } else if (!(key in to)) {
+        changes.push({ path: keyPath, type: 'removed', from: from[key] });
+      } else {
+        changes.push(...diffPolicies(from[key], to[key], keyPath));
+      }
+    }
+    return changes;
+  }
+
+  if (isPlainArray(from) && isPlainArray(to)) {
+    const added = to.filter(item => !from.includes(item));
+    const removed = from.filter(item => !to.includes(item));
+    if (added.length > 0 || removed.length > 0) {
+      changes.push({ path: basePath, type: 'changed', added, removed });
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(from) !== JSON.stringify(to)) {
+    changes.push({ path: basePath, type: 'changed', from, to });
+  }
+  return changes;
+}
+
+/**
+ * PolicyHistory - Revision store for applied policies
+ */
+class PolicyHistory {
+  /**
+   * @param {string} historyDir - Directory holding revision files
+   */
+  constructor(historyDir) {
+    /** @type {string} Revision directory */
+    this.historyDir = historyDir;
+  }
+
+  /**
+   * Path of a revision file
+   * @private
+   * @param {number} revision - Revision number
+   * @returns {string} File path
+   */
+  revisionPath(revision) {
+    return path.join(this.historyDir, `revision-${String(revision).padStart(6, '0')}.json`);
+  }
+
+  /**
+   * Revision numbers present on disk, ascending
+   * @private
+   * @returns {number[]} Revision numbers
+   */
+  listNumbers() {
+    if (!fs.existsSync(this.historyDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.historyDir)
+      .map(file => /^revision-(\d+)\.json$/.exec(file))
+      .filter(Boolean)
+      .map(match => parseInt(match[1], 10))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Number of the newest revision (0 when there is no history yet)
+   * @returns {number} Latest revision number
+   */
+  getLatestRevision() {
+    const numbers = this.listNumbers();
+    return numbers.length > 0 ? numbers[numbers.length - 1] : 0;
+  }
+
+  /**
+   * Store a new revision
+   * @param {Object} policy - Complete effective policy
+   * @param {Object} meta - { author, note, rollbackOf, signedDocument }
+   * @returns {Object} Revision summary
+   */
+  record(policy, meta = {}) {
+    if (!fs.existsSync(this.historyDir)) {
+      fs.mkdirSync(this.historyDir, { recursive: true });
+    }
+
+    const entry = {
+      revision: this.getLatestRevision() + 1,
+      timestamp: new Date().toISOString(),
+      author: meta.author || 'system',
+      note: meta.note || '',
+      rollbackOf: meta.rollbackOf ?? null,
+      policy,
+      // Signed user layer { policy, signature } this revision was built from, if any
+      signedDocument: meta.signedDocument || null,
+    };
+
+    // wx: never overwrite an existing revision
+    fs.writeFileSync(this.revisionPath(entry.revision), JSON.stringify(entry, null, 2), { flag: 'wx' });
+    logger.info(`Recorded policy revision ${entry.revision} by ${entry.author}`);
+
+    return this.summarize(entry);
+  }
+
+  /**
+   * Load a revision including its policy
+   * @param {number} revision - Revision number
+   * @returns {Object|null} Revision entry, or null if unknown
+   */
+  get(revision) {
+    const filePath = this.revisionPath(revision);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      logger.error(`Failed to read policy revision ${revision}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * List all revisions without their policy bodies, newest first
+   * @returns {Object[]} Revision summaries
+   */
+  list() {
+    return this.listNumbers()
+      .reverse()
+      .map(revision => this.get(revision))
+      .filter(entry => entry !== null)
+      .map(entry => this.summarize(entry));
+  }
+
+  /**
+   * Structural diff between two revisions
+   * @param {number} fromRevision - Older revision
+   * @param {number} toRevision - Newer revision
+   * @returns {Object} { from, to, changes }
+   */
+  diff(fromRevision, toRevision) {
+    const from = this.get(fromRevision);
+    const to = this.get(toRevision);
+
+    if (!from || !to) {
+      throw new Error(`Unknown policy revision: ${!from ? fromRevision : toRevision}`);
+    }
+
+    return {
+      from: this.summarize(from),
+      to: this.summarize(to),
+      changes: diffPolicies(from.policy, to.policy),
+    };
+  }
+
+  /**
+   * Revision metadata without the policy body
+   * @private
+   * @param {Object} entry - Revision entry
+   * @returns {Object} Summary
+   */
+  summarize(entry) {
+    return {
+      revision: entry.revision,
+      timestamp: entry.timestamp,
+      author: entry.author,
+      note: entry.note,
+      rollbackOf: entry.rollbackOf ?? null,
+      signed: Boolean(entry.signedDocument),
+    };
+  }
+}
+
+module.exports = { PolicyHistory, diffPolicies };
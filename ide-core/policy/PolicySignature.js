@@ -0,0 +1,110 @@
+/**
+ * Policy Signature - Ed25519 signatures over policy documents
+ *
+ * Signatures are detached: a policy file `x.json` is accompanied by
+ * `x.json.sig`, and updates pushed over IPC carry the same object next to
+ * the policy. The signed bytes are a canonical JSON encoding (sorted keys,
+ * no whitespace), so reformatting a file does not invalidate it but any
+ * change to its contents does.
+ *
+ * @module ide-core/policy/PolicySignature
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+/** Only algorithm accepted in signature objects */
+const SIGNATURE_ALGORITHM = 'ed25519';
+
+/**
+ * Canonical JSON encoding with object keys sorted recursively
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Short fingerprint of a public key (first 16 hex chars of SHA-256 over its DER form)
+ * @param {string|crypto.KeyObject} publicKey - PEM string or key object
+ * @returns {string} Key ID
+ */
+function getKeyId(publicKey) {
+  const key = typeof publicKey === 'string' ? crypto.createPublicKey(publicKey) : publicKey;
+  const der = key.export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
+/**
+ * Sign a policy document
+ * @param {Object} policy - Policy document
+ * @param {string} privateKeyPem - Ed25519 private key (PKCS#8 PEM)
+ * @returns {Object} Signature object { algorithm, keyId, value }
+ */
+function signPolicy(policy, privateKeyPem) {
+  const privateKey = crypto.createPrivateKey(privateKeyPem);
+  if (privateKey.asymmetricKeyType !== SIGNATURE_ALGORITHM) {
+    throw new Error(`Policy signing key must be ${SIGNATURE_ALGORITHM}, got ${privateKey.asymmetricKeyType}`);
+  }
+
+  const value = crypto.sign(null, Buffer.from(canonicalize(policy)), privateKey);
+
+  return {
+    algorithm: SIGNATURE_ALGORITHM,
+    keyId: getKeyId(crypto.createPublicKey(privateKey)),
+    value: value.toString('base64'),
+  };
+}
+
+/**
+ * Verify a policy document against its signature
+ * @param {Object} policy - Policy document
+ * @param {Object|null} signature - Signature object
+ * @param {string} publicKeyPem - Trusted Ed25519 public key (SPKI PEM)
+ * @returns {Object} { valid: boolean, reason: string|null }
+ */
+function verifyPolicySignature(policy, signature, publicKeyPem) {
+  if (!signature || typeof signature.value !== 'string') {
+    return { valid: false, reason: 'Policy is not signed' };
+  }
+  if (signature.algorithm !== SIGNATURE_ALGORITHM) {
+    return { valid: false, reason: `Unsupported signature algorithm: ${signature.algorithm}` };
+  }
+
+  try {
+    const publicKey = crypto.createPublicKey(publicKeyPem);
+    if (signature.keyId && signature.keyId !== getKeyId(publicKey)) {
+      return { valid: false, reason: `Signed with an unknown key: ${signature.keyId}` };
+    }
+
+    const valid = crypto.verify(
+      null,
+      Buffer.from(canonicalize(policy)),
+      publicKey,
+      Buffer.from(signature.value, 'base64'),
+    );
+
+    return valid
+      ? { valid: true, reason: null }
+      : { valid: false, reason: 'Signature does not match policy contents' };
+  } catch (error) {
+    return { valid: false, reason: `Signature check failed: ${error.message}` };
+  }
+}
+
+module.exports = {
+  SIGNATURE_ALGORITHM,
+  canonicalize,
+  getKeyId,
+  signPolicy,
+  verifyPolicySignature,
+};
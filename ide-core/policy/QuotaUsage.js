@@ -0,0 +1,144 @@
+/**
+ * Quota Usage - Active IDE time per user, persisted across restarts
+ *
+ * Usage is kept per user and calendar day (in the time policy's zone),
+ * together with extra minutes granted by an admin for that day. Week
+ * totals are summed from the days of the current week, so a change of
+ * quota period never needs a migration.
+ *
+ * @module ide-core/policy/QuotaUsage
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/Logger');
+
+const logger = new Logger('QuotaUsage');
+
+/** Days of usage kept per user; older entries are pruned on save */
+const RETENTION_DAYS = 14;
+
+/**
+ * QuotaUsage - Per-user usage and grant store
+ */
+class QuotaUsage {
+  /**
+   * @param {string} filePath - JSON file holding usage
+   */
+  constructor(filePath) {
+    /** @type {string} Usage file */
+    this.filePath = filePath;
+
+    /** @type {Object} { [user]: { days: { [date]: ms }, grants: { [date]: ms } } } */
+    this.users = this.load();
+  }
+
+  /**
+   * Read the usage file
+   * @private
+   * @returns {Object} Usage by user
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).users || {};
+    } catch (error) {
+      logger.error(`Failed to read quota usage, starting from zero: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Write the usage file, dropping days past the retention period
+   * @private
+   * @param {string} today - YYYY-MM-DD, used as the pruning reference
+   */
+  save(today) {
+    const cutoff = new Date(`${today}T00:00:00Z`);
+    cutoff.setUTCDate(cutoff.getUTCDate() - RETENTION_DAYS);
+    const oldest = cutoff.toISOString().slice(0, 10);
+
+    for (const entry of Object.values(this.users)) {
+      for (const key of ['days', 'grants']) {
+        for (const date of Object.keys(entry[key])) {
+          if (date < oldest) {
+            delete entry[key][date];
+          }
+        }
+      }
+    }
+
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    // Write then rename so a crash never leaves a truncated file
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ users: this.users }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Usage entry for a user, created on first use
+   * @private
+   * @param {string} user - Username
+   * @returns {Object} { days, grants }
+   */
+  entry(user) {
+    const key = user || 'unknown';
+    if (!this.users[key]) {
+      this.users[key] = { days: {}, grants: {} };
+    }
+    return this.users[key];
+  }
+
+  /**
+   * Add active time to a day
+   * @param {string} user - Username
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} ms - Active milliseconds
+   */
+  add(user, date, ms) {
+    const entry = this.entry(user);
+    entry.days[date] = (entry.days[date] || 0) + ms;
+    this.save(date);
+  }
+
+  /**
+   * Grant extra time on a day (counts towards that day and its week)
+   * @param {string} user - Username
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} minutes - Extra minutes
+   */
+  grant(user, date, minutes) {
+    const entry = this.entry(user);
+    entry.grants[date] = (entry.grants[date] || 0) + minutes * 60000;
+    this.save(date);
+  }
+
+  /**
+   * Usage and grants for a quota period
+   * @param {string} user - Username
+   * @param {Object} period - { today, week: string[] } as YYYY-MM-DD dates
+   * @returns {Object} { today, week, grantedToday, grantedWeek } in milliseconds
+   */
+  getUsage(user, period) {
+    const entry = this.users[user || 'unknown'] || { days: {}, grants: {} };
+    const sum = (values, dates) => dates.reduce((total, date) => total + (values[date] || 0), 0);
+
+    return {
+      today: entry.days[period.today] || 0,
+      week: sum(entry.days, period.week),
+      grantedToday: entry.grants[period.today] || 0,
+      grantedWeek: sum(entry.grants, period.week),
+    };
+  }
+}
+
+module.exports = { QuotaUsage };
@@ -0,0 +1,130 @@
+/**
+ * Shadow Policy - Dry-run evaluation of a candidate policy
+ *
+ * A shadow policy sees every decision the active policy makes but never
+ * enforces anything. Decisions where the two disagree are collected so an
+ * admin can see what a stricter (or looser) policy would have done before
+ * rolling it out.
+ *
+ * @module ide-core/policy/ShadowPolicy
+ */
+
+'use strict';
+
+/** Maximum distinct targets kept per rule, to bound memory on long runs */
+const MAX_TARGETS_PER_RULE = 500;
+
+/**
+ * ShadowPolicy - Candidate policy evaluated next to the active one
+ */
+class ShadowPolicy {
+  /**
+   * @param {Object} policy - Complete candidate policy
+   * @param {Map<string, Object>} rules - Rule instances built from the candidate
+   * @param {Object} meta - { author, note }
+   */
+  constructor(policy, rules, meta = {}) {
+    /** @type {Object} Candidate policy */
+    this.policy = policy;
+
+    /** @type {Map<string, Object>} Candidate rule instances by type */
+    this.rules = rules;
+
+    /** @type {string|null} Who started the dry run */
+    this.author = meta.author || null;
+
+    /** @type {string} Why the dry run was started */
+    this.note = meta.note || '';
+
+    /** @type {number} Start timestamp */
+    this.startedAt = Date.now();
+
+    /** @type {Map<string, number>} Decisions evaluated per rule */
+    this.evaluated = new Map();
+
+    /** @type {Map<string, Map<string, Object>>} Divergences per rule, keyed by outcome and target */
+    this.divergences = new Map();
+  }
+
+  /**
+   * Compare the active decision with the candidate's
+   * @param {string} ruleType - Rule type (url, keyboard, process, ...)
+   * @param {string} target - What was validated, as shown in the report
+   * @param {Object} activeResult - Result from the active policy
+   * @param {Object} shadowResult - Result from the candidate policy
+   * @returns {Object|null} The divergence entry, or null when both agree
+   */
+  record(ruleType, target, activeResult, shadowResult) {
+    this.evaluated.set(ruleType, (this.evaluated.get(ruleType) || 0) + 1);
+
+    if (activeResult.allowed === shadowResult.allowed) {
+      return null;
+    }
+
+    if (!this.divergences.has(ruleType)) {
+      this.divergences.set(ruleType, new Map());
+    }
+    const byTarget = this.divergences.get(ruleType);
+
+    const outcome = shadowResult.allowed ? 'wouldAllow' : 'wouldBlock';
+    const key = `${outcome}:${target}`;
+    const now = Date.now();
+
+    let entry = byTarget.get(key);
+    if (!entry) {
+      if (byTarget.size >= MAX_TARGETS_PER_RULE) {
+        return null;
+      }
+      entry = { outcome, target, count: 0, reason: null, firstSeen: now, lastSeen: now };
+      byTarget.set(key, entry);
+    }
+
+    entry.count++;
+    entry.lastSeen = now;
+    entry.reason = shadowResult.allowed ? activeResult.reason : shadowResult.reason;
+
+    return entry;
+  }
+
+  /**
+   * Summarise divergences by rule and target, most frequent first
+   * @returns {Object} Report
+   */
+  getReport() {
+    const rules = {};
+    let wouldBlock = 0;
+    let wouldAllow = 0;
+
+    const ruleTypes = new Set([...this.evaluated.keys(), ...this.divergences.keys()]);
+    for (const ruleType of ruleTypes) {
+      const entries = [...(this.divergences.get(ruleType) || new Map()).values()]
+        .sort((a, b) => b.count - a.count);
+      const blocked = entries.filter(entry => entry.outcome === 'wouldBlock');
+      const allowed = entries.filter(entry => entry.outcome === 'wouldAllow');
+
+      rules[ruleType] = {
+        evaluated: this.evaluated.get(ruleType) || 0,
+        wouldBlock: blocked.reduce((sum, entry) => sum + entry.count, 0),
+        wouldAllow: allowed.reduce((sum, entry) => sum + entry.count, 0),
+        targets: entries.map(({ outcome, target, count, reason, firstSeen, lastSeen }) => ({
+          outcome, target, count, reason, firstSeen, lastSeen,
+        })),
+      };
+
+      wouldBlock += rules[ruleType].wouldBlock;
+      wouldAllow += rules[ruleType].wouldAllow;
+    }
+
+    return {
+      candidate: { name: this.policy.name || null, version: this.policy.version || null },
+      author: this.author,
+      note: this.note,
+      startedAt: this.startedAt,
+      generatedAt: Date.now(),
+      totals: { wouldBlock, wouldAllow },
+      rules,
+    };
+  }
+}
+
+module.exports = { ShadowPolicy };
@@ -41,8 +41,37 @@ class FileAccessRule {
    * @returns {Object} Validation result
    */
   validate(filePath, operation = 'read') {
+    const { allowed, reason } = this.explain(filePath, operation);
+    return reason === undefined ? { allowed } : { allowed, reason };
+  }
+
+  /**
+   * Validate file access and describe how the decision was reached
+   * @param {string} filePath - File path
+   * @param {string} operation - Operation type (read, write, delete)
+   * @returns {Object} { allowed, reason, rule, mode, input, normalized, matched, steps }
+   */
+  explain(filePath, operation = 'read') {
+    const steps = [];
+    let normalized = null;
+    const decide = (allowed, reason, matched = null) => ({
+      allowed,
+      reason,
+      rule: 'fileAccess',
+      mode: this.mode,
+      input: { filePath, operation },
+      normalized,
+      matched,
+      steps,
+    });
+    const findPrefix = (list, absolutePath) => {
+      const index = list.findIndex(entry => absolutePath.startsWith(entry));
+      return index === -1 ? null : { index, entry: list[index] };
+    };
+
     if (!filePath || typeof filePath !== 'string') {
-      return { allowed: false, reason: 'Invalid file path' };
+      steps.push({ check: 'input', passed: false, detail: 'Not a non-empty string' });
+      return decide(false, 'Invalid file path');
     }
 
     // Normalize the path
@@ -50,89 +79,79 @@ class FileAccessRule {
     const absolutePath = path.isAbsolute(filePath) 
       ? normalizedPath 
       : path.join(process.cwd(), normalizedPath);
+    normalized = {
+      value: absolutePath,
+      applied: [
+        'Path normalized and lower-cased',
+        ...(path.isAbsolute(filePath) ? [] : [`Resolved against ${process.cwd()}`]),
+      ],
+    };
 
     // Check for path traversal attempts
     if (filePath.includes('..')) {
       logger.warn(`Path traversal attempt detected: ${filePath}`);
-      return { allowed: false, reason: 'Path traversal not allowed' };
+      steps.push({ check: 'traversal', passed: false, detail: 'Path contains ..' });
+      return decide(false, 'Path traversal not allowed');
     }
+    steps.push({ check: 'traversal', passed: true, detail: 'No .. segments' });
 
     // Check denied paths first
-    for (const denied of this.deniedPaths) {
-      if (absolutePath.startsWith(denied)) {
-        return { 
-          allowed: false, 
-          reason: `Access denied to path: ${denied}`
-        };
-      }
+    const denied = findPrefix(this.deniedPaths, absolutePath);
+    steps.push({
+      check: 'deniedPaths',
+      passed: !denied,
+      detail: denied ? `Under ${denied.entry}` : `Not under any of ${this.deniedPaths.length} denied paths`,
+    });
+    if (denied) {
+      return decide(false, `Access denied to path: ${denied.entry}`, { list: 'deniedPaths', ...denied });
     }
 
     // Check file extension
     const ext = path.extname(filePath).toLowerCase();
     if (ext && this.allowedExtensions.size > 0 && !this.allowedExtensions.has(ext)) {
-      return { 
-        allowed: false, 
-        reason: `File extension not allowed: ${ext}`
-      };
+      steps.push({ check: 'extension', passed: false, detail: `${ext} is not an allowed extension` });
+      return decide(false, `File extension not allowed: ${ext}`);
     }
+    steps.push({
+      check: 'extension',
+      passed: true,
+      detail: !ext ? 'No extension' : this.allowedExtensions.size > 0 ? `${ext} is allowed` : 'No extension restrictions',
+    });
 
     // Mode-specific validation
     if (this.mode === 'sandbox') {
-      return this.validateSandbox(absolutePath, operation);
-    } else if (this.mode === 'whitelist') {
-      return this.validateWhitelist(absolutePath, operation);
-    } else {
-      // Blacklist mode - denied paths already checked
-      return { allowed: true };
-    }
-  }
-
-  /**
-   * Validate against sandbox restrictions
-   * @private
-   */
-  validateSandbox(absolutePath, operation) {
-    if (!this.sandboxPath) {
-      return { allowed: false, reason: 'Sandbox path not configured' };
-    }
+      if (!this.sandboxPath) {
+        steps.push({ check: 'sandbox', passed: false, detail: 'No sandbox path configured' });
+        return decide(false, 'Sandbox path not configured');
+      }
 
-    const normalizedSandbox = path.normalize(this.sandboxPath).toLowerCase();
-
-    // Path must be within sandbox
-    if (!absolutePath.startsWith(normalizedSandbox)) {
-      // Check if path is in explicitly allowed paths
-      const isAllowed = this.allowedPaths.some(ap => 
-        absolutePath.startsWith(ap)
-      );
-      
-      if (!isAllowed) {
-        return { 
-          allowed: false, 
-          reason: 'Path outside sandbox'
-        };
+      // Path must be within sandbox, or in explicitly allowed paths
+      const normalizedSandbox = path.normalize(this.sandboxPath).toLowerCase();
+      const inSandbox = absolutePath.startsWith(normalizedSandbox);
+      steps.push({
+        check: 'sandbox',
+        passed: inSandbox,
+        detail: `${inSandbox ? 'Inside' : 'Outside'} ${normalizedSandbox}`,
+      });
+      if (inSandbox) {
+        return decide(true, undefined, { list: 'sandboxPath', entry: normalizedSandbox });
       }
+    } else if (this.mode !== 'whitelist') {
+      // Blacklist mode - denied paths already checked
+      return decide(true);
     }
 
-    return { allowed: true };
-  }
-
-  /**
-   * Validate against whitelist
-   * @private
-   */
-  validateWhitelist(absolutePath, operation) {
-    const isAllowed = this.allowedPaths.some(ap => 
-      absolutePath.startsWith(ap)
-    );
-
-    if (isAllowed) {
-      return { allowed: true };
+    const allowed = findPrefix(this.allowedPaths, absolutePath);
+    steps.push({
+      check: 'allowedPaths',
+      passed: Boolean(allowed),
+      detail: allowed ? `Under ${allowed.entry}` : `Not under any of ${this.allowedPaths.length} allowed paths`,
+    });
+    if (allowed) {
+      return decide(true, undefined, { list: 'allowedPaths', ...allowed });
     }
 
-    return { 
-      allowed: false, 
-      reason: 'Path not in whitelist'
-    };
+    return decide(false, this.mode === 'sandbox' ? 'Path outside sandbox' : 'Path not in whitelist');
   }
 
   /**
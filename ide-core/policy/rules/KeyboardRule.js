@@ -51,37 +51,72 @@ class KeyboardRule {
    * @returns {Object} Validation result
    */
   validate(keys) {
+    const { allowed, reason } = this.explain(keys);
+    return reason === undefined ? { allowed } : { allowed, reason };
+  }
+
+  /**
+   * Validate a key combination and describe how the decision was reached
+   * @param {string[]} keys - Array of key names
+   * @returns {Object} { allowed, reason, rule, mode, input, normalized, matched, steps }
+   */
+  explain(keys) {
+    const steps = [];
+    let normalized = null;
+    const decide = (allowed, reason, matched = null) => ({
+      allowed,
+      reason,
+      rule: 'keyboard',
+      mode: this.mode,
+      input: keys,
+      normalized,
+      matched,
+      steps,
+    });
+
     if (!Array.isArray(keys) || keys.length === 0) {
-      return { allowed: true };
+      steps.push({ check: 'input', passed: true, detail: 'No keys pressed' });
+      return decide(true);
     }
 
     // Normalize input keys
-    const normalized = keys.map(k => k.toLowerCase()).sort().join('+');
+    normalized = {
+      value: keys.map(k => k.toLowerCase()).sort().join('+'),
+      applied: ['Key names lower-cased', 'Keys sorted so order does not matter'],
+    };
 
     if (this.mode === 'blacklist') {
       // Blacklist mode: Check if key combo is blocked
-      const blockedEntry = this.blocked.get(normalized);
+      const blockedEntry = this.blocked.get(normalized.value);
+      steps.push({
+        check: 'blocked',
+        passed: !blockedEntry,
+        detail: blockedEntry ? `Matched ${blockedEntry.keys.join('+')}` : `Not among ${this.blocked.size} blocked combinations`,
+      });
       
       if (blockedEntry) {
-        return { 
-          allowed: false, 
-          reason: blockedEntry.reason || 'Key combination blocked'
-        };
+        return decide(false, blockedEntry.reason || 'Key combination blocked', {
+          list: 'blocked',
+          entry: blockedEntry.keys,
+          reason: blockedEntry.reason,
+        });
       }
       
-      return { allowed: true };
+      return decide(true);
     } else {
       // Whitelist mode: Check if key combo is explicitly allowed
-      const allowedEntry = this.allowed.get(normalized);
+      const allowedEntry = this.allowed.get(normalized.value);
+      steps.push({
+        check: 'allowed',
+        passed: Boolean(allowedEntry),
+        detail: allowedEntry ? `Matched ${allowedEntry.keys.join('+')}` : `Not among ${this.allowed.size} allowed combinations`,
+      });
       
       if (allowedEntry) {
-        return { allowed: true };
+        return decide(true, undefined, { list: 'allowed', entry: allowedEntry.keys });
       }
       
-      return { 
-        allowed: false, 
-        reason: 'Key combination not in whitelist'
-      };
+      return decide(false, 'Key combination not in whitelist');
     }
   }
 
@@ -11,6 +11,22 @@ const { Logger } = require('../../utils/Logger');
 
 const logger = new Logger('ProcessRule');
 
+/** Suffix of the policy's platform-specific lists (allowed_linux, blocked_windows, ...) */
+const PLATFORM_SUFFIX = { win32: 'windows', darwin: 'darwin' }[process.platform] || 'linux';
+
+/**
+ * A process list together with its variant for this platform
+ * @param {Object} processPolicy - The policy's processes section
+ * @param {string} key - 'allowed', 'blocked' or 'protected'
+ * @returns {Array<string|Object>} Entries
+ */
+function platformEntries(processPolicy, key) {
+  return [
+    ...(processPolicy?.[key] || []),
+    ...(processPolicy?.[`${key}_${PLATFORM_SUFFIX}`] || []),
+  ];
+}
+
 /**
  * ProcessRule - Process execution validation
  */
@@ -21,23 +37,46 @@ class ProcessRule {
   constructor(config) {
     this.config = config || { mode: 'whitelist', allowed: [], blocked: [] };
     this.mode = this.config.mode || 'whitelist';
-    this.allowed = new Set((this.config.allowed || []).map(p => p.toLowerCase()));
-    this.blocked = new Set((this.config.blocked || []).map(p => p.toLowerCase()));
+    this.allowed = this.normalizeEntries(platformEntries(this.config, 'allowed'));
+    this.blocked = this.normalizeEntries(platformEntries(this.config, 'blocked'));
     
-    // System processes that should always be allowed
-    this.systemProcesses = new Set([
-      'system',
-      'idle',
-      'csrss.exe',
-      'smss.exe',
-      'services.exe',
-      'lsass.exe',
-      'svchost.exe',
-      'conhost.exe',
-      'dwm.exe',
-      'winlogon.exe',
-      'wininit.exe',
-    ]);
+    // System processes that should always be allowed (configured in policy)
+    this.systemProcesses = this.normalizeEntries(platformEntries(this.config, 'protected'));
+  }
+
+  /**
+   * Normalize process list entries to lowercase names or full paths
+   * @private
+   * @param {Array<string|Object>} entries - Names, paths or { name, path, sha256 } objects
+   * @returns {Set<string>} Normalized entries
+   */
+  normalizeEntries(entries) {
+    const normalized = new Set();
+    
+    for (const entry of entries) {
+      // Hash pinning is enforced by the process monitor, which sees the binary
+      const value = typeof entry === 'string' ? entry : (entry?.path || entry?.name);
+      if (value) {
+        normalized.add(value.toLowerCase());
+      }
+    }
+    
+    return normalized;
+  }
+
+  /**
+   * Find the entry of a normalized list a process matches exactly
+   * @private
+   * @param {Set<string>} list - Normalized entries
+   * @param {string} exeName - Lowercase executable name
+   * @param {string} fullPath - Lowercase path as given
+   * @returns {string|null} Matching entry
+   */
+  findMatch(list, exeName, fullPath) {
+    if (list.has(fullPath)) {
+      return fullPath;
+    }
+    return list.has(exeName) ? exeName : null;
   }
 
   /**
@@ -46,40 +85,76 @@ class ProcessRule {
    * @returns {Object} Validation result
    */
   validate(processName) {
+    const { allowed, reason } = this.explain(processName);
+    return reason === undefined ? { allowed } : { allowed, reason };
+  }
+
+  /**
+   * Validate a process and describe how the decision was reached
+   * @param {string} processName - Process name or path
+   * @returns {Object} { allowed, reason, rule, mode, input, normalized, matched, steps }
+   */
+  explain(processName) {
+    const steps = [];
+    let normalized = null;
+    const decide = (allowed, reason, matched = null) => ({
+      allowed,
+      reason,
+      rule: 'process',
+      mode: this.mode,
+      input: processName,
+      normalized,
+      matched,
+      steps,
+    });
+    const check = (name, list, passWhenMatched) => {
+      const entry = this.findMatch(list, exeName, fullPath);
+      steps.push({
+        check: name,
+        passed: passWhenMatched ? entry !== null : entry === null,
+        detail: entry ? `Matched ${entry}` : `Not among ${list.size} entries`,
+      });
+      return entry === null ? null : { list: name, entry };
+    };
+
     if (!processName || typeof processName !== 'string') {
-      return { allowed: false, reason: 'Invalid process name' };
+      steps.push({ check: 'input', passed: false, detail: 'Not a non-empty string' });
+      return decide(false, 'Invalid process name');
     }
 
-    // Extract just the executable name
-    const exeName = path.basename(processName).toLowerCase();
-
-    // Always allow critical system processes
-    if (this.systemProcesses.has(exeName)) {
-      return { allowed: true, reason: 'System process' };
+    // Match on the executable name or on the full path, never on substrings
+    const fullPath = processName.toLowerCase();
+    const exeName = path.basename(processName.replace(/\\/g, '/')).toLowerCase();
+    normalized = {
+      value: exeName,
+      path: fullPath,
+      applied: ['Lower-cased', 'Backslashes treated as path separators', 'Executable name taken from the path'],
+    };
+
+    // Always allow protected system processes
+    const protectedMatch = check('protected', this.systemProcesses, true);
+    if (protectedMatch) {
+      return decide(true, 'System process', protectedMatch);
     }
 
     // Check explicit blocklist first (takes priority)
-    if (this.blocked.has(exeName)) {
-      return { 
-        allowed: false, 
-        reason: `Process explicitly blocked: ${exeName}`
-      };
+    const blockedMatch = check('blocked', this.blocked, false);
+    if (blockedMatch) {
+      return decide(false, `Process explicitly blocked: ${exeName}`, blockedMatch);
     }
 
     if (this.mode === 'whitelist') {
       // Whitelist mode: Process must be in allowed list
-      if (this.allowed.has(exeName)) {
-        return { allowed: true };
+      const allowedMatch = check('allowed', this.allowed, true);
+      if (allowedMatch) {
+        return decide(true, undefined, allowedMatch);
       } else {
-        return { 
-          allowed: false, 
-          reason: `Process not in whitelist: ${exeName}`
-        };
+        return decide(false, `Process not in whitelist: ${exeName}`);
       }
     } else {
       // Blacklist mode: Process must not be in blocked list
       // Already checked blocked list above, so allow
-      return { allowed: true };
+      return decide(true);
     }
   }
 
@@ -152,6 +227,14 @@ class ProcessRule {
   getBlocked() {
     return Array.from(this.blocked);
   }
+
+  /**
+   * Get protected system processes
+   * @returns {string[]} Protected process names or paths
+   */
+  getProtected() {
+    return Array.from(this.systemProcesses);
+  }
 }
 
-module.exports = { ProcessRule };
+module.exports = { ProcessRule, platformEntries };
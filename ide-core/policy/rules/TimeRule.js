@@ -1,6 +1,34 @@
 /**
  * Time Rule - Validates access based on time restrictions
- * 
+ *
+ * A schedule is a list of weekly windows plus dated exceptions:
+ *
+ *   {
+ *     timezone: 'Europe/Berlin',            // IANA name, or 'local'
+ *     windows: [
+ *       { days: [1, 2, 3, 4, 5], start: '08:00', end: '12:00' },
+ *       { days: [1, 2, 3, 4, 5], start: '13:00', end: '16:00' },
+ *       { days: [5], start: '22:00', end: '02:00' },   // overnight
+ *     ],
+ *     exceptions: [
+ *       { date: '2026-12-24', closed: true, note: 'Holiday' },
+ *       { date: '2026-06-10', windows: [{ start: '09:00', end: '11:00' }], note: 'Exam' },
+ *     ],
+ *   }
+ *
+ * Windows are half-open [start, end). A window whose end is not after its
+ * start runs past midnight and belongs to the day it starts on. An exception
+ * replaces the regular windows of its date. Schedules written with the older
+ * days/startTime/endTime keys are read as a single window when `windows` is
+ * absent.
+ *
+ * A quota limits active IDE time instead of (or as well as) the time of day:
+ *
+ *   { minutesPerDay: 90, minutesPerWeek: 300, idleMinutes: 5, weekStartsOn: 1 }
+ *
+ * The rule only does the arithmetic; usage is tracked by the policy engine
+ * and passed in as { today, week, grantedToday, grantedWeek } milliseconds.
+ *
  * @module ide-core/policy/rules/TimeRule
  */
 
@@ -10,6 +38,43 @@ const { Logger } = require('../../utils/Logger');
 
 const logger = new Logger('TimeRule');
 
+const MINUTES_PER_DAY = 24 * 60;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Parse HH:MM into minutes after midnight ('24:00' is accepted as an end)
+ * @param {string} value - Time of day
+ * @returns {number} Minutes after midnight
+ */
+function parseTime(value) {
+  const match = /^(\d{2}):(\d{2})$/.exec(value || '');
+  const minutes = match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : NaN;
+  if (!match || parseInt(match[2], 10) > 59 || minutes > MINUTES_PER_DAY) {
+    throw new Error(`Invalid time of day: ${value}`);
+  }
+  return minutes;
+}
+
+/**
+ * Format minutes after midnight as HH:MM
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} Time of day
+ */
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Calendar date following a YYYY-MM-DD date, or preceding it with a negative offset
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} offset - Days to add
+ * @returns {string} YYYY-MM-DD
+ */
+function shiftDate(date, offset) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + offset)).toISOString().slice(0, 10);
+}
+
 /**
  * TimeRule - Time-based access validation
  */
@@ -20,79 +85,391 @@ class TimeRule {
   constructor(config) {
     this.config = config || { enabled: false };
     this.enabled = this.config.enabled || false;
-    this.schedule = this.config.schedule || null;
+    this.warnings = [...(this.config.warnings || [15, 5, 1])].sort((a, b) => b - a);
+    this.quota = this.config.quota && (this.config.quota.minutesPerDay || this.config.quota.minutesPerWeek)
+      ? {
+        minutesPerDay: this.config.quota.minutesPerDay || null,
+        minutesPerWeek: this.config.quota.minutesPerWeek || null,
+        idleMinutes: this.config.quota.idleMinutes ?? 5,
+        weekStartsOn: this.config.quota.weekStartsOn ?? 1,
+      }
+      : null;
+    this.setSchedule(this.config.schedule || null, { silent: true });
+  }
+
+  /**
+   * Normalize a schedule into minute-based windows and an exception map
+   * @private
+   * @param {Object} schedule - Schedule configuration
+   * @returns {Object} { timezone, windows, exceptions }
+   */
+  compileSchedule(schedule) {
+    const toWindow = (window, index) => ({
+      index,
+      days: Array.isArray(window.days) && window.days.length > 0 ? window.days : null,
+      start: parseTime(window.start),
+      end: parseTime(window.end),
+    });
+
+    let windows;
+    if (Array.isArray(schedule.windows)) {
+      windows = schedule.windows.map(toWindow);
+    } else {
+      // Older single-range format
+      windows = [toWindow({
+        days: schedule.days,
+        start: schedule.startTime || '00:00',
+        end: schedule.endTime || '24:00',
+      }, 0)];
+    }
+
+    const exceptions = new Map();
+    for (const exception of schedule.exceptions || []) {
+      exceptions.set(exception.date, {
+        date: exception.date,
+        note: exception.note || '',
+        closed: Boolean(exception.closed),
+        windows: exception.closed ? [] : (exception.windows || []).map(toWindow),
+      });
+    }
+
+    let timezone = null;
+    if (schedule.timezone && schedule.timezone !== 'local') {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+        timezone = schedule.timezone;
+      } catch (error) {
+        logger.warn(`Unknown time zone ${schedule.timezone}, using local time`);
+      }
+    }
+
+    return { timezone, windows, exceptions };
+  }
+
+  /**
+   * Wall-clock date and time of a moment in the schedule's time zone
+   * @private
+   * @param {Date} now - Moment
+   * @returns {Object} { date: 'YYYY-MM-DD', day: 0-6, minutes, msIntoMinute }
+   */
+  getClock(now) {
+    const msIntoMinute = now.getSeconds() * 1000 + now.getMilliseconds();
+
+    if (!this.timezone) {
+      const pad = value => String(value).padStart(2, '0');
+      return {
+        date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+        day: now.getDay(),
+        minutes: now.getHours() * 60 + now.getMinutes(),
+        msIntoMinute,
+      };
+    }
+
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    });
+    for (const part of formatter.formatToParts(now)) {
+      parts[part.type] = part.value;
+    }
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      day: WEEKDAYS[parts.weekday],
+      minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+      msIntoMinute,
+    };
+  }
+
+  /**
+   * Windows that apply on a calendar date
+   * @private
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} day - Day of week (0 = Sunday)
+   * @returns {Object} { source: 'windows'|'exceptions', exception, windows }
+   */
+  getWindowsFor(date, day) {
+    const exception = this.compiled.exceptions.get(date);
+    if (exception) {
+      return { source: 'exceptions', exception, windows: exception.windows };
+    }
+
+    return {
+      source: 'windows',
+      exception: null,
+      windows: this.compiled.windows.filter(window => !window.days || window.days.includes(day)),
+    };
+  }
+
+  /**
+   * Find the window open at a wall-clock time, including overnight windows
+   * started the day before
+   * @private
+   * @param {Object} clock - { date, day, minutes }
+   * @returns {Object|null} { window, source, exception, date, minutesLeft }
+   */
+  findOpenWindow(clock) {
+    const today = this.getWindowsFor(clock.date, clock.day);
+    for (const window of today.windows) {
+      const overnight = window.end <= window.start;
+      if (clock.minutes >= window.start && (overnight || clock.minutes < window.end)) {
+        const end = overnight ? window.end + MINUTES_PER_DAY : window.end;
+        return { ...today, window, date: clock.date, minutesLeft: end - clock.minutes };
+      }
+    }
+
+    const previousDate = shiftDate(clock.date, -1);
+    const yesterday = this.getWindowsFor(previousDate, (clock.day + 6) % 7);
+    for (const window of yesterday.windows) {
+      if (window.end <= window.start && clock.minutes < window.end) {
+        return { ...yesterday, window, date: previousDate, minutesLeft: window.end - clock.minutes };
+      }
+    }
+
+    return null;
   }
 
   /**
    * Validate current time against policy
+   * @param {Object} [usage] - Quota usage { today, week, grantedToday, grantedWeek }
    * @returns {Object} Validation result
    */
-  validate() {
-    if (!this.enabled || !this.schedule) {
-      return { allowed: true };
+  validate(usage) {
+    const { allowed, reason } = this.explain(new Date(), usage);
+    return reason === undefined ? { allowed } : { allowed, reason };
+  }
+
+  /**
+   * Validate a moment against the schedule and describe how the decision was reached
+   * @param {Date} [now] - Moment to check, defaults to the current time
+   * @param {Object} [usage] - Quota usage { today, week, grantedToday, grantedWeek }
+   * @returns {Object} { allowed, reason, rule, mode, input, normalized, matched, steps }
+   */
+  explain(now = new Date(), usage = null) {
+    const steps = [];
+    let normalized = null;
+    let matched = null;
+    const decide = (allowed, reason) => ({
+      allowed,
+      reason,
+      rule: 'time',
+      mode: !this.enabled ? 'disabled' : [this.compiled && 'schedule', this.quota && 'quota'].filter(Boolean).join('+'),
+      input: now.toISOString(),
+      normalized,
+      matched,
+      steps,
+    });
+
+    if (!this.enabled || (!this.compiled && !this.quota)) {
+      steps.push({ check: 'enabled', passed: true, detail: 'No time restrictions in effect' });
+      return decide(true);
     }
 
-    const now = new Date();
-    const currentDay = now.getDay(); // 0 = Sunday
-    const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    const clock = this.getClock(now);
+    normalized = {
+      value: { date: clock.date, day: clock.day, time: formatTime(clock.minutes) },
+      applied: [`Converted to ${this.timezone || 'local'} wall-clock time (day 0 = Sunday)`],
+    };
 
-    // Check day of week
-    if (this.schedule.days && this.schedule.days.length > 0) {
-      if (!this.schedule.days.includes(currentDay)) {
-        return { 
-          allowed: false, 
-          reason: `Not available on this day (day ${currentDay})`
-        };
+    if (this.compiled) {
+      const today = this.getWindowsFor(clock.date, clock.day);
+      if (today.exception) {
+        steps.push({
+          check: 'exceptions',
+          passed: !today.exception.closed,
+          detail: `${clock.date} is an exception${today.exception.note ? ` (${today.exception.note})` : ''}`,
+        });
       }
+
+      const open = this.findOpenWindow(clock);
+      if (!open) {
+        const ranges = today.windows.map(window => `${formatTime(window.start)}-${formatTime(window.end)}`);
+        steps.push({
+          check: 'windows',
+          passed: false,
+          detail: ranges.length > 0 ? `${normalized.value.time} outside ${ranges.join(', ')}` : 'No windows on this day',
+        });
+
+        if (today.exception && today.exception.closed) {
+          return decide(false, `Closed on ${clock.date}${today.exception.note ? ` (${today.exception.note})` : ''}`);
+        }
+        if (ranges.length === 0) {
+          return decide(false, `Not available on this day (day ${clock.day})`);
+        }
+        return decide(false, `Outside allowed time range (${ranges.join(', ')})`);
+      }
+
+      const range = `${formatTime(open.window.start)}-${formatTime(open.window.end)}`;
+      steps.push({
+        check: 'windows',
+        passed: true,
+        detail: `Within ${range}${open.date !== clock.date ? ` started ${open.date}` : ''}`,
+      });
+      matched = { list: open.source, index: open.window.index, entry: range, date: open.date };
     }
 
-    // Check time range
-    if (this.schedule.startTime && this.schedule.endTime) {
-      if (currentTime < this.schedule.startTime || currentTime > this.schedule.endTime) {
-        return { 
-          allowed: false, 
-          reason: `Outside allowed time range (${this.schedule.startTime} - ${this.schedule.endTime})`
-        };
+    const quota = this.getQuotaStatus(usage);
+    if (quota) {
+      steps.push({
+        check: 'quota',
+        passed: quota.remaining > 0,
+        detail: `${Math.floor(quota.used / 60000)} of ${Math.floor(quota.limit / 60000)} minutes used this ${quota.period}`,
+      });
+      if (quota.remaining === 0) {
+        return decide(false, `${quota.period === 'day' ? 'Daily' : 'Weekly'} time quota used up`);
       }
+      matched = matched || { list: 'quota', entry: quota.period };
     }
 
-    return { allowed: true };
+    return decide(true);
   }
 
   /**
    * Check if currently within allowed time
+   * @param {Object} [usage] - Quota usage
    * @returns {boolean} Whether current time is allowed
    */
-  isAllowed() {
-    return this.validate().allowed;
+  isAllowed(usage) {
+    return this.validate(usage).allowed;
+  }
+
+  /**
+   * Get time remaining until the open window closes or the quota runs out,
+   * whichever comes first. Windows that start exactly where the previous
+   * one ends count as one stretch. Durations are wall-clock, so a DST
+   * change inside the window shifts the result by the size of the change.
+   * @param {Date} [now] - Moment to measure from, defaults to the current time
+   * @param {Object} [usage] - Quota usage
+   * @returns {number|null} Milliseconds remaining (0 when closed), or null if no limit
+   */
+  getTimeRemaining(now = new Date(), usage = null) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const quota = this.getQuotaStatus(usage);
+    const window = this.compiled ? this.getWindowRemaining(now) : null;
+
+    if (quota && window !== null) {
+      return Math.min(quota.remaining, window);
+    }
+    return quota ? quota.remaining : window;
+  }
+
+  /**
+   * Time until the schedule closes
+   * @private
+   * @param {Date} now - Moment to measure from
+   * @returns {number|null} Milliseconds remaining (0 when closed), or null if it never closes
+   */
+  getWindowRemaining(now) {
+    const start = this.getClock(now);
+    const clock = { ...start };
+    let minutes = 0;
+
+    // A week of back-to-back windows means there is no closing time
+    while (minutes < 7 * MINUTES_PER_DAY) {
+      const open = this.findOpenWindow(clock);
+      if (!open) {
+        return minutes === 0 ? 0 : minutes * 60000 - start.msIntoMinute;
+      }
+
+      minutes += open.minutesLeft;
+      clock.minutes += open.minutesLeft;
+      while (clock.minutes >= MINUTES_PER_DAY) {
+        clock.minutes -= MINUTES_PER_DAY;
+        clock.date = shiftDate(clock.date, 1);
+        clock.day = (clock.day + 1) % 7;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a quota is in force
+   * @returns {boolean}
+   */
+  hasQuota() {
+    return this.enabled && this.quota !== null;
+  }
+
+  /**
+   * Whether a user idle for this long should stop consuming quota
+   * @param {number} idleSeconds - Seconds since the last input
+   * @returns {boolean}
+   */
+  isIdle(idleSeconds) {
+    return this.quota !== null && idleSeconds >= this.quota.idleMinutes * 60;
+  }
+
+  /**
+   * Calendar days that make up the current quota day and week
+   * @param {Date} [now] - Moment, defaults to the current time
+   * @returns {Object} { today, week: string[] } as YYYY-MM-DD dates
+   */
+  getQuotaPeriod(now = new Date()) {
+    const clock = this.getClock(now);
+    const weekStartsOn = this.quota ? this.quota.weekStartsOn : 1;
+    const weekStart = shiftDate(clock.date, -((clock.day - weekStartsOn + 7) % 7));
+
+    return {
+      today: clock.date,
+      week: Array.from({ length: 7 }, (_, offset) => shiftDate(weekStart, offset)),
+    };
   }
 
   /**
-   * Get time remaining until end of session
-   * @returns {number|null} Milliseconds remaining, or null if no limit
+   * Remaining quota for the tightest limit
+   * @param {Object|null} usage - { today, week, grantedToday, grantedWeek } in milliseconds
+   * @returns {Object|null} { period: 'day'|'week', limit, used, remaining } in milliseconds,
+   *   or null when no quota applies
    */
-  getTimeRemaining() {
-    if (!this.enabled || !this.schedule || !this.schedule.endTime) {
+  getQuotaStatus(usage) {
+    if (!this.hasQuota() || !usage) {
       return null;
     }
 
-    const now = new Date();
-    const [endHour, endMinute] = this.schedule.endTime.split(':').map(Number);
-    
-    const endTime = new Date(now);
-    endTime.setHours(endHour, endMinute, 0, 0);
-    
-    const remaining = endTime.getTime() - now.getTime();
-    return remaining > 0 ? remaining : 0;
+    const limits = [];
+    if (this.quota.minutesPerDay) {
+      limits.push({ period: 'day', limit: this.quota.minutesPerDay * 60000 + usage.grantedToday, used: usage.today });
+    }
+    if (this.quota.minutesPerWeek) {
+      limits.push({ period: 'week', limit: this.quota.minutesPerWeek * 60000 + usage.grantedWeek, used: usage.week });
+    }
+
+    return limits
+      .map(limit => ({ ...limit, remaining: Math.max(0, limit.limit - limit.used) }))
+      .reduce((tightest, limit) => (limit.remaining < tightest.remaining ? limit : tightest));
+  }
+
+  /**
+   * Minutes before the end of a window at which users are warned
+   * @returns {number[]} Thresholds, largest first
+   */
+  getWarningThresholds() {
+    return [...this.warnings];
   }
 
   /**
    * Set schedule
-   * @param {Object} schedule - Schedule configuration
+   * @param {Object|null} schedule - Schedule configuration
+   * @param {Object} [options] - { silent }
    */
-  setSchedule(schedule) {
+  setSchedule(schedule, options = {}) {
     this.schedule = schedule;
-    logger.info('Schedule updated:', schedule);
+    this.compiled = schedule ? this.compileSchedule(schedule) : null;
+    this.timezone = this.compiled ? this.compiled.timezone : null;
+    if (!options.silent) {
+      logger.info('Schedule updated:', schedule);
+    }
   }
 
   /**
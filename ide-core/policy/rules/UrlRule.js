@@ -51,8 +51,32 @@ class UrlRule {
    * @returns {Object} Validation result
    */
   validate(url) {
+    const { allowed, reason } = this.explain(url);
+    return reason === undefined ? { allowed } : { allowed, reason };
+  }
+
+  /**
+   * Validate a URL and describe how the decision was reached
+   * @param {string} url - URL to validate
+   * @returns {Object} { allowed, reason, rule, mode, input, normalized, matched, steps }
+   */
+  explain(url) {
+    const steps = [];
+    let normalized = null;
+    const decide = (allowed, reason, matched = null) => ({
+      allowed,
+      reason,
+      rule: 'url',
+      mode: this.mode,
+      input: url,
+      normalized,
+      matched,
+      steps,
+    });
+
     if (!url || typeof url !== 'string') {
-      return { allowed: false, reason: 'Invalid URL' };
+      steps.push({ check: 'input', passed: false, detail: 'Not a non-empty string' });
+      return decide(false, 'Invalid URL');
     }
 
     // Normalize URL
@@ -60,30 +84,52 @@ class UrlRule {
     try {
       normalizedUrl = new URL(url);
     } catch (error) {
-      return { allowed: false, reason: 'Malformed URL' };
+      steps.push({ check: 'parse', passed: false, detail: error.message });
+      return decide(false, 'Malformed URL');
     }
+    normalized = {
+      value: normalizedUrl.href,
+      applied: [
+        'Parsed as a WHATWG URL (scheme and host lower-cased)',
+        'Patterns are tested against the URL as given, case-insensitively',
+      ],
+    };
+    steps.push({ check: 'parse', passed: true, detail: normalizedUrl.href });
 
     // Only allow http/https
     if (!['http:', 'https:'].includes(normalizedUrl.protocol)) {
-      return { allowed: false, reason: `Protocol not allowed: ${normalizedUrl.protocol}` };
+      steps.push({ check: 'protocol', passed: false, detail: `${normalizedUrl.protocol} is not http: or https:` });
+      return decide(false, `Protocol not allowed: ${normalizedUrl.protocol}`);
     }
+    steps.push({ check: 'protocol', passed: true, detail: normalizedUrl.protocol });
 
     // Check against patterns
-    const matches = this.patterns.some(pattern => pattern.test(url));
+    const index = this.patterns.findIndex(pattern => pattern.test(url));
+    const matched = index === -1 ? null : {
+      list: 'patterns',
+      index,
+      entry: this.config.patterns[index],
+      regex: this.patterns[index].source,
+    };
+    steps.push({
+      check: 'patterns',
+      passed: this.mode === 'whitelist' ? index !== -1 : index === -1,
+      detail: matched ? `Matched ${matched.entry}` : `No match among ${this.patterns.length} patterns`,
+    });
 
     if (this.mode === 'whitelist') {
       // Whitelist mode: URL must match at least one pattern
-      if (matches) {
-        return { allowed: true };
+      if (matched) {
+        return decide(true, undefined, matched);
       } else {
-        return { allowed: false, reason: 'URL not in whitelist' };
+        return decide(false, 'URL not in whitelist');
       }
     } else {
       // Blacklist mode: URL must not match any pattern
-      if (matches) {
-        return { allowed: false, reason: 'URL is blacklisted' };
+      if (matched) {
+        return decide(false, 'URL is blacklisted', matched);
       } else {
-        return { allowed: true };
+        return decide(true);
       }
     }
   }
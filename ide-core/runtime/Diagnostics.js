@@ -0,0 +1,142 @@
+/**
+ * Diagnostics - Structured compiler and runtime errors
+ *
+ * stderr is split into lines as it streams in, and lines that name a
+ * source location become { file, line, column, severity, message, text }
+ * (text is the output line that names the location). Understands the
+ * GCC/Clang format (`file:line:col: error: ...`), javac's
+ * (`File.java:line: error: ...`) and Python tracebacks, which are reported
+ * at the innermost frame in the program's own directory.
+ *
+ * @module ide-core/runtime/Diagnostics
+ */
+
+'use strict';
+
+const path = require('path');
+
+/** file:line[:column]: severity: message */
+const COMPILER_PATTERN = /^(.+?):(\d+)(?::(\d+))?: (fatal error|error|warning|note): (.*)$/;
+
+/** Traceback frame: File "path", line N[, in function] */
+const PYTHON_FRAME_PATTERN = /^\s+File "(.+)", line (\d+)/;
+
+/** Last line of a traceback: ExceptionName[: message] */
+const PYTHON_EXCEPTION_PATTERN = /^[A-Za-z_][\w.]*(Error|Exception|Warning|Interrupt|Exit)\b(:.*)?$/;
+
+/**
+ * Parse one line of compiler output
+ * @param {string} line - Line without its newline
+ * @param {string} cwd - Directory the compiler ran in, for relative paths
+ * @returns {Object|null} Diagnostic, or null if the line names no location
+ */
+function parseDiagnosticLine(line, cwd) {
+  const match = COMPILER_PATTERN.exec(line);
+  if (!match) {
+    return null;
+  }
+
+  const [, file, lineNumber, column, severity, message] = match;
+  return {
+    file: path.resolve(cwd, file),
+    line: Number(lineNumber),
+    column: column ? Number(column) : null,
+    severity: severity === 'fatal error' ? 'error' : severity,
+    message,
+    text: line,
+  };
+}
+
+/**
+ * DiagnosticStream - Line-buffers stderr and parses each line
+ */
+class DiagnosticStream {
+  /**
+   * @param {string} cwd - Directory the compiler or program runs in
+   */
+  constructor(cwd) {
+    this.cwd = cwd;
+    this.pending = '';
+
+    /** @type {Object[]} Frames of the Python traceback being read */
+    this.frames = [];
+  }
+
+  /**
+   * Add a chunk of output
+   * @param {string} chunk - Output text
+   * @returns {Object[]} Diagnostics found in the lines it completed
+   */
+  push(chunk) {
+    this.pending += chunk;
+    const lines = this.pending.split('\n');
+    this.pending = lines.pop();
+    return this.parseLines(lines);
+  }
+
+  /**
+   * Parse any output left after the last newline
+   * @returns {Object[]} Diagnostics
+   */
+  flush() {
+    const rest = this.pending;
+    this.pending = '';
+    return rest ? this.parseLines([rest]) : [];
+  }
+
+  /**
+   * @private
+   * @param {string[]} lines - Complete lines
+   * @returns {Object[]} Diagnostics
+   */
+  parseLines(lines) {
+    const diagnostics = [];
+    for (const rawLine of lines) {
+      const line = rawLine.replace(/\r$/, '');
+      const diagnostic = this.parsePython(line) || parseDiagnosticLine(line, this.cwd);
+      if (diagnostic) {
+        diagnostics.push(diagnostic);
+      }
+    }
+    return diagnostics;
+  }
+
+  /**
+   * Follow a Python traceback; reports it once the exception line arrives
+   * @private
+   * @param {string} line - Line of output
+   * @returns {Object|null} Diagnostic for a finished traceback
+   */
+  parsePython(line) {
+    if (line.startsWith('Traceback (most recent call last)')) {
+      this.frames = [];
+      return null;
+    }
+
+    const frame = PYTHON_FRAME_PATTERN.exec(line);
+    if (frame) {
+      this.frames.push({ file: path.resolve(this.cwd, frame[1]), line: Number(frame[2]), text: line });
+      return null;
+    }
+
+    if (this.frames.length === 0 || !PYTHON_EXCEPTION_PATTERN.test(line)) {
+      return null;
+    }
+
+    // Library frames are not useful to jump to; prefer the student's code
+    const own = this.frames.filter(({ file }) => !path.relative(this.cwd, file).startsWith('..'));
+    const location = (own.length > 0 ? own : this.frames).pop();
+    this.frames = [];
+
+    return {
+      file: location.file,
+      line: location.line,
+      column: null,
+      severity: 'error',
+      message: line,
+      text: location.text,
+    };
+  }
+}
+
+module.exports = { DiagnosticStream, parseDiagnosticLine };
@@ -0,0 +1,279 @@
+/**
+ * Execution Manager - User program runs, tracked by run ID
+ *
+ * Every Run or Run Tests request and REPL session is one run, owned by the webContents that
+ * started it; its output is only sent there, tagged with the run ID. A run
+ * has at most one live process at a time (the compiler, the program or the
+ * current test case). Stopping a run kills that process, with everything it
+ * started, and marks the run cancelled, so multi-step runs do not go on to
+ * their next step. Runs of a window are stopped when it is destroyed. A run
+ * may ask for its program to get a terminal (see Terminal); the program's
+ * pty is kept with it.
+ *
+ * @module ide-core/runtime/ExecutionManager
+ */
+
+'use strict';
+
+const { spawn } = require('child_process');
+const { v4: uuidv4 } = require('uuid');
+const { listProcessTree } = require('./RunLimits');
+const { Logger } = require('../utils/Logger');
+
+const logger = new Logger('ExecutionManager');
+
+/** Rounds of listing and stopping before a still-growing tree is killed as it is */
+const MAX_STOP_ROUNDS = 10;
+
+/**
+ * Send a signal to a process that may have exited meanwhile
+ * @param {number} pid - Process ID
+ * @param {string} signal - Signal name
+ */
+function signalProcess(pid, signal) {
+  try {
+    process.kill(pid, signal);
+  } catch {
+    // Exited meanwhile
+  }
+}
+
+/**
+ * Kill every process of a tree (Linux /proc). The tree is stopped before
+ * anything is killed and listed again until it no longer grows, so a
+ * program forking in a loop cannot slip a child past the kill, and no
+ * child is handed to init (out of the tree) by a parent killed first.
+ * @param {number} rootPid - Program root process
+ * @returns {boolean} Whether the tree could be listed
+ */
+function killProcessTree(rootPid) {
+  const stopped = new Set();
+  for (let round = 0; round < MAX_STOP_ROUNDS; round++) {
+    const tree = listProcessTree(rootPid);
+    if (!tree) {
+      return false;
+    }
+    const added = tree.map(({ pid }) => pid).filter(pid => !stopped.has(pid));
+    if (added.length === 0) {
+      break;
+    }
+    for (const pid of added) {
+      signalProcess(pid, 'SIGSTOP');
+      stopped.add(pid);
+    }
+  }
+
+  for (const pid of stopped) {
+    signalProcess(pid, 'SIGKILL');
+  }
+  return true;
+}
+
+/**
+ * Kill a user program and its process tree, so background processes it
+ * started do not outlive Stop. Without /proc (macOS) only the program
+ * itself is killed.
+ * @param {ChildProcess} child - Program root process
+ */
+function killProcess(child) {
+  if (child.killed || child.exitCode !== null || child.signalCode !== null) {
+    return;
+  }
+  try {
+    if (process.platform === 'win32') {
+      spawn('taskkill', ['/pid', child.pid.toString(), '/f', '/t'], { windowsHide: true });
+    } else {
+      killProcessTree(child.pid);
+      child.kill('SIGKILL');
+    }
+  } catch (err) {
+    logger.error(`Failed to kill process: ${err.message}`);
+  }
+}
+
+/**
+ * ExecutionManager - Registry of active runs
+ */
+class ExecutionManager {
+  constructor() {
+    /** @type {Map<string, Object>} Active runs by ID */
+    this.runs = new Map();
+
+    /** @type {Set<number>} webContents IDs whose destruction is watched */
+    this.watchedOwners = new Set();
+  }
+
+  /**
+   * Register a new run
+   * @param {Object} options - { owner: webContents, kind: 'run'|'tests'|'repl', language, file (null for a REPL), terminal, maxConcurrent }
+   * @returns {Object} Run { id, owner, ownerId, kind, language, file, terminal, startedAt, child, launchers, monitor, pty, terminalSize, inputFile, cancelled, stopReason }
+   * @throws {Error} If the concurrent run cap is reached
+   */
+  start({ owner, kind, language, file, terminal = false, maxConcurrent = 0 }) {
+    if (maxConcurrent > 0 && this.runs.size >= maxConcurrent) {
+      throw new Error(`At most ${maxConcurrent} program${maxConcurrent === 1 ? '' : 's'} may run at once. Stop one first.`);
+    }
+
+    const run = {
+      id: uuidv4(),
+      owner,
+      ownerId: owner.id,
+      kind,
+      language,
+      file,
+      terminal,
+      startedAt: Date.now(),
+      child: null,
+      launchers: [],
+      monitor: null,
+      pty: null,
+      terminalSize: null,
+      inputFile: null,
+      cancelled: false,
+      stopReason: null,
+    };
+    this.runs.set(run.id, run);
+    this.watchOwner(owner);
+
+    logger.info(`Run ${run.id} started (${kind}, ${language})${file ? `: ${file}` : ''}`);
+    return run;
+  }
+
+  /**
+   * Stop a window's runs when it goes away
+   * @private
+   * @param {WebContents} owner - Window contents
+   */
+  watchOwner(owner) {
+    if (this.watchedOwners.has(owner.id)) {
+      return;
+    }
+
+    const ownerId = owner.id;
+    this.watchedOwners.add(ownerId);
+    owner.once('destroyed', () => {
+      this.watchedOwners.delete(ownerId);
+      for (const run of this.list(ownerId)) {
+        this.stop(run.id, 'window closed');
+      }
+    });
+  }
+
+  /**
+   * Make a process the run's live process
+   * @param {Object} run - From start
+   * @param {ChildProcess} child - Compiler or program
+   * @param {Object} [options] - { launchers, monitor: RunMonitor, pty: Terminal }
+   */
+  attach(run, child, { launchers = [], monitor = null, pty = null } = {}) {
+    run.child = child;
+    run.launchers = launchers;
+    run.monitor = monitor;
+    run.pty = pty;
+
+    // Stopped between steps: the next step must not run
+    if (run.cancelled) {
+      killProcess(child);
+    }
+  }
+
+  /**
+   * Clear the run's live process once it has exited
+   * @param {Object} run - From start
+   * @param {ChildProcess} child - Process that exited
+   */
+  detach(run, child) {
+    if (run.child === child) {
+      run.child = null;
+      run.launchers = [];
+      run.monitor = null;
+      run.pty = null;
+    }
+  }
+
+  /**
+   * Remove a run whose last step has ended
+   * @param {Object} run - From start
+   */
+  finish(run) {
+    if (this.runs.delete(run.id)) {
+      logger.info(`Run ${run.id} finished after ${Date.now() - run.startedAt} ms`);
+    }
+  }
+
+  /**
+   * Active run by ID
+   * @param {string} id - Run ID
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.runs.get(id) || null;
+  }
+
+  /**
+   * Active runs, oldest first
+   * @param {number} [ownerId] - Only runs of this webContents
+   * @returns {Object[]}
+   */
+  list(ownerId) {
+    const runs = [...this.runs.values()];
+    return ownerId === undefined ? runs : runs.filter(run => run.ownerId === ownerId);
+  }
+
+  /**
+   * Public description of a run
+   * @param {Object} run - From start
+   * @returns {Object} { id, ownerId, kind, language, file, terminal, startedAt, elapsedMs, pid, usage }
+   */
+  describe(run) {
+    return {
+      id: run.id,
+      ownerId: run.ownerId,
+      kind: run.kind,
+      language: run.language,
+      file: run.file,
+      terminal: run.terminal,
+      startedAt: new Date(run.startedAt).toISOString(),
+      elapsedMs: Date.now() - run.startedAt,
+      pid: run.child ? run.child.pid : null,
+      usage: run.monitor
+        ? { ...(run.monitor.usage || { rssKB: null, processes: null }), outputBytes: run.monitor.outputBytes }
+        : null,
+    };
+  }
+
+  /**
+   * Stop a run
+   * @param {string} id - Run ID
+   * @param {string} reason - Why it is stopped, for the log
+   * @returns {number|null} PID of the killed process, or null if none was live
+   */
+  stop(id, reason) {
+    const run = this.runs.get(id);
+    if (!run) {
+      return null;
+    }
+
+    run.cancelled = true;
+    run.stopReason = run.stopReason || reason;
+    const pid = run.child ? run.child.pid : null;
+    logger.info(`Stopping run ${id}${pid ? ` (pid ${pid})` : ''}: ${reason}`);
+    if (run.child) {
+      killProcess(run.child);
+    }
+    return pid;
+  }
+
+  /**
+   * Stop every run
+   * @param {string} reason - Why they are stopped, for the log
+   * @returns {number[]} PIDs of the killed processes
+   */
+  stopAll(reason) {
+    return this.list()
+      .map(run => this.stop(run.id, reason))
+      .filter(pid => pid !== null);
+  }
+}
+
+module.exports = { ExecutionManager, killProcess };
@@ -0,0 +1,374 @@
+/**
+ * Execution Sandbox - Confinement for user programs on Linux
+ *
+ * Programs started by the code runner are wrapped as
+ *   prlimit <limits> -- bwrap <namespaces> -- <command>
+ * so they run in private mount/PID/IPC/UTS/network namespaces where only
+ * the sandbox directory is writable, under a seccomp filter and with
+ * rlimits on CPU time, memory and file size. The process count is left to
+ * the RunMonitor: RLIMIT_NPROC counts every process of the IDE user, so
+ * bwrap could not even fork inside a desktop session. Everything is
+ * configured from the `execution` section of the policy.
+ *
+ * @module ide-core/runtime/ExecutionSandbox
+ */
+
+'use strict';
+
+const fs = require('fs');
+const config = require('../config');
+const { findExecutable } = require('./Toolchains');
+
+// seccomp BPF encoding (linux/filter.h, linux/seccomp.h)
+const BPF_LD_W_ABS = 0x20;
+const BPF_JEQ_K = 0x15;
+const BPF_JGE_K = 0x35;
+const BPF_RET_K = 0x06;
+const SECCOMP_RET_KILL_PROCESS = 0x80000000;
+const SECCOMP_RET_ERRNO = 0x00050000;
+const SECCOMP_RET_ALLOW = 0x7fff0000;
+const EPERM = 1;
+
+/** Offsets into struct seccomp_data */
+const SECCOMP_DATA_NR = 0;
+const SECCOMP_DATA_ARCH = 4;
+
+/** x32 syscalls on x86_64 carry this bit; they would bypass a number-based list */
+const X32_SYSCALL_BIT = 0x40000000;
+
+/**
+ * Syscalls denied with EPERM, per architecture: kernel/namespace
+ * administration, debugging other processes and kernel keyrings.
+ */
+const SECCOMP_PROFILES = {
+  x64: {
+    auditArch: 0xc000003e,
+    syscalls: {
+      ptrace: 101, mount: 165, umount2: 166, pivot_root: 155, swapon: 167, swapoff: 168,
+      reboot: 169, kexec_load: 246, kexec_file_load: 320, init_module: 175,
+      finit_module: 313, delete_module: 176, keyctl: 250, add_key: 248, request_key: 249,
+      bpf: 321, perf_event_open: 298, unshare: 272, setns: 308, process_vm_readv: 310,
+      process_vm_writev: 311, userfaultfd: 323, open_by_handle_at: 304, chroot: 161,
+      acct: 163, syslog: 103, quotactl: 179, iopl: 172, ioperm: 173,
+    },
+  },
+  arm64: {
+    auditArch: 0xc00000b7,
+    syscalls: {
+      ptrace: 117, mount: 40, umount2: 39, pivot_root: 41, swapon: 224, swapoff: 225,
+      reboot: 142, kexec_load: 104, kexec_file_load: 294, init_module: 105,
+      finit_module: 273, delete_module: 106, keyctl: 219, add_key: 217, request_key: 218,
+      bpf: 280, perf_event_open: 241, unshare: 97, setns: 268, process_vm_readv: 270,
+      process_vm_writev: 271, userfaultfd: 282, open_by_handle_at: 265, chroot: 51,
+      acct: 89, syslog: 116, quotactl: 60,
+    },
+  },
+};
+
+/**
+ * Encode one sock_filter instruction (little endian, 8 bytes)
+ * @param {number} code - Opcode
+ * @param {number} jt - Instructions to skip when true
+ * @param {number} jf - Instructions to skip when false
+ * @param {number} k - Operand
+ * @returns {Buffer} Encoded instruction
+ */
+function bpfInstruction(code, jt, jf, k) {
+  const insn = Buffer.alloc(8);
+  insn.writeUInt16LE(code, 0);
+  insn.writeUInt8(jt, 2);
+  insn.writeUInt8(jf, 3);
+  insn.writeUInt32LE(k >>> 0, 4);
+  return insn;
+}
+
+/**
+ * Build the seccomp program bwrap loads with --seccomp
+ * @param {string} arch - Node.js arch name (x64, arm64)
+ * @returns {Buffer|null} Compiled BPF program, or null if the arch is not supported
+ */
+function buildSeccompFilter(arch) {
+  const profile = SECCOMP_PROFILES[arch];
+  if (!profile) {
+    return null;
+  }
+
+  const numbers = Object.values(profile.syscalls);
+  const program = [
+    // Foreign architectures could reuse numbers with other meanings
+    bpfInstruction(BPF_LD_W_ABS, 0, 0, SECCOMP_DATA_ARCH),
+    bpfInstruction(BPF_JEQ_K, 1, 0, profile.auditArch),
+    bpfInstruction(BPF_RET_K, 0, 0, SECCOMP_RET_KILL_PROCESS),
+    bpfInstruction(BPF_LD_W_ABS, 0, 0, SECCOMP_DATA_NR),
+  ];
+
+  if (arch === 'x64') {
+    program.push(bpfInstruction(BPF_JGE_K, 0, 1, X32_SYSCALL_BIT));
+    program.push(bpfInstruction(BPF_RET_K, 0, 0, SECCOMP_RET_KILL_PROCESS));
+  }
+
+  // Each match jumps over the remaining checks and the ALLOW to the ERRNO return
+  numbers.forEach((nr, index) => {
+    program.push(bpfInstruction(BPF_JEQ_K, numbers.length - index, 0, nr));
+  });
+  program.push(bpfInstruction(BPF_RET_K, 0, 0, SECCOMP_RET_ALLOW));
+  program.push(bpfInstruction(BPF_RET_K, 0, 0, SECCOMP_RET_ERRNO | EPERM));
+
+  return Buffer.concat(program);
+}
+
+/**
+ * Find a launcher tool on PATH, through any symlinks, so that the path is
+ * the one /proc/<pid>/exe shows for its processes
+ * @param {string} name - Executable name
+ * @returns {string|null} Real path, or null if not found
+ */
+function findTool(name) {
+  const found = findExecutable(name);
+  try {
+    return found && fs.realpathSync(found);
+  } catch {
+    return found;
+  }
+}
+
+/**
+ * ExecutionSandbox - Builds confined launch commands for user programs
+ */
+class ExecutionSandbox {
+  /**
+   * @param {Object} settings - policy.execution
+   * @param {Object} [options] - { platform, arch, tools } overrides, for tests
+   */
+  constructor(settings = {}, options = {}) {
+    /** @type {Object} Sandbox settings */
+    this.sandbox = { ...config.execution.sandbox, ...(settings.sandbox || {}) };
+
+    /** @type {Object} Resource limits; a missing or zero limit is not applied */
+    this.limits = { ...config.execution.limits, ...(settings.limits || {}) };
+
+    /** @type {string} */
+    this.platform = options.platform || process.platform;
+
+    /** @type {string} */
+    this.arch = options.arch || process.arch;
+
+    /** @type {Object|null} { bwrap, prlimit } paths, detected on first use */
+    this.tools = options.tools || null;
+  }
+
+  /**
+   * Locate bwrap and prlimit
+   * @returns {Object} { bwrap: string|null, prlimit: string|null }
+   */
+  getTools() {
+    if (!this.tools) {
+      this.tools = this.platform === 'linux'
+        ? { bwrap: findTool('bwrap'), prlimit: findTool('prlimit') }
+        : { bwrap: null, prlimit: null };
+    }
+    return this.tools;
+  }
+
+  /**
+   * prlimit options for the configured limits
+   * @private
+   * @returns {string[]}
+   */
+  getLimitArgs() {
+    const args = [];
+    const { cpuSeconds, memoryMB, fileSizeMB } = this.limits;
+    if (cpuSeconds > 0) {
+      // SIGXCPU comes at the soft limit only when the hard limit is higher;
+      // at the hard limit the kernel sends SIGKILL, which says nothing
+      args.push(`--cpu=${cpuSeconds}:${cpuSeconds + 1}`);
+    }
+    if (memoryMB > 0) {
+      // Resident memory is watched by the RunMonitor so the run ends with
+      // MEMORY_LIMIT; the rlimit is a backstop for allocations between samples
+      args.push(`--data=${memoryMB * 2 * 1024 * 1024}`);
+    }
+    if (fileSizeMB > 0) {
+      args.push(`--fsize=${fileSizeMB * 1024 * 1024}`);
+    }
+    return args;
+  }
+
+  /**
+   * bwrap options for a program working in sandboxDir
+   * @private
+   * @param {string} sandboxDir - Directory mounted writable
+   * @param {string} cwd - Working directory inside the sandbox
+   * @param {boolean} withSeccomp - Whether a filter is passed on fd 3
+   * @returns {string[]} bwrap arguments
+   */
+  getBwrapArgs(sandboxDir, cwd, withSeccomp) {
+    const args = ['--unshare-all'];
+    if (this.sandbox.network) {
+      args.push('--share-net');
+    }
+    args.push('--die-with-parent', '--new-session', '--cap-drop', 'ALL');
+
+    for (const readOnlyPath of this.sandbox.readOnlyPaths) {
+      args.push('--ro-bind-try', readOnlyPath, readOnlyPath);
+    }
+
+    args.push(
+      '--proc', '/proc',
+      '--dev', '/dev',
+      '--tmpfs', '/tmp',
+      '--bind', sandboxDir, sandboxDir,
+      '--chdir', cwd,
+    );
+
+    if (withSeccomp) {
+      // The filter is written to the child's fd 3 (see sendSeccompFilter)
+      args.push('--seccomp', '3');
+    }
+    return args;
+  }
+
+  /**
+   * Work out which confinement can be applied with the tools at hand
+   * @returns {Object} { confined, network, seccomp, limits, unavailable[] }
+   * @throws {Error} If confinement is required but not available
+   */
+  getConfinement() {
+    const applied = {
+      confined: false,
+      network: true,
+      seccomp: false,
+      limits: null,
+      unavailable: [],
+    };
+
+    if (this.platform !== 'linux') {
+      applied.unavailable.push(`not supported on ${this.platform}`);
+      return applied;
+    }
+
+    const tools = this.getTools();
+
+    if (this.sandbox.enabled) {
+      if (tools.bwrap) {
+        applied.confined = true;
+        applied.network = !!this.sandbox.network;
+        applied.seccomp = !!this.sandbox.seccomp && !!SECCOMP_PROFILES[this.arch];
+        if (this.sandbox.seccomp && !applied.seccomp) {
+          applied.unavailable.push(`no seccomp filter for ${this.arch}`);
+        }
+      } else {
+        applied.unavailable.push('bwrap not found');
+      }
+    }
+
+    if (this.getLimitArgs().length > 0) {
+      if (tools.prlimit) {
+        applied.limits = { ...this.limits };
+      } else {
+        applied.unavailable.push('prlimit not found');
+      }
+    }
+
+    if (this.sandbox.enabled && this.sandbox.required && applied.unavailable.length > 0) {
+      throw new Error(`Execution sandbox is required but unavailable (${applied.unavailable.join(', ')}); ask an administrator`);
+    }
+
+    return applied;
+  }
+
+  /**
+   * Wrap a command for confined execution
+   * @param {string} command - Program to run
+   * @param {string[]} args - Its arguments
+   * @param {Object} options - { sandboxDir, cwd, env, userEnv }; userEnv holds
+   *   variables set in the run configuration, which are kept when confined
+   * @returns {Object} { command, args, env, stdio, seccomp, launchers, applied };
+   *   launchers are the paths of the wrappers, outermost first
+   * @throws {Error} If confinement is required but not available
+   */
+  prepare(command, args, { sandboxDir, cwd, env, userEnv = {} }) {
+    const applied = this.getConfinement();
+    const tools = this.getTools();
+    const seccomp = applied.seccomp ? buildSeccompFilter(this.arch) : null;
+    const launchers = [];
+    let wrapped = [command, ...args];
+
+    if (applied.confined) {
+      wrapped = [tools.bwrap, ...this.getBwrapArgs(sandboxDir, cwd, !!seccomp), '--', ...wrapped];
+      launchers.unshift(tools.bwrap);
+    }
+    if (applied.limits) {
+      wrapped = [tools.prlimit, ...this.getLimitArgs(), '--', ...wrapped];
+      launchers.unshift(tools.prlimit);
+    }
+
+    return {
+      command: wrapped[0],
+      args: wrapped.slice(1),
+      env: {
+        ...(applied.confined ? { PATH: env.PATH, HOME: sandboxDir, TMPDIR: '/tmp' } : env),
+        ...userEnv,
+      },
+      stdio: seccomp ? ['pipe', 'pipe', 'pipe', 'pipe'] : ['pipe', 'pipe', 'pipe'],
+      seccomp,
+      launchers,
+      applied,
+    };
+  }
+}
+
+/**
+ * Pass the seccomp program to a child spawned from a prepared launch
+ * @param {ChildProcess} child - Spawned process
+ * @param {Object} launch - Result of ExecutionSandbox.prepare
+ */
+function sendSeccompFilter(child, launch) {
+  if (launch.seccomp && child.stdio[3]) {
+    child.stdio[3].on('error', () => {
+      // bwrap exited before reading it; its own error is reported on stderr
+    });
+    child.stdio[3].end(launch.seccomp);
+  }
+}
+
+/**
+ * One-line summary of what was applied, for the run header
+ * @param {Object} applied - launch.applied
+ * @returns {string}
+ */
+function describeConfinement(applied) {
+  const parts = [];
+  if (applied.confined) {
+    parts.push(applied.network ? 'private filesystem' : 'private filesystem, no network');
+    if (applied.seccomp) {
+      parts.push('seccomp');
+    }
+  }
+  if (applied.limits) {
+    const { cpuSeconds, memoryMB, fileSizeMB } = applied.limits;
+    const limits = [];
+    if (cpuSeconds > 0) {
+      limits.push(`CPU ${cpuSeconds}s`);
+    }
+    if (memoryMB > 0) {
+      limits.push(`memory ${memoryMB} MB`);
+    }
+    if (fileSizeMB > 0) {
+      limits.push(`files ${fileSizeMB} MB`);
+    }
+    parts.push(`limits: ${limits.join(', ')}`);
+  }
+
+  const summary = parts.length > 0 ? parts.join('; ') : 'none';
+  return applied.unavailable.length > 0
+    ? `Sandbox: ${summary} (unavailable: ${applied.unavailable.join(', ')})`
+    : `Sandbox: ${summary}`;
+}
+
+module.exports = {
+  ExecutionSandbox,
+  buildSeccompFilter,
+  describeConfinement,
+  sendSeccompFilter,
+};
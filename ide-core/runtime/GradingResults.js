@@ -0,0 +1,99 @@
+/**
+ * Grading Results - Test results for admins to collect
+ *
+ * Every Run Tests writes `<time>-<user>-<exercise>.json` to the results
+ * directory, outside the sandbox. When an admin has enrolled a signing key
+ * (a pair made with `scripts/sign-policy.js keygen`, the private half
+ * installed at config.grading.signingKeyPath) a detached `.sig` in the
+ * format used for policies is written next to it, and collected results
+ * can be checked with `scripts/sign-policy.js verify <file> <public-key>`.
+ *
+ * The key is never generated here: a key in the student's own data
+ * directory could be read and used to forge results. Without an enrolled
+ * key, results are written unsigned and say so.
+ *
+ * @module ide-core/runtime/GradingResults
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { signPolicy } = require('../policy/PolicySignature');
+const { Logger } = require('../utils/Logger');
+
+const logger = new Logger('GradingResults');
+
+/**
+ * Make a value safe to use in a file name
+ * @param {string} value - User or exercise name
+ * @returns {string}
+ */
+function toFileNamePart(value) {
+  return String(value || 'unknown').replace(/[^\w.-]+/g, '_').slice(0, 64);
+}
+
+/**
+ * GradingResults - Writes results files, signed with the enrolled key
+ */
+class GradingResults {
+  /**
+   * @param {string} resultsDir - Directory receiving results
+   * @param {string} signingKeyPath - Enrolled private key file (PKCS#8 PEM)
+   */
+  constructor(resultsDir, signingKeyPath) {
+    /** @type {string} Results directory */
+    this.resultsDir = resultsDir;
+
+    /** @type {string} Private key file, installed by an admin */
+    this.signingKeyPath = signingKeyPath;
+
+    /** @type {string|null} Loaded private key */
+    this.privateKey = null;
+  }
+
+  /**
+   * Load the enrolled signing key
+   * @private
+   * @returns {string|null} Private key PEM, or null if none is enrolled
+   */
+  getPrivateKey() {
+    if (this.privateKey) {
+      return this.privateKey;
+    }
+
+    try {
+      const privateKey = fs.readFileSync(this.signingKeyPath, 'utf8');
+      crypto.createPrivateKey(privateKey);
+      this.privateKey = privateKey;
+    } catch (error) {
+      logger.warn(`No results signing key enrolled at ${this.signingKeyPath} (${error.code || error.message}); results are unsigned`);
+    }
+    return this.privateKey;
+  }
+
+  /**
+   * Write a results document, signed if a key is enrolled
+   * @param {Object} results - Results document ({ user, exercise, finishedAt, ... })
+   * @returns {Object} { filePath, signed }
+   */
+  write(results) {
+    const privateKey = this.getPrivateKey();
+    const document = { ...results, signed: privateKey !== null };
+
+    const stamp = results.finishedAt.replace(/[:.]/g, '-');
+    const fileName = `${stamp}-${toFileNamePart(results.user)}-${toFileNamePart(results.exercise)}.json`;
+    const filePath = path.join(this.resultsDir, fileName);
+
+    fs.mkdirSync(this.resultsDir, { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(document, null, 2));
+    if (privateKey) {
+      fs.writeFileSync(`${filePath}.sig`, JSON.stringify(signPolicy(document, privateKey), null, 2));
+    }
+
+    return { filePath, signed: document.signed };
+  }
+}
+
+module.exports = { GradingResults };
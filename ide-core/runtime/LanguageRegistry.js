@@ -0,0 +1,227 @@
+/**
+ * Language Registry - Languages the code runner can build and run
+ *
+ * Entries come from `execution.languages` in the policy, which is layered
+ * over the built-in entries in config.execution.languages, so admins can
+ * add a language (Rust, Go, Kotlin, TypeScript...) or disable one without
+ * a code change. Commands are executed directly, never through a shell;
+ * template placeholders are only expanded inside single arguments, except
+ * that an argument consisting of one list placeholder ({sources}, {flags},
+ * {args} in project builds) becomes one argument per item.
+ *
+ * @module ide-core/runtime/LanguageRegistry
+ */
+
+'use strict';
+
+const path = require('path');
+
+/**
+ * Expand {placeholders} in a template
+ * @param {string} template - Template string
+ * @param {Object} vars - Placeholder values
+ * @returns {string}
+ */
+function expand(template, vars) {
+  return String(template).replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+}
+
+/**
+ * Alternatives listed for a command
+ * @param {string|string[]} command - Command or list of alternatives
+ * @returns {string[]}
+ */
+function commandCandidates(command) {
+  return Array.isArray(command) ? command : [command];
+}
+
+/**
+ * LanguageRegistry - Lookup and command building for configured languages
+ */
+class LanguageRegistry {
+  /**
+   * @param {Object} languages - policy.execution.languages, keyed by language id
+   */
+  constructor(languages = {}) {
+    /** @type {Map<string, Object>} Valid entries by id */
+    this.languages = new Map();
+
+    /** @type {Map<string, string>} Language id by lowercase extension */
+    this.byExtension = new Map();
+
+    /** @type {string[]} Entries that were skipped, with the reason */
+    this.errors = [];
+
+    for (const [id, entry] of Object.entries(languages)) {
+      const error = this.validateEntry(entry);
+      if (error) {
+        this.errors.push(`${id}: ${error}`);
+        continue;
+      }
+
+      const language = {
+        id,
+        name: entry.name || id,
+        extensions: entry.extensions.map(ext => ext.toLowerCase()),
+        enabled: entry.enabled !== false,
+        compile: entry.compile || null,
+        run: entry.run,
+        output: entry.output || null,
+        version: entry.version || null,
+        limits: entry.limits || {},
+        project: entry.project || null,
+        repl: entry.repl || null,
+      };
+      this.languages.set(id, language);
+
+      for (const ext of language.extensions) {
+        // Enabled entries win when two languages claim an extension
+        if (!this.byExtension.has(ext) || language.enabled) {
+          this.byExtension.set(ext, id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Check that an entry can be used
+   * @private
+   * @param {Object} entry - Registry entry
+   * @returns {string|null} Problem, or null if valid
+   */
+  validateEntry(entry) {
+    if (!entry || typeof entry !== 'object') {
+      return 'not an object';
+    }
+    if (!Array.isArray(entry.extensions) || entry.extensions.length === 0) {
+      return 'no extensions';
+    }
+    if (!entry.run || !entry.run.command) {
+      return 'no run command';
+    }
+    if (entry.compile && !entry.compile.command) {
+      return 'compile step has no command';
+    }
+    if (entry.repl && (entry.compile || !Array.isArray(entry.repl.args))) {
+      return entry.compile ? 'compiled languages have no REPL' : 'REPL has no arguments';
+    }
+    if (entry.compile && !entry.output) {
+      return 'compiled languages need an output name';
+    }
+    return null;
+  }
+
+  /**
+   * Language for a source file
+   * @param {string} filePath - Source file
+   * @returns {Object|null} Language entry (enabled or not), or null if none matches
+   */
+  findForFile(filePath) {
+    const id = this.byExtension.get(path.extname(filePath).toLowerCase());
+    return id ? this.languages.get(id) : null;
+  }
+
+  /**
+   * Language by id
+   * @param {string} id - Language id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.languages.get(id) || null;
+  }
+
+  /**
+   * All languages, enabled or not
+   * @returns {Object[]}
+   */
+  list() {
+    return [...this.languages.values()];
+  }
+
+  /**
+   * Extensions of enabled languages
+   * @returns {string[]}
+   */
+  getSupportedExtensions() {
+    return [...this.byExtension.entries()]
+      .filter(([, id]) => this.languages.get(id).enabled)
+      .map(([ext]) => ext);
+  }
+
+  /**
+   * Placeholder values for a source file
+   * @param {Object} language - Language entry
+   * @param {string} filePath - Source file
+   * @returns {Object} { file, dir, base, exe, output, args }
+   */
+  getVariables(language, filePath) {
+    const vars = {
+      file: filePath,
+      dir: path.dirname(filePath),
+      base: path.basename(filePath, path.extname(filePath)),
+      exe: process.platform === 'win32' ? '.exe' : '',
+      args: [],
+    };
+    vars.output = language.output ? path.normalize(expand(language.output, vars)) : null;
+    return vars;
+  }
+
+  /**
+   * Placeholder values for a project build (see ProjectManifest)
+   * @param {Object} language - Language entry with a project section
+   * @param {Object} project - From loadProject
+   * @returns {Object} getVariables' values plus { project, root, build, name, entry, sources, flags, args }
+   */
+  getProjectVariables(language, project) {
+    const entryFile = language.project.entry === 'class' ? project.sources[0] : project.entry;
+    const vars = {
+      ...this.getVariables(language, entryFile),
+      project: true,
+      dir: project.root,
+      base: project.name,
+      root: project.root,
+      build: path.join(project.root, 'build'),
+      name: project.name,
+      entry: project.entry,
+      sources: project.sources,
+      flags: project.flags,
+      args: project.args,
+    };
+    const output = language.project.output || language.output;
+    vars.output = output ? path.normalize(expand(output, vars)) : null;
+    return vars;
+  }
+
+  /**
+   * Command for one step of a language
+   *
+   * Project variables select the language's project templates, which
+   * replace a step's arguments but keep its command.
+   *
+   * @param {Object} language - Language entry
+   * @param {string} step - 'compile', 'run', 'version' or 'repl'
+   * @param {Object} vars - From getVariables or getProjectVariables
+   * @param {string} [command] - Alternative to use; defaults to the first listed
+   *   (the REPL step has none of its own and uses the run step's)
+   * @returns {Object|null} { cmd, args }, or null if the language has no such step
+   */
+  buildCommand(language, step, vars, command) {
+    const template = language[step];
+    if (!template) {
+      return null;
+    }
+
+    const projectTemplate = vars.project && language.project ? language.project[step] : null;
+    const args = (projectTemplate || template).args || [];
+
+    return {
+      cmd: expand(command || commandCandidates(template.command || language.run.command)[0], vars),
+      args: args.flatMap((arg) => {
+        const list = /^\{(\w+)\}$/.exec(arg);
+        return list && Array.isArray(vars[list[1]]) ? vars[list[1]] : [expand(arg, vars)];
+      }),
+    };
+  }
+}
+
+module.exports = { LanguageRegistry, commandCandidates, expand };
@@ -0,0 +1,267 @@
+/**
+ * Project Manifest - Multi-file project builds
+ *
+ * A directory containing `ide-project.json` is a project root. Running any
+ * file below it builds the whole project instead of the single file:
+ *
+ *   {
+ *     "name": "bank",
+ *     "language": "cpp",
+ *     "sources": ["src/*.cpp", "main.cpp"],
+ *     "entry": "main.cpp",
+ *     "flags": ["-std=c++17", "-Wall"],
+ *     "args": ["accounts.txt"]
+ *   }
+ *
+ * Source patterns are relative to the root and may use `*` (one path
+ * segment) and `**` (any depth). Compiler flags must match the language's
+ * `project.allowedFlags` from the registry.
+ *
+ * @module ide-core/runtime/ProjectManifest
+ */
+
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/** File name that marks a project root */
+const PROJECT_MANIFEST = 'ide-project.json';
+
+/** Upper bound on files visited while expanding source patterns */
+const MAX_SCANNED_FILES = 2000;
+
+/** Upper bound on sources in one project */
+const MAX_SOURCES = 200;
+
+/**
+ * Whether a path is inside (or equal to) a directory
+ * @param {string} dir - Directory
+ * @param {string} target - Path to check
+ * @returns {boolean}
+ */
+function isInside(dir, target) {
+  const relative = path.relative(dir, target);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Find the nearest directory above a file that contains a given file,
+ * without leaving a boundary
+ * @param {string} filePath - File to start from
+ * @param {string} boundary - Directory the search stops at (the sandbox)
+ * @param {string} fileName - File to look for
+ * @returns {Promise<string|null>} Directory, or null if none has the file
+ */
+async function findManifestDir(filePath, boundary, fileName) {
+  let dir = path.dirname(filePath);
+  while (isInside(boundary, dir)) {
+    try {
+      await fs.access(path.join(dir, fileName));
+      return dir;
+    } catch {
+      // Not here
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      break;
+    }
+    dir = parent;
+  }
+  return null;
+}
+
+/**
+ * Find the nearest project root above a file, without leaving a boundary
+ * @param {string} filePath - File being run
+ * @param {string} boundary - Directory the search stops at (the sandbox)
+ * @returns {Promise<string|null>} Project root, or null for a single file
+ */
+function findProjectRoot(filePath, boundary) {
+  return findManifestDir(filePath, boundary, PROJECT_MANIFEST);
+}
+
+/**
+ * Regular expression for a source pattern
+ * @param {string} pattern - Pattern relative to the root, '/'-separated
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+  const source = pattern
+    .split('/')
+    .map((segment) => {
+      if (segment === '**') {
+        return '(?:[^/]+/)*';
+      }
+      const escaped = segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]');
+      return `${escaped}/`;
+    })
+    .join('');
+  // Every segment added a trailing '/', which the file itself does not have
+  return new RegExp(`^${source.replace(/\/$/, '')}$`);
+}
+
+/**
+ * Files below a directory as '/'-separated relative paths
+ * @param {string} root - Directory to walk
+ * @returns {Promise<string[]>}
+ */
+async function listFiles(root) {
+  const files = [];
+  const pending = [''];
+  while (pending.length > 0 && files.length < MAX_SCANNED_FILES) {
+    const relativeDir = pending.shift();
+    const entries = await fs.readdir(path.join(root, relativeDir), { withFileTypes: true });
+    for (const entry of entries) {
+      const relative = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        pending.push(relative);
+      } else if (entry.isFile()) {
+        files.push(relative);
+      }
+    }
+  }
+  return files;
+}
+
+/**
+ * Expand source patterns to absolute paths, in pattern order
+ * @param {string} root - Project root
+ * @param {string[]} patterns - Source patterns
+ * @returns {Promise<string[]>}
+ * @throws {Error} If a pattern escapes the root or matches nothing
+ */
+async function expandSources(root, patterns) {
+  const files = await listFiles(root);
+  const sources = [];
+
+  for (const pattern of patterns) {
+    const normalized = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+    if (path.isAbsolute(pattern) || normalized.split('/').includes('..')) {
+      throw new Error(`Source "${pattern}" must be inside the project`);
+    }
+
+    const regex = patternToRegExp(normalized);
+    const matches = files.filter(file => regex.test(file)).sort();
+    if (matches.length === 0) {
+      throw new Error(`Source "${pattern}" matches no files`);
+    }
+    for (const match of matches) {
+      const absolute = path.join(root, match);
+      if (!sources.includes(absolute)) {
+        sources.push(absolute);
+      }
+    }
+  }
+
+  if (sources.length > MAX_SOURCES) {
+    throw new Error(`Projects may have at most ${MAX_SOURCES} sources`);
+  }
+  return sources;
+}
+
+/**
+ * Reject compiler flags the language does not allow
+ * @param {string[]} flags - Flags from the manifest
+ * @param {string[]} allowedFlags - Anchored regular expressions from the registry
+ * @throws {Error} Naming the first flag that is not allowed
+ */
+function checkFlags(flags, allowedFlags = []) {
+  const allowed = allowedFlags.map(pattern => new RegExp(pattern));
+  for (const flag of flags) {
+    if (!allowed.some(regex => regex.test(flag))) {
+      throw new Error(`Compiler flag not allowed: ${flag}`);
+    }
+  }
+}
+
+/**
+ * Read and validate a project manifest
+ * @param {string} root - Project root
+ * @param {LanguageRegistry} registry - Language registry
+ * @returns {Promise<Object>} { root, name, language, sources, entry, flags, args }
+ * @throws {Error} If the manifest is invalid
+ */
+async function loadProject(root, registry) {
+  const manifestPath = path.join(root, PROJECT_MANIFEST);
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid ${PROJECT_MANIFEST}: ${error.message}`);
+  }
+
+  const stringList = (value, field) => {
+    if (value === undefined) {
+      return [];
+    }
+    if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+      throw new Error(`Invalid ${PROJECT_MANIFEST}: "${field}" must be a list of strings`);
+    }
+    return value;
+  };
+
+  const patterns = stringList(manifest.sources, 'sources');
+  if (patterns.length === 0) {
+    throw new Error(`Invalid ${PROJECT_MANIFEST}: "sources" is required`);
+  }
+  const flags = stringList(manifest.flags, 'flags');
+  const args = stringList(manifest.args, 'args');
+  const sources = await expandSources(root, patterns);
+
+  const language = manifest.language
+    ? registry.get(manifest.language)
+    : registry.findForFile(manifest.entry || sources[0]);
+  if (!language) {
+    throw new Error(`Invalid ${PROJECT_MANIFEST}: unknown language "${manifest.language || path.extname(sources[0])}"`);
+  }
+  if (!language.project) {
+    throw new Error(`${language.name} does not support project builds`);
+  }
+
+  checkFlags(flags, language.project.allowedFlags);
+
+  // The name becomes the executable's file name
+  const name = manifest.name === undefined
+    ? path.basename(root).replace(/[^\w.-]/g, '_')
+    : manifest.name;
+  if (typeof name !== 'string' || !/^\w[\w.-]*$/.test(name)) {
+    throw new Error(`Invalid ${PROJECT_MANIFEST}: "name" may only contain letters, digits, '.', '-' and '_'`);
+  }
+
+  let entry = manifest.entry || null;
+  if (language.project.entry === 'class') {
+    // Java-style entry points are class names, defaulting to the first source
+    entry = entry || path.basename(sources[0], path.extname(sources[0]));
+    if (!/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(entry)) {
+      throw new Error(`Invalid ${PROJECT_MANIFEST}: "entry" must be a class name`);
+    }
+  } else if (entry) {
+    entry = path.resolve(root, entry);
+    if (!isInside(root, entry)) {
+      throw new Error(`Invalid ${PROJECT_MANIFEST}: "entry" must be inside the project`);
+    }
+  } else {
+    entry = sources[0];
+  }
+
+  return {
+    root,
+    name,
+    language,
+    sources,
+    entry,
+    flags,
+    args,
+  };
+}
+
+module.exports = {
+  PROJECT_MANIFEST,
+  checkFlags,
+  expandSources,
+  findManifestDir,
+  findProjectRoot,
+  isInside,
+  loadProject,
+};
@@ -0,0 +1,196 @@
+/**
+ * Run Configurations - Program arguments, stdin file, environment and
+ * terminal mode per file
+ *
+ * The last configuration used to run each file is kept across restarts.
+ * Arguments are passed to the program as a list, never through a shell;
+ * environment variables must be named in the policy's
+ * execution.allowedEnv. Whether the stdin file may be read is checked by
+ * the caller against the file access policy. Programs run on a terminal
+ * unless `terminal` is false.
+ *
+ * @module ide-core/runtime/RunConfigurations
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/Logger');
+
+const logger = new Logger('RunConfigurations');
+
+/** Most arguments a run may have */
+const MAX_ARGS = 64;
+
+/** Longest argument or environment value, in characters */
+const MAX_VALUE_LENGTH = 4096;
+
+/** Files whose configuration is kept; the least recently used are dropped */
+const MAX_FILES = 500;
+
+/**
+ * Configuration used when a file has none
+ * @returns {Object} { args, stdinFile, env, terminal }
+ */
+function defaultRunConfig() {
+  return { args: [], stdinFile: null, env: {}, terminal: true };
+}
+
+/**
+ * Check a string passed to the program
+ * @param {*} value - Argument or environment value
+ * @param {string} what - Description for errors
+ * @returns {string}
+ * @throws {Error} If it is not a usable string
+ */
+function checkValue(value, what) {
+  if (typeof value !== 'string') {
+    throw new Error(`${what} must be text`);
+  }
+  if (value.length > MAX_VALUE_LENGTH) {
+    throw new Error(`${what} is longer than ${MAX_VALUE_LENGTH} characters`);
+  }
+  if (value.includes('\0')) {
+    throw new Error(`${what} contains a NUL character`);
+  }
+  return value;
+}
+
+/**
+ * Validate and normalize a run configuration
+ * @param {Object} runConfig - { args, stdinFile, env, terminal } from the renderer
+ * @param {string[]} [allowedEnv] - Variable names the policy allows
+ * @returns {Object} { args, stdinFile, env, terminal }
+ * @throws {Error} Describing the first problem
+ */
+function validateRunConfig(runConfig, allowedEnv = []) {
+  if (!runConfig || typeof runConfig !== 'object') {
+    throw new Error('Run configuration must be an object');
+  }
+
+  const args = runConfig.args ?? [];
+  if (!Array.isArray(args)) {
+    throw new Error('Program arguments must be a list');
+  }
+  if (args.length > MAX_ARGS) {
+    throw new Error(`Programs may have at most ${MAX_ARGS} arguments`);
+  }
+  args.forEach((arg, index) => checkValue(arg, `Argument ${index + 1}`));
+
+  const stdinFile = runConfig.stdinFile || null;
+  if (stdinFile !== null && (typeof stdinFile !== 'string' || !path.isAbsolute(stdinFile))) {
+    throw new Error('Input file must be an absolute path');
+  }
+
+  const env = runConfig.env ?? {};
+  if (typeof env !== 'object' || Array.isArray(env)) {
+    throw new Error('Environment variables must be an object');
+  }
+  for (const [name, value] of Object.entries(env)) {
+    if (!allowedEnv.includes(name)) {
+      throw new Error(`Environment variable ${name} is not allowed by policy`);
+    }
+    checkValue(value, `Environment variable ${name}`);
+  }
+
+  const terminal = runConfig.terminal ?? true;
+  if (typeof terminal !== 'boolean') {
+    throw new Error('Terminal mode must be true or false');
+  }
+
+  return { args: [...args], stdinFile: stdinFile && path.resolve(stdinFile), env: { ...env }, terminal };
+}
+
+/**
+ * RunConfigurations - Last run configuration per file
+ */
+class RunConfigurations {
+  /**
+   * @param {string} filePath - JSON file holding the configurations
+   */
+  constructor(filePath) {
+    /** @type {string} Configurations file */
+    this.filePath = filePath;
+
+    /** @type {Object} { [sourcePath]: { args, stdinFile, env, terminal, usedAt } } */
+    this.files = this.load();
+  }
+
+  /**
+   * Read the configurations file
+   * @private
+   * @returns {Object} Configurations by source path
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).files || {};
+    } catch (error) {
+      logger.error(`Failed to read run configurations, starting empty: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Write the configurations file, keeping the most recently used files
+   * @private
+   */
+  save() {
+    const sources = Object.keys(this.files);
+    if (sources.length > MAX_FILES) {
+      sources
+        .sort((a, b) => this.files[a].usedAt - this.files[b].usedAt)
+        .slice(0, sources.length - MAX_FILES)
+        .forEach(source => delete this.files[source]);
+    }
+
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    // Write then rename so a crash never leaves a truncated file
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ files: this.files }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Last configuration used for a file
+   * @param {string} sourcePath - File that was run
+   * @returns {Object} { args, stdinFile, env, terminal }
+   */
+  get(sourcePath) {
+    const stored = this.files[sourcePath];
+    if (!stored) {
+      return defaultRunConfig();
+    }
+    return {
+      args: [...stored.args],
+      stdinFile: stored.stdinFile,
+      env: { ...stored.env },
+      // Saved before terminal mode existed
+      terminal: stored.terminal ?? true,
+    };
+  }
+
+  /**
+   * Remember the configuration used for a file
+   * @param {string} sourcePath - File that was run
+   * @param {Object} runConfig - Validated configuration
+   */
+  set(sourcePath, runConfig) {
+    this.files[sourcePath] = { ...runConfig, usedAt: Date.now() };
+    try {
+      this.save();
+    } catch (error) {
+      logger.error(`Failed to save run configurations: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { RunConfigurations, defaultRunConfig, validateRunConfig };
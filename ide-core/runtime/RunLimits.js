@@ -0,0 +1,334 @@
+/**
+ * Run Limits - Per-language resource limits for user programs
+ *
+ * Limits come from the policy's `execution` section, layered as
+ *   execution.limits < execution.languages[id].limits
+ * CPU time, memory and file size are also set as rlimits by the
+ * ExecutionSandbox; wall time, output size, resident memory and process
+ * count are watched here so the run can end with a distinct reason.
+ * Interactive sessions (the REPL) also get an idle limit: the time allowed
+ * without input from the user.
+ *
+ * @module ide-core/runtime/RunLimits
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+/** Exit reasons sent with NOTIFY_CODE_EXIT when a limit ends a run */
+const ExitReasons = {
+  TIME_LIMIT: 'TIME_LIMIT',
+  CPU_LIMIT: 'CPU_LIMIT',
+  MEMORY_LIMIT: 'MEMORY_LIMIT',
+  OUTPUT_LIMIT: 'OUTPUT_LIMIT',
+  PROCESS_LIMIT: 'PROCESS_LIMIT',
+  FILE_SIZE_LIMIT: 'FILE_SIZE_LIMIT',
+  IDLE_LIMIT: 'IDLE_LIMIT',
+};
+
+/** How often the process tree is sampled for memory and process count */
+const SAMPLE_INTERVAL = 500;
+
+/** Signals the kernel sends when an rlimit is reached */
+const SIGNAL_REASONS = {
+  SIGXCPU: { reason: ExitReasons.CPU_LIMIT, number: 24 },
+  SIGXFSZ: { reason: ExitReasons.FILE_SIZE_LIMIT, number: 25 },
+};
+
+/**
+ * Effective limits for a language
+ * @param {Object} execution - policy.execution
+ * @param {Object} language - LanguageRegistry entry
+ * @returns {Object} { wallSeconds, cpuSeconds, memoryMB, fileSizeMB, outputKB, processes }
+ */
+function resolveLimits(execution = {}, language = {}) {
+  return {
+    ...config.execution.limits,
+    ...(execution.limits || {}),
+    ...(language.limits || {}),
+  };
+}
+
+/**
+ * Exit reason for a program killed by an rlimit signal
+ * @param {number|null} code - Exit code
+ * @param {string|null} signal - Signal name
+ * @param {boolean} viaBwrap - bwrap reports a child's signal as exit code 128 + signal
+ * @returns {string|null} Exit reason, or null if no rlimit was hit
+ */
+function signalExitReason(code, signal, viaBwrap) {
+  for (const [name, { reason, number }] of Object.entries(SIGNAL_REASONS)) {
+    if (signal === name || (viaBwrap && code === 128 + number)) {
+      return reason;
+    }
+  }
+  return null;
+}
+
+/**
+ * Executable of a process (Linux /proc)
+ * @param {number} pid - Process ID
+ * @returns {string|null} Path, or null for other users' processes and exited ones
+ */
+function readExecutable(pid) {
+  try {
+    return fs.readlinkSync(`/proc/${pid}/exe`).replace(/ \(deleted\)$/, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Processes of a tree (Linux /proc)
+ * @param {number} rootPid - Root of the tree
+ * @returns {Object[]|null} [{ pid, name, path }], root first, or null if /proc
+ *   is unavailable; path is the executable, null where it cannot be read
+ */
+function listProcessTree(rootPid) {
+  let entries;
+  try {
+    entries = fs.readdirSync('/proc');
+  } catch {
+    return null;
+  }
+
+  const children = new Map();
+  const names = new Map();
+  for (const entry of entries) {
+    if (!/^\d+$/.test(entry)) {
+      continue;
+    }
+    try {
+      const stat = fs.readFileSync(`/proc/${entry}/stat`, 'utf8');
+      // The comm field may contain spaces, so split after its closing paren
+      const close = stat.lastIndexOf(')');
+      const ppid = Number(stat.slice(close + 2).split(' ')[1]);
+      names.set(Number(entry), stat.slice(stat.indexOf('(') + 1, close));
+      if (!children.has(ppid)) {
+        children.set(ppid, []);
+      }
+      children.get(ppid).push(Number(entry));
+    } catch {
+      // Exited while scanning
+    }
+  }
+
+  const tree = [];
+  const pending = [rootPid];
+  while (pending.length > 0) {
+    const pid = pending.shift();
+    pending.push(...(children.get(pid) || []));
+    tree.push({ pid, name: names.get(pid), path: readExecutable(pid) });
+  }
+  return tree;
+}
+
+/**
+ * Resident memory and process count of a process tree (Linux /proc)
+ * @param {number} rootPid - Root of the tree
+ * @param {string[]} launchers - Wrapper paths not counted as program processes
+ * @returns {Object|null} { rssKB, processes }, or null if /proc is unavailable
+ */
+function sampleProcessTree(rootPid, launchers = []) {
+  const tree = listProcessTree(rootPid);
+  if (!tree) {
+    return null;
+  }
+
+  let rssKB = 0;
+  let processes = 0;
+  for (const { pid, path: executable } of tree) {
+    if (!launchers.includes(executable)) {
+      processes++;
+    }
+    try {
+      const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+      const match = status.match(/^VmRSS:\s+(\d+) kB/m);
+      rssKB += match ? Number(match[1]) : 0;
+    } catch {
+      // Exited while scanning
+    }
+  }
+
+  return { rssKB, processes };
+}
+
+/**
+ * Summary of the limits watched during a run, for the run header
+ * @param {Object} limits - Effective limits
+ * @returns {string}
+ */
+function describeRunLimits(limits) {
+  const parts = [];
+  if (limits.wallSeconds > 0) {
+    parts.push(`${limits.wallSeconds}s wall time`);
+  }
+  if (limits.idleSeconds > 0) {
+    parts.push(`${limits.idleSeconds}s without input`);
+  }
+  if (limits.outputKB > 0) {
+    parts.push(`${limits.outputKB} KB output`);
+  }
+  return parts.length > 0 ? `Run limits: ${parts.join(', ')}` : 'Run limits: none';
+}
+
+/**
+ * RunMonitor - Watches one running program against its limits
+ */
+class RunMonitor {
+  /**
+   * @param {ChildProcess} child - Program root process
+   * @param {Object} limits - Effective limits, plus idleSeconds for interactive sessions
+   * @param {Object} options - { launchers, onLimit(reason, detail) }
+   */
+  constructor(child, limits, options = {}) {
+    this.child = child;
+    this.limits = limits;
+    this.launchers = options.launchers || [];
+    this.onLimit = options.onLimit || (() => {});
+
+    /** @type {Object|null} { reason, detail } of the first limit hit */
+    this.exceeded = null;
+
+    /** @type {number} stdout + stderr bytes seen */
+    this.outputBytes = 0;
+
+    /** @type {Object|null} Last { rssKB, processes } sample of the process tree */
+    this.usage = null;
+
+    this.wallTimer = null;
+    this.idleTimer = null;
+    this.sampleTimer = null;
+  }
+
+  /**
+   * Start the wall-time and idle timers and tree sampling
+   */
+  start() {
+    const { wallSeconds, memoryMB, processes } = this.limits;
+
+    if (wallSeconds > 0) {
+      this.wallTimer = setTimeout(() => {
+        this.exceed(ExitReasons.TIME_LIMIT, `ran longer than ${wallSeconds}s`);
+      }, wallSeconds * 1000);
+    }
+    this.recordInput();
+
+    if (process.platform === 'linux' && (memoryMB > 0 || processes > 0)) {
+      this.sampleTimer = setInterval(() => this.sample(), SAMPLE_INTERVAL);
+    }
+  }
+
+  /**
+   * Restart the idle timer, when the user has sent input
+   */
+  recordInput() {
+    const { idleSeconds } = this.limits;
+    if (!(idleSeconds > 0) || this.exceeded) {
+      return;
+    }
+
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      this.exceed(ExitReasons.IDLE_LIMIT, `had no input for ${idleSeconds}s`);
+    }, idleSeconds * 1000);
+  }
+
+  /**
+   * Check memory and process count
+   * @private
+   */
+  sample() {
+    const usage = sampleProcessTree(this.child.pid, this.launchers);
+    if (!usage) {
+      return;
+    }
+    this.usage = usage;
+
+    const { memoryMB, processes } = this.limits;
+    if (memoryMB > 0 && usage.rssKB > memoryMB * 1024) {
+      this.exceed(ExitReasons.MEMORY_LIMIT, `used more than ${memoryMB} MB of memory`);
+    } else if (processes > 0 && usage.processes > processes) {
+      this.exceed(ExitReasons.PROCESS_LIMIT, `started more than ${processes} processes`);
+    }
+  }
+
+  /**
+   * Count program output
+   * @param {number} bytes - Size of the chunk
+   * @returns {boolean} Whether the chunk fits within the output limit
+   */
+  addOutput(bytes) {
+    if (this.exceeded) {
+      return false;
+    }
+
+    this.outputBytes += bytes;
+    const { outputKB } = this.limits;
+    if (outputKB > 0 && this.outputBytes > outputKB * 1024) {
+      this.exceed(ExitReasons.OUTPUT_LIMIT, `printed more than ${outputKB} KB`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Record the first limit hit and let the owner stop the program
+   * @private
+   */
+  exceed(reason, detail) {
+    if (this.exceeded) {
+      return;
+    }
+    this.exceeded = { reason, detail };
+    this.stop();
+    this.onLimit(reason, detail);
+  }
+
+  /**
+   * Exit reason once the program has exited
+   * @param {number|null} code - Exit code
+   * @param {string|null} signal - Signal name
+   * @returns {Object|null} { reason, detail }, or null for a normal exit
+   */
+  getExitReason(code, signal) {
+    if (this.exceeded) {
+      return this.exceeded;
+    }
+
+    const viaBwrap = this.launchers.some(launcher => path.basename(launcher) === 'bwrap');
+    const reason = signalExitReason(code, signal, viaBwrap);
+    if (reason === ExitReasons.CPU_LIMIT) {
+      return { reason, detail: `used more than ${this.limits.cpuSeconds}s of CPU time` };
+    }
+    if (reason === ExitReasons.FILE_SIZE_LIMIT) {
+      return { reason, detail: `wrote a file larger than ${this.limits.fileSizeMB} MB` };
+    }
+    return null;
+  }
+
+  /**
+   * Stop all timers
+   */
+  stop() {
+    clearTimeout(this.wallTimer);
+    clearTimeout(this.idleTimer);
+    clearInterval(this.sampleTimer);
+    this.wallTimer = null;
+    this.idleTimer = null;
+    this.sampleTimer = null;
+  }
+}
+
+module.exports = {
+  ExitReasons,
+  RunMonitor,
+  describeRunLimits,
+  listProcessTree,
+  resolveLimits,
+  sampleProcessTree,
+  signalExitReason,
+};
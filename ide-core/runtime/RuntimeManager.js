@@ -46,6 +46,23 @@ class RuntimeManager {
     /** @type {boolean} Admin exit requested */
     this.adminExitRequested = false;
     
+    /** @type {Object} End-of-session enforcement: open, ended (locked) or overridden by an admin */
+    this.timeSession = {
+      status: 'open',
+      reason: null,
+      endedAt: null,
+      warned: new Set(),
+    };
+    
+    /** @type {Function[]} Session event callbacks */
+    this.sessionCallbacks = [];
+    
+    /** @type {Function|null} Returns seconds since the last user input */
+    this.idleProbe = null;
+    
+    /** @type {number|null} When active time was last counted */
+    this.lastTimeCheck = null;
+    
     /** @type {string} Admin password hash path */
     this.adminHashPath = path.join(config.paths.config, 'admin.hash');
   }
@@ -222,6 +239,17 @@ class RuntimeManager {
     return true;
   }
 
+  /**
+   * Identifier of the current admin session, used as the author of changes
+   * @returns {string|null} Session ID, or null when no admin is logged in
+   */
+  getAdminSessionId() {
+    if (!this.isAdminAuthenticated()) {
+      return null;
+    }
+    return `admin-session:${this.adminSession.token.slice(0, 8)}`;
+  }
+
   /**
    * Validate admin token
    * @param {string} token - Admin token
@@ -331,16 +359,190 @@ class RuntimeManager {
    * @private
    */
   startTimeMonitor() {
-    // Check time rules every minute
-    this.timeMonitorInterval = setInterval(() => {
-      if (this.policyEngine) {
-        const timeAllowed = this.policyEngine.validateTime();
-        if (!timeAllowed) {
-          logger.security('TIME_RESTRICTION_TRIGGERED');
-          // TODO: Notify renderer about time restriction
-        }
+    this.checkSessionTime();
+    this.timeMonitorInterval = setInterval(() => this.checkSessionTime(), config.session.checkInterval);
+  }
+
+  /**
+   * Compare the time left in the schedule window against the warning
+   * thresholds, and end the session once the window has closed
+   * @private
+   */
+  checkSessionTime() {
+    if (!this.policyEngine) {
+      return;
+    }
+    
+    // Count quota time only while the session is unlocked; a long gap
+    // (suspend, debugger) counts as one interval at most
+    const now = Date.now();
+    const elapsed = this.lastTimeCheck ? Math.min(now - this.lastTimeCheck, config.session.checkInterval * 2) : 0;
+    this.lastTimeCheck = now;
+    if (elapsed > 0 && this.timeSession.status !== 'ended') {
+      this.policyEngine.recordActiveTime(elapsed, { idleSeconds: this.idleProbe ? this.idleProbe() : 0 });
+    }
+    
+    const remaining = this.policyEngine.getTimeRemaining();
+    const thresholds = this.policyEngine.getTimeWarnings();
+    
+    if (remaining === null || remaining > 0) {
+      // An admin override lasts until the schedule allows access again
+      if (this.timeSession.status === 'overridden') {
+        this.timeSession.status = 'open';
+      }
+      
+      // A new window (or a longer one after a policy change) re-arms the warnings
+      if (remaining === null || remaining > Math.max(0, ...thresholds) * 60000) {
+        this.timeSession.warned.clear();
+        return;
       }
-    }, 60000);
+      
+      const crossed = thresholds.filter(minutes => remaining <= minutes * 60000);
+      const pending = crossed.filter(minutes => !this.timeSession.warned.has(minutes));
+      if (this.timeSession.status !== 'open' || pending.length === 0) {
+        return;
+      }
+      
+      // Warn once for the closest threshold; skipped larger ones count as warned
+      crossed.forEach(minutes => this.timeSession.warned.add(minutes));
+      const warning = {
+        remaining: Math.ceil(remaining / 60000),
+        remainingMs: remaining,
+        threshold: Math.min(...pending),
+        endsAt: Date.now() + remaining,
+      };
+      this.auditSessionStage('TIME_WARNING', warning);
+      this.notifySessionEvent({ stage: 'warning', ...warning });
+      return;
+    }
+    
+    if (this.timeSession.status === 'open') {
+      // Record the denial as a policy decision before enforcing it
+      this.policyEngine.validateTime();
+      logger.security('TIME_RESTRICTION_TRIGGERED');
+      this.endSession(this.policyEngine.explain('time').reason || 'Allowed time is over');
+    }
+  }
+
+  /**
+   * Set how idle time is measured (Electron's powerMonitor in the app)
+   * @param {Function} probe - Returns seconds since the last user input
+   */
+  setIdleProbe(probe) {
+    this.idleProbe = probe;
+  }
+
+  /**
+   * End the session: lock the UI until an admin dismisses it
+   * @param {string} reason - Shown on the session-ended screen
+   */
+  endSession(reason) {
+    if (this.timeSession.status === 'ended') {
+      return;
+    }
+    
+    this.timeSession.status = 'ended';
+    this.timeSession.reason = reason;
+    this.timeSession.endedAt = Date.now();
+    
+    this.auditSessionStage('ENDED', { reason });
+    this.notifySessionEvent({ stage: 'ended', reason, endedAt: this.timeSession.endedAt });
+  }
+
+  /**
+   * Lock the station now (admin): the session ends as when time is over,
+   * so running programs and REPL sessions are stopped
+   * @param {string|null} author - Admin session ID
+   * @returns {Object} Session status after locking
+   */
+  lockSession(author) {
+    if (this.timeSession.status === 'ended') {
+      throw new Error('Session is already locked');
+    }
+    
+    logger.security('SESSION_LOCKED', { author });
+    this.endSession('Locked by an administrator');
+    
+    return this.getSessionStatus();
+  }
+
+  /**
+   * Dismiss the session-ended screen (admin). If the schedule is still
+   * closed, the session stays open until the next window starts.
+   * @param {string|null} author - Admin session ID
+   * @returns {Object} Session status after the dismissal
+   */
+  dismissSessionLock(author) {
+    if (this.timeSession.status !== 'ended') {
+      throw new Error('Session is not locked');
+    }
+    
+    this.timeSession.status = 'overridden';
+    this.timeSession.reason = null;
+    this.timeSession.endedAt = null;
+    
+    logger.security('SESSION_LOCK_DISMISSED', { author });
+    this.auditSessionStage('UNLOCKED', { author });
+    this.notifySessionEvent({ stage: 'unlocked', author });
+    
+    return this.getSessionStatus();
+  }
+
+  /**
+   * Whether the session has ended and is waiting for an admin
+   * @returns {boolean}
+   */
+  isSessionLocked() {
+    return this.timeSession.status === 'ended';
+  }
+
+  /**
+   * End-of-session state for the renderer
+   * @returns {Object} { status, reason, endedAt }
+   */
+  getSessionStatus() {
+    return {
+      status: this.timeSession.status,
+      reason: this.timeSession.reason,
+      endedAt: this.timeSession.endedAt,
+    };
+  }
+
+  /**
+   * Record a stage of end-of-session enforcement in the log and the audit trail
+   * @param {string} stage - TIME_WARNING, ENDED, AUTOSAVE, PROGRAM_STOPPED, UNLOCKED
+   * @param {Object} data - Stage details
+   */
+  auditSessionStage(stage, data = {}) {
+    logger.audit(`SESSION_${stage}`, data);
+    this.policyEngine?.auditLog.append(`SESSION_${stage}`, {
+      data: { sessionId: this.state.sessionId, ...data },
+      allowed: stage !== 'ENDED',
+      reason: data.reason || null,
+    });
+  }
+
+  /**
+   * Register a callback for session warnings and end-of-session events
+   * @param {Function} callback - Called with { stage, ... }
+   */
+  onSessionEvent(callback) {
+    this.sessionCallbacks.push(callback);
+  }
+
+  /**
+   * Notify all session event callbacks
+   * @private
+   * @param {Object} sessionEvent - { stage, ... }
+   */
+  notifySessionEvent(sessionEvent) {
+    for (const callback of this.sessionCallbacks) {
+      try {
+        callback(sessionEvent);
+      } catch (error) {
+        logger.error('Session event callback error:', error);
+      }
+    }
   }
 
   /**
@@ -352,6 +554,7 @@ class RuntimeManager {
       ...this.state,
       uptime: this.state.startTime ? Date.now() - this.state.startTime : 0,
       adminAuthenticated: this.isAdminAuthenticated(),
+      timeSession: this.getSessionStatus(),
     };
   }
 
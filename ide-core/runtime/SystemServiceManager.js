@@ -12,6 +12,7 @@
 'use strict';
 
 const { Logger } = require('../utils/Logger');
+const { platformEntries } = require('../policy/rules/ProcessRule');
 const config = require('../config');
 
 const logger = new Logger('SystemServiceManager');
@@ -40,6 +41,9 @@ class SystemServiceManager {
     
     /** @type {boolean} Whether services are initialized */
     this.initialized = false;
+    
+    // Push policy changes (hot reload, updates, rollbacks) to running services
+    this.policyEngine.onPolicyChange((policy) => this.applyPolicy(policy));
   }
 
   /**
@@ -138,9 +142,6 @@ class SystemServiceManager {
     logger.info('Starting input control...');
 
     try {
-      // Configure blocked key combinations from policy
-      const blockedCombos = config.inputControl.blockedCombinations;
-      
       // Initialize keyboard hook
       if (this.inputControl.initKeyboardHook) {
         this.inputControl.initKeyboardHook((keys) => {
@@ -151,9 +152,7 @@ class SystemServiceManager {
       }
 
       // Set blocked combinations
-      if (this.inputControl.setBlockedCombinations) {
-        this.inputControl.setBlockedCombinations(blockedCombos);
-      }
+      this.configureInputControl(this.policyEngine.getPolicy());
 
       // Configure mouse restriction
       if (config.inputControl.mouseRestriction.enabled) {
@@ -179,24 +178,24 @@ class SystemServiceManager {
     logger.info('Starting process control...');
 
     try {
-      // Configure process whitelist/blacklist
-      if (this.processControl.setWhitelist) {
-        this.processControl.setWhitelist(config.processControl.whitelist);
-      }
-
-      if (this.processControl.setBlacklist) {
-        this.processControl.setBlacklist(config.processControl.blacklist);
-      }
+      // Configure mode and lists from the active process policy
+      this.configureProcessControl(this.policyEngine.getPolicy());
 
       // Start monitoring
       if (this.processControl.startMonitoring) {
         this.processControl.startMonitoring({
           interval: config.processControl.monitorInterval,
           onUnauthorized: (processInfo) => {
+            // Programs spawned by user code have their own policy section
+            if (processInfo.trustClass === 'user-code') {
+              this.policyEngine.reportUserCodeProcess(processInfo);
+              return false;
+            }
+
             logger.security('UNAUTHORIZED_PROCESS', processInfo);
             
-            // Validate through policy engine
-            const allowed = this.policyEngine.validateProcess(processInfo.name);
+            // Validate through policy engine (exact path when known)
+            const allowed = this.policyEngine.validateProcess(processInfo.path || processInfo.name);
             
             if (!allowed && config.processControl.killUnauthorized) {
               this.killProcess(processInfo.pid);
@@ -223,14 +222,7 @@ class SystemServiceManager {
 
     try {
       // Configure sandbox
-      if (this.fsSandbox.configure) {
-        this.fsSandbox.configure({
-          sandboxRoot: config.fsSandbox.sandboxRoot,
-          allowedExtensions: config.fsSandbox.allowedExtensions,
-          maxFileSize: config.fsSandbox.maxFileSize,
-          deniedPaths: config.fsSandbox.deniedPaths,
-        });
-      }
+      this.configureFsSandbox(this.policyEngine.getPolicy());
 
       // Initialize sandbox
       if (this.fsSandbox.initialize) {
@@ -244,6 +236,107 @@ class SystemServiceManager {
     }
   }
 
+  /**
+   * Push blocked key combinations (config plus keyboard policy) to input control
+   * @private
+   * @param {Object} policy - Active policy
+   */
+  configureInputControl(policy) {
+    if (!this.inputControl.setBlockedCombinations) {
+      return;
+    }
+
+    const keyboardPolicy = policy.keyboard || {};
+    const policyCombos = keyboardPolicy.mode === 'blacklist'
+      ? (keyboardPolicy.blocked || []).map(entry => entry.keys)
+      : [];
+
+    this.inputControl.setBlockedCombinations([
+      ...config.inputControl.blockedCombinations,
+      ...policyCombos,
+    ]);
+  }
+
+  /**
+   * Push mode and process lists to process control
+   * @private
+   * @param {Object} policy - Active policy
+   */
+  configureProcessControl(policy) {
+    const processPolicy = policy.processes || {};
+
+    if (this.processControl.setMode) {
+      this.processControl.setMode(processPolicy.mode);
+    }
+
+    if (this.processControl.setProtected) {
+      this.processControl.setProtected(platformEntries(processPolicy, 'protected'));
+    }
+
+    if (this.processControl.setWhitelist) {
+      this.processControl.setWhitelist(platformEntries(processPolicy, 'allowed'));
+    }
+
+    if (this.processControl.setBlacklist) {
+      this.processControl.setBlacklist([
+        ...config.processControl.blacklist,
+        ...platformEntries(processPolicy, 'blocked'),
+      ]);
+    }
+
+    if (this.processControl.setUserCodePolicy) {
+      this.processControl.setUserCodePolicy(processPolicy.userCode || {});
+    }
+  }
+
+  /**
+   * Push sandbox settings from the file access policy to the fs sandbox
+   * @private
+   * @param {Object} policy - Active policy
+   */
+  configureFsSandbox(policy) {
+    if (!this.fsSandbox.configure) {
+      return;
+    }
+
+    const fileAccess = policy.fileAccess || {};
+
+    this.fsSandbox.configure({
+      sandboxRoot: fileAccess.sandboxPath || config.fsSandbox.sandboxRoot,
+      allowedExtensions: fileAccess.allowedExtensions || config.fsSandbox.allowedExtensions,
+      maxFileSize: fileAccess.maxFileSize || config.fsSandbox.maxFileSize,
+      deniedPaths: fileAccess.deniedPaths || config.fsSandbox.deniedPaths,
+    });
+  }
+
+  /**
+   * Reconfigure running services after the policy changed
+   * @param {Object} policy - New active policy
+   */
+  applyPolicy(policy) {
+    if (!this.running) {
+      return;
+    }
+
+    logger.info('Applying new policy to system services');
+
+    try {
+      if (this.inputControl && config.kioskMode.enabled) {
+        this.configureInputControl(policy);
+      }
+
+      if (this.processControl && config.kioskMode.enabled) {
+        this.configureProcessControl(policy);
+      }
+
+      if (this.fsSandbox) {
+        this.configureFsSandbox(policy);
+      }
+    } catch (error) {
+      logger.error('Failed to apply policy to system services:', error.message);
+    }
+  }
+
   /**
    * Kill a process by PID
    * @param {number} pid - Process ID
@@ -267,6 +360,27 @@ class SystemServiceManager {
     }
   }
 
+  /**
+   * Register a user program so its descendants are judged by processes.userCode
+   * @param {number} pid - PID of the program started by the code runner
+   * @param {string[]} [launchers] - Paths of the sandbox wrappers the program runs under
+   */
+  registerUserProgram(pid, launchers = []) {
+    if (this.processControl && this.processControl.registerUserCodeRoot && pid) {
+      this.processControl.registerUserCodeRoot(pid, launchers);
+    }
+  }
+
+  /**
+   * Forget a user program once it has exited
+   * @param {number} pid - PID passed to registerUserProgram
+   */
+  unregisterUserProgram(pid) {
+    if (this.processControl && this.processControl.unregisterUserCodeRoot && pid) {
+      this.processControl.unregisterUserCodeRoot(pid);
+    }
+  }
+
   /**
    * Stop all system services
    * @returns {Promise<void>}
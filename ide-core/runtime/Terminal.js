@@ -0,0 +1,341 @@
+/**
+ * Terminal - Pseudo-terminal stdio for user programs
+ *
+ * A terminal run gets the slave side of a pty as stdin, stdout and stderr,
+ * so isatty() is true: output is line-buffered, prompts appear before
+ * input is read, and programs may use colors and cursor movement. The pty
+ * is only the program's stdio; the program is still spawned through the
+ * ExecutionSandbox, so the seccomp filter on fd 3 and the launchers stay
+ * as they are. Raw bytes read from the master side go to the renderer,
+ * and keystrokes from it are written back.
+ *
+ * Sandboxed programs run in a session of their own, so the pty is never
+ * their controlling terminal and the kernel cannot signal them: SIGINT
+ * for Ctrl+C and SIGWINCH for size changes are sent by signalProgram.
+ * Ctrl+D is end of input as usual.
+ *
+ * Needs node-pty, of which only the native openpty and resize bindings
+ * are used (its terminals always fork the program themselves, which would
+ * bypass the sandbox's descriptors); the version is pinned for that
+ * reason, and the bindings are checked when it is loaded. Without them,
+ * on Windows, and for runs with an input file or test cases, programs use
+ * pipes.
+ *
+ * @module ide-core/runtime/Terminal
+ */
+
+'use strict';
+
+const fs = require('fs');
+const tty = require('tty');
+const { listProcessTree } = require('./RunLimits');
+const { Logger } = require('../utils/Logger');
+
+const logger = new Logger('Terminal');
+
+/** TERM for programs on a terminal; the output panel understands the common xterm sequences */
+const TERM_NAME = 'xterm-256color';
+
+/** Size used until the renderer reports the output panel's */
+const DEFAULT_SIZE = { cols: 80, rows: 24 };
+
+/** Largest accepted terminal size */
+const MAX_COLS = 500;
+const MAX_ROWS = 200;
+
+/** After the program exits, output is read until it has been quiet this long... */
+const DRAIN_IDLE_MS = 50;
+
+/** ...or for at most this long */
+const DRAIN_MAX_MS = 1000;
+
+/** Retry delay when the pty's input buffer is full */
+const WRITE_RETRY_MS = 10;
+
+/** Escape and bell, spliced into the pattern below as characters */
+const ESC = '\x1b';
+const BEL = '\x07';
+
+/** CSI, OSC and two-character escape sequences */
+const ANSI_PATTERN = new RegExp(`${ESC}(?:\\[[0-?]*[ -/]*[@-~]|\\][^${BEL}${ESC}]*(?:${BEL}|${ESC}\\\\)|[@-Z\\\\-_])`, 'g');
+
+/** @type {Object|null|undefined} node-pty, null if it cannot be loaded */
+let nodePty;
+
+/**
+ * Whether node-pty has the native bindings used here; they are not its
+ * public API, so another version may lack or change them
+ * @param {Object} module - node-pty
+ * @returns {boolean} Whether open and resize exist
+ */
+function hasPtyBindings(module) {
+  return typeof module.native?.open === 'function' && typeof module.native.resize === 'function';
+}
+
+/**
+ * Load node-pty on first use
+ * @returns {Object|null} node-pty, or null if it cannot be used
+ */
+function loadNodePty() {
+  if (nodePty === undefined) {
+    try {
+      nodePty = require('node-pty');
+      if (hasPtyBindings(nodePty)) {
+        logger.info('node-pty loaded');
+      } else {
+        logger.warn('node-pty has no native open and resize bindings, programs run with pipes');
+        nodePty = null;
+      }
+    } catch (error) {
+      logger.warn(`Failed to load node-pty, programs run with pipes: ${error.message}`);
+      nodePty = null;
+    }
+  }
+  return nodePty;
+}
+
+/**
+ * Whether programs can be given a terminal
+ * @returns {boolean}
+ */
+function isTerminalAvailable() {
+  return process.platform !== 'win32' && Boolean(loadNodePty());
+}
+
+/**
+ * Check a terminal size from the renderer
+ * @param {*} cols - Columns
+ * @param {*} rows - Rows
+ * @returns {Object} { cols, rows }
+ * @throws {Error} If either is not a whole number in range
+ */
+function checkTerminalSize(cols, rows) {
+  if (!Number.isInteger(cols) || cols < 2 || cols > MAX_COLS) {
+    throw new Error(`Terminal width must be 2 to ${MAX_COLS} columns`);
+  }
+  if (!Number.isInteger(rows) || rows < 2 || rows > MAX_ROWS) {
+    throw new Error(`Terminal height must be 2 to ${MAX_ROWS} rows`);
+  }
+  return { cols, rows };
+}
+
+/**
+ * Remove escape sequences from terminal output, e.g. before parsing diagnostics
+ * @param {string} text - Terminal output
+ * @returns {string}
+ */
+function stripAnsi(text) {
+  return text.replace(ANSI_PATTERN, '');
+}
+
+/**
+ * Signal a program's processes, as its controlling terminal would
+ * @param {ChildProcess} child - Program root process
+ * @param {string[]} launchers - Paths of the sandbox wrappers, which are not
+ *   signalled; a program merely named like one is
+ * @param {string} signal - 'SIGINT' or 'SIGWINCH'
+ * @returns {number} Number of processes signalled
+ */
+function signalProgram(child, launchers, signal) {
+  const tree = listProcessTree(child.pid);
+  const pids = tree
+    ? tree.filter(({ path }) => !launchers.includes(path)).map(({ pid }) => pid)
+    : [child.pid];
+
+  let signalled = 0;
+  for (const pid of pids) {
+    try {
+      process.kill(pid, signal);
+      signalled++;
+    } catch {
+      // Exited meanwhile
+    }
+  }
+  return signalled;
+}
+
+/**
+ * Terminal - One pty for one program
+ */
+class Terminal {
+  /**
+   * @param {Object} [size] - { cols, rows }
+   * @throws {Error} If node-pty is unavailable or no pty can be allocated
+   */
+  constructor(size = DEFAULT_SIZE) {
+    if (!isTerminalAvailable()) {
+      throw new Error('Terminal support is not available');
+    }
+
+    const { master, slave, pty } = nodePty.native.open(size.cols, size.rows);
+    if (!Number.isInteger(master) || !Number.isInteger(slave) || typeof pty !== 'string') {
+      throw new Error('Terminal support is not available (unexpected node-pty result)');
+    }
+
+    /** @type {string} TERM for the program */
+    this.name = TERM_NAME;
+
+    /** @type {number} Master side: output is read and keystrokes written here */
+    this.masterFd = master;
+
+    /** @type {number|null} This process's descriptor for the slave side, until the program has it */
+    this.slaveFd = null;
+
+    try {
+      // node-pty makes its slave descriptor non-blocking, which programs do
+      // not expect of stdin; a fresh one is blocking
+      this.slaveFd = fs.openSync(pty, fs.constants.O_RDWR | fs.constants.O_NOCTTY);
+    } catch (error) {
+      fs.closeSync(master);
+      throw error;
+    } finally {
+      fs.closeSync(slave);
+    }
+
+    /** @type {tty.ReadStream} Program output */
+    this.output = new tty.ReadStream(master);
+    this.output.setEncoding('utf8');
+
+    /** @type {number} When output was last read */
+    this.lastDataAt = Date.now();
+
+    /** @type {Object[]} Keystrokes not yet written: { chunk, callback } */
+    this.pending = [];
+
+    /** @type {boolean} Whether close has been called */
+    this.closed = false;
+
+    this.output.on('data', () => {
+      this.lastDataAt = Date.now();
+    });
+    // EIO once every process holding the slave side has exited
+    this.output.on('error', (error) => {
+      logger.debug(`Terminal closed: ${error.message}`);
+    });
+  }
+
+  /**
+   * stdin, stdout and stderr for spawn
+   * @returns {number[]}
+   */
+  get stdio() {
+    return [this.slaveFd, this.slaveFd, this.slaveFd];
+  }
+
+  /**
+   * Close this process's copy of the slave side once the program has been spawned
+   */
+  releaseSlave() {
+    if (this.slaveFd !== null) {
+      fs.closeSync(this.slaveFd);
+      this.slaveFd = null;
+    }
+  }
+
+  /**
+   * Listen for output
+   * @param {Function} callback - Called with each chunk of text
+   */
+  onData(callback) {
+    this.output.on('data', callback);
+  }
+
+  /**
+   * Type into the terminal
+   * @param {string} data - Keystrokes
+   * @param {Function} [callback] - Called once the line discipline has them
+   */
+  write(data, callback = () => {}) {
+    if (this.closed) {
+      return;
+    }
+    this.pending.push({ chunk: Buffer.from(data, 'utf8'), callback });
+    if (this.pending.length === 1) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Write queued keystrokes in order; the master side is non-blocking
+   * @private
+   */
+  flush() {
+    if (this.closed || this.pending.length === 0) {
+      return;
+    }
+
+    const { chunk, callback } = this.pending[0];
+    fs.write(this.masterFd, chunk, 0, chunk.length, null, (error, written) => {
+      if (error && error.code === 'EAGAIN') {
+        setTimeout(() => this.flush(), WRITE_RETRY_MS);
+        return;
+      }
+      if (error) {
+        logger.debug(`Failed to write to terminal: ${error.message}`);
+        this.pending = [];
+        return;
+      }
+
+      if (written < chunk.length) {
+        this.pending[0] = { chunk: chunk.subarray(written), callback };
+      } else {
+        this.pending.shift();
+        callback();
+      }
+      this.flush();
+    });
+  }
+
+  /**
+   * Change the terminal size
+   * @param {number} cols - Columns
+   * @param {number} rows - Rows
+   */
+  resize(cols, rows) {
+    if (!this.closed) {
+      nodePty.native.resize(this.masterFd, cols, rows);
+    }
+  }
+
+  /**
+   * Wait for output still buffered in the pty after the program has exited
+   * @returns {Promise<void>}
+   */
+  drain() {
+    const startedAt = Date.now();
+    return new Promise((resolve) => {
+      const check = () => {
+        const now = Date.now();
+        if (now - this.lastDataAt >= DRAIN_IDLE_MS || now - startedAt >= DRAIN_MAX_MS) {
+          resolve();
+        } else {
+          setTimeout(check, DRAIN_IDLE_MS);
+        }
+      };
+      setTimeout(check, DRAIN_IDLE_MS);
+    });
+  }
+
+  /**
+   * Close the pty
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.pending = [];
+    this.releaseSlave();
+    // Closes the master descriptor
+    this.output.destroy();
+  }
+}
+
+module.exports = {
+  DEFAULT_SIZE,
+  Terminal,
+  checkTerminalSize,
+  isTerminalAvailable,
+  signalProgram,
+  stripAnsi,
+};
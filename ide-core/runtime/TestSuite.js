@@ -0,0 +1,341 @@
+/**
+ * Test Suite - Test cases stored with an exercise, and output comparison
+ *
+ * A directory containing `ide-tests.json` holds an exercise's tests:
+ *
+ *   {
+ *     "name": "Lab 3 - Sums",
+ *     "compare": "whitespace",
+ *     "timeLimitSeconds": 2,
+ *     "cases": [
+ *       { "name": "small", "input": "1 2\n", "expected": "3\n" },
+ *       { "name": "large", "inputFile": "tests/large.in", "expectedFile": "tests/large.out" },
+ *       { "name": "greeting", "args": ["Ada"], "expected": "Hello, \\w+!", "compare": "regex" },
+ *       { "name": "pi", "expected": "3.14159", "compare": "numeric", "tolerance": 1e-4 }
+ *     ]
+ *   }
+ *
+ * Top-level compare, tolerance and timeLimitSeconds are defaults for every
+ * case. Comparison modes:
+ *   - exact: identical output (line endings are normalized)
+ *   - whitespace: identical after collapsing runs of whitespace
+ *   - regex: the whole output (without trailing newlines) matches the pattern
+ *   - numeric: same tokens; numbers may differ by the absolute or relative tolerance
+ *
+ * @module ide-core/runtime/TestSuite
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { isInside } = require('./ProjectManifest');
+
+/** File name that holds an exercise's tests */
+const TEST_SUITE_FILE = 'ide-tests.json';
+
+/** Supported comparison modes */
+const COMPARE_MODES = ['exact', 'whitespace', 'regex', 'numeric'];
+
+/** Upper bound on cases in one suite */
+const MAX_CASES = 100;
+
+/** Largest input or expected output file, in bytes */
+const MAX_DATA_FILE_SIZE = 1024 * 1024;
+
+/** Lines compared by the diff; longer outputs only report the first difference */
+const MAX_DIFF_LINES = 500;
+
+/** Unchanged lines kept around each difference */
+const DIFF_CONTEXT = 2;
+
+/**
+ * Read an input or expected output file of a case
+ * @param {string} root - Suite directory
+ * @param {string} relative - File name from the suite
+ * @param {string} what - Description for errors
+ * @returns {Promise<Object>} { path, content }
+ */
+async function readDataFile(root, relative, what) {
+  const filePath = path.resolve(root, relative);
+  if (!isInside(root, filePath)) {
+    throw new Error(`${what} "${relative}" must be inside the exercise`);
+  }
+
+  const stats = await fs.stat(filePath).catch(() => null);
+  if (!stats || !stats.isFile()) {
+    throw new Error(`${what} "${relative}" not found`);
+  }
+  if (stats.size > MAX_DATA_FILE_SIZE) {
+    throw new Error(`${what} "${relative}" is larger than ${MAX_DATA_FILE_SIZE / 1024} KB`);
+  }
+  return { path: filePath, content: await fs.readFile(filePath, 'utf8') };
+}
+
+/**
+ * Read and validate a test suite
+ * @param {string} root - Directory containing ide-tests.json
+ * @returns {Promise<Object>} { root, file, name, hash, cases[], dataFiles[] }
+ * @throws {Error} If the suite is invalid
+ */
+async function loadTestSuite(root) {
+  const file = path.join(root, TEST_SUITE_FILE);
+  const raw = await fs.readFile(file, 'utf8');
+  const fail = (message) => {
+    throw new Error(`Invalid ${TEST_SUITE_FILE}: ${message}`);
+  };
+
+  let suite;
+  try {
+    suite = JSON.parse(raw);
+  } catch (error) {
+    fail(error.message);
+  }
+  if (!Array.isArray(suite.cases) || suite.cases.length === 0) {
+    fail('"cases" must be a non-empty list');
+  }
+  if (suite.cases.length > MAX_CASES) {
+    fail(`at most ${MAX_CASES} cases are allowed`);
+  }
+
+  // Hash of the suite and every file it reads, so collected results can be
+  // checked against the exercise as it was handed out
+  const hash = crypto.createHash('sha256').update(raw);
+  const dataFiles = [];
+  const cases = [];
+
+  for (const [index, entry] of suite.cases.entries()) {
+    const name = typeof entry.name === 'string' && entry.name ? entry.name : `Case ${index + 1}`;
+    const label = `case "${name}"`;
+
+    const compare = entry.compare || suite.compare || 'exact';
+    if (!COMPARE_MODES.includes(compare)) {
+      fail(`${label}: unknown compare mode "${compare}" (use ${COMPARE_MODES.join(', ')})`);
+    }
+
+    const tolerance = entry.tolerance ?? suite.tolerance ?? 1e-6;
+    const timeLimitSeconds = entry.timeLimitSeconds ?? suite.timeLimitSeconds ?? null;
+    if (typeof tolerance !== 'number' || tolerance < 0) {
+      fail(`${label}: "tolerance" must be a non-negative number`);
+    }
+    if (timeLimitSeconds !== null && (typeof timeLimitSeconds !== 'number' || timeLimitSeconds <= 0)) {
+      fail(`${label}: "timeLimitSeconds" must be a positive number`);
+    }
+
+    const args = entry.args ?? [];
+    if (!Array.isArray(args) || !args.every(arg => typeof arg === 'string')) {
+      fail(`${label}: "args" must be a list of strings`);
+    }
+
+    let input = typeof entry.input === 'string' ? entry.input : '';
+    if (entry.inputFile) {
+      const data = await readDataFile(root, entry.inputFile, `${label}: input file`);
+      dataFiles.push(data.path);
+      hash.update(data.content);
+      input = data.content;
+    }
+
+    let expected = entry.expected;
+    if (entry.expectedFile) {
+      const data = await readDataFile(root, entry.expectedFile, `${label}: expected output file`);
+      dataFiles.push(data.path);
+      hash.update(data.content);
+      expected = data.content;
+    }
+    if (typeof expected !== 'string') {
+      fail(`${label}: "expected" or "expectedFile" is required`);
+    }
+    if (compare === 'regex') {
+      try {
+        new RegExp(expected);
+      } catch (error) {
+        fail(`${label}: ${error.message}`);
+      }
+    }
+
+    cases.push({ name, input, expected, compare, tolerance, timeLimitSeconds, args });
+  }
+
+  return {
+    root,
+    file,
+    name: typeof suite.name === 'string' && suite.name ? suite.name : path.basename(root),
+    hash: hash.digest('hex'),
+    cases,
+    dataFiles,
+  };
+}
+
+/**
+ * Normalize line endings
+ * @param {string} text - Program output
+ * @returns {string}
+ */
+function normalizeNewlines(text) {
+  return text.replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Line diff of expected and actual output, with a little context
+ * @param {string} expected - Expected output
+ * @param {string} actual - Program output
+ * @returns {Object[]} [{ type: 'same'|'removed'|'added'|'skip', text }]; removed lines are expected, added are actual
+ */
+function diffLines(expected, actual) {
+  const a = expected.split('\n');
+  const b = actual.split('\n');
+
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+    // Too long for a full diff: show the first differing line only
+    let line = 0;
+    while (line < a.length && line < b.length && a[line] === b[line]) {
+      line++;
+    }
+    return [
+      { type: 'skip', text: `${line} matching line${line === 1 ? '' : 's'}` },
+      ...(line < a.length ? [{ type: 'removed', text: a[line] }] : []),
+      ...(line < b.length ? [{ type: 'added', text: b[line] }] : []),
+    ];
+  }
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const full = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      full.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      full.push({ type: 'removed', text: a[i] });
+      i++;
+    } else {
+      full.push({ type: 'added', text: b[j] });
+      j++;
+    }
+  }
+
+  // Keep changed lines and their context; collapse the rest
+  const keep = full.map(() => false);
+  full.forEach((line, index) => {
+    if (line.type !== 'same') {
+      for (let k = Math.max(0, index - DIFF_CONTEXT); k <= Math.min(full.length - 1, index + DIFF_CONTEXT); k++) {
+        keep[k] = true;
+      }
+    }
+  });
+
+  const diff = [];
+  let skipped = 0;
+  full.forEach((line, index) => {
+    if (keep[index]) {
+      if (skipped > 0) {
+        diff.push({ type: 'skip', text: `${skipped} matching line${skipped === 1 ? '' : 's'}` });
+        skipped = 0;
+      }
+      diff.push(line);
+    } else {
+      skipped++;
+    }
+  });
+  if (skipped > 0) {
+    diff.push({ type: 'skip', text: `${skipped} matching line${skipped === 1 ? '' : 's'}` });
+  }
+  return diff;
+}
+
+/**
+ * Whether two output tokens are equal, numbers within a tolerance
+ * @param {string} expected - Expected token
+ * @param {string} actual - Actual token
+ * @param {number} tolerance - Absolute or relative tolerance
+ * @returns {boolean}
+ */
+function tokensMatch(expected, actual, tolerance) {
+  if (expected === actual) {
+    return true;
+  }
+  const a = Number(expected);
+  const b = Number(actual);
+  if (expected.trim() === '' || actual.trim() === '' || !Number.isFinite(a) || !Number.isFinite(b)) {
+    return false;
+  }
+  const difference = Math.abs(a - b);
+  return difference <= tolerance || difference <= tolerance * Math.max(Math.abs(a), Math.abs(b));
+}
+
+/**
+ * Compare a program's output with a case's expected output
+ * @param {string} output - Program stdout
+ * @param {Object} testCase - Case from loadTestSuite
+ * @returns {Object} { passed, message, diff }
+ */
+function compareOutput(output, testCase) {
+  const actual = normalizeNewlines(output);
+  const expected = normalizeNewlines(testCase.expected);
+
+  switch (testCase.compare) {
+  case 'regex': {
+    const pattern = new RegExp(`^(?:${testCase.expected})$`);
+    const passed = pattern.test(actual.replace(/\n+$/, ''));
+    return {
+      passed,
+      message: passed ? null : `Output does not match /${testCase.expected}/`,
+      diff: null,
+    };
+  }
+
+  case 'whitespace': {
+    const passed = actual.split(/\s+/).filter(Boolean).join(' ') === expected.split(/\s+/).filter(Boolean).join(' ');
+    return {
+      passed,
+      message: passed ? null : 'Output differs (ignoring whitespace)',
+      diff: passed ? null : diffLines(expected.trim(), actual.trim()),
+    };
+  }
+
+  case 'numeric': {
+    const expectedTokens = expected.split(/\s+/).filter(Boolean);
+    const actualTokens = actual.split(/\s+/).filter(Boolean);
+    const mismatch = expectedTokens.findIndex((token, index) => !tokensMatch(token, actualTokens[index] ?? '', testCase.tolerance));
+
+    let message = null;
+    if (mismatch !== -1) {
+      message = `Value ${mismatch + 1}: expected ${expectedTokens[mismatch]}, got ${actualTokens[mismatch] ?? 'nothing'}`;
+    } else if (actualTokens.length > expectedTokens.length) {
+      message = `Expected ${expectedTokens.length} values, got ${actualTokens.length}`;
+    }
+    return {
+      passed: message === null,
+      message: message ? `${message} (tolerance ${testCase.tolerance})` : null,
+      diff: message ? diffLines(expected.trim(), actual.trim()) : null,
+    };
+  }
+
+  default: {
+    const passed = actual === expected;
+    return {
+      passed,
+      message: passed ? null : 'Output differs',
+      diff: passed ? null : diffLines(expected, actual),
+    };
+  }
+  }
+}
+
+module.exports = {
+  COMPARE_MODES,
+  TEST_SUITE_FILE,
+  compareOutput,
+  diffLines,
+  loadTestSuite,
+};
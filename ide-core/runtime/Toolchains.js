@@ -0,0 +1,222 @@
+/**
+ * Toolchains - Discovery and health of compilers and interpreters
+ *
+ * Every command a registry language declares (including alternatives such
+ * as python / python3) is resolved to an absolute path and started once
+ * with its version arguments. The results are cached until the next probe,
+ * and the code runner uses the first working command for each step.
+ *
+ * @module ide-core/runtime/Toolchains
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { commandCandidates } = require('./LanguageRegistry');
+
+/** How long a toolchain may take to report its version */
+const PROBE_TIMEOUT = 5000;
+
+/** Steps whose commands are probed, in run order */
+const STEPS = ['compile', 'run'];
+
+/**
+ * Find an executable on PATH (or check an absolute path)
+ * @param {string} name - Executable name or path
+ * @returns {string|null} Absolute path, or null if not found
+ */
+function findExecutable(name) {
+  const extensions = process.platform === 'win32'
+    ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';').map(ext => ext.toLowerCase())]
+    : [''];
+  const dirs = path.isAbsolute(name)
+    ? ['']
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+
+  for (const dir of dirs) {
+    for (const ext of extensions) {
+      const candidate = path.join(dir, name + ext);
+      try {
+        fs.accessSync(candidate, fs.constants.X_OK);
+        if (fs.statSync(candidate).isFile()) {
+          return candidate;
+        }
+      } catch {
+        // Not here
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Start a tool with its version arguments
+ * @param {string} executable - Absolute path
+ * @param {string[]} args - Version arguments
+ * @returns {Promise<Object>} { ok, version, error }
+ */
+function checkTool(executable, args) {
+  return new Promise((resolve) => {
+    execFile(executable, args, { timeout: PROBE_TIMEOUT, windowsHide: true }, (error, stdout, stderr) => {
+      // javac and older JDKs print their version on stderr
+      const version = `${stdout || ''}\n${stderr || ''}`.split('\n').map(line => line.trim()).find(Boolean) || null;
+      resolve(error
+        ? { ok: false, version, error: error.killed ? 'timed out' : error.message.split('\n')[0] }
+        : { ok: true, version, error: null });
+    });
+  });
+}
+
+/**
+ * Toolchains - Cached probe results for the language registry
+ */
+class Toolchains {
+  constructor() {
+    /** @type {Map<string, Object>} Probe result by language id */
+    this.languages = new Map();
+
+    /** @type {number|null} When the last probe finished */
+    this.probedAt = null;
+
+    /** @type {Promise<Object>|null} Probe in progress */
+    this.pending = null;
+  }
+
+  /**
+   * Probe every language in a registry, replacing the cached results
+   * @param {LanguageRegistry} registry - Languages to probe
+   * @returns {Promise<Object>} Report (see getReport)
+   */
+  probe(registry) {
+    const run = Promise.all(registry.list().map(language => this.probeLanguage(language)))
+      .then((results) => {
+        this.languages = new Map(results.map(result => [result.id, result]));
+        this.probedAt = Date.now();
+        return this.getReport();
+      })
+      .finally(() => {
+        if (this.pending === run) {
+          this.pending = null;
+        }
+      });
+
+    this.pending = run;
+    return run;
+  }
+
+  /**
+   * Wait for a probe in progress, if any
+   * @returns {Promise<void>}
+   */
+  async ready() {
+    if (this.pending) {
+      await this.pending;
+    }
+  }
+
+  /**
+   * Probe the commands of one language
+   * @private
+   * @param {Object} language - LanguageRegistry entry
+   * @returns {Promise<Object>} { id, name, enabled, available, version, repl, steps }
+   */
+  async probeLanguage(language) {
+    const versionCommands = language.version ? commandCandidates(language.version.command) : [];
+    const versionArgs = language.version?.args || ['--version'];
+    const steps = {};
+
+    for (const step of STEPS) {
+      if (!language[step]) {
+        continue;
+      }
+
+      const candidates = commandCandidates(language[step].command);
+      // Commands built from placeholders ({output}) are build artifacts, not tools
+      if (candidates.every(command => command.includes('{'))) {
+        steps[step] = { artifact: true, selected: null, candidates: [] };
+        continue;
+      }
+
+      const results = [];
+      for (const command of candidates) {
+        const executable = findExecutable(command);
+        const check = executable
+          ? await checkTool(executable, versionCommands.includes(command) ? versionArgs : ['--version'])
+          : { ok: false, version: null, error: 'not found' };
+        results.push({ command, path: executable, ...check });
+      }
+
+      steps[step] = {
+        artifact: false,
+        selected: results.find(result => result.ok) || null,
+        candidates: results,
+      };
+    }
+
+    const tools = Object.values(steps).filter(step => !step.artifact);
+    const selected = tools.map(step => step.selected).filter(Boolean);
+    const versioned = selected.find(result => versionCommands.includes(result.command)) || selected[0];
+
+    return {
+      id: language.id,
+      name: language.name,
+      enabled: language.enabled,
+      available: tools.every(step => step.selected),
+      version: versioned ? versioned.version : null,
+      repl: Boolean(language.repl),
+      steps,
+    };
+  }
+
+  /**
+   * Cached result for a language
+   * @param {string} id - Language id
+   * @returns {Object|null} Probe result, or null if not probed
+   */
+  get(id) {
+    return this.languages.get(id) || null;
+  }
+
+  /**
+   * Absolute path of the first working command for a step
+   * @param {Object} language - LanguageRegistry entry
+   * @param {string} step - 'compile' or 'run'
+   * @returns {string|undefined} Path, or undefined to use the declared command as is
+   */
+  resolveCommand(language, step) {
+    const selected = this.get(language.id)?.steps[step]?.selected;
+    return selected ? selected.path : undefined;
+  }
+
+  /**
+   * Why a language cannot run, from the cached probe
+   * @param {Object} language - LanguageRegistry entry
+   * @returns {string|null} Problem, or null if it is available (or not probed yet)
+   */
+  getProblem(language) {
+    const result = this.get(language.id);
+    if (!result || result.available) {
+      return null;
+    }
+
+    const missing = Object.values(result.steps)
+      .filter(step => !step.artifact && !step.selected)
+      .flatMap(step => step.candidates.map(candidate => `${candidate.command}: ${candidate.error}`));
+    return `${language.name} is not available on this computer (${missing.join('; ')})`;
+  }
+
+  /**
+   * Report for the status bar and admin panel
+   * @returns {Object} { probedAt, languages[] }
+   */
+  getReport() {
+    return {
+      probedAt: this.probedAt,
+      languages: [...this.languages.values()],
+    };
+  }
+}
+
+module.exports = { Toolchains, findExecutable };
@@ -0,0 +1,335 @@
+/**
+ * Audit Log - Append-only, hash-chained audit trail
+ *
+ * Every record carries the SHA-256 hash of the record before it, so
+ * editing, reordering or removing an entry breaks the chain from that
+ * point on. The file is newline-delimited JSON, one record per line.
+ *
+ * Removing records from the end leaves a chain that still links up, so
+ * the sequence number and hash of the last record are also kept in a head
+ * file outside the log. A log that ends before its head, or whose last
+ * record does not parse, is not written to again: appending would start
+ * a chain that hides the damage. An administrator has to archive the log
+ * and its head file to start a new chain.
+ *
+ * @module ide-core/utils/AuditLog
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Logger } = require('./Logger');
+
+const logger = new Logger('AuditLog');
+
+/** Hash used as the predecessor of the first record */
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * AuditLog - Tamper-evident audit store
+ */
+class AuditLog {
+  /**
+   * @param {string} logPath - Path of the audit log file
+   * @param {string} [headPath] - Path of the head file, which anchors the last record
+   */
+  constructor(logPath, headPath = `${logPath}.head`) {
+    /** @type {string} Audit log file path */
+    this.logPath = logPath;
+
+    /** @type {string} Head file path */
+    this.headPath = headPath;
+
+    /** @type {number} Sequence number of the last written record */
+    this.lastSeq = 0;
+
+    /** @type {string} Hash of the last written record */
+    this.lastHash = GENESIS_HASH;
+
+    /** @type {boolean} Whether the chain tail has been loaded */
+    this.initialized = false;
+
+    /** @type {string|null} Why the chain may not be extended, if it is damaged */
+    this.integrityError = null;
+
+    /** @type {Object} Fields stamped on every record (e.g. active profile) */
+    this.context = {};
+  }
+
+  /**
+   * Set fields that are added to every subsequent record
+   * @param {Object} context - Context fields
+   */
+  setContext(context) {
+    this.context = { ...context };
+  }
+
+  /**
+   * Load the tail of an existing chain so new records link onto it
+   */
+  initialize() {
+    this.initialized = true;
+
+    let lines;
+    let head;
+    try {
+      for (const file of [this.logPath, this.headPath]) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+      }
+      lines = this.readLines();
+      head = this.readHead();
+    } catch (error) {
+      this.failIntegrity(`Cannot read the audit log: ${error.message}`);
+      return;
+    }
+
+    let last = null;
+    if (lines.length > 0) {
+      last = this.parseRecord(lines[lines.length - 1]);
+      if (!last) {
+        this.failIntegrity(`Last record (line ${lines.length}) does not parse`);
+        return;
+      }
+    }
+
+    if (head) {
+      // Records written after the head (a crash before it was updated) are fine
+      const anchored = head.seq > 0 ? this.parseRecord(lines[head.seq - 1]) : null;
+      if (head.seq > 0 && (!anchored || anchored.seq !== head.seq || anchored.hash !== head.hash)) {
+        this.failIntegrity(`Log ends before its head at seq ${head.seq}`);
+        return;
+      }
+    } else if (last) {
+      // Log written before head files existed
+      logger.warn('Audit log has no head file; anchoring its current tail');
+    }
+
+    if (last) {
+      this.lastSeq = last.seq;
+      this.lastHash = last.hash;
+    }
+    if (!this.writeHead()) {
+      this.failIntegrity('Cannot write the audit head file');
+      return;
+    }
+
+    logger.debug(`Audit log ready at seq ${this.lastSeq}`);
+  }
+
+  /**
+   * Refuse to extend a damaged chain
+   * @private
+   * @param {string} reason - What is wrong
+   */
+  failIntegrity(reason) {
+    this.integrityError = reason;
+    logger.security('AUDIT_LOG_INTEGRITY', { logPath: this.logPath, reason });
+  }
+
+  /**
+   * Lines of the log file, without the final newline
+   * @private
+   * @returns {string[]} One record per line
+   */
+  readLines() {
+    if (!fs.existsSync(this.logPath)) {
+      return [];
+    }
+
+    const lines = fs.readFileSync(this.logPath, 'utf8').split('\n');
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+    return lines;
+  }
+
+  /**
+   * Parse one record
+   * @private
+   * @param {string} [line] - Log line
+   * @returns {Object|null} The record, or null if it is missing or malformed
+   */
+  parseRecord(line) {
+    try {
+      const record = JSON.parse(line);
+      return Number.isInteger(record?.seq) && typeof record.hash === 'string' ? record : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Read the head file
+   * @private
+   * @returns {Object|null} { seq, hash }, or null if there is none
+   * @throws {Error} If it exists but cannot be read
+   */
+  readHead() {
+    if (!fs.existsSync(this.headPath)) {
+      return null;
+    }
+
+    const head = JSON.parse(fs.readFileSync(this.headPath, 'utf8'));
+    if (!Number.isInteger(head.seq) || head.seq < 0 || typeof head.hash !== 'string') {
+      throw new Error('Malformed head file');
+    }
+    return head;
+  }
+
+  /**
+   * Anchor the last record in the head file
+   * @private
+   * @returns {boolean} Whether it was written
+   */
+  writeHead() {
+    const tempPath = `${this.headPath}.tmp`;
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify({
+        seq: this.lastSeq,
+        hash: this.lastHash,
+        updatedAt: new Date().toISOString(),
+      }));
+      fs.renameSync(tempPath, this.headPath);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to write audit head: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Compute the hash of a record (all fields except the hash itself)
+   * @private
+   * @param {Object} record - Audit record
+   * @returns {string} Hex-encoded SHA-256 hash
+   */
+  hashRecord(record) {
+    const body = { ...record };
+    delete body.hash;
+    return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+  }
+
+  /**
+   * Append a record to the chain
+   * @param {string} type - Record type (e.g. URL_NAVIGATION, PROCESS)
+   * @param {Object} details - Structured record fields
+   * @returns {Object|null} The written record, or null on failure
+   */
+  append(type, details = {}) {
+    if (!this.initialized) {
+      this.initialize();
+    }
+    if (this.integrityError) {
+      logger.error(`Audit record ${type} not written: ${this.integrityError}`);
+      return null;
+    }
+
+    const record = {
+      seq: this.lastSeq + 1,
+      timestamp: new Date().toISOString(),
+      type,
+      ...this.context,
+      ...details,
+      prevHash: this.lastHash,
+    };
+    record.hash = this.hashRecord(record);
+
+    try {
+      fs.appendFileSync(this.logPath, JSON.stringify(record) + '\n');
+    } catch (error) {
+      logger.error(`Failed to write audit record: ${error.message}`);
+      return null;
+    }
+
+    this.lastSeq = record.seq;
+    this.lastHash = record.hash;
+    this.writeHead();
+    return record;
+  }
+
+  /**
+   * Walk the whole chain and report the first broken link, or a log
+   * that ends before its head
+   * @returns {Object} { valid, entries, brokenAt: { line, seq, reason } | null }
+   */
+  verify() {
+    const lines = this.readLines();
+
+    const broken = (line, seq, reason) => {
+      logger.security('AUDIT_CHAIN_BROKEN', { line, seq, reason });
+      return { valid: false, entries: line === null ? lines.length : line - 1, brokenAt: { line, seq, reason } };
+    };
+
+    let head;
+    try {
+      head = this.readHead();
+    } catch (error) {
+      return broken(null, null, `Head file does not parse: ${error.message}`);
+    }
+
+    let prevHash = GENESIS_HASH;
+    let prevSeq = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+      let record;
+      try {
+        record = JSON.parse(lines[i]);
+      } catch {
+        return broken(i + 1, null, 'Unparseable record');
+      }
+
+      if (record.seq !== prevSeq + 1) {
+        return broken(i + 1, record.seq, `Sequence gap: expected ${prevSeq + 1}`);
+      }
+      if (record.prevHash !== prevHash) {
+        return broken(i + 1, record.seq, 'Previous hash does not match');
+      }
+      if (record.hash !== this.hashRecord(record)) {
+        return broken(i + 1, record.seq, 'Record hash does not match contents');
+      }
+      if (head && record.seq === head.seq && record.hash !== head.hash) {
+        return broken(i + 1, record.seq, 'Record hash does not match the head file');
+      }
+
+      prevHash = record.hash;
+      prevSeq = record.seq;
+    }
+
+    if (lines.length > 0 && !head) {
+      return broken(null, null, 'Head file is missing');
+    }
+    if (head && prevSeq < head.seq) {
+      return broken(lines.length + 1, head.seq, `Log ends before its head at seq ${head.seq}`);
+    }
+
+    return { valid: true, entries: lines.length, brokenAt: null };
+  }
+
+  /**
+   * Read the most recent records
+   * @param {number} limit - Maximum number of records
+   * @returns {Object[]} Records, oldest first
+   */
+  read(limit = 1000) {
+    if (!fs.existsSync(this.logPath)) {
+      return [];
+    }
+
+    return fs.readFileSync(this.logPath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .slice(-limit)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      })
+      .filter(record => record !== null);
+  }
+}
+
+module.exports = { AuditLog, GENESIS_HASH };
@@ -24,6 +24,14 @@ const ALLOWED_CHANNELS = {
     'policy:validate-file',
     'policy:get',
     'policy:update',
+    'policy:list-revisions',
+    'policy:diff',
+    'policy:rollback',
+    'policy:shadow-start',
+    'policy:shadow-stop',
+    'policy:shadow-report',
+    'policy:get-profile',
+    'policy:explain',
   ],
   
   // File system channels
@@ -42,6 +50,7 @@ const ALLOWED_CHANNELS = {
     'editor:open-file',
     'editor:save-file',
     'editor:get-content',
+    'editor:get-settings',
   ],
   
   // WebView channels
@@ -61,6 +70,11 @@ const ALLOWED_CHANNELS = {
     'admin:request-exit',
     'admin:get-logs',
     'admin:clear-logs',
+    'admin:verify-audit-log',
+    'admin:set-profile',
+    'admin:dismiss-session-lock',
+    'admin:grant-time',
+    'admin:lock-session',
     'admin:unlock-window',
   ],
   
@@ -68,6 +82,7 @@ const ALLOWED_CHANNELS = {
   system: [
     'system:get-info',
     'system:get-status',
+    'system:toolchains',
     'system:restart',
   ],
   
@@ -75,6 +90,8 @@ const ALLOWED_CHANNELS = {
   runtime: [
     'runtime:get-state',
     'runtime:get-session',
+    'runtime:report-autosave',
+    'runtime:get-quota',
   ],
   
   // Code execution channels
@@ -82,6 +99,12 @@ const ALLOWED_CHANNELS = {
     'code:run',
     'code:stop',
     'code:input',
+    'code:get-run-config',
+    'code:run-tests',
+    'code:list-runs',
+    'code:stop-run',
+    'code:resize-terminal',
+    'code:start-repl',
   ],
   
   // Notification channels (receive only)
@@ -90,11 +113,16 @@ const ALLOWED_CHANNELS = {
     'notify:system-message',
     'notify:session-warning',
     'notify:time-warning',
+    'notify:session-ended',
     // --- ADDED THESE TWO LINES ---
     'admin:request-unlock',
     'show-admin-login',
+    'notify:code-started',
     'notify:code-output',
     'notify:code-exit',
+    'notify:code-diagnostics',
+    'notify:test-case',
+    'notify:profile-changed',
   ],
 };
 
@@ -186,7 +214,15 @@ const exposedApi = {
     validateKeyboard: (keys) => ipcRenderer.invoke('policy:validate-keyboard', keys),
     validateFile: (path, op) => ipcRenderer.invoke('policy:validate-file', path, op),
     get: () => ipcRenderer.invoke('policy:get'),
-    update: (policy) => ipcRenderer.invoke('policy:update', policy),
+    update: (policy, options) => ipcRenderer.invoke('policy:update', policy, options),
+    listRevisions: () => ipcRenderer.invoke('policy:list-revisions'),
+    diff: (fromRevision, toRevision) => ipcRenderer.invoke('policy:diff', fromRevision, toRevision),
+    rollback: (revision, note) => ipcRenderer.invoke('policy:rollback', revision, note),
+    startShadow: (candidate, note) => ipcRenderer.invoke('policy:shadow-start', candidate, note),
+    stopShadow: () => ipcRenderer.invoke('policy:shadow-stop'),
+    getShadowReport: () => ipcRenderer.invoke('policy:shadow-report'),
+    getProfile: () => ipcRenderer.invoke('policy:get-profile'),
+    explain: (ruleType, target, operation) => ipcRenderer.invoke('policy:explain', ruleType, target, operation),
   },
 
   /**
@@ -202,6 +238,13 @@ const exposedApi = {
     getSandboxPath: () => ipcRenderer.invoke('fs:get-sandbox-path'),
   },
 
+  /**
+   * Editor API
+   */
+  editor: {
+    getSettings: () => ipcRenderer.invoke('editor:get-settings'),
+  },
+
   /**
    * WebView API
    */
@@ -218,6 +261,11 @@ const exposedApi = {
     checkSession: () => ipcRenderer.invoke('admin:check-session'),
     requestExit: () => ipcRenderer.invoke('admin:request-exit'),
     getLogs: (options) => ipcRenderer.invoke('admin:get-logs', options),
+    verifyAuditLog: () => ipcRenderer.invoke('admin:verify-audit-log'),
+    setProfile: (name) => ipcRenderer.invoke('admin:set-profile', name),
+    dismissSessionLock: () => ipcRenderer.invoke('admin:dismiss-session-lock'),
+    grantTime: (minutes, user) => ipcRenderer.invoke('admin:grant-time', minutes, user),
+    lockSession: () => ipcRenderer.invoke('admin:lock-session'),
     unlockWindow: () => ipcRenderer.invoke('admin:unlock-window'),
   },
 
@@ -227,6 +275,7 @@ const exposedApi = {
   system: {
     getInfo: () => ipcRenderer.invoke('system:get-info'),
     getStatus: () => ipcRenderer.invoke('system:get-status'),
+    getToolchains: (options) => ipcRenderer.invoke('system:toolchains', options),
   },
 
   /**
@@ -235,15 +284,28 @@ const exposedApi = {
   runtime: {
     getState: () => ipcRenderer.invoke('runtime:get-state'),
     getSession: () => ipcRenderer.invoke('runtime:get-session'),
+    reportAutosave: (report) => ipcRenderer.invoke('runtime:report-autosave', report),
+    getQuota: () => ipcRenderer.invoke('runtime:get-quota'),
   },
 
   /**
    * Code Execution API (Secure - no shell access)
    */
   code: {
-    run: (filePath) => ipcRenderer.invoke('code:run', filePath),
-    stop: () => ipcRenderer.invoke('code:stop'),
-    sendInput: (text) => ipcRenderer.invoke('code:input', text),
+    run: (filePath, runConfig) => ipcRenderer.invoke('code:run', filePath, runConfig),
+    getRunConfig: (filePath) => ipcRenderer.invoke('code:get-run-config', filePath),
+    runTests: (filePath) => ipcRenderer.invoke('code:run-tests', filePath),
+    stop: (runId) => ipcRenderer.invoke('code:stop', runId),
+    sendInput: (text, runId) => ipcRenderer.invoke('code:input', text, runId),
+    listRuns: () => ipcRenderer.invoke('code:list-runs'),
+    stopRun: (runId) => ipcRenderer.invoke('code:stop-run', runId),
+    resizeTerminal: (runId, cols, rows) => ipcRenderer.invoke('code:resize-terminal', runId, cols, rows),
+    startRepl: (languageId) => ipcRenderer.invoke('code:start-repl', languageId),
+    onStarted: (callback) => {
+      const subscription = (event, data) => callback(data);
+      ipcRenderer.on('notify:code-started', subscription);
+      return () => ipcRenderer.removeListener('notify:code-started', subscription);
+    },
     onOutput: (callback) => {
       const subscription = (event, data) => callback(data);
       ipcRenderer.on('notify:code-output', subscription);
@@ -254,6 +316,16 @@ const exposedApi = {
       ipcRenderer.on('notify:code-exit', subscription);
       return () => ipcRenderer.removeListener('notify:code-exit', subscription);
     },
+    onDiagnostics: (callback) => {
+      const subscription = (event, data) => callback(data);
+      ipcRenderer.on('notify:code-diagnostics', subscription);
+      return () => ipcRenderer.removeListener('notify:code-diagnostics', subscription);
+    },
+    onTestCase: (callback) => {
+      const subscription = (event, data) => callback(data);
+      ipcRenderer.on('notify:test-case', subscription);
+      return () => ipcRenderer.removeListener('notify:test-case', subscription);
+    },
   },
 };
 
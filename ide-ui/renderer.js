@@ -28,6 +28,8 @@ const state = {
   currentDir: null,   // Currently browsed directory
   sessionId: null,
   isAdmin: false,
+  sessionEnded: false,
+  diagnostics: new Map(), // File path -> diagnostics from the last run
 };
 
 /**
@@ -42,7 +44,12 @@ const elements = {
   welcomeScreen: document.getElementById('welcome-screen'),
   outputContent: document.getElementById('output-content'),
   statusSession: document.getElementById('status-session'),
+  statusProfile: document.getElementById('status-profile'),
+  statusToolchains: document.getElementById('status-toolchains'),
   statusTime: document.getElementById('status-time'),
+  sessionEndedOverlay: document.getElementById('session-ended-overlay'),
+  sessionEndedReason: document.getElementById('session-ended-reason'),
+  sessionEndedSaved: document.getElementById('session-ended-saved'),
   panelTitle: document.getElementById('panel-title'),
   panelContent: document.getElementById('panel-content'),
 };
@@ -73,15 +80,42 @@ async function initialize() {
       elements.statusSession.textContent = `Session: ${state.sessionId.slice(0, 8)}`;
     }
     
+    // Get active policy profile
+    const profileResult = await api.policy.getProfile();
+    if (profileResult.success) {
+      updateProfileStatus(profileResult.data.active);
+    }
+    
+    // Show which compilers and interpreters were found (probing may still be running)
+    api.system.getToolchains().then((result) => {
+      if (result.success) {
+        updateToolchainStatus(result.data);
+      }
+    });
+    
+    // Setup notification handlers, so that none is missed while the editor loads
+    setupNotificationHandlers();
+    
+    // Stay locked if the session ended before this window was loaded
+    const runtimeResult = await api.runtime.getState();
+    if (runtimeResult.success && runtimeResult.data.timeSession.status === 'ended') {
+      showSessionEndedScreen(runtimeResult.data.timeSession.reason, null);
+    }
+    
+    // Load the editor before any file is opened
+    try {
+      await initEditor();
+    } catch (error) {
+      console.error('Editor initialization error:', error);
+      showNotification(`Failed to load the editor: ${error.message}`, 'error');
+    }
+    
     // Load file tree
     await loadFileTree(state.sandboxPath);
     
     // Setup event listeners
     setupEventListeners();
     
-    // Setup notification handlers
-    setupNotificationHandlers();
-    
     // Start time display
     startTimeDisplay();
     
@@ -194,6 +228,11 @@ async function openFile(filePath) {
     return;
   }
   
+  if (!editorState.editor) {
+    showNotification('Cannot open file: the editor failed to load', 'error');
+    return;
+  }
+  
   try {
     const result = await api.fs.readFile(filePath);
     
@@ -202,16 +241,27 @@ async function openFile(filePath) {
       return;
     }
     
+    // Opened meanwhile by another click; a file has one model
+    if (state.openFiles.has(filePath)) {
+      switchToFile(filePath);
+      return;
+    }
+    
     const content = result.data;
     const fileName = filePath.split(/[/\\]/).pop();
     
-    // Store file data
-    state.openFiles.set(filePath, {
+    // Store file data; the editor model holds its content
+    const fileData = {
       path: filePath,
       name: fileName,
-      content: content,
+      model: null,
+      savedVersionId: null,
+      viewState: null,
       modified: false,
-    });
+    };
+    createFileModel(fileData, content);
+    state.openFiles.set(filePath, fileData);
+    refreshMarkers();
     
     // Add tab
     addTab(filePath, fileName);
@@ -243,21 +293,15 @@ async function saveCurrentFile() {
   log(`Saving file: ${state.currentFile}`);
   
   try {
-    // Get current content from editor
-    const editorContent = document.getElementById('editor-textarea');
-    if (editorContent) {
-      fileData.content = editorContent.value;
-    }
-    
-    const result = await api.fs.writeFile(state.currentFile, fileData.content);
+    const versionId = fileData.model.getAlternativeVersionId();
+    const result = await api.fs.writeFile(fileData.path, fileData.model.getValue());
     
     if (!result.success) {
       showNotification(`Cannot save file: ${result.error}`, 'error');
       return;
     }
     
-    fileData.modified = false;
-    updateTab(state.currentFile);
+    markSaved(fileData, versionId);
     showNotification('File saved', 'success');
     log(`File saved: ${fileData.name}`);
     
@@ -267,6 +311,35 @@ async function saveCurrentFile() {
   }
 }
 
+/**
+ * Save every open file with unsaved changes
+ * @returns {Promise<Object>} { saved: string[], failed: Array<{ path, error }> }
+ */
+async function saveAllFiles() {
+  const report = { saved: [], failed: [] };
+  
+  for (const fileData of state.openFiles.values()) {
+    if (!fileData.modified) {
+      continue;
+    }
+    
+    try {
+      const versionId = fileData.model.getAlternativeVersionId();
+      const result = await api.fs.writeFile(fileData.path, fileData.model.getValue());
+      if (result.success) {
+        markSaved(fileData, versionId);
+        report.saved.push(fileData.path);
+      } else {
+        report.failed.push({ path: fileData.path, error: result.error });
+      }
+    } catch (error) {
+      report.failed.push({ path: fileData.path, error: error.message });
+    }
+  }
+  
+  return report;
+}
+
 /**
  * Create a new file - shows custom dialog
  */
@@ -288,16 +361,12 @@ async function createNewFile() {
   // Reset and show dialog
   input.value = 'untitled.txt';
   dialog.classList.remove('hidden');
-  // Disable editor textarea so it doesn't steal keypresses
-  const editorTextarea = document.getElementById('editor-textarea');
-  if (editorTextarea) editorTextarea.disabled = true;
   setTimeout(() => { input.focus(); input.select(); }, 50);
   
   // Return a promise that resolves when user makes a choice
   return new Promise((resolve) => {
     const cleanup = () => {
       dialog.classList.add('hidden');
-      if (editorTextarea) editorTextarea.disabled = false;
       createBtn.removeEventListener('click', onCreate);
       cancelBtn.removeEventListener('click', onCancel);
       input.removeEventListener('keydown', onKeydown);
@@ -397,14 +466,11 @@ async function createNewFolder() {
   input.value = 'new-folder';
   
   dialog.classList.remove('hidden');
-  const editorTextarea = document.getElementById('editor-textarea');
-  if (editorTextarea) editorTextarea.disabled = true;
   setTimeout(() => { input.focus(); input.select(); }, 50);
   
   return new Promise((resolve) => {
     const cleanup = () => {
       dialog.classList.add('hidden');
-      if (editorTextarea) editorTextarea.disabled = false;
       createBtn.removeEventListener('click', onCreate);
       cancelBtn.removeEventListener('click', onCancel);
       input.removeEventListener('keydown', onKeydown);
@@ -439,143 +505,1069 @@ async function createNewFolder() {
 }
 
 /**
- * Actually create the folder
+ * Actually create the folder
+ */
+async function doCreateFolder(folderName) {
+  const targetDir = state.currentDir || state.sandboxPath;
+  const folderPath = `${targetDir}\\${folderName}`;
+  
+  try {
+    const result = await api.fs.createDir(folderPath);
+    
+    if (!result.success) {
+      showNotification(`Cannot create folder: ${result.error}`, 'error');
+      return;
+    }
+    
+    // Refresh file tree in current directory
+    await loadFileTree(targetDir);
+    
+    showNotification('Folder created', 'success');
+    
+  } catch (error) {
+    console.error('Failed to create folder:', error);
+    showNotification('Failed to create folder', 'error');
+  }
+}
+
+// ============================================
+// Code Execution (Secure)
+// ============================================
+
+/**
+ * Labels for the exit reasons sent when a resource limit ends a run
+ */
+const EXIT_REASON_LABELS = {
+  TIME_LIMIT: 'Time limit exceeded',
+  CPU_LIMIT: 'CPU time limit exceeded',
+  MEMORY_LIMIT: 'Memory limit exceeded',
+  OUTPUT_LIMIT: 'Output limit exceeded',
+  PROCESS_LIMIT: 'Process limit exceeded',
+  FILE_SIZE_LIMIT: 'File size limit exceeded',
+  IDLE_LIMIT: 'Stopped after no input',
+};
+
+/**
+ * State for code execution
+ */
+const codeExecState = {
+  isRunning: false,
+  runId: null,
+  terminal: false,        // The run's program has a pseudo-terminal
+  terminalSize: null,     // { cols, rows } last sent for it
+  screen: null,           // TerminalScreen showing its output
+  resizeObserver: null,
+  unsubStarted: null,
+  unsubOutput: null,
+  unsubExit: null,
+  unsubDiagnostics: null,
+  unsubTestCase: null,
+};
+
+/**
+ * Listen for the run about to start and keep its ID. The started event is
+ * the first one sent for a run, ahead of the reply to code.run or
+ * code.runTests; later events of other runs are ignored.
+ * @param {string} kind - 'run' or 'tests'
+ * @param {string} filePath - File being run
+ * @param {Function} [onStarted] - Called with the started event, e.g. to set up terminal input
+ */
+function expectRun(kind, filePath, onStarted) {
+  unsubscribeRunEvents();
+  codeExecState.runId = null;
+  codeExecState.unsubStarted = api.code.onStarted((data) => {
+    if (codeExecState.runId === null && data.kind === kind && data.file === filePath) {
+      codeExecState.runId = data.runId;
+      if (onStarted) {
+        onStarted(data);
+      }
+    }
+  });
+}
+
+/**
+ * Wrap a run event handler so it only sees events of the current run
+ * @param {Function} handler - Event handler
+ * @returns {Function}
+ */
+function forCurrentRun(handler) {
+  return (data) => {
+    if (data.runId === codeExecState.runId) {
+      handler(data);
+    }
+  };
+}
+
+/**
+ * Remove the listeners of the current run
+ */
+function unsubscribeRunEvents() {
+  for (const key of ['unsubStarted', 'unsubOutput', 'unsubExit', 'unsubDiagnostics', 'unsubTestCase']) {
+    if (codeExecState[key]) {
+      codeExecState[key]();
+      codeExecState[key] = null;
+    }
+  }
+}
+
+/**
+ * Append program or status output to the output panel
+ * @param {HTMLElement} outputEl - Output panel
+ * @param {Object} data - { type: 'stdout'|'stderr'|'info', text }
+ */
+function appendCodeOutput(outputEl, data) {
+  const span = document.createElement('span');
+
+  if (data.type === 'stdout') {
+    span.style.color = 'var(--text-primary)';
+  } else if (data.type === 'stderr') {
+    span.style.color = '#f44747';
+  } else if (data.type === 'info') {
+    span.style.color = '#4ec9b0';
+  }
+
+  span.textContent = data.text;
+  outputEl.appendChild(span);
+
+  // Auto-scroll to bottom
+  outputEl.scrollTop = outputEl.scrollHeight;
+}
+
+/**
+ * Run the currently open file
+ * @param {Object} [runConfig] - { args, stdinFile, env, terminal }; defaults to the file's last configuration
+ */
+async function runCurrentFile(runConfig) {
+  if (!state.currentFile) {
+    showNotification('No file open. Open a file first.', 'warning');
+    return;
+  }
+
+  if (codeExecState.isRunning) {
+    showNotification('Code is already running. Stop it first.', 'warning');
+    return;
+  }
+
+  // Save the file first
+  await saveCurrentFile();
+
+  const outputEl = document.getElementById('output-content');
+  const inputBar = document.getElementById('code-input-bar');
+  const btnRun = document.getElementById('btn-run');
+  const btnStop = document.getElementById('btn-stop');
+  const runStatus = document.getElementById('run-status');
+
+  // Clear output and the previous run's diagnostics
+  outputEl.innerHTML = '';
+  clearDiagnostics();
+  showBottomPanelTab('output');
+  
+  // Show input bar and stop button
+  inputBar.classList.remove('hidden');
+  inputBar.style.display = 'flex';
+  btnRun.classList.add('hidden');
+  btnStop.classList.remove('hidden');
+  runStatus.textContent = 'Running...';
+  runStatus.style.color = '#4ec9b0';
+  codeExecState.isRunning = true;
+
+  // Replace any previous listeners with ones for this run; a program on a
+  // pseudo-terminal takes key presses in the output panel instead of lines
+  expectRun('run', state.currentFile, (data) => {
+    if (data.terminal) {
+      startTerminalMode(outputEl, inputBar);
+    }
+  });
+
+  // Subscribe to output
+  codeExecState.unsubOutput = api.code.onOutput(forCurrentRun((data) => {
+    if (data.type === 'terminal') {
+      getTerminalScreen(outputEl).write(data.text);
+    } else {
+      appendCodeOutput(outputEl, data);
+    }
+  }));
+
+  // Subscribe to error locations parsed from the output
+  codeExecState.unsubDiagnostics = api.code.onDiagnostics(forCurrentRun((data) => {
+    addDiagnostics(data.diagnostics, outputEl);
+  }));
+
+  // Subscribe to exit
+  codeExecState.unsubExit = api.code.onExit(forCurrentRun((data) => {
+    codeExecState.isRunning = false;
+    stopTerminalMode(outputEl);
+    inputBar.classList.add('hidden');
+    inputBar.style.display = 'none';
+    btnRun.classList.remove('hidden');
+    btnStop.classList.add('hidden');
+
+    const exitSpan = document.createElement('span');
+    exitSpan.style.color = 'var(--text-secondary)';
+    
+    if (data.reason) {
+      const label = EXIT_REASON_LABELS[data.reason] || data.reason;
+      exitSpan.textContent = `\n⛔ ${label}: ${data.detail || 'the program was stopped'}\n`;
+      exitSpan.style.color = '#cca700';
+      exitSpan.style.fontWeight = 'bold';
+      runStatus.textContent = label;
+      runStatus.style.color = '#cca700';
+    } else if (data.code === 0) {
+      exitSpan.textContent = `\n✅ Process exited with code 0\n`;
+      runStatus.textContent = 'Finished';
+      runStatus.style.color = '#4ec9b0';
+    } else {
+      exitSpan.textContent = `\n❌ Process exited with code ${data.code}${data.signal ? ` (${data.signal})` : ''}\n`;
+      runStatus.textContent = `Exit: ${data.code}`;
+      runStatus.style.color = '#f44747';
+    }
+    
+    outputEl.appendChild(exitSpan);
+    outputEl.scrollTop = outputEl.scrollHeight;
+
+    unsubscribeRunEvents();
+  }));
+
+  try {
+    const result = await api.code.run(state.currentFile, runConfig);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  } catch (error) {
+    console.error('Failed to run code:', error);
+    showNotification(`Run failed: ${error.message || error}`, 'error');
+    unsubscribeRunEvents();
+    codeExecState.isRunning = false;
+    stopTerminalMode(outputEl);
+    inputBar.classList.add('hidden');
+    inputBar.style.display = 'none';
+    btnRun.classList.remove('hidden');
+    btnStop.classList.add('hidden');
+    runStatus.textContent = 'Error';
+    runStatus.style.color = '#f44747';
+  }
+}
+
+// ============================================
+// Terminal Output
+// ============================================
+
+/** Keys sent as escape sequences */
+const TERMINAL_KEYS = {
+  Enter: '\r',
+  Backspace: '\x7f',
+  Tab: '\t',
+  Escape: '\x1b',
+  ArrowUp: '\x1b[A',
+  ArrowDown: '\x1b[B',
+  ArrowRight: '\x1b[C',
+  ArrowLeft: '\x1b[D',
+  Home: '\x1b[H',
+  End: '\x1b[F',
+  Insert: '\x1b[2~',
+  Delete: '\x1b[3~',
+  PageUp: '\x1b[5~',
+  PageDown: '\x1b[6~',
+};
+
+/** Ctrl shortcuts kept by the IDE instead of being sent to the program */
+const TERMINAL_IDE_SHORTCUTS = ['s', 'n'];
+
+/**
+ * Bytes a key press sends to a program on a terminal
+ * @param {KeyboardEvent} e - Key press in the output panel
+ * @returns {string|null} Bytes to send, or null to leave the key to the IDE
+ */
+function terminalKeySequence(e) {
+  if (e.metaKey) {
+    return null;
+  }
+
+  if (e.ctrlKey && !e.altKey) {
+    const key = e.key.toLowerCase();
+    if (e.shiftKey || TERMINAL_IDE_SHORTCUTS.includes(key)) {
+      return null;
+    }
+    // Ctrl+C copies when text is selected, and interrupts otherwise
+    if (key === 'c' && window.getSelection().toString() !== '') {
+      return null;
+    }
+    // Ctrl+V pastes (see the paste handler)
+    if (key === 'v') {
+      return null;
+    }
+    if (/^[a-z@[\\\]^_ ]$/.test(key)) {
+      return String.fromCharCode(key === ' ' ? 0 : key.toUpperCase().charCodeAt(0) & 0x1f);
+    }
+    return null;
+  }
+
+  if (TERMINAL_KEYS[e.key] !== undefined) {
+    return TERMINAL_KEYS[e.key];
+  }
+  if (e.key.length === 1) {
+    return e.altKey ? `\x1b${e.key}` : e.key;
+  }
+  return null;
+}
+
+/**
+ * Columns and rows of text that fit in the output panel
+ * @param {HTMLElement} outputEl - Output panel
+ * @returns {Object} { cols, rows }
+ */
+function measureTerminalSize(outputEl) {
+  const probe = document.createElement('span');
+  probe.textContent = 'M'.repeat(10);
+  probe.style.position = 'absolute';
+  probe.style.visibility = 'hidden';
+  probe.style.whiteSpace = 'pre';
+  outputEl.appendChild(probe);
+  const { width, height } = probe.getBoundingClientRect();
+  probe.remove();
+
+  const cols = Math.floor((outputEl.clientWidth - 16) / ((width / 10) || 8));
+  const rows = Math.floor(outputEl.clientHeight / (height || 16));
+  return {
+    cols: Math.max(20, Math.min(500, cols)),
+    rows: Math.max(5, Math.min(200, rows)),
+  };
+}
+
+/**
+ * The run's terminal screen, created with its first output
+ * @param {HTMLElement} outputEl - Output panel
+ * @returns {TerminalScreen}
+ */
+function getTerminalScreen(outputEl) {
+  if (!codeExecState.screen) {
+    codeExecState.screen = new window.TerminalScreen(outputEl, codeExecState.terminalSize || measureTerminalSize(outputEl));
+  }
+  return codeExecState.screen;
+}
+
+/**
+ * Switch the output panel to terminal input for a run on a pseudo-terminal:
+ * key presses go to the program instead of the input bar
+ * @param {HTMLElement} outputEl - Output panel
+ * @param {HTMLElement} inputBar - Line input bar, hidden meanwhile
+ */
+function startTerminalMode(outputEl, inputBar) {
+  codeExecState.terminal = true;
+  inputBar.classList.add('hidden');
+  inputBar.style.display = 'none';
+  outputEl.tabIndex = 0;
+  outputEl.classList.add('terminal-active');
+  outputEl.focus();
+
+  const sendSize = () => {
+    const size = measureTerminalSize(outputEl);
+    codeExecState.terminalSize = size;
+    codeExecState.screen?.resize(size);
+    api.code.resizeTerminal(codeExecState.runId, size.cols, size.rows);
+  };
+  sendSize();
+
+  let resizeTimer = null;
+  codeExecState.resizeObserver = new ResizeObserver(() => {
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(sendSize, 100);
+  });
+  codeExecState.resizeObserver.observe(outputEl);
+}
+
+/**
+ * Leave terminal input once the run has ended
+ * @param {HTMLElement} outputEl - Output panel
+ */
+function stopTerminalMode(outputEl) {
+  if (!codeExecState.terminal) {
+    return;
+  }
+  codeExecState.terminal = false;
+  codeExecState.resizeObserver?.disconnect();
+  codeExecState.resizeObserver = null;
+  outputEl.classList.remove('terminal-active');
+  outputEl.removeAttribute('tabindex');
+  codeExecState.screen?.setCursorVisible(false);
+  codeExecState.screen = null;
+  codeExecState.terminalSize = null;
+}
+
+// ============================================
+// Run Configuration
+// ============================================
+
+/**
+ * Split an argument line into arguments. Quotes group words; nothing
+ * else is interpreted, since arguments never pass through a shell.
+ * @param {string} line - Arguments as typed
+ * @returns {string[]}
+ */
+function parseArgumentLine(line) {
+  const args = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    args.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return args;
+}
+
+/**
+ * Format arguments for the argument field
+ * @param {string[]} args - Arguments
+ * @returns {string}
+ */
+function formatArgumentLine(args) {
+  return args.map(arg => (/[\s"']/.test(arg) || arg === '' ? `"${arg}"` : arg)).join(' ');
+}
+
+/**
+ * Show the run configuration of the current file, then run with it
+ */
+async function showRunConfigDialog() {
+  if (!state.currentFile) {
+    showNotification('No file open. Open a file first.', 'warning');
+    return;
+  }
+  if (codeExecState.isRunning) {
+    showNotification('Code is already running. Stop it first.', 'warning');
+    return;
+  }
+
+  const result = await api.code.getRunConfig(state.currentFile);
+  if (!result.success) {
+    showNotification(`Cannot load run configuration: ${result.error}`, 'error');
+    return;
+  }
+  const { config, allowedEnv } = result.data;
+
+  const filePath = state.currentFile;
+  // Keep the file's own separator so this works for Windows and POSIX paths
+  const separatorIndex = Math.max(filePath.lastIndexOf('/'), filePath.lastIndexOf('\\'));
+  const separator = filePath[separatorIndex];
+  const fileDir = filePath.slice(0, separatorIndex);
+  const dialog = document.getElementById('run-config-dialog');
+  const argsInput = document.getElementById('run-config-args');
+  const stdinInput = document.getElementById('run-config-stdin');
+  const envInput = document.getElementById('run-config-env');
+  const terminalInput = document.getElementById('run-config-terminal');
+  const runBtn = document.getElementById('run-config-run');
+  const cancelBtn = document.getElementById('run-config-cancel');
+
+  document.getElementById('run-config-file').textContent = `File: ${filePath.slice(separatorIndex + 1)}`;
+  document.getElementById('run-config-env-allowed').textContent = allowedEnv.length > 0
+    ? `One per line. Allowed: ${allowedEnv.join(', ')}`
+    : 'The policy does not allow setting environment variables.';
+  envInput.disabled = allowedEnv.length === 0;
+
+  argsInput.value = formatArgumentLine(config.args);
+  stdinInput.value = config.stdinFile && config.stdinFile.startsWith(fileDir + separator)
+    ? config.stdinFile.slice(fileDir.length + 1)
+    : config.stdinFile || '';
+  envInput.value = Object.entries(config.env).map(([name, value]) => `${name}=${value}`).join('\n');
+  terminalInput.checked = config.terminal;
+
+  dialog.classList.remove('hidden');
+  setTimeout(() => argsInput.focus(), 50);
+
+  return new Promise((resolve) => {
+    const cleanup = () => {
+      dialog.classList.add('hidden');
+      runBtn.removeEventListener('click', onRun);
+      cancelBtn.removeEventListener('click', onCancel);
+      dialog.removeEventListener('keydown', onKeydown);
+    };
+
+    const onRun = async () => {
+      const env = {};
+      for (const line of envInput.value.split('\n').map(text => text.trim()).filter(Boolean)) {
+        const equals = line.indexOf('=');
+        if (equals <= 0) {
+          showNotification(`Environment variables are written NAME=value: ${line}`, 'warning');
+          return;
+        }
+        env[line.slice(0, equals).trim()] = line.slice(equals + 1);
+      }
+
+      const stdin = stdinInput.value.trim();
+      const runConfig = {
+        args: parseArgumentLine(argsInput.value),
+        // Relative names are resolved from the file's folder; the main process checks access
+        stdinFile: stdin ? (/^([a-zA-Z]:)?[\\/]/.test(stdin) ? stdin : `${fileDir}${separator}${stdin}`) : null,
+        env,
+        terminal: terminalInput.checked,
+      };
+
+      cleanup();
+      await runCurrentFile(runConfig);
+      resolve();
+    };
+
+    const onCancel = () => {
+      cleanup();
+      resolve();
+    };
+
+    const onKeydown = (e) => {
+      if (e.key === 'Enter' && e.target !== envInput) {
+        onRun();
+      } else if (e.key === 'Escape') {
+        onCancel();
+      }
+    };
+
+    runBtn.addEventListener('click', onRun);
+    cancelBtn.addEventListener('click', onCancel);
+    dialog.addEventListener('keydown', onKeydown);
+  });
+}
+
+// ============================================
+// Tests
+// ============================================
+
+/**
+ * Show one tab of the bottom panel
+ * @param {string} name - 'output', 'console', 'tests' or 'repl'
+ */
+function showBottomPanelTab(name) {
+  document.querySelectorAll('.bottom-panel-tab').forEach((tab) => {
+    tab.classList.toggle('active', tab.dataset.tab === name);
+  });
+  // Console shares the output panel
+  document.getElementById('output-content').classList.toggle('hidden', name === 'tests' || name === 'repl');
+  document.getElementById('tests-content').classList.toggle('hidden', name !== 'tests');
+  document.getElementById('repl-content').classList.toggle('hidden', name !== 'repl');
+  if (name === 'repl') {
+    document.getElementById('repl-input').focus();
+  }
+}
+
+/**
+ * Render the result of one test case
+ * @param {Object} result - { name, status, passed, message, diff, stderr, durationMs }
+ * @returns {HTMLElement}
+ */
+function renderTestCase(result) {
+  const caseEl = document.createElement('div');
+  caseEl.className = `test-case ${result.passed ? 'passed' : 'failed'}`;
+
+  const title = document.createElement('div');
+  title.className = 'test-case-title';
+  const icon = { passed: '✅', failed: '❌', timeout: '⏱' }[result.status] || '⛔';
+  const duration = result.durationMs !== undefined ? ` (${result.durationMs} ms)` : '';
+  title.textContent = `${icon} ${result.name}${duration}`;
+  caseEl.appendChild(title);
+
+  if (result.message) {
+    const message = document.createElement('div');
+    message.className = 'test-case-message';
+    message.textContent = result.message;
+    caseEl.appendChild(message);
+  }
+
+  if (result.diff) {
+    // Expected lines are marked '-', the program's output '+'
+    const diff = document.createElement('div');
+    diff.className = 'test-diff';
+    for (const line of result.diff) {
+      const lineEl = document.createElement('div');
+      lineEl.className = line.type;
+      const prefix = { removed: '- ', added: '+ ', same: '  ' }[line.type];
+      lineEl.textContent = prefix === undefined ? `… ${line.text}` : `${prefix}${line.text}`;
+      diff.appendChild(lineEl);
+    }
+    caseEl.appendChild(diff);
+  }
+
+  if (result.stderr) {
+    const stderr = document.createElement('div');
+    stderr.className = 'test-diff removed';
+    stderr.textContent = result.stderr;
+    caseEl.appendChild(stderr);
+  }
+
+  return caseEl;
+}
+
+/**
+ * Run the tests of the exercise the current file belongs to
+ */
+async function runCurrentTests() {
+  if (!state.currentFile) {
+    showNotification('No file open. Open a file first.', 'warning');
+    return;
+  }
+
+  if (codeExecState.isRunning) {
+    showNotification('Code is already running. Stop it first.', 'warning');
+    return;
+  }
+
+  await saveCurrentFile();
+
+  const outputEl = document.getElementById('output-content');
+  const testsEl = document.getElementById('tests-content');
+  const btnRun = document.getElementById('btn-run');
+  const btnStop = document.getElementById('btn-stop');
+  const runStatus = document.getElementById('run-status');
+
+  // Compiler messages go to the output panel, results to the tests panel
+  outputEl.innerHTML = '';
+  clearDiagnostics();
+  testsEl.innerHTML = '';
+  const summary = document.createElement('div');
+  summary.className = 'test-summary';
+  summary.textContent = 'Running tests...';
+  testsEl.appendChild(summary);
+  showBottomPanelTab('tests');
+
+  btnRun.classList.add('hidden');
+  btnStop.classList.remove('hidden');
+  runStatus.textContent = 'Testing...';
+  runStatus.style.color = '#4ec9b0';
+  codeExecState.isRunning = true;
+
+  expectRun('tests', state.currentFile);
+  codeExecState.unsubOutput = api.code.onOutput(forCurrentRun((data) => appendCodeOutput(outputEl, data)));
+  codeExecState.unsubDiagnostics = api.code.onDiagnostics(forCurrentRun((data) => {
+    addDiagnostics(data.diagnostics, outputEl);
+  }));
+  codeExecState.unsubTestCase = api.code.onTestCase(forCurrentRun((data) => {
+    summary.textContent = `Running tests... ${data.index + 1}/${data.total}`;
+    testsEl.appendChild(renderTestCase(data.result));
+    testsEl.scrollTop = testsEl.scrollHeight;
+  }));
+
+  try {
+    const result = await api.code.runTests(state.currentFile);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const { passed, total } = result.data.results;
+    summary.textContent = `${passed}/${total} test${total === 1 ? '' : 's'} passed`;
+    summary.style.color = passed === total ? 'var(--success)' : 'var(--error)';
+    runStatus.textContent = `Tests: ${passed}/${total}`;
+    runStatus.style.color = passed === total ? '#4ec9b0' : '#f44747';
+  } catch (error) {
+    console.error('Failed to run tests:', error);
+    summary.textContent = `Tests could not run: ${error.message || error}`;
+    summary.style.color = 'var(--error)';
+    runStatus.textContent = 'Error';
+    runStatus.style.color = '#f44747';
+  } finally {
+    codeExecState.isRunning = false;
+    btnRun.classList.remove('hidden');
+    btnStop.classList.add('hidden');
+    unsubscribeRunEvents();
+  }
+}
+
+// ============================================
+// REPL
+// ============================================
+
+/** Inputs kept in the REPL history */
+const REPL_HISTORY_LIMIT = 200;
+
+/** Prompts shown for the first and the following lines of an input */
+const REPL_PROMPTS = {
+  python: ['>>>', '...'],
+  default: ['>', '...'],
+};
+
+/**
+ * State for the REPL session; it is a run of its own, next to the
+ * output panel's
+ */
+const replState = {
+  runId: null,
+  language: null,
+  starting: false,
+  history: [],
+  historyIndex: 0,        // history.length while editing a new input
+  draft: '',              // The new input while going through history
+  unsubStarted: null,
+  unsubOutput: null,
+  unsubExit: null,
+};
+
+/**
+ * Offer the languages that have a REPL and can run here
+ * @param {Object[]} languages - Toolchain report entries
+ */
+function updateReplLanguages(languages) {
+  const select = document.getElementById('repl-language');
+  const selected = select.value;
+  select.innerHTML = '';
+
+  for (const language of languages.filter(entry => entry.enabled && entry.available && entry.repl)) {
+    const option = document.createElement('option');
+    option.value = language.id;
+    option.textContent = language.name;
+    select.appendChild(option);
+  }
+  if ([...select.options].some(option => option.value === selected)) {
+    select.value = selected;
+  }
+  document.getElementById('btn-repl-start').disabled = select.options.length === 0;
+}
+
+/**
+ * Switch the REPL controls between a running session and none
+ * @param {boolean} running - Whether a session is starting or running
+ */
+function setReplRunning(running) {
+  const input = document.getElementById('repl-input');
+  document.getElementById('btn-repl-start').classList.toggle('hidden', running);
+  document.getElementById('btn-repl-stop').classList.toggle('hidden', !running);
+  document.getElementById('repl-language').disabled = running;
+  input.disabled = !running;
+  if (running) {
+    input.focus();
+  }
+}
+
+/**
+ * Remove the listeners of the REPL session
+ */
+function unsubscribeReplEvents() {
+  for (const key of ['unsubStarted', 'unsubOutput', 'unsubExit']) {
+    if (replState[key]) {
+      replState[key]();
+      replState[key] = null;
+    }
+  }
+}
+
+/**
+ * Start an interpreter session in the REPL tab
+ */
+async function startRepl() {
+  if (replState.runId || replState.starting) {
+    return;
+  }
+
+  const languageId = document.getElementById('repl-language').value;
+  if (!languageId) {
+    showNotification('No interpreter with a REPL is available', 'warning');
+    return;
+  }
+
+  const outputEl = document.getElementById('repl-output');
+  const status = document.getElementById('repl-status');
+  outputEl.innerHTML = '';
+  showBottomPanelTab('repl');
+  replState.starting = true;
+  replState.language = languageId;
+  setReplRunning(true);
+  status.textContent = 'Starting...';
+  resizeReplInput();
+
+  // The started event comes first, ahead of the reply to startRepl
+  unsubscribeReplEvents();
+  replState.unsubStarted = api.code.onStarted((data) => {
+    if (replState.runId === null && data.kind === 'repl' && data.language === languageId) {
+      replState.runId = data.runId;
+    }
+  });
+  const forSession = handler => (data) => {
+    if (data.runId === replState.runId) {
+      handler(data);
+    }
+  };
+  replState.unsubOutput = api.code.onOutput(forSession(data => appendCodeOutput(outputEl, data)));
+  replState.unsubExit = api.code.onExit(forSession((data) => {
+    const exitSpan = document.createElement('span');
+    exitSpan.style.color = 'var(--text-secondary)';
+    if (data.reason) {
+      const label = EXIT_REASON_LABELS[data.reason] || data.reason;
+      exitSpan.textContent = `\n⛔ ${label}: ${data.detail || 'the session was stopped'}\n`;
+      exitSpan.style.color = '#cca700';
+      status.textContent = label;
+    } else {
+      exitSpan.textContent = `\n■ Session ended${data.code ? ` with code ${data.code}` : ''}${data.signal ? ` (${data.signal})` : ''}\n`;
+      status.textContent = 'Ended';
+    }
+    outputEl.appendChild(exitSpan);
+    outputEl.scrollTop = outputEl.scrollHeight;
+
+    replState.runId = null;
+    unsubscribeReplEvents();
+    setReplRunning(false);
+  }));
+
+  try {
+    const result = await api.code.startRepl(languageId);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    status.textContent = `${result.data.language} running`;
+  } catch (error) {
+    console.error('Failed to start REPL:', error);
+    appendCodeOutput(outputEl, { type: 'stderr', text: `REPL could not start: ${error.message || error}\n` });
+    status.textContent = 'Error';
+    replState.runId = null;
+    unsubscribeReplEvents();
+    setReplRunning(false);
+  } finally {
+    replState.starting = false;
+  }
+}
+
+/**
+ * Stop the REPL session
+ */
+async function stopRepl() {
+  if (!replState.runId) {
+    return;
+  }
+
+  try {
+    await api.code.stop(replState.runId);
+  } catch (error) {
+    console.error('Failed to stop REPL:', error);
+  }
+}
+
+/**
+ * Send the REPL input to the interpreter and keep it in the history
+ */
+async function sendReplInput() {
+  const input = document.getElementById('repl-input');
+  const text = input.value;
+  if (!replState.runId) {
+    return;
+  }
+
+  const outputEl = document.getElementById('repl-output');
+  const [first, next] = REPL_PROMPTS[replState.language] || REPL_PROMPTS.default;
+  const echo = document.createElement('span');
+  echo.className = 'repl-echo';
+  echo.textContent = text.split('\n').map((line, index) => `${index === 0 ? first : next} ${line}`).join('\n') + '\n';
+  outputEl.appendChild(echo);
+  outputEl.scrollTop = outputEl.scrollHeight;
+
+  if (text.trim() && replState.history[replState.history.length - 1] !== text) {
+    replState.history.push(text);
+    if (replState.history.length > REPL_HISTORY_LIMIT) {
+      replState.history.shift();
+    }
+  }
+  replState.historyIndex = replState.history.length;
+  replState.draft = '';
+  input.value = '';
+  resizeReplInput();
+
+  // Python ends a block (and a one-line compound statement) at a blank line
+  const endsBlock = replState.language === 'python' && (text.includes('\n') || /:\s*$/.test(text));
+  try {
+    const result = await api.code.sendInput(endsBlock ? `${text}\n` : text, replState.runId);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  } catch (error) {
+    appendCodeOutput(outputEl, { type: 'stderr', text: `Input not sent: ${error.message || error}\n` });
+  }
+}
+
+/**
+ * Replace the REPL input with an entry from the history
+ * @param {number} step - -1 for older, 1 for newer
+ * @returns {boolean} Whether the input changed
+ */
+function browseReplHistory(step) {
+  const index = replState.historyIndex + step;
+  if (index < 0 || index > replState.history.length) {
+    return false;
+  }
+
+  const input = document.getElementById('repl-input');
+  if (replState.historyIndex === replState.history.length) {
+    replState.draft = input.value;
+  }
+  replState.historyIndex = index;
+  input.value = index === replState.history.length ? replState.draft : replState.history[index];
+  input.selectionStart = input.selectionEnd = input.value.length;
+  resizeReplInput();
+  return true;
+}
+
+/**
+ * Grow the REPL input with its lines
+ */
+function resizeReplInput() {
+  const input = document.getElementById('repl-input');
+  input.rows = Math.min(input.value.split('\n').length, 10);
+  const [first, next] = REPL_PROMPTS[replState.language] || REPL_PROMPTS.default;
+  document.getElementById('repl-prompt').textContent = input.rows > 1 ? `${first}\n${next}` : first;
+}
+
+/**
+ * Keys of the REPL input: Enter runs, Shift+Enter adds a line, Up and
+ * Down on the first or last line go through the history
+ * @param {KeyboardEvent} e - Key event
  */
-async function doCreateFolder(folderName) {
-  const targetDir = state.currentDir || state.sandboxPath;
-  const folderPath = `${targetDir}\\${folderName}`;
-  
-  try {
-    const result = await api.fs.createDir(folderPath);
-    
-    if (!result.success) {
-      showNotification(`Cannot create folder: ${result.error}`, 'error');
-      return;
+function handleReplKeydown(e) {
+  const input = e.target;
+  if (e.key === 'Enter' && !e.shiftKey) {
+    e.preventDefault();
+    sendReplInput();
+  } else if (e.key === 'ArrowUp' && !input.value.slice(0, input.selectionStart).includes('\n')) {
+    if (browseReplHistory(-1)) {
+      e.preventDefault();
+    }
+  } else if (e.key === 'ArrowDown' && !input.value.slice(input.selectionEnd).includes('\n')) {
+    if (browseReplHistory(1)) {
+      e.preventDefault();
     }
-    
-    // Refresh file tree in current directory
-    await loadFileTree(targetDir);
-    
-    showNotification('Folder created', 'success');
-    
-  } catch (error) {
-    console.error('Failed to create folder:', error);
-    showNotification('Failed to create folder', 'error');
   }
 }
 
 // ============================================
-// Code Execution (Secure)
+// Diagnostics
 // ============================================
 
 /**
- * State for code execution
+ * Editor marker severity (monaco.MarkerSeverity key) of each diagnostic severity
  */
-const codeExecState = {
-  isRunning: false,
-  unsubOutput: null,
-  unsubExit: null,
+const DIAGNOSTIC_MARKER_SEVERITIES = {
+  error: 'Error',
+  warning: 'Warning',
+  note: 'Info',
 };
 
 /**
- * Run the currently open file
+ * Record diagnostics, mark them in the editor and link them in the output
+ * @param {Object[]} diagnostics - { file, line, column, severity, message, text }
+ * @param {HTMLElement} outputEl - Output panel
  */
-async function runCurrentFile() {
-  if (!state.currentFile) {
-    showNotification('No file open. Open a file first.', 'warning');
-    return;
+function addDiagnostics(diagnostics, outputEl) {
+  for (const diagnostic of diagnostics) {
+    if (!state.diagnostics.has(diagnostic.file)) {
+      state.diagnostics.set(diagnostic.file, []);
+    }
+    state.diagnostics.get(diagnostic.file).push(diagnostic);
+    linkDiagnostic(outputEl, diagnostic);
   }
+  refreshMarkers();
+}
 
-  if (codeExecState.isRunning) {
-    showNotification('Code is already running. Stop it first.', 'warning');
-    return;
-  }
+/**
+ * Forget the diagnostics of the previous run
+ */
+function clearDiagnostics() {
+  state.diagnostics.clear();
+  refreshMarkers();
+}
 
-  // Save the file first
-  await saveCurrentFile();
+/**
+ * Make the output line that names a diagnostic's location clickable.
+ * Searches from the newest output back, skipping lines already linked;
+ * if the line is not found, a link is added at the end instead.
+ * @param {HTMLElement} outputEl - Output panel
+ * @param {Object} diagnostic - Diagnostic
+ */
+function linkDiagnostic(outputEl, diagnostic) {
+  const link = document.createElement('span');
+  link.className = `diagnostic-link ${diagnostic.severity}`;
+  link.title = `${diagnostic.message}\nClick to go to line ${diagnostic.line}`;
+  link.textContent = diagnostic.text;
+  link.addEventListener('click', () => {
+    goToLocation(diagnostic.file, diagnostic.line, diagnostic.column);
+  });
 
-  const outputEl = document.getElementById('output-content');
-  const inputBar = document.getElementById('code-input-bar');
-  const btnRun = document.getElementById('btn-run');
-  const btnStop = document.getElementById('btn-stop');
-  const runStatus = document.getElementById('run-status');
+  const walker = document.createTreeWalker(outputEl, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    if (!walker.currentNode.parentElement.closest('.diagnostic-link')) {
+      textNodes.push(walker.currentNode);
+    }
+  }
 
-  // Clear output
-  outputEl.innerHTML = '';
-  
-  // Show input bar and stop button
-  inputBar.classList.remove('hidden');
-  inputBar.style.display = 'flex';
-  btnRun.classList.add('hidden');
-  btnStop.classList.remove('hidden');
-  runStatus.textContent = 'Running...';
-  runStatus.style.color = '#4ec9b0';
-  codeExecState.isRunning = true;
+  for (const node of textNodes.reverse()) {
+    const index = node.data.lastIndexOf(diagnostic.text);
+    if (index !== -1) {
+      const rest = node.splitText(index);
+      rest.data = rest.data.slice(diagnostic.text.length);
+      node.parentNode.insertBefore(link, rest);
+      return;
+    }
+  }
 
-  // Unsubscribe any previous listeners
-  if (codeExecState.unsubOutput) codeExecState.unsubOutput();
-  if (codeExecState.unsubExit) codeExecState.unsubExit();
+  link.textContent = `${diagnostic.text}\n`;
+  outputEl.appendChild(link);
+}
 
-  // Subscribe to output
-  codeExecState.unsubOutput = api.code.onOutput((data) => {
-    const span = document.createElement('span');
-    
-    if (data.type === 'stdout') {
-      span.style.color = 'var(--text-primary)';
-    } else if (data.type === 'stderr') {
-      span.style.color = '#f44747';
-    } else if (data.type === 'info') {
-      span.style.color = '#4ec9b0';
+/**
+ * Open a file and put the cursor at a line and column
+ * @param {string} filePath - File path
+ * @param {number} line - 1-based line
+ * @param {number|null} column - 1-based column, or null for the line start
+ */
+async function goToLocation(filePath, line, column) {
+  if (state.currentFile !== filePath) {
+    await openFile(filePath);
+    if (state.currentFile !== filePath) {
+      return; // Could not be opened (e.g. outside the sandbox)
     }
-    
-    span.textContent = data.text;
-    outputEl.appendChild(span);
-    
-    // Auto-scroll to bottom
-    outputEl.scrollTop = outputEl.scrollHeight;
-  });
+  }
 
-  // Subscribe to exit
-  codeExecState.unsubExit = api.code.onExit((data) => {
-    codeExecState.isRunning = false;
-    inputBar.classList.add('hidden');
-    inputBar.style.display = 'none';
-    btnRun.classList.remove('hidden');
-    btnStop.classList.add('hidden');
+  const { editor } = editorState;
+  const position = editor.getModel().validatePosition({ lineNumber: line, column: column || 1 });
+  editor.setPosition(position);
+  editor.revealPositionInCenter(position);
+  editor.focus();
+}
 
-    const exitSpan = document.createElement('span');
-    exitSpan.style.color = 'var(--text-secondary)';
-    
-    if (data.code === 0) {
-      exitSpan.textContent = `\n✅ Process exited with code 0\n`;
-      runStatus.textContent = 'Finished';
-      runStatus.style.color = '#4ec9b0';
-    } else {
-      exitSpan.textContent = `\n❌ Process exited with code ${data.code}${data.signal ? ` (${data.signal})` : ''}\n`;
-      runStatus.textContent = `Exit: ${data.code}`;
-      runStatus.style.color = '#f44747';
-    }
-    
-    outputEl.appendChild(exitSpan);
-    outputEl.scrollTop = outputEl.scrollHeight;
+/**
+ * Editor marker for a diagnostic: the word at its column, or its whole line
+ * @param {Object} model - Editor model of the diagnostic's file
+ * @param {Object} diagnostic - { line, column, severity, message }
+ * @returns {Object} monaco.editor.IMarkerData
+ */
+function diagnosticMarker(model, diagnostic) {
+  const { MarkerSeverity } = editorState.monaco;
+  const position = model.validatePosition({ lineNumber: diagnostic.line, column: diagnostic.column || 1 });
+  const word = diagnostic.column ? model.getWordAtPosition(position) : null;
+
+  let startColumn = model.getLineFirstNonWhitespaceColumn(position.lineNumber) || 1;
+  let endColumn = model.getLineMaxColumn(position.lineNumber);
+  if (word) {
+    ({ startColumn, endColumn } = word);
+  } else if (diagnostic.column) {
+    startColumn = position.column;
+    endColumn = position.column + 1;
+  }
 
-    // Unsubscribe
-    if (codeExecState.unsubOutput) { codeExecState.unsubOutput(); codeExecState.unsubOutput = null; }
-    if (codeExecState.unsubExit) { codeExecState.unsubExit(); codeExecState.unsubExit = null; }
-  });
+  return {
+    severity: MarkerSeverity[DIAGNOSTIC_MARKER_SEVERITIES[diagnostic.severity]] || MarkerSeverity.Error,
+    message: diagnostic.message,
+    startLineNumber: position.lineNumber,
+    startColumn,
+    endLineNumber: position.lineNumber,
+    endColumn,
+  };
+}
 
-  try {
-    await api.code.run(state.currentFile);
-  } catch (error) {
-    console.error('Failed to run code:', error);
-    showNotification(`Run failed: ${error.message || error}`, 'error');
-    codeExecState.isRunning = false;
-    inputBar.classList.add('hidden');
-    inputBar.style.display = 'none';
-    btnRun.classList.remove('hidden');
-    btnStop.classList.add('hidden');
-    runStatus.textContent = 'Error';
-    runStatus.style.color = '#f44747';
+/**
+ * Mark the diagnostics of the last run in every open file
+ */
+function refreshMarkers() {
+  if (!editorState.monaco) {
+    return;
+  }
+
+  for (const fileData of state.openFiles.values()) {
+    const diagnostics = state.diagnostics.get(fileData.path) || [];
+    editorState.monaco.editor.setModelMarkers(
+      fileData.model,
+      'run',
+      diagnostics.map(diagnostic => diagnosticMarker(fileData.model, diagnostic)),
+    );
   }
 }
 
@@ -586,7 +1578,7 @@ async function stopRunningCode() {
   if (!codeExecState.isRunning) return;
   
   try {
-    await api.code.stop();
+    await api.code.stop(codeExecState.runId);
     showNotification('Process stopped', 'info');
   } catch (error) {
     console.error('Failed to stop code:', error);
@@ -608,117 +1600,12 @@ async function sendCodeInput(text) {
     outputEl.appendChild(span);
     outputEl.scrollTop = outputEl.scrollHeight;
 
-    await api.code.sendInput(text);
+    await api.code.sendInput(text, codeExecState.runId);
   } catch (error) {
     console.error('Failed to send input:', error);
   }
 }
 
-// ============================================
-// Syntax Highlighting (Basic)
-// ============================================
-
-/**
- * Language keyword maps for basic syntax highlighting
- */
-const SYNTAX_RULES = {
-  '.py': {
-    keywords: /\b(def|class|import|from|return|if|elif|else|for|while|try|except|finally|with|as|yield|lambda|pass|break|continue|and|or|not|in|is|True|False|None|print|input|range|len|int|str|float|list|dict|set|tuple|self)\b/g,
-    strings: /("""[\s\S]*?"""|'''[\s\S]*?'''|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')/g,
-    comments: /(#.*$)/gm,
-    numbers: /\b(\d+\.?\d*)\b/g,
-  },
-  '.js': {
-    keywords: /\b(function|const|let|var|return|if|else|for|while|do|switch|case|break|continue|class|new|this|typeof|instanceof|try|catch|finally|throw|async|await|import|export|default|from|true|false|null|undefined|console|require|module)\b/g,
-    strings: /(`[\s\S]*?`|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')/g,
-    comments: /(\/\/.*$|\/\*[\s\S]*?\*\/)/gm,
-    numbers: /\b(\d+\.?\d*)\b/g,
-  },
-  '.cpp': {
-    keywords: /\b(int|float|double|char|void|bool|string|long|short|unsigned|signed|return|if|else|for|while|do|switch|case|break|continue|class|struct|public|private|protected|virtual|override|const|static|new|delete|template|typename|namespace|using|include|iostream|cin|cout|endl|main|true|false|nullptr|std|vector|map|set)\b/g,
-    strings: /("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')/g,
-    comments: /(\/\/.*$|\/\*[\s\S]*?\*\/)/gm,
-    numbers: /\b(\d+\.?\d*[fFdDlL]?)\b/g,
-    preprocessor: /(#\s*(?:include|define|ifdef|ifndef|endif|pragma|if|else|elif|undef).*$)/gm,
-  },
-  '.c': null, // Will use .cpp rules
-  '.java': {
-    keywords: /\b(public|private|protected|static|final|abstract|class|interface|extends|implements|void|int|float|double|char|boolean|long|short|byte|return|if|else|for|while|do|switch|case|break|continue|new|this|super|try|catch|finally|throw|throws|import|package|null|true|false|String|System|out|println|Scanner|main)\b/g,
-    strings: /("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')/g,
-    comments: /(\/\/.*$|\/\*[\s\S]*?\*\/)/gm,
-    numbers: /\b(\d+\.?\d*[fFdDlL]?)\b/g,
-  },
-};
-// C uses C++ rules
-SYNTAX_RULES['.c'] = SYNTAX_RULES['.cpp'];
-
-/**
- * Apply basic syntax highlighting to code text.
- * Uses a tokenizer approach: find all matches on raw text first,
- * then build HTML output so regex never runs on inserted HTML tags.
- */
-function highlightCode(text, ext) {
-  const rules = SYNTAX_RULES[ext];
-  if (!rules) return escapeHtml(text);
-
-  // Collect all token matches with their positions on the RAW text
-  const tokens = [];
-
-  // Priority order: preprocessor > comments > strings > keywords > numbers
-  // Higher priority tokens that start earlier (or are found first) win
-  const patterns = [];
-  if (rules.preprocessor) patterns.push({ regex: rules.preprocessor, color: '#c586c0' });
-  patterns.push({ regex: rules.comments, color: '#6a9955' });
-  patterns.push({ regex: rules.strings, color: '#ce9178' });
-  patterns.push({ regex: rules.keywords, color: '#569cd6' });
-  patterns.push({ regex: rules.numbers, color: '#b5cea8' });
-
-  for (const { regex, color } of patterns) {
-    // Clone regex to reset lastIndex
-    const re = new RegExp(regex.source, regex.flags);
-    let match;
-    while ((match = re.exec(text)) !== null) {
-      // Use group 1 if present, otherwise full match
-      const captured = match[1] !== undefined ? match[1] : match[0];
-      const startOffset = match[0].indexOf(captured);
-      const start = match.index + startOffset;
-      const end = start + captured.length;
-      if (captured.length > 0) {
-        tokens.push({ start, end, color });
-      }
-    }
-  }
-
-  // Sort by start position, then by longer match first (higher priority)
-  tokens.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
-
-  // Remove overlapping tokens: earlier/higher-priority tokens win
-  const filtered = [];
-  let lastEnd = 0;
-  for (const tok of tokens) {
-    if (tok.start >= lastEnd) {
-      filtered.push(tok);
-      lastEnd = tok.end;
-    }
-  }
-
-  // Build output: escape plain text, wrap tokens in colored spans
-  let result = '';
-  let pos = 0;
-  for (const tok of filtered) {
-    if (tok.start > pos) {
-      result += escapeHtml(text.slice(pos, tok.start));
-    }
-    result += '<span style="color: ' + tok.color + ';">' + escapeHtml(text.slice(tok.start, tok.end)) + '</span>';
-    pos = tok.end;
-  }
-  if (pos < text.length) {
-    result += escapeHtml(text.slice(pos));
-  }
-
-  return result;
-}
-
 // ============================================
 // Search Functionality
 // ============================================
@@ -854,6 +1741,7 @@ function switchToFile(filePath) {
   const fileData = state.openFiles.get(filePath);
   if (!fileData) return;
   
+  saveEditorViewState();
   state.currentFile = filePath;
   
   // Update tab selection
@@ -874,8 +1762,8 @@ function switchToFile(filePath) {
   const langEl = document.getElementById('status-language');
   if (langEl) langEl.textContent = langMap[ext] || ext.toUpperCase();
   
-  // Show editor with content
-  showEditor(fileData.content);
+  // Show the file's model
+  showEditor(fileData);
 }
 
 /**
@@ -913,192 +1801,132 @@ function closeFile(filePath) {
       hideEditor();
     }
   }
+
+  // Not shown any more, so its undo history can go
+  fileData?.model.dispose();
 }
 
 // ============================================
 // Editor
 // ============================================
 
+/** Monaco's AMD modules, bundled with the app; nothing is loaded from the network */
+const MONACO_PATH = '../node_modules/monaco-editor/min/vs';
+
+/**
+ * State for the editor: one Monaco editor showing the open file's model.
+ * Every open file has a model of its own, which keeps its undo history.
+ */
+const editorState = {
+  monaco: null,
+  editor: null,
+  settings: {},       // config.editor
+};
+
+/**
+ * Load Monaco through its AMD loader (ide-ui/index.html loads loader.js)
+ * @returns {Promise<Object>} The monaco namespace
+ */
+function loadMonaco() {
+  return new Promise((resolve, reject) => {
+    if (typeof window.require !== 'function' || !window.require.config) {
+      reject(new Error('Monaco loader is missing'));
+      return;
+    }
+    window.require.config({ paths: { vs: MONACO_PATH } });
+    window.require(['vs/editor/editor.main'], () => resolve(window.monaco), reject);
+  });
+}
+
+/**
+ * Load Monaco and create the editor, with theme, font size, tab size,
+ * word wrap and minimap from config.editor
+ */
+async function initEditor() {
+  const settingsResult = await api.editor.getSettings();
+  if (settingsResult.success) {
+    editorState.settings = settingsResult.data;
+  }
+  const settings = editorState.settings;
+
+  editorState.monaco = await loadMonaco();
+
+  const wrapper = document.createElement('div');
+  wrapper.id = 'editor-wrapper';
+  wrapper.style.cssText = 'width: 100%; height: 100%; display: none;';
+  elements.editor.appendChild(wrapper);
+
+  editorState.editor = editorState.monaco.editor.create(wrapper, {
+    model: null,
+    theme: settings.theme || 'vs-dark',
+    fontFamily: "'Consolas', 'Monaco', monospace",
+    fontSize: settings.fontSize || 14,
+    wordWrap: settings.wordWrap || 'off',
+    minimap: { enabled: settings.minimap !== false },
+    automaticLayout: true,
+    scrollBeyondLastLine: false,
+    matchBrackets: 'always',
+    bracketPairColorization: { enabled: true },
+    folding: true,
+    // Links would open a browser window
+    links: false,
+    // The session may have ended while the editor was loading
+    readOnly: state.sessionEnded,
+  });
+}
+
 /**
- * Show editor with content
+ * Give a newly opened file its editor model and track unsaved changes
+ * @param {Object} fileData - Entry of state.openFiles
  * @param {string} content - File content
  */
-function showEditor(content) {
-  let editorWrapper = document.getElementById('editor-wrapper');
-  let textarea = document.getElementById('editor-textarea');
-  let highlightLayer = document.getElementById('editor-highlight');
-  let lineNumbers = document.getElementById('editor-line-numbers');
-  
-  if (!editorWrapper) {
-    // Create the editor wrapper
-    editorWrapper = document.createElement('div');
-    editorWrapper.id = 'editor-wrapper';
-    editorWrapper.style.cssText = `
-      position: relative;
-      width: 100%;
-      height: 100%;
-      display: flex;
-    `;
-    
-    // Line numbers
-    lineNumbers = document.createElement('div');
-    lineNumbers.id = 'editor-line-numbers';
-    lineNumbers.style.cssText = `
-      width: 40px;
-      min-width: 40px;
-      background: var(--bg-secondary);
-      color: var(--text-secondary);
-      font-family: 'Consolas', 'Monaco', monospace;
-      font-size: 14px;
-      line-height: 1.5;
-      padding: 10px 4px;
-      text-align: right;
-      user-select: none;
-      overflow: hidden;
-      border-right: 1px solid var(--border);
-    `;
-    
-    // Code area container
-    const codeArea = document.createElement('div');
-    codeArea.style.cssText = `
-      position: relative;
-      flex: 1;
-      overflow: auto;
-      background: var(--bg-primary);
-    `;
-    
-    // Syntax highlight layer (behind textarea)
-    highlightLayer = document.createElement('pre');
-    highlightLayer.id = 'editor-highlight';
-    highlightLayer.style.cssText = `
-      position: absolute;
-      top: 0; left: 0; right: 0; bottom: 0;
-      margin: 0;
-      padding: 10px;
-      font-family: 'Consolas', 'Monaco', monospace;
-      font-size: 14px;
-      line-height: 1.5;
-      color: var(--text-primary);
-      background: transparent;
-      pointer-events: none;
-      white-space: pre-wrap;
-      word-wrap: break-word;
-      overflow: hidden;
-    `;
-    
-    // Textarea (on top, transparent)
-    textarea = document.createElement('textarea');
-    textarea.id = 'editor-textarea';
-    textarea.spellcheck = false;
-    textarea.style.cssText = `
-      position: relative;
-      width: 100%;
-      height: 100%;
-      background: transparent;
-      color: transparent;
-      caret-color: var(--text-primary);
-      border: none;
-      padding: 10px;
-      font-family: 'Consolas', 'Monaco', monospace;
-      font-size: 14px;
-      line-height: 1.5;
-      resize: none;
-      outline: none;
-      tab-size: 2;
-      z-index: 1;
-    `;
-    
-    const updateHighlight = () => {
-      if (state.currentFile) {
-        const ext = state.currentFile.split('.').pop();
-        const fileExt = '.' + ext;
-        highlightLayer.innerHTML = highlightCode(textarea.value, fileExt);
-        updateLineNumbers(textarea.value);
-      } else {
-        highlightLayer.innerHTML = escapeHtml(textarea.value);
-      }
-    };
-    
-    const updateLineNumbers = (text) => {
-      const lines = text.split('\n').length;
-      lineNumbers.innerHTML = Array.from({length: lines}, (_, i) => 
-        `<div style="height: 1.5em;">${i + 1}</div>`
-      ).join('');
-    };
-    
-    textarea.addEventListener('input', () => {
-      updateHighlight();
-      if (state.currentFile) {
-        const fileData = state.openFiles.get(state.currentFile);
-        if (fileData) {
-          fileData.modified = true;
-          updateTab(state.currentFile);
-        }
-      }
-    });
+function createFileModel(fileData, content) {
+  const { monaco, settings } = editorState;
+  // The language follows from the file extension
+  const model = monaco.editor.createModel(content, undefined, monaco.Uri.file(fileData.path));
+  model.updateOptions({ tabSize: settings.tabSize || 2, insertSpaces: true });
+
+  fileData.model = model;
+  fileData.savedVersionId = model.getAlternativeVersionId();
+  // Undoing back to the saved text clears the unsaved mark
+  model.onDidChangeContent(() => {
+    fileData.modified = model.getAlternativeVersionId() !== fileData.savedVersionId;
+    updateTab(fileData.path);
+  });
+}
 
-    textarea.addEventListener('scroll', () => {
-      highlightLayer.scrollTop = textarea.scrollTop;
-      highlightLayer.scrollLeft = textarea.scrollLeft;
-      lineNumbers.scrollTop = textarea.scrollTop;
-    });
-    
-    // Handle tab key
-    textarea.addEventListener('keydown', (e) => {
-      if (e.key === 'Tab') {
-        e.preventDefault();
-        const start = textarea.selectionStart;
-        const end = textarea.selectionEnd;
-        textarea.value = textarea.value.substring(0, start) + '  ' + textarea.value.substring(end);
-        textarea.selectionStart = textarea.selectionEnd = start + 2;
-        updateHighlight();
-      }
-      
-      // Save shortcut
-      if (e.ctrlKey && e.key === 's') {
-        e.preventDefault();
-        saveCurrentFile();
-      }
+/**
+ * Record that a file's content has been written
+ * @param {Object} fileData - Entry of state.openFiles
+ * @param {number} versionId - Model version that was written
+ */
+function markSaved(fileData, versionId) {
+  fileData.savedVersionId = versionId;
+  fileData.modified = fileData.model.getAlternativeVersionId() !== versionId;
+  updateTab(fileData.path);
+}
 
-      // Auto-indent on Enter
-      if (e.key === 'Enter') {
-        e.preventDefault();
-        const start = textarea.selectionStart;
-        const textBefore = textarea.value.substring(0, start);
-        const currentLine = textBefore.split('\n').pop();
-        const indent = currentLine.match(/^\s*/)[0];
-        // Extra indent after { or :
-        const lastChar = textBefore.trim().slice(-1);
-        const extraIndent = (lastChar === '{' || lastChar === ':') ? '  ' : '';
-        const insertion = '\n' + indent + extraIndent;
-        
-        textarea.value = textarea.value.substring(0, start) + insertion + textarea.value.substring(textarea.selectionEnd);
-        textarea.selectionStart = textarea.selectionEnd = start + insertion.length;
-        updateHighlight();
-        
-        // Trigger input to mark file modified
-        textarea.dispatchEvent(new Event('input'));
-      }
-    });
-    
-    codeArea.appendChild(highlightLayer);
-    codeArea.appendChild(textarea);
-    editorWrapper.appendChild(lineNumbers);
-    editorWrapper.appendChild(codeArea);
-    elements.editor.appendChild(editorWrapper);
+/**
+ * Show a file in the editor, where it was left
+ * @param {Object} fileData - Entry of state.openFiles
+ */
+function showEditor(fileData) {
+  const { editor } = editorState;
+  document.getElementById('editor-wrapper').style.display = 'block';
+  editor.setModel(fileData.model);
+  if (fileData.viewState) {
+    editor.restoreViewState(fileData.viewState);
   }
-  
-  textarea.value = content;
-  editorWrapper.style.display = 'flex';
-  
-  // Apply syntax highlighting
-  if (state.currentFile) {
-    const ext = '.' + state.currentFile.split('.').pop();
-    highlightLayer.innerHTML = highlightCode(content, ext);
-    const lines = content.split('\n').length;
-    lineNumbers.innerHTML = Array.from({length: lines}, (_, i) =>
-      `<div style="height: 1.5em;">${i + 1}</div>`
-    ).join('');
+  editor.focus();
+}
+
+/**
+ * Keep the cursor, selections, folds and scroll position of the shown file
+ */
+function saveEditorViewState() {
+  const fileData = state.openFiles.get(state.currentFile);
+  if (fileData && editorState.editor) {
+    fileData.viewState = editorState.editor.saveViewState();
   }
 }
 
@@ -1110,6 +1938,15 @@ function hideEditor() {
   if (wrapper) {
     wrapper.style.display = 'none';
   }
+  editorState.editor?.setModel(null);
+}
+
+/**
+ * Stop or allow editing, e.g. while the session-ended screen is shown
+ * @param {boolean} readOnly - Whether the editor is read-only
+ */
+function setEditorReadOnly(readOnly) {
+  editorState.editor?.updateOptions({ readOnly });
 }
 
 // ============================================
@@ -1169,11 +2006,20 @@ function setupEventListeners() {
   document.getElementById('btn-save').addEventListener('click', saveCurrentFile);
   
   // Run button
-  document.getElementById('btn-run').addEventListener('click', runCurrentFile);
+  document.getElementById('btn-run').addEventListener('click', () => runCurrentFile());
+
+  // Run configuration button
+  document.getElementById('btn-run-config').addEventListener('click', showRunConfigDialog);
+
+  // Run tests button
+  document.getElementById('btn-run-tests').addEventListener('click', runCurrentTests);
   
   // Stop button
   document.getElementById('btn-stop').addEventListener('click', stopRunningCode);
   
+  // Session ended screen: only an admin can dismiss it
+  document.getElementById('btn-session-admin').addEventListener('click', showAdminLoginModal);
+  
   // Code input (for interactive programs)
   const codeInput = document.getElementById('code-input');
   if (codeInput) {
@@ -1187,13 +2033,49 @@ function setupEventListeners() {
     });
   }
   
+  // Key presses and pastes for a program on a pseudo-terminal
+  const outputContent = document.getElementById('output-content');
+  outputContent.addEventListener('keydown', (e) => {
+    if (!codeExecState.terminal) {
+      return;
+    }
+    const sequence = terminalKeySequence(e);
+    if (sequence !== null) {
+      e.preventDefault();
+      e.stopPropagation();
+      api.code.sendInput(sequence, codeExecState.runId);
+    }
+  });
+  outputContent.addEventListener('paste', (e) => {
+    if (!codeExecState.terminal) {
+      return;
+    }
+    e.preventDefault();
+    const text = e.clipboardData.getData('text/plain').replace(/\r?\n/g, '\r');
+    if (text) {
+      api.code.sendInput(text, codeExecState.runId);
+    }
+  });
+
   // Clear output button
   const clearBtn = document.getElementById('btn-clear-output');
   if (clearBtn) {
     clearBtn.addEventListener('click', () => {
+      if (!document.getElementById('repl-content').classList.contains('hidden')) {
+        document.getElementById('repl-output').innerHTML = '';
+        return;
+      }
       document.getElementById('output-content').innerHTML = '<div style="color: var(--text-secondary);">Output cleared.</div>';
+      // A running program's further output starts a new screen
+      codeExecState.screen = null;
     });
   }
+
+  // REPL
+  document.getElementById('btn-repl-start').addEventListener('click', startRepl);
+  document.getElementById('btn-repl-stop').addEventListener('click', stopRepl);
+  document.getElementById('repl-input').addEventListener('keydown', handleReplKeydown);
+  document.getElementById('repl-input').addEventListener('input', resizeReplInput);
   
   // Activity bar items
   document.querySelectorAll('.activity-item').forEach(item => {
@@ -1232,10 +2114,7 @@ function setupEventListeners() {
   
   // Bottom panel tabs
   document.querySelectorAll('.bottom-panel-tab').forEach(tab => {
-    tab.addEventListener('click', () => {
-      document.querySelectorAll('.bottom-panel-tab').forEach(t => t.classList.remove('active'));
-      tab.classList.add('active');
-    });
+    tab.addEventListener('click', () => showBottomPanelTab(tab.dataset.tab));
   });
   
   // Global keyboard shortcuts
@@ -1252,8 +2131,15 @@ function setupEventListeners() {
       createNewFile();
     }
     
+    // Ctrl+Shift+F5 - Run with arguments / input file
+    if (e.ctrlKey && e.shiftKey && e.key === 'F5') {
+      e.preventDefault();
+      showRunConfigDialog();
+      return;
+    }
+
     // F5 or Ctrl+F5 - Run code
-    if (e.key === 'F5') {
+    if (e.key === 'F5' && !e.shiftKey) {
       e.preventDefault();
       runCurrentFile();
     }
@@ -1301,7 +2187,27 @@ function setupNotificationHandlers() {
   
   // 5. Time warnings
   api.on('notify:time-warning', (warning) => {
-    showNotification(`Time remaining: ${warning.remaining} minutes`, 'warning');
+    const unit = warning.remaining === 1 ? 'minute' : 'minutes';
+    log(`Session ends in ${warning.remaining} ${unit}`);
+    showNotification(`Time remaining: ${warning.remaining} ${unit}. Save your work.`, 'warning');
+  });
+  
+  // 6. Policy profile switched (admin switch or policy reload)
+  api.on('notify:profile-changed', (profile) => {
+    updateProfileStatus(profile);
+  });
+  
+  // 7. Allowed time is over: stop editing, save everything, then lock
+  api.on('notify:session-ended', async (session) => {
+    log(`Session ended: ${session.reason}`);
+    state.sessionEnded = true;
+    // Nothing typed while saving is left out of the saved files
+    setEditorReadOnly(true);
+
+    const report = await saveAllFiles();
+    await api.runtime.reportAutosave(report);
+    
+    showSessionEndedScreen(session.reason, report);
   });
 }
 
@@ -1350,6 +2256,73 @@ function escapeHtml(str) {
   return div.innerHTML;
 }
 
+/**
+ * Show the active policy profile in the status bar
+ * @param {Object|null} profile - { name, description, source }
+ */
+function updateProfileStatus(profile) {
+  elements.statusProfile.textContent = profile ? `Profile: ${profile.name}` : '';
+  elements.statusProfile.title = profile
+    ? `${profile.description || 'Policy profile'} (${profile.source === 'admin' ? 'set by admin' : `by ${profile.source}`})`
+    : 'Policy profile';
+}
+
+/**
+ * Show toolchain availability in the status bar, with details in the tooltip
+ * @param {Object} report - { probedAt, languages[] } from system:toolchains
+ */
+function updateToolchainStatus(report) {
+  const languages = report.languages.filter(language => language.enabled);
+  const available = languages.filter(language => language.available);
+
+  elements.statusToolchains.textContent = `Toolchains: ${available.length}/${languages.length}`;
+  elements.statusToolchains.style.color = available.length < languages.length ? '#cca700' : '';
+  elements.statusToolchains.title = languages.map((language) => {
+    if (language.available) {
+      return `✅ ${language.name}${language.version ? ` — ${language.version}` : ''}`;
+    }
+    const missing = Object.values(language.steps)
+      .filter(step => !step.artifact && !step.selected)
+      .flatMap(step => step.candidates.map(candidate => candidate.command));
+    return `❌ ${language.name} — not found: ${missing.join(', ')}`;
+  }).join('\n');
+
+  updateReplLanguages(report.languages);
+}
+
+/**
+ * Lock the UI behind the session-ended screen until an admin dismisses it
+ * @param {string} reason - Why the session ended
+ * @param {Object|null} report - Auto-save result { saved, failed }
+ */
+function showSessionEndedScreen(reason, report) {
+  state.sessionEnded = true;
+  setEditorReadOnly(true);
+  
+  elements.sessionEndedReason.textContent = reason || 'This session has ended.';
+  if (!report) {
+    elements.sessionEndedSaved.textContent = '';
+  } else if (report.failed.length > 0) {
+    elements.sessionEndedSaved.textContent = `${report.failed.length} file(s) could not be saved. Ask your administrator for help.`;
+  } else {
+    elements.sessionEndedSaved.textContent = report.saved.length > 0
+      ? `Your work was saved (${report.saved.length} file(s)).`
+      : 'All your work was already saved.';
+  }
+  
+  elements.sessionEndedOverlay.classList.remove('hidden');
+}
+
+/**
+ * Remove the session-ended screen after an admin dismissed it
+ */
+function hideSessionEndedScreen() {
+  state.sessionEnded = false;
+  setEditorReadOnly(false);
+  
+  elements.sessionEndedOverlay.classList.add('hidden');
+}
+
 /**
  * Start time display in status bar
  */
@@ -1494,6 +2467,18 @@ async function handleAdminLogin(password) {
       state.isAdmin = true;
       hideAdminLoginModal();
       
+      // On the session-ended screen, logging in only dismisses the lock
+      if (state.sessionEnded) {
+        const dismissResult = await api.admin.dismissSessionLock();
+        if (dismissResult.success) {
+          log('🔓 Session lock dismissed by admin');
+          hideSessionEndedScreen();
+        } else {
+          showNotification(dismissResult.error || 'Could not dismiss session lock', 'error');
+        }
+        return;
+      }
+      
       // --- NEW CODE START ---
       // Immediately unlock the window frame/traffic lights
       api.admin.unlockWindow(); 
@@ -0,0 +1,690 @@
+/**
+ * Terminal Screen - Output panel of programs run on a pseudo-terminal
+ *
+ * TerminalBuffer interprets what console programs commonly print and
+ * keeps the resulting lines, cursor and styles; TerminalScreen draws them
+ * in the output panel. Loaded by index.html before the renderer, which
+ * finds TerminalScreen on window; tests require the buffer directly.
+ *
+ * @module ide-ui/terminal-screen
+ */
+
+'use strict';
+
+/** The 16 basic terminal colors */
+const TERMINAL_COLORS = [
+  '#000000', '#cd3131', '#0dbc79', '#e5e510', '#2472c8', '#bc3fbc', '#11a8cd', '#e5e5e5',
+  '#666666', '#f14c4c', '#23d18b', '#f5f543', '#3b8eea', '#d670d6', '#29b8db', '#ffffff',
+];
+
+/** Lines kept above the visible screen */
+const TERMINAL_SCROLLBACK = 5000;
+
+/** Style of text printed without attributes, and of the cursor */
+const TERMINAL_PLAIN = Object.freeze({});
+const TERMINAL_CURSOR = Object.freeze({ cursor: true });
+
+/** Escape and bell, spliced into the patterns below as characters */
+const TERMINAL_ESC = '\x1b';
+const TERMINAL_BEL = '\x07';
+
+/**
+ * A complete escape sequence: CSI (params, final), OSC, charset selection,
+ * or a two-character escape (any printable but the introducers [ ] ( ) #)
+ */
+const TERMINAL_ESCAPE = new RegExp(
+  `^${TERMINAL_ESC}(?:\\[([0-?]*)[ -/]*([@-~])|\\][^${TERMINAL_BEL}${TERMINAL_ESC}]*(?:${TERMINAL_BEL}|${TERMINAL_ESC}\\\\)` +
+  '|[()#][ -~]|([\\x20-\\x22\\x24-\\x27\\x2a-\\x5a\\x5c\\x5e-\\x7e]))',
+);
+
+/** The start of an escape sequence whose rest is in the next chunk */
+const TERMINAL_PARTIAL = new RegExp(`^${TERMINAL_ESC}(?:\\[[0-?]*[ -/]*|\\][^${TERMINAL_BEL}]*|[()#])?$`);
+
+/**
+ * CSS color of a 256-color palette entry
+ * @param {number} index - 0-255
+ * @returns {string} CSS color
+ */
+function terminalPaletteColor(index) {
+  if (index < 16) {
+    return TERMINAL_COLORS[index];
+  }
+  if (index < 232) {
+    const levels = [0, 95, 135, 175, 215, 255];
+    const n = index - 16;
+    return `rgb(${levels[Math.floor(n / 36)]}, ${levels[Math.floor(n / 6) % 6]}, ${levels[n % 6]})`;
+  }
+  const gray = 8 + (index - 232) * 10;
+  return `rgb(${gray}, ${gray}, ${gray})`;
+}
+
+/**
+ * Apply an SGR (Select Graphic Rendition) sequence to a style
+ * @param {Object} style - Current style
+ * @param {number[]} params - Sequence parameters
+ * @returns {Object} New style; styles are compared by identity
+ */
+function applyTerminalSgr(style, params) {
+  const next = { ...style };
+  for (let i = 0; i < params.length; i++) {
+    const p = params[i];
+    if (p === 0) {
+      Object.keys(next).forEach(key => delete next[key]);
+    } else if (p === 1) {
+      next.bold = true;
+    } else if (p === 2) {
+      next.dim = true;
+    } else if (p === 3) {
+      next.italic = true;
+    } else if (p === 4) {
+      next.underline = true;
+    } else if (p === 7) {
+      next.inverse = true;
+    } else if (p === 22) {
+      delete next.bold;
+      delete next.dim;
+    } else if (p === 23) {
+      delete next.italic;
+    } else if (p === 24) {
+      delete next.underline;
+    } else if (p === 27) {
+      delete next.inverse;
+    } else if ((p >= 30 && p <= 37) || (p >= 90 && p <= 97)) {
+      next.fg = TERMINAL_COLORS[p >= 90 ? p - 82 : p - 30];
+    } else if ((p >= 40 && p <= 47) || (p >= 100 && p <= 107)) {
+      next.bg = TERMINAL_COLORS[p >= 100 ? p - 92 : p - 40];
+    } else if (p === 39) {
+      delete next.fg;
+    } else if (p === 49) {
+      delete next.bg;
+    } else if (p === 38 || p === 48) {
+      // 38;5;n (palette) or 38;2;r;g;b (RGB), same for backgrounds
+      let color = null;
+      if (params[i + 1] === 5) {
+        color = terminalPaletteColor(params[i + 2] & 255);
+        i += 2;
+      } else if (params[i + 1] === 2) {
+        color = `rgb(${params[i + 2] & 255}, ${params[i + 3] & 255}, ${params[i + 4] & 255})`;
+        i += 4;
+      }
+      if (color) {
+        next[p === 38 ? 'fg' : 'bg'] = color;
+      }
+    }
+  }
+  return Object.keys(next).length > 0 ? Object.freeze(next) : TERMINAL_PLAIN;
+}
+
+/**
+ * TerminalBuffer - Lines, cursor and styles of a terminal's output.
+ * Understands what console programs commonly print: colors (16, 256 and
+ * RGB), carriage return, backspace, tabs, cursor movement, erasing and
+ * inserting, scroll regions. Other sequences are dropped. Cursor positions
+ * are relative to the last `rows` lines; lines above them are scrollback.
+ */
+class TerminalBuffer {
+  /**
+   * @param {Object} size - { cols, rows }
+   */
+  constructor(size) {
+    this.cols = size.cols;
+    this.rows = size.rows;
+    this.lines = [[]];
+    this.row = 0;
+    this.col = 0;
+    this.style = TERMINAL_PLAIN;
+    this.saved = { row: 0, col: 0 };
+    this.scrollRegion = null;
+    this.cursorVisible = true;
+    this.pending = '';
+    this.dirty = new Set([0]);
+    this.fullRedraw = false;
+  }
+
+  /**
+   * First line of the visible screen
+   * @returns {number} Line index
+   */
+  get top() {
+    return Math.max(0, this.lines.length - this.rows);
+  }
+
+  /**
+   * Screen rows that scroll: the scroll region, or the whole screen
+   * @returns {Object} { top, bottom }, both included
+   */
+  get margins() {
+    return this.scrollRegion || { top: 0, bottom: this.rows - 1 };
+  }
+
+  /**
+   * Change the screen size
+   * @param {Object} size - { cols, rows }
+   */
+  resize(size) {
+    this.cols = size.cols;
+    this.rows = size.rows;
+    this.scrollRegion = null;
+  }
+
+  /**
+   * Show or hide the cursor, e.g. once the program has exited
+   * @param {boolean} visible - Whether to show it
+   */
+  setCursorVisible(visible) {
+    this.cursorVisible = visible;
+    this.dirty.add(this.row);
+  }
+
+  /**
+   * Take program output
+   * @param {string} text - Raw terminal output
+   */
+  write(text) {
+    const data = this.pending + text;
+    this.pending = '';
+
+    let i = 0;
+    while (i < data.length) {
+      const ch = data[i];
+      if (ch === '\x1b') {
+        const rest = data.slice(i, i + 256);
+        const match = TERMINAL_ESCAPE.exec(rest);
+        if (match) {
+          this.escape(match);
+          i += match[0].length;
+        } else if (rest.length < 256 && TERMINAL_PARTIAL.test(rest)) {
+          this.pending = rest;
+          break;
+        } else {
+          i++;
+        }
+        continue;
+      }
+
+      if (ch === '\r') {
+        this.col = 0;
+      } else if (ch === '\n') {
+        this.lineFeed();
+      } else if (ch === '\b') {
+        this.col = Math.max(0, Math.min(this.col, this.cols - 1) - 1);
+      } else if (ch === '\t') {
+        this.col = Math.min(this.cols - 1, (Math.floor(this.col / 8) + 1) * 8);
+      } else if (ch >= ' ' && ch !== '\x7f') {
+        this.put(ch);
+      }
+      i++;
+    }
+  }
+
+  /**
+   * Line at a row, creating it and the lines before it if needed
+   * @private
+   * @param {number} row - Line index
+   * @returns {Object[]} Cells { ch, style }
+   */
+  line(row) {
+    while (this.lines.length <= row) {
+      this.lines.push([]);
+    }
+    this.dirty.add(row);
+    return this.lines[row];
+  }
+
+  /**
+   * Print one character at the cursor, wrapping at the right edge
+   * @private
+   * @param {string} ch - Character
+   */
+  put(ch) {
+    if (this.col >= this.cols) {
+      this.col = 0;
+      this.lineFeed();
+    }
+    const cells = this.line(this.row);
+    while (cells.length < this.col) {
+      cells.push({ ch: ' ', style: TERMINAL_PLAIN });
+    }
+    cells[this.col] = { ch, style: this.style };
+    this.col++;
+  }
+
+  /**
+   * Move the cursor down a line. At the bottom of a scroll region the
+   * region scrolls instead; without one the screen scrolls into the
+   * scrollback, of which the oldest lines are dropped.
+   * @private
+   */
+  lineFeed() {
+    if (this.scrollRegion) {
+      const screenRow = this.row - this.top;
+      if (screenRow === this.scrollRegion.bottom) {
+        this.scrollRows(this.scrollRegion.top, this.scrollRegion.bottom, 1);
+        return;
+      }
+      if (screenRow === this.rows - 1) {
+        return;
+      }
+    }
+
+    this.row++;
+    this.line(this.row);
+
+    const excess = this.lines.length - this.rows - TERMINAL_SCROLLBACK;
+    if (excess > 0) {
+      // Dropped in blocks so the panel is not rebuilt for every line
+      const drop = excess + 500;
+      this.lines.splice(0, drop);
+      this.row -= drop;
+      this.saved.row = Math.max(0, this.saved.row - drop);
+      this.fullRedraw = true;
+    }
+  }
+
+  /**
+   * Move the cursor up a line, scrolling the region down at its top
+   * @private
+   */
+  reverseLineFeed() {
+    const { top, bottom } = this.margins;
+    if (this.row - this.top === top) {
+      this.scrollRows(top, bottom, -1);
+    } else {
+      this.row = Math.max(this.top, this.row - 1);
+    }
+  }
+
+  /**
+   * Scroll some rows of the screen, leaving the scrollback alone
+   * @private
+   * @param {number} first - First screen row that moves
+   * @param {number} last - Last screen row that moves
+   * @param {number} count - Lines to scroll; positive moves the text up
+   */
+  scrollRows(first, last, count) {
+    const start = this.top + first;
+    const end = this.top + last;
+    this.line(end);
+
+    const amount = Math.min(Math.abs(count), last - first + 1);
+    const blanks = Array.from({ length: amount }, () => []);
+    if (count > 0) {
+      this.lines.splice(start, amount);
+      this.lines.splice(end - amount + 1, 0, ...blanks);
+    } else {
+      this.lines.splice(end - amount + 1, amount);
+      this.lines.splice(start, 0, ...blanks);
+    }
+    for (let r = start; r <= end; r++) {
+      this.dirty.add(r);
+    }
+  }
+
+  /**
+   * Move the cursor, keeping it on the visible screen
+   * @private
+   * @param {number} row - Screen row (0-based)
+   * @param {number} col - Column (0-based)
+   */
+  moveTo(row, col) {
+    this.row = this.top + Math.max(0, Math.min(this.rows - 1, row));
+    this.col = Math.max(0, Math.min(this.cols - 1, col));
+    this.line(this.row);
+  }
+
+  /**
+   * Erase part of the cursor's line
+   * @private
+   * @param {number} mode - 0: to the end, 1: to the start, 2: all
+   */
+  eraseLine(mode) {
+    const cells = this.line(this.row);
+    if (mode === 0) {
+      cells.length = Math.min(cells.length, this.col);
+    } else if (mode === 1) {
+      for (let c = 0; c <= this.col && c < cells.length; c++) {
+        cells[c] = { ch: ' ', style: TERMINAL_PLAIN };
+      }
+    } else {
+      cells.length = 0;
+    }
+  }
+
+  /**
+   * Erase part of the screen
+   * @private
+   * @param {number} mode - 0: below the cursor, 1: above it, 2: all, 3: all and the scrollback
+   */
+  eraseDisplay(mode) {
+    if (mode === 3) {
+      const dropped = this.top;
+      this.lines = this.lines.slice(dropped);
+      this.row -= dropped;
+      this.fullRedraw = true;
+      mode = 2;
+    }
+
+    const top = this.top;
+    if (mode === 0) {
+      this.eraseLine(0);
+      for (let r = this.row + 1; r < this.lines.length; r++) {
+        this.line(r).length = 0;
+      }
+    } else if (mode === 1) {
+      this.eraseLine(1);
+      for (let r = top; r < this.row; r++) {
+        this.line(r).length = 0;
+      }
+    } else {
+      for (let r = top; r < this.lines.length; r++) {
+        this.line(r).length = 0;
+      }
+    }
+  }
+
+  /**
+   * Handle an escape sequence
+   * @private
+   * @param {Array} match - TERMINAL_ESCAPE match
+   */
+  escape(match) {
+    const [, params, final, single] = match;
+
+    if (single !== undefined) {
+      if (single === '7') {
+        this.saved = { row: this.row - this.top, col: this.col };
+      } else if (single === '8') {
+        this.moveTo(this.saved.row, this.saved.col);
+      } else if (single === 'M') {
+        this.reverseLineFeed();
+      } else if (single === 'D') {
+        this.lineFeed();
+      } else if (single === 'E') {
+        this.col = 0;
+        this.lineFeed();
+      } else if (single === 'c') {
+        this.style = TERMINAL_PLAIN;
+        this.scrollRegion = null;
+        this.eraseDisplay(3);
+        this.moveTo(0, 0);
+      }
+      return;
+    }
+    if (final === undefined) {
+      // OSC (e.g. window title) or charset selection
+      return;
+    }
+
+    const isPrivate = /^[?>=<]/.test(params);
+    const args = params.replace(/^[?>=<]/, '').split(/[;:]/).map(value => parseInt(value, 10));
+    const n = (index) => (args[index] > 0 ? args[index] : 1);
+    const screenRow = this.row - this.top;
+
+    switch (final) {
+    case 'm':
+      if (!isPrivate) {
+        this.style = applyTerminalSgr(this.style, args.map(value => (Number.isNaN(value) ? 0 : value)));
+      }
+      break;
+    case 'A':
+      this.moveTo(screenRow - n(0), this.col);
+      break;
+    case 'B':
+      this.moveTo(screenRow + n(0), this.col);
+      break;
+    case 'C':
+      this.moveTo(screenRow, this.col + n(0));
+      break;
+    case 'D':
+      this.moveTo(screenRow, Math.min(this.col, this.cols - 1) - n(0));
+      break;
+    case 'E':
+      this.moveTo(screenRow + n(0), 0);
+      break;
+    case 'F':
+      this.moveTo(screenRow - n(0), 0);
+      break;
+    case 'G':
+      this.moveTo(screenRow, n(0) - 1);
+      break;
+    case 'd':
+      this.moveTo(n(0) - 1, this.col);
+      break;
+    case 'H':
+    case 'f':
+      this.moveTo(n(0) - 1, n(1) - 1);
+      break;
+    case 'J':
+      this.eraseDisplay(args[0] || 0);
+      break;
+    case 'K':
+      this.eraseLine(args[0] || 0);
+      break;
+    case 'L':
+    case 'M': {
+      // Insert or delete lines: the rest of the region moves down or up
+      const { top, bottom } = this.margins;
+      if (screenRow >= top && screenRow <= bottom) {
+        this.scrollRows(screenRow, bottom, final === 'M' ? n(0) : -n(0));
+        this.col = 0;
+      }
+      break;
+    }
+    case 'S':
+    case 'T': {
+      const { top, bottom } = this.margins;
+      this.scrollRows(top, bottom, final === 'S' ? n(0) : -n(0));
+      break;
+    }
+    case 'r':
+      // Scroll region (DECSTBM); the cursor goes home
+      if (!isPrivate) {
+        const top = n(0) - 1;
+        const bottom = Math.min(args[1] > 0 ? args[1] : this.rows, this.rows) - 1;
+        if (top < bottom) {
+          this.scrollRegion = top === 0 && bottom === this.rows - 1 ? null : { top, bottom };
+          this.moveTo(0, 0);
+        }
+      }
+      break;
+    case 'P':
+      this.line(this.row).splice(this.col, n(0));
+      break;
+    case '@': {
+      const cells = this.line(this.row);
+      if (this.col < cells.length) {
+        const blanks = Array.from({ length: n(0) }, () => ({ ch: ' ', style: TERMINAL_PLAIN }));
+        cells.splice(this.col, 0, ...blanks);
+        cells.length = Math.min(cells.length, this.cols);
+      }
+      break;
+    }
+    case 'X': {
+      const cells = this.line(this.row);
+      for (let c = this.col; c < this.col + n(0) && c < cells.length; c++) {
+        cells[c] = { ch: ' ', style: TERMINAL_PLAIN };
+      }
+      break;
+    }
+    case 's':
+      this.saved = { row: screenRow, col: this.col };
+      break;
+    case 'u':
+      this.moveTo(this.saved.row, this.saved.col);
+      break;
+    case 'h':
+    case 'l':
+      if (isPrivate && args.includes(25)) {
+        this.cursorVisible = final === 'h';
+        this.dirty.add(this.row);
+      }
+      // The alternate screen is drawn over the normal one
+      if (isPrivate && (args.includes(1049) || args.includes(47))) {
+        this.eraseDisplay(2);
+        this.moveTo(0, 0);
+      }
+      break;
+    default:
+      break;
+    }
+  }
+}
+
+/**
+ * TerminalScreen - A TerminalBuffer drawn in the output panel, one
+ * element per line; only lines that changed are drawn again
+ */
+class TerminalScreen extends TerminalBuffer {
+  /**
+   * @param {HTMLElement} container - Output panel
+   * @param {Object} size - { cols, rows }
+   */
+  constructor(container, size) {
+    super(size);
+    this.container = container;
+    this.el = document.createElement('div');
+    this.el.className = 'terminal-screen';
+    container.appendChild(this.el);
+
+    this.lineEls = [];
+    this.cursorLine = 0;
+  }
+
+  /**
+   * Show or hide the cursor, e.g. once the program has exited
+   * @param {boolean} visible - Whether to show it
+   */
+  setCursorVisible(visible) {
+    super.setCursorVisible(visible);
+    this.render();
+  }
+
+  /**
+   * Print program output
+   * @param {string} text - Raw terminal output
+   */
+  write(text) {
+    super.write(text);
+    this.render();
+    this.container.scrollTop = this.container.scrollHeight;
+  }
+
+  /**
+   * Update the lines that changed since the last render
+   * @private
+   */
+  render() {
+    if (this.fullRedraw) {
+      this.fullRedraw = false;
+      this.el.textContent = '';
+      this.lineEls = [];
+    }
+    while (this.lineEls.length < this.lines.length) {
+      const lineEl = document.createElement('div');
+      lineEl.className = 'terminal-line';
+      this.el.appendChild(lineEl);
+      this.dirty.add(this.lineEls.length);
+      this.lineEls.push(lineEl);
+    }
+    while (this.lineEls.length > this.lines.length) {
+      this.lineEls.pop().remove();
+    }
+
+    this.dirty.add(this.cursorLine);
+    this.dirty.add(this.row);
+    this.cursorLine = this.row;
+    for (const index of this.dirty) {
+      this.renderLine(index);
+    }
+    this.dirty.clear();
+  }
+
+  /**
+   * Render one line as runs of equally styled text
+   * @private
+   * @param {number} index - Line index
+   */
+  renderLine(index) {
+    const lineEl = this.lineEls[index];
+    if (!lineEl) {
+      return;
+    }
+    lineEl.textContent = '';
+
+    const cells = this.lines[index];
+    const cursorCol = index === this.row && this.cursorVisible ? Math.min(this.col, this.cols - 1) : -1;
+    const length = Math.max(cells.length, cursorCol + 1);
+
+    let text = '';
+    let style = null;
+    const flush = () => {
+      if (text === '') {
+        return;
+      }
+      lineEl.appendChild(style === TERMINAL_PLAIN ? document.createTextNode(text) : this.styledSpan(text, style));
+      text = '';
+    };
+
+    for (let c = 0; c < length; c++) {
+      const cell = cells[c] || { ch: ' ', style: TERMINAL_PLAIN };
+      const cellStyle = c === cursorCol ? TERMINAL_CURSOR : cell.style;
+      if (cellStyle !== style) {
+        flush();
+        style = cellStyle;
+      }
+      text += cell.ch;
+    }
+    flush();
+  }
+
+  /**
+   * Span showing text in a terminal style
+   * @private
+   * @param {string} text - Text
+   * @param {Object} style - From applyTerminalSgr, or TERMINAL_CURSOR
+   * @returns {HTMLElement} The span
+   */
+  styledSpan(text, style) {
+    const span = document.createElement('span');
+    span.textContent = text;
+    if (style === TERMINAL_CURSOR) {
+      span.className = 'terminal-cursor';
+      return span;
+    }
+
+    const fg = style.inverse ? (style.bg || 'var(--bg-primary)') : style.fg;
+    const bg = style.inverse ? (style.fg || 'var(--text-primary)') : style.bg;
+    if (fg) {
+      span.style.color = fg;
+    }
+    if (bg) {
+      span.style.background = bg;
+    }
+    if (style.bold) {
+      span.style.fontWeight = 'bold';
+    }
+    if (style.dim) {
+      span.style.opacity = '0.7';
+    }
+    if (style.italic) {
+      span.style.fontStyle = 'italic';
+    }
+    if (style.underline) {
+      span.style.textDecoration = 'underline';
+    }
+    return span;
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    TERMINAL_COLORS,
+    TERMINAL_PLAIN,
+    TerminalBuffer,
+    TerminalScreen,
+    applyTerminalSgr,
+    terminalPaletteColor,
+  };
+} else {
+  window.TerminalScreen = TerminalScreen;
+}
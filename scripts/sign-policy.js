@@ -0,0 +1,92 @@
+/**
+ * Policy Signing Tool
+ *
+ * Creates the Ed25519 key pair used for policy signatures and writes
+ * detached signatures (<policy>.sig) that the policy engine checks.
+ *
+ * Usage:
+ *   node scripts/sign-policy.js keygen <output-dir>
+ *   node scripts/sign-policy.js sign <policy.json> <private-key>
+ *   node scripts/sign-policy.js verify <policy.json> [public-key]
+ *
+ * Keep the private key off kiosk machines and out of the repository.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  getKeyId,
+  signPolicy,
+  verifyPolicySignature,
+} = require('../ide-core/policy/PolicySignature');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_PUBLIC_KEY = path.join(ROOT, 'ide-core', 'policy', 'keys', 'policy-signing.pub');
+
+function usage() {
+  console.log('Usage:');
+  console.log('  node scripts/sign-policy.js keygen <output-dir>');
+  console.log('  node scripts/sign-policy.js sign <policy.json> <private-key>');
+  console.log('  node scripts/sign-policy.js verify <policy.json> [public-key]');
+  process.exit(1);
+}
+
+function readPolicy(policyPath) {
+  return JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+}
+
+function keygen(outputDir) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const privatePath = path.join(outputDir, 'policy-signing.key');
+  const publicPath = path.join(outputDir, 'policy-signing.pub');
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(privatePath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600, flag: 'wx' });
+  fs.writeFileSync(publicPath, publicKey.export({ type: 'spki', format: 'pem' }), { flag: 'wx' });
+
+  console.log(`✓ Key ${getKeyId(publicKey)} created`);
+  console.log(`  Private key: ${privatePath} (keep secret)`);
+  console.log(`  Public key:  ${publicPath}`);
+  console.log(`  Ship the public key as ${path.relative(ROOT, DEFAULT_PUBLIC_KEY)}`);
+}
+
+function sign(policyPath, privateKeyPath) {
+  const signature = signPolicy(readPolicy(policyPath), fs.readFileSync(privateKeyPath, 'utf8'));
+  fs.writeFileSync(`${policyPath}.sig`, JSON.stringify(signature, null, 2) + '\n');
+  console.log(`✓ Signed ${policyPath} with key ${signature.keyId}`);
+}
+
+function verify(policyPath, publicKeyPath = DEFAULT_PUBLIC_KEY) {
+  const signaturePath = `${policyPath}.sig`;
+  const signature = fs.existsSync(signaturePath)
+    ? JSON.parse(fs.readFileSync(signaturePath, 'utf8'))
+    : null;
+  const result = verifyPolicySignature(readPolicy(policyPath), signature, fs.readFileSync(publicKeyPath, 'utf8'));
+
+  if (result.valid) {
+    console.log(`✓ ${policyPath}: signature valid`);
+  } else {
+    console.log(`✗ ${policyPath}: ${result.reason}`);
+    process.exit(1);
+  }
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+try {
+  if (command === 'keygen' && args.length === 1) {
+    keygen(args[0]);
+  } else if (command === 'sign' && args.length === 2) {
+    sign(args[0], args[1]);
+  } else if (command === 'verify' && args.length >= 1) {
+    verify(args[0], args[1]);
+  } else {
+    usage();
+  }
+} catch (error) {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+}
@@ -46,6 +46,7 @@ check('Config file', fileExists('ide-core/config.js'), 'Missing ide-core/config.
 check('Preload script', fileExists('ide-ui/preload.js'), 'Missing ide-ui/preload.js');
 check('Main HTML', fileExists('ide-ui/index.html'), 'Missing ide-ui/index.html');
 check('Renderer script', fileExists('ide-ui/renderer.js'), 'Missing ide-ui/renderer.js');
+check('Terminal screen script', fileExists('ide-ui/terminal-screen.js'), 'Missing ide-ui/terminal-screen.js');
 
 console.log('');
 console.log('Policy Engine:');
@@ -80,6 +81,8 @@ check('fs-sandbox binding.gyp', fileExists('system-services/fs-sandbox/binding.g
 console.log('');
 console.log('Configuration:');
 check('Default policy', fileExists('installer/config/default-policy.json'), 'Missing default policy');
+check('Default policy signature', fileExists('installer/config/default-policy.json.sig'), 'Run "node scripts/sign-policy.js sign"');
+check('Policy signing key', fileExists('ide-core/policy/keys/policy-signing.pub'), 'Missing policy signing public key');
 check('Kiosk settings', fileExists('installer/config/kiosk-settings.json'), 'Missing kiosk settings');
 
 console.log('');
@@ -108,6 +111,13 @@ if (hasNodeModules) {
   check('winston', dirExists('node_modules/winston'), 'Missing winston');
   check('bcrypt', dirExists('node_modules/bcrypt'), 'Missing bcrypt');
   check('ajv', dirExists('node_modules/ajv'), 'Missing ajv');
+
+  // ide-ui loads Monaco as ../node_modules/monaco-editor; it is packed into
+  // app.asar with the other dependencies, so the relative path still holds
+  const pkg = JSON.parse(fs.readFileSync(path.join(ROOT, 'package.json'), 'utf8'));
+  check('monaco-editor is a runtime dependency', Boolean(pkg.dependencies['monaco-editor']), 'Move monaco-editor to dependencies');
+  check('Monaco loader', fileExists('node_modules/monaco-editor/min/vs/loader.js'), 'Missing monaco-editor/min/vs/loader.js');
+  check('Monaco worker', fileExists('node_modules/monaco-editor/min/vs/base/worker/workerMain.js'), 'Missing monaco-editor worker');
 }
 
 // Summary
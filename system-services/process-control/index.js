@@ -1,138 +1,553 @@
 /**
  * Process Control Module - Cross-Platform Implementation
- * Supports both Windows and macOS
+ * Supports Windows, macOS and Linux
  */
 
 'use strict';
 
 const { exec } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
 
 // Detect platform
 const isWindows = process.platform === 'win32';
 const isMac = process.platform === 'darwin';
+const isLinux = process.platform === 'linux';
+const platformTag = isWindows ? 'Win' : isMac ? 'Mac' : 'Linux';
+
+// Kernel clock ticks per second (USER_HZ) - 100 on every mainstream Linux build
+const CLOCK_TICKS = 100;
 
 // Store for monitoring state
 let monitoringActive = false;
 let monitorInterval = null;
-let whitelist = new Set();
-let blacklist = new Set();
+let mode = 'blacklist';
+let whitelist = [];
+let blacklist = [];
+let protectedList = [];
 let onUnauthorizedCallback = null;
 
+// User programs started by the IDE's code runner form their own trust class.
+// Their descendants are judged by the userCode policy, not the desktop lists.
+// Each root maps to the executable paths of the launchers (sandbox
+// wrappers) that may sit between it and the program itself, and to its
+// start time where known, so that a process which reuses the PID after the
+// program exits is not taken for it.
+const userCodeRoots = new Map();
+let userCodePolicy = {
+  allowSubprocesses: true,
+  mode: 'blacklist',
+  allowed: [],
+  blocked: [],
+};
+
+// Cache of executable hashes, keyed by path (invalidated on size/mtime change)
+const hashCache = new Map();
+
+/**
+ * Fold case on platforms with case-insensitive file systems
+ */
+function foldCase(value) {
+  return isLinux ? value : value.toLowerCase();
+}
+
+/**
+ * Normalize a list entry. Accepts a bare name ("python3"), an absolute
+ * path ("/usr/bin/python3") or an object { name?, path?, sha256? }.
+ */
+function normalizeEntry(entry) {
+  if (typeof entry === 'string') {
+    const isPath = entry.includes('/') || entry.includes('\\');
+    return isPath
+      ? { name: null, path: foldCase(entry), sha256: null }
+      : { name: foldCase(entry), path: null, sha256: null };
+  }
+  if (entry && typeof entry === 'object' && (entry.name || entry.path)) {
+    return {
+      name: entry.name ? foldCase(entry.name) : null,
+      path: entry.path ? foldCase(entry.path) : null,
+      sha256: entry.sha256 ? entry.sha256.toLowerCase() : null,
+    };
+  }
+  return null;
+}
+
+function normalizeList(processes) {
+  return (processes || []).map(normalizeEntry).filter(Boolean);
+}
+
+function setMode(newMode) {
+  mode = newMode === 'whitelist' ? 'whitelist' : 'blacklist';
+  console.log(`[${platformTag}] Process policy mode: ${mode}`);
+  return true;
+}
+
 function setWhitelist(processes) {
-  const validProcesses = (processes || []).filter(p => typeof p === 'string');
-  whitelist = new Set(validProcesses.map(p => p.toLowerCase()));
+  whitelist = normalizeList(processes);
   return true;
 }
 
 function setBlacklist(processes) {
-  const validProcesses = (processes || []).filter(p => typeof p === 'string');
-  blacklist = new Set(validProcesses.map(p => p.toLowerCase()));
-  console.log(`[${isWindows ? 'Win' : 'Mac'}] Blacklist updated with ${blacklist.size} apps`);
+  blacklist = normalizeList(processes);
+  console.log(`[${platformTag}] Blacklist updated with ${blacklist.length} apps`);
+  return true;
+}
+
+function setProtected(processes) {
+  protectedList = normalizeList(processes);
+  console.log(`[${platformTag}] Protected list updated with ${protectedList.length} processes`);
   return true;
 }
 
 /**
- * Check running processes - Windows version
+ * Configure what user programs (descendants of the code runner) may start
  */
-function checkProcessesWindows() {
-  if (blacklist.size === 0) return;
+function setUserCodePolicy(policy = {}) {
+  userCodePolicy = {
+    allowSubprocesses: policy.allowSubprocesses !== false,
+    mode: policy.mode === 'whitelist' ? 'whitelist' : 'blacklist',
+    allowed: normalizeList(policy.allowed),
+    blocked: normalizeList(policy.blocked),
+  };
+  console.log(`[${platformTag}] User code policy updated (${userCodePolicy.mode}, ${userCodePolicy.blocked.length} blocked)`);
+  return true;
+}
 
-  // Windows: Use tasklist command
-  exec('tasklist /FO CSV /NH', { maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
-    if (error || !stdout) return;
+/**
+ * Mark a process as the root of a user program (the code runner's child)
+ * @param {number} pid - Root PID
+ * @param {string[]} launchers - Wrapper paths (e.g. '/usr/bin/bwrap') between the root and the program
+ */
+function registerUserCodeRoot(pid, launchers = []) {
+  const info = isLinux ? readLinuxProcess(pid) : null;
+  userCodeRoots.set(pid, {
+    launchers: new Set(launchers.map(foldCase)),
+    startTime: info?.startTime ?? null,
+  });
+  return true;
+}
 
-    const lines = stdout.split('\n');
-    
-    lines.forEach(line => {
-      const trimmed = line.trim();
-      if (!trimmed) return;
+function unregisterUserCodeRoot(pid) {
+  return userCodeRoots.delete(pid);
+}
 
-      // Parse CSV format: "process.exe","PID","Session Name","Session#","Mem Usage"
-      const match = trimmed.match(/"([^"]+)","(\d+)"/);
-      if (!match) return;
+/**
+ * SHA-256 of an executable, cached until the file changes
+ */
+function hashExecutable(filePath) {
+  try {
+    const stats = fs.statSync(filePath);
+    const cached = hashCache.get(filePath);
+    if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+      return cached.hash;
+    }
 
-      const processName = match[1].toLowerCase();
-      const pid = parseInt(match[2], 10);
+    const hash = crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+    hashCache.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, hash });
+    return hash;
+  } catch (error) {
+    return null;
+  }
+}
 
-      // Check against blacklist
-      for (const bannedApp of blacklist) {
-        if (processName.includes(bannedApp.toLowerCase())) {
-          // Prevent killing ourselves or critical processes
-          if (processName.includes('restricted-ide') || 
-              processName.includes('electron') ||
-              processName.includes('code')) continue;
+/**
+ * Check whether a process matches a list entry exactly.
+ * Path entries compare against the resolved executable path, name entries
+ * against its basename. A pinned sha256 must also match the binary on disk.
+ */
+function matchesEntry(info, entry) {
+  if (entry.path) {
+    if (!info.path || foldCase(info.path) !== entry.path) {
+      return false;
+    }
+  } else if (!info.name || foldCase(info.name) !== entry.name) {
+    return false;
+  }
 
-          console.log(`[Security] 🚨 DETECTED BANNED APP: ${bannedApp.toUpperCase()} (PID: ${pid})`);
-          
-          killProcess(pid);
+  if (entry.sha256) {
+    return info.path !== null && hashExecutable(info.path) === entry.sha256;
+  }
+  return true;
+}
 
-          if (onUnauthorizedCallback) {
-            onUnauthorizedCallback({
-              name: bannedApp,
-              pid: pid,
-              path: processName
-            });
-          }
-        }
+/**
+ * Deny-list match: like matchesEntry, but a bare name also matches the
+ * kernel's comm name, so "python3" catches a resolved /usr/bin/python3.11
+ */
+function matchesDenyEntry(info, entry) {
+  if (matchesEntry(info, entry)) {
+    return true;
+  }
+  return !entry.path && !entry.sha256 && !!info.comm && foldCase(info.comm) === entry.name;
+}
+
+/**
+ * Whether a process belongs to the kiosk user (the user running the IDE)
+ */
+function isKioskUserProcess(info) {
+  if (isWindows) {
+    if (!info.user) {
+      return false;
+    }
+    const user = info.user.toLowerCase();
+    const kioskUser = os.userInfo().username.toLowerCase();
+    return user === kioskUser || user.endsWith(`\\${kioskUser}`);
+  }
+  return info.uid !== null && info.uid === process.getuid();
+}
+
+/**
+ * Walk the parent chain of a process: [process, parent, grandparent, ...]
+ * (needs ppid, so it only reaches past the process itself on macOS/Linux)
+ */
+function getAncestry(info, byPid) {
+  const chain = [];
+  let current = info;
+  while (current && chain.length < 64) {
+    chain.push(current);
+    if (!current.ppid || current.ppid === current.pid) {
+      break;
+    }
+    current = byPid.get(current.ppid);
+  }
+  return chain;
+}
+
+/**
+ * Whether a process launched the IDE: its parent, the session that started
+ * that, and so on. Killing one would take the IDE down with it.
+ */
+function isIdeAncestor(info, byPid) {
+  if (info.pid === process.ppid) {
+    return true;
+  }
+  // Listings without parents (Windows) only tell us our own parent
+  const ide = byPid.get(process.pid);
+  return !!ide && getAncestry(ide, byPid).some(ancestor => ancestor.pid === info.pid);
+}
+
+/**
+ * Whether a process is a registered user program root: a child of the IDE
+ * that, where start times are known, started when the root was registered
+ */
+function isUserCodeRoot(info, parent) {
+  const root = userCodeRoots.get(info.pid);
+  if (!root || !parent || parent.pid !== process.pid) {
+    return false;
+  }
+  return !root.startTime || !info.startTime || info.startTime === root.startTime;
+}
+
+/**
+ * Whether a process is one of a root's registered launchers. Matched by
+ * executable path: a user program named "bwrap" is not a launcher.
+ */
+function isLauncher(info, launchers) {
+  return launchers.size > 0 && !!info.path && launchers.has(foldCase(info.path));
+}
+
+/**
+ * Classify a process into a trust class
+ * @returns {Object} { trustClass: 'ide'|'user-code'|'other', ancestry }
+ */
+function classifyProcess(info, byPid) {
+  const ancestry = getAncestry(info, byPid);
+
+  // Strict descendants of the sanctioned runner: the registered root, any
+  // launchers it chains through, and the first process below them
+  const rootIndex = ancestry.findIndex((ancestor, index) => isUserCodeRoot(ancestor, ancestry[index + 1]));
+  if (rootIndex > 0) {
+    const { launchers } = userCodeRoots.get(ancestry[rootIndex].pid);
+    let runnerIndex = rootIndex;
+    while (runnerIndex > 0 && isLauncher(ancestry[runnerIndex], launchers)) {
+      runnerIndex--;
+    }
+    if (runnerIndex > 0) {
+      return { trustClass: 'user-code', ancestry };
+    }
+  }
+  if (ancestry.some(ancestor => ancestor.pid === process.pid)) {
+    return { trustClass: 'ide', ancestry };
+  }
+  return { trustClass: 'other', ancestry };
+}
+
+/**
+ * Decide what a user program may fork/exec
+ * @returns {Object} { kill: boolean, reason: string }
+ */
+function evaluateUserCodeProcess(info) {
+  if (!userCodePolicy.allowSubprocesses) {
+    return { kill: true, reason: 'User programs may not start subprocesses' };
+  }
+  if (userCodePolicy.blocked.some(entry => matchesDenyEntry(info, entry))) {
+    return { kill: true, reason: 'Blocked for user programs' };
+  }
+  if (userCodePolicy.mode === 'whitelist' &&
+      !userCodePolicy.allowed.some(entry => matchesEntry(info, entry))) {
+    return { kill: true, reason: 'Not allowed for user programs' };
+  }
+  return null;
+}
+
+/**
+ * Decide what to do with a single process
+ * @returns {Object} { kill: boolean, reason: string, trustClass, ancestry }
+ */
+function evaluateProcess(info, byPid) {
+  // Never touch ourselves or the processes that launched us
+  if (info.pid === process.pid || isIdeAncestor(info, byPid)) {
+    return { kill: false, reason: 'Restricted IDE', trustClass: 'ide', ancestry: [info] };
+  }
+
+  const { trustClass, ancestry } = classifyProcess(info, byPid);
+  const decide = (kill, reason) => ({ kill, reason, trustClass, ancestry });
+
+  // User code is judged before the protected list, so a user program
+  // cannot launch a protected binary such as node to escape its policy
+  if (trustClass === 'user-code') {
+    const userCodeDecision = evaluateUserCodeProcess(info);
+    if (userCodeDecision) {
+      return decide(userCodeDecision.kill, userCodeDecision.reason);
+    }
+  }
+
+  if (protectedList.some(entry => matchesEntry(info, entry))) {
+    return decide(false, 'Protected system process');
+  }
+
+  if (blacklist.some(entry => matchesDenyEntry(info, entry))) {
+    return decide(true, 'Process explicitly blocked');
+  }
+
+  if (mode === 'whitelist') {
+    // Only the kiosk user's own programs are subject to the whitelist
+    if (!isKioskUserProcess(info)) {
+      return decide(false, 'Not owned by kiosk user');
+    }
+    if (trustClass !== 'other') {
+      return decide(false, 'Started by Restricted IDE');
+    }
+    if (whitelist.some(entry => matchesEntry(info, entry))) {
+      return decide(false, 'Whitelisted');
+    }
+    return decide(true, 'Process not in whitelist');
+  }
+
+  return decide(false, 'Not blocked');
+}
+
+/**
+ * Apply the policy to a process snapshot and kill violators
+ */
+function enforcePolicy(processes) {
+  const byPid = new Map(processes.map(info => [info.pid, info]));
+
+  for (const info of processes) {
+    const decision = evaluateProcess(info, byPid);
+    if (!decision.kill) {
+      continue;
+    }
+
+    const chain = decision.ancestry.map(p => `${p.name}(${p.pid})`).join(' <- ');
+    console.log(`[Security] 🚨 UNAUTHORIZED PROCESS: ${chain} - ${decision.reason}`);
+
+    killProcess(info.pid);
+
+    if (onUnauthorizedCallback) {
+      onUnauthorizedCallback({
+        name: info.name,
+        pid: info.pid,
+        ppid: info.ppid ?? null,
+        uid: info.uid ?? null,
+        path: info.path,
+        startTime: info.startTime ?? null,
+        reason: decision.reason,
+        trustClass: decision.trustClass,
+        ancestry: decision.ancestry.map(p => ({ pid: p.pid, name: p.name, path: p.path })),
+      });
+    }
+  }
+}
+
+/**
+ * Split one line of tasklist CSV output into fields
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  const re = /"((?:[^"]|"")*)"/g;
+  let match;
+  while ((match = re.exec(line)) !== null) {
+    fields.push(match[1].replace(/""/g, '"'));
+  }
+  return fields;
+}
+
+/**
+ * List running processes - Windows version
+ */
+function listProcessesWindows(callback) {
+  // Windows: /V adds the owning user name (column 7)
+  exec('tasklist /V /FO CSV /NH', { maxBuffer: 4 * 1024 * 1024 }, (error, stdout) => {
+    if (error || !stdout) {
+      callback([]);
+      return;
+    }
+
+    const processes = [];
+    for (const line of stdout.split('\n')) {
+      // "Image Name","PID","Session Name","Session#","Mem Usage","Status","User Name",...
+      const fields = parseCsvLine(line.trim());
+      if (fields.length < 2) {
+        continue;
       }
-    });
+
+      processes.push({
+        name: fields[0],
+        pid: parseInt(fields[1], 10),
+        ppid: null,
+        user: fields[6] || null,
+        path: null,
+      });
+    }
+    callback(processes);
   });
 }
 
 /**
- * Check running processes - macOS version
+ * List running processes - macOS version
  */
-function checkProcessesMac() {
-  if (blacklist.size === 0) return;
+function listProcessesMac(callback) {
+  exec('/bin/ps -A -o pid=,ppid=,uid=,comm=', { maxBuffer: 4 * 1024 * 1024 }, (error, stdout) => {
+    if (error || !stdout) {
+      callback([]);
+      return;
+    }
 
-  exec('/bin/ps -A -o pid=,comm=', { maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
-    if (error || !stdout) return;
+    const processes = [];
+    for (const line of stdout.split('\n')) {
+      const match = line.trim().match(/^(\d+)\s+(\d+)\s+(\d+)\s+(.+)$/);
+      if (!match) {
+        continue;
+      }
 
-    const lines = stdout.split('\n');
-    
-    lines.forEach(line => {
-      const trimmed = line.trim();
-      if (!trimmed) return;
+      // comm is the full executable path on macOS
+      const commandPath = match[4];
+      processes.push({
+        name: path.basename(commandPath),
+        pid: parseInt(match[1], 10),
+        ppid: parseInt(match[2], 10),
+        uid: parseInt(match[3], 10),
+        path: commandPath.startsWith('/') ? commandPath : null,
+      });
+    }
+    callback(processes);
+  });
+}
 
-      const firstSpace = trimmed.indexOf(' ');
-      if (firstSpace === -1) return;
+/**
+ * Read the system boot time (seconds since epoch) from /proc/stat
+ */
+function readBootTime() {
+  try {
+    const stat = fs.readFileSync('/proc/stat', 'utf8');
+    const match = stat.match(/^btime\s+(\d+)/m);
+    return match ? parseInt(match[1], 10) : 0;
+  } catch (error) {
+    return 0;
+  }
+}
 
-      const pid = parseInt(trimmed.substring(0, firstSpace), 10);
-      const commandPath = trimmed.substring(firstSpace + 1).toLowerCase();
+let bootTime = null;
 
-      // Check against blacklist
-      for (const bannedApp of blacklist) {
-        if (commandPath.includes(bannedApp)) {
-          // Prevent killing ourselves or critical processes
-          if (commandPath.includes('restricted-ide') || 
-              commandPath.includes('vscode') ||
-              commandPath.includes('electron')) continue;
+/**
+ * Read one process from /proc/<pid> - Linux version
+ * Returns null if the process vanished or cannot be inspected
+ */
+function readLinuxProcess(pid) {
+  const procDir = `/proc/${pid}`;
 
-          console.log(`[Security] 🚨 DETECTED BANNED APP: ${bannedApp.toUpperCase()} (PID: ${pid})`);
-          
-          killProcess(pid);
+  try {
+    const comm = fs.readFileSync(`${procDir}/comm`, 'utf8').trim();
+    const cmdline = fs.readFileSync(`${procDir}/cmdline`, 'utf8')
+      .split('\0')
+      .filter(Boolean);
+    const status = fs.readFileSync(`${procDir}/status`, 'utf8');
 
-          if (onUnauthorizedCallback) {
-            onUnauthorizedCallback({
-              name: bannedApp,
-              pid: pid,
-              path: commandPath
-            });
-          }
-        }
+    // exe is unreadable for other users' processes and for kernel threads
+    let exePath = null;
+    try {
+      exePath = fs.readlinkSync(`${procDir}/exe`).replace(/ \(deleted\)$/, '');
+    } catch (error) {
+      exePath = null;
+    }
+
+    const ppidMatch = status.match(/^PPid:\s+(\d+)/m);
+    const uidMatch = status.match(/^Uid:\s+(\d+)/m);
+
+    // Field 22 of /proc/<pid>/stat is the start time in clock ticks since boot.
+    // The comm field (2) may contain spaces, so split after its closing paren.
+    let startTime = null;
+    const stat = fs.readFileSync(`${procDir}/stat`, 'utf8');
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    const startTicks = parseInt(fields[19], 10);
+    if (!Number.isNaN(startTicks)) {
+      if (bootTime === null) {
+        bootTime = readBootTime();
       }
-    });
-  });
+      startTime = (bootTime + startTicks / CLOCK_TICKS) * 1000;
+    }
+
+    return {
+      name: exePath ? path.basename(exePath) : comm,
+      comm,
+      pid,
+      ppid: ppidMatch ? parseInt(ppidMatch[1], 10) : null,
+      uid: uidMatch ? parseInt(uidMatch[1], 10) : null,
+      path: exePath,
+      cmdline,
+      startTime,
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Enumerate running processes from /proc - Linux version
+ */
+function getRunningProcessesLinux() {
+  let entries;
+  try {
+    entries = fs.readdirSync('/proc');
+  } catch (error) {
+    console.error('[Linux] Failed to read /proc:', error.message);
+    return [];
+  }
+
+  return entries
+    .filter(entry => /^\d+$/.test(entry))
+    .map(entry => readLinuxProcess(parseInt(entry, 10)))
+    .filter(info => info !== null);
 }
 
 /**
  * Check running processes - auto-selects based on platform
  */
 function checkProcesses() {
+  const nothingToEnforce = mode === 'blacklist' && blacklist.length === 0 && userCodeRoots.size === 0;
+  if (nothingToEnforce) {
+    return;
+  }
+
   if (isWindows) {
-    checkProcessesWindows();
+    listProcessesWindows(enforcePolicy);
+  } else if (isLinux) {
+    enforcePolicy(getRunningProcessesLinux());
   } else {
-    checkProcessesMac();
+    listProcessesMac(enforcePolicy);
   }
 }
 
@@ -143,7 +558,7 @@ function startMonitoring(options = {}) {
   if (monitoringActive) return true;
   monitoringActive = true;
   
-  console.log(`[${isWindows ? 'Win' : 'Mac'}] Process monitoring started (Policy Driven)`);
+  console.log(`[${platformTag}] Process monitoring started (Policy Driven)`);
   
   monitorInterval = setInterval(checkProcesses, interval);
   checkProcesses(); 
@@ -173,7 +588,7 @@ function killProcess(pid) {
     } else {
       // macOS/Linux: Use process.kill
       process.kill(pid, 'SIGKILL'); 
-      console.log(`[Mac] 💀 Successfully KILLED process ${pid}`);
+      console.log(`[${platformTag}] 💀 Successfully KILLED process ${pid}`);
     }
     return true;
   } catch (error) {
@@ -184,18 +599,52 @@ function killProcess(pid) {
   }
 }
 
+/**
+ * List running processes with name, pid, ppid, uid, exe path and start time
+ * (Linux only for now - other platforms return an empty list)
+ */
+function getRunningProcesses() {
+  if (isLinux) {
+    return getRunningProcessesLinux();
+  }
+  return [];
+}
+
+/**
+ * List running processes tagged with their trust class and ancestry
+ */
+function getProcessTree() {
+  const processes = getRunningProcesses();
+  const byPid = new Map(processes.map(info => [info.pid, info]));
+
+  return processes.map(info => {
+    const { trustClass, ancestry } = classifyProcess(info, byPid);
+    return {
+      ...info,
+      trustClass,
+      ancestry: ancestry.map(p => p.pid),
+      children: processes.filter(child => child.ppid === info.pid).map(child => child.pid),
+    };
+  });
+}
+
 // Stubs
-function getRunningProcesses() { return []; }
 function isNativeLoaded() { return false; }
 function isMonitoring() { return monitoringActive; }
 
 module.exports = {
+  setMode,
   setWhitelist,
   setBlacklist,
+  setProtected,
+  setUserCodePolicy,
+  registerUserCodeRoot,
+  unregisterUserCodeRoot,
   startMonitoring,
   stopMonitoring,
   killProcess,
   getRunningProcesses,
+  getProcessTree,
   isNativeLoaded,
   isMonitoring,
 };
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * Policy History Unit Tests
+ */
+
+'use strict';
+
+jest.mock('../../../ide-core/utils/Logger', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    security: jest.fn(),
+  })),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PolicyHistory, diffPolicies } = require('../../../ide-core/policy/PolicyHistory');
+
+describe('PolicyHistory', () => {
+  let tmpDir;
+  let history;
+
+  const basePolicy = {
+    urls: { mode: 'whitelist', patterns: ['https://docs.python.org/*'] },
+    processes: { mode: 'whitelist', blocked: ['cmd.exe'] },
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-history-'));
+    history = new PolicyHistory(path.join(tmpDir, 'history'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('numbers revisions and lists them newest first', () => {
+    history.record(basePolicy, { author: 'system', note: 'Initial policy' });
+    history.record(basePolicy, { author: 'admin-session:1234abcd', note: 'Second' });
+
+    const revisions = history.list();
+    expect(revisions.map(r => r.revision)).toEqual([2, 1]);
+    expect(revisions[0]).toMatchObject({ author: 'admin-session:1234abcd', note: 'Second' });
+    expect(revisions[0].policy).toBeUndefined();
+    expect(history.get(1).policy).toEqual(basePolicy);
+  });
+
+  test('diffs two revisions structurally', () => {
+    history.record(basePolicy);
+    history.record({
+      urls: { mode: 'whitelist', patterns: ['https://docs.python.org/*', 'https://cplusplus.com/*'] },
+      processes: { mode: 'blacklist', blocked: [] },
+      time: { enabled: true },
+    });
+
+    const { changes } = history.diff(1, 2);
+    expect(changes).toEqual([
+      { path: 'processes.blocked', type: 'changed', added: [], removed: ['cmd.exe'] },
+      { path: 'processes.mode', type: 'changed', from: 'whitelist', to: 'blacklist' },
+      { path: 'time', type: 'added', to: { enabled: true } },
+      { path: 'urls.patterns', type: 'changed', added: ['https://cplusplus.com/*'], removed: [] },
+    ]);
+  });
+
+  test('rejects unknown revisions', () => {
+    history.record(basePolicy);
+    expect(() => history.diff(1, 7)).toThrow('Unknown policy revision: 7');
+  });
+
+  test('reports no changes for identical policies', () => {
+    expect(diffPolicies(basePolicy, JSON.parse(JSON.stringify(basePolicy)))).toEqual([]);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Policy Hot Reload Unit Tests
+ */
+
+'use strict';
+
+jest.mock('../../../ide-core/utils/Logger', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    security: jest.fn(),
+    audit: jest.fn(),
+  })),
+}));
+
+jest.mock('../../../ide-core/config', () => {
+  const mockPath = require('path');
+  const dir = require('fs').mkdtempSync(mockPath.join(require('os').tmpdir(), 'policy-reload-'));
+  return {
+    testDir: dir,
+    policy: {
+      defaultPolicyPath: mockPath.join(dir, 'default', 'default-policy.json'),
+      userPolicyPath: mockPath.join(dir, 'policies', 'user-policy.json'),
+      historyDir: mockPath.join(dir, 'policies', 'history'),
+      requireSignatures: true,
+      publicKeyPath: mockPath.join(dir, 'policy-signing.pub'),
+      hotReload: true,
+      reloadDebounce: 20,
+      strictValidation: true,
+      logViolations: true,
+    },
+    audit: {
+      logPath: mockPath.join(dir, 'audit', 'policy-audit.ndjson'),
+      headPath: mockPath.join(dir, 'config', 'audit-head.json'),
+    },
+    session: { quotaUsagePath: mockPath.join(dir, 'quota', 'usage.json') },
+    processControl: { whitelist: [], allowed: [], blacklist: [] },
+    fsSandbox: {
+      sandboxRoot: mockPath.join(dir, 'sandbox'),
+      allowedExtensions: ['.py'],
+      maxFileSize: 1024,
+      deniedPaths: [],
+    },
+    execution: {
+      sandbox: { enabled: true, required: false, network: false, seccomp: true, readOnlyPaths: ['/usr'] },
+      limits: { cpuSeconds: 10, memoryMB: 256, fileSizeMB: 16, processes: 64 },
+      languages: {},
+      allowedEnv: [],
+      maxConcurrentRuns: 2,
+      repl: { enabled: true, idleMinutes: 10, maxMinutes: 60 },
+    },
+  };
+});
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../../ide-core/config');
+const { PolicyEngine } = require('../../../ide-core/policy/PolicyEngine');
+const { signPolicy } = require('../../../ide-core/policy/PolicySignature');
+
+const keys = crypto.generateKeyPairSync('ed25519');
+const privatePem = keys.privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+/**
+ * Write the user policy file, signed unless told otherwise
+ * @param {Object} policy - Policy document
+ * @param {Object} [options] - { signed, signature }
+ */
+function writeUserPolicy(policy, { signed = true, signature } = {}) {
+  const file = config.policy.userPolicyPath;
+  fs.writeFileSync(file, JSON.stringify(policy));
+  if (signed) {
+    fs.writeFileSync(`${file}.sig`, JSON.stringify(signature || signPolicy(policy, privatePem)));
+  } else {
+    fs.rmSync(`${file}.sig`, { force: true });
+  }
+}
+
+/**
+ * Resolve when the engine reports a policy change, or after a timeout
+ * @param {PolicyEngine} engine - Engine being watched
+ * @param {number} ms - How long to wait
+ * @returns {Promise<boolean>} Whether a change was reported
+ */
+function policyChanged(engine, ms) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), ms);
+    engine.onPolicyChange(() => {
+      clearTimeout(timer);
+      resolve(true);
+    });
+  });
+}
+
+const docsOnly = { urls: { mode: 'whitelist', patterns: ['https://docs.python.org/*'] } };
+const mdnOnly = { urls: { mode: 'whitelist', patterns: ['https://developer.mozilla.org/*'] } };
+
+describe('PolicyEngine hot reload', () => {
+  let engine;
+
+  beforeAll(() => {
+    fs.writeFileSync(config.policy.publicKeyPath, keys.publicKey.export({ type: 'spki', format: 'pem' }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(config.testDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    fs.mkdirSync(path.dirname(config.policy.userPolicyPath), { recursive: true });
+    writeUserPolicy(docsOnly);
+    engine = new PolicyEngine();
+    await engine.initialize();
+  });
+
+  afterEach(() => {
+    engine.stopWatching();
+  });
+
+  test('applies a signed update written to disk', async () => {
+    expect(engine.validateUrl('https://docs.python.org/3/')).toBe(true);
+
+    const changed = policyChanged(engine, 3000);
+    writeUserPolicy(mdnOnly);
+
+    await expect(changed).resolves.toBe(true);
+    expect(engine.validateUrl('https://developer.mozilla.org/en-US/')).toBe(true);
+    expect(engine.validateUrl('https://docs.python.org/3/')).toBe(false);
+  });
+
+  test('keeps the previous policy when the update is unsigned', async () => {
+    const changed = policyChanged(engine, 300);
+    writeUserPolicy(mdnOnly, { signed: false });
+
+    await expect(changed).resolves.toBe(false);
+    expect(engine.auditLog.read().pop()).toEqual(expect.objectContaining({ type: 'POLICY_RELOAD', allowed: false }));
+    expect(engine.getPolicy().urls.patterns).toEqual(['https://docs.python.org/*']);
+    expect(engine.validateUrl('https://developer.mozilla.org/en-US/')).toBe(false);
+  });
+
+  test('keeps the previous policy when the signature does not match', async () => {
+    const changed = policyChanged(engine, 300);
+    writeUserPolicy(mdnOnly, { signature: signPolicy(docsOnly, privatePem) });
+
+    await expect(changed).resolves.toBe(false);
+    expect(engine.validateUrl('https://docs.python.org/3/')).toBe(true);
+  });
+
+  test('keeps the previous policy when the update fails validation', () => {
+    writeUserPolicy({ urls: { mode: 'everything', patterns: [] } });
+
+    expect(engine.reloadPolicies('test')).toBe(false);
+    expect(engine.getPolicy().urls.mode).toBe('whitelist');
+    expect(engine.validateUrl('https://docs.python.org/3/')).toBe(true);
+  });
+
+  test('stops reloading once watching stops', async () => {
+    engine.stopWatching();
+
+    const changed = policyChanged(engine, 300);
+    writeUserPolicy(mdnOnly);
+
+    await expect(changed).resolves.toBe(false);
+    expect(engine.validateUrl('https://docs.python.org/3/')).toBe(true);
+  });
+});
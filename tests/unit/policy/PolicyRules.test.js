@@ -53,6 +53,14 @@ describe('UrlRule', () => {
       expect(result.allowed).toBe(false);
       expect(result.reason).toContain('Protocol not allowed');
     });
+
+    test('explains which pattern allowed a URL', () => {
+      const result = rule.explain('https://docs.test.org/intro');
+      expect(result.allowed).toBe(true);
+      expect(result.mode).toBe('whitelist');
+      expect(result.matched).toMatchObject({ list: 'patterns', index: 1, entry: 'https://docs.test.org/*' });
+      expect(result.steps.map(step => step.check)).toEqual(['parse', 'protocol', 'patterns']);
+    });
   });
 
   describe('blacklist mode', () => {
@@ -103,13 +111,21 @@ describe('KeyboardRule', () => {
     const result = rule.validate([]);
     expect(result.allowed).toBe(true);
   });
+
+  test('explains the blocked entry and key normalization', () => {
+    const result = rule.explain(['Tab', 'ALT']);
+    expect(result.allowed).toBe(false);
+    expect(result.normalized.value).toBe('alt+tab');
+    expect(result.matched).toMatchObject({ list: 'blocked', entry: ['alt', 'tab'] });
+  });
 });
 
 describe('ProcessRule', () => {
   const rule = new ProcessRule({
     mode: 'whitelist',
-    allowed: ['allowed.exe', 'test.exe'],
+    allowed: ['allowed.exe', 'test.exe', { path: '/usr/bin/python3', sha256: 'a'.repeat(64) }],
     blocked: ['dangerous.exe'],
+    protected: ['csrss.exe'],
   });
 
   test('allows whitelisted processes', () => {
@@ -138,6 +154,48 @@ describe('ProcessRule', () => {
     const result = rule.validate('C:\\Program Files\\allowed.exe');
     expect(result.allowed).toBe(true);
   });
+
+  test('matches names exactly, not by substring', () => {
+    const result = rule.validate('allowed.exe-anything');
+    expect(result.allowed).toBe(false);
+  });
+
+  test('matches path entries on the full path only', () => {
+    expect(rule.validate('/usr/bin/python3').allowed).toBe(true);
+    expect(rule.validate('/tmp/python3').allowed).toBe(false);
+  });
+
+  test('explains the evaluation order that led to a denial', () => {
+    const result = rule.explain('C:\\Tools\\Dangerous.exe');
+    expect(result.allowed).toBe(false);
+    expect(result.normalized.value).toBe('dangerous.exe');
+    expect(result.matched).toEqual({ list: 'blocked', entry: 'dangerous.exe' });
+    expect(result.steps.map(step => [step.check, step.passed])).toEqual([
+      ['protected', false],
+      ['blocked', false],
+    ]);
+  });
+
+  test('takes protected processes from policy', () => {
+    const bare = new ProcessRule({ mode: 'whitelist', allowed: [] });
+    expect(bare.validate('csrss.exe').allowed).toBe(false);
+  });
+
+  test('adds the lists for this platform only', () => {
+    const platformRule = new ProcessRule({
+      mode: 'whitelist',
+      allowed: ['shared'],
+      allowed_windows: ['windows-only.exe'],
+      allowed_darwin: ['darwin-only'],
+      allowed_linux: ['linux-only'],
+    });
+    const platform = { win32: 'windows', darwin: 'darwin' }[process.platform] || 'linux';
+
+    expect(platformRule.validate('shared').allowed).toBe(true);
+    expect(platformRule.validate('windows-only.exe').allowed).toBe(platform === 'windows');
+    expect(platformRule.validate('darwin-only').allowed).toBe(platform === 'darwin');
+    expect(platformRule.validate('linux-only').allowed).toBe(platform === 'linux');
+  });
 });
 
 describe('FileAccessRule', () => {
@@ -203,4 +261,110 @@ describe('TimeRule', () => {
     const result = rule.validate();
     expect(result.allowed).toBe(true);
   });
+
+  test('rejects times of day out of range', () => {
+    const schedule = (start, end) => ({ enabled: true, schedule: { windows: [{ start, end }] } });
+
+    expect(() => new TimeRule(schedule('08:00', '24:00'))).not.toThrow();
+    expect(() => new TimeRule(schedule('99:99', '10:00'))).toThrow('Invalid time of day: 99:99');
+    expect(() => new TimeRule(schedule('08:00', '24:01'))).toThrow('Invalid time of day: 24:01');
+    expect(() => new TimeRule(schedule('08:60', '10:00'))).toThrow('Invalid time of day: 08:60');
+  });
+
+  test('schema rejects times of day out of range before the rule is built', () => {
+    const Ajv = require('ajv');
+    const schema = require('../../../ide-core/policy/schemas/policy.schema.json');
+    const validateWindow = new Ajv({ strict: false }).compile({ definitions: schema.definitions, $ref: '#/definitions/timeWindow' });
+
+    expect(validateWindow({ start: '08:00', end: '24:00' })).toBe(true);
+    expect(validateWindow({ start: '24:00', end: '10:00' })).toBe(false);
+    expect(validateWindow({ start: '08:00', end: '24:61' })).toBe(false);
+    expect(validateWindow({ start: '99:99', end: '10:00' })).toBe(false);
+  });
+
+  describe('windows', () => {
+    const rule = new TimeRule({
+      enabled: true,
+      schedule: {
+        timezone: 'UTC',
+        windows: [
+          { days: [1, 2, 3, 4, 5], start: '08:00', end: '12:00' },
+          { days: [1, 2, 3, 4, 5], start: '12:00', end: '16:00' },
+          { days: [5], start: '22:00', end: '02:00' },
+        ],
+        exceptions: [
+          { date: '2026-12-24', closed: true, note: 'Holiday' },
+        ],
+      },
+    });
+
+    test('allows several windows per day and chains adjacent ones', () => {
+      const monday = new Date('2026-10-19T09:30:00Z');
+      expect(rule.explain(monday).matched).toMatchObject({ list: 'windows', index: 0 });
+      expect(rule.getTimeRemaining(monday)).toBe(390 * 60000);
+    });
+
+    test('denies outside every window', () => {
+      const result = rule.explain(new Date('2026-10-19T17:00:00Z'));
+      expect(result.allowed).toBe(false);
+      expect(rule.getTimeRemaining(new Date('2026-10-19T17:00:00Z'))).toBe(0);
+    });
+
+    test('carries overnight windows into the next day', () => {
+      const saturday = new Date('2026-10-24T01:30:00Z');
+      expect(rule.explain(saturday).matched).toMatchObject({ index: 2, date: '2026-10-23' });
+      expect(rule.getTimeRemaining(saturday)).toBe(30 * 60000);
+      expect(rule.explain(new Date('2026-10-24T03:00:00Z')).allowed).toBe(false);
+    });
+
+    test('closes on dated exceptions', () => {
+      const result = rule.explain(new Date('2026-12-24T10:00:00Z'));
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe('Closed on 2026-12-24 (Holiday)');
+    });
+
+    test('reads windows in the schedule time zone', () => {
+      const berlin = new TimeRule({
+        enabled: true,
+        schedule: { timezone: 'Europe/Berlin', windows: [{ start: '08:00', end: '09:00' }] },
+      });
+      expect(berlin.explain(new Date('2026-01-15T07:30:00Z')).allowed).toBe(true);
+      expect(berlin.explain(new Date('2026-01-15T08:30:00Z')).allowed).toBe(false);
+    });
+  });
+
+  describe('quota', () => {
+    const rule = new TimeRule({
+      enabled: true,
+      quota: { minutesPerDay: 60, minutesPerWeek: 200, idleMinutes: 5 },
+    });
+    const usage = (today, week, granted = 0) => ({
+      today: today * 60000,
+      week: week * 60000,
+      grantedToday: granted * 60000,
+      grantedWeek: granted * 60000,
+    });
+
+    test('reports the tightest remaining limit', () => {
+      expect(rule.getQuotaStatus(usage(20, 40))).toMatchObject({ period: 'day', remaining: 40 * 60000 });
+      expect(rule.getQuotaStatus(usage(20, 190))).toMatchObject({ period: 'week', remaining: 10 * 60000 });
+      expect(rule.getTimeRemaining(new Date(), usage(20, 190))).toBe(10 * 60000);
+    });
+
+    test('denies once the quota is used up, until extra time is granted', () => {
+      expect(rule.explain(new Date(), usage(60, 60)).reason).toBe('Daily time quota used up');
+      expect(rule.explain(new Date(), usage(60, 60, 15)).allowed).toBe(true);
+    });
+
+    test('stops counting after the idle timeout', () => {
+      expect(rule.isIdle(60)).toBe(false);
+      expect(rule.isIdle(300)).toBe(true);
+    });
+
+    test('starts the quota week on the configured day', () => {
+      const period = rule.getQuotaPeriod(new Date(2026, 9, 22, 12));
+      expect(period.today).toBe('2026-10-22');
+      expect(period.week[0]).toBe('2026-10-19');
+    });
+  });
 });
@@ -0,0 +1,58 @@
+/**
+ * Policy Signature Unit Tests
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const {
+  canonicalize,
+  signPolicy,
+  verifyPolicySignature,
+} = require('../../../ide-core/policy/PolicySignature');
+
+describe('PolicySignature', () => {
+  const exportKeys = ({ publicKey, privateKey }) => ({
+    publicPem: publicKey.export({ type: 'spki', format: 'pem' }),
+    privatePem: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  });
+
+  const trusted = exportKeys(crypto.generateKeyPairSync('ed25519'));
+  const policy = {
+    urls: { mode: 'whitelist', patterns: ['https://docs.python.org/*'] },
+    processes: { mode: 'whitelist', blocked: ['cmd.exe'] },
+  };
+
+  test('canonical form ignores key order', () => {
+    expect(canonicalize({ b: 1, a: { d: [2, 1], c: null } }))
+      .toBe(canonicalize({ a: { c: null, d: [2, 1] }, b: 1 }));
+  });
+
+  test('accepts a signed policy', () => {
+    const signature = signPolicy(policy, trusted.privatePem);
+    const reordered = { processes: policy.processes, urls: policy.urls };
+
+    expect(verifyPolicySignature(reordered, signature, trusted.publicPem)).toEqual({ valid: true, reason: null });
+  });
+
+  test('rejects an unsigned policy', () => {
+    expect(verifyPolicySignature(policy, null, trusted.publicPem).reason).toBe('Policy is not signed');
+  });
+
+  test('rejects a tampered policy', () => {
+    const signature = signPolicy(policy, trusted.privatePem);
+    const loosened = { ...policy, urls: { mode: 'blacklist', patterns: [] } };
+
+    expect(verifyPolicySignature(loosened, signature, trusted.publicPem)).toEqual({
+      valid: false,
+      reason: 'Signature does not match policy contents',
+    });
+  });
+
+  test('rejects a policy signed with another key', () => {
+    const other = exportKeys(crypto.generateKeyPairSync('ed25519'));
+    const signature = signPolicy(policy, other.privatePem);
+
+    expect(verifyPolicySignature(policy, signature, trusted.publicPem).reason).toMatch(/unknown key/);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Quota Usage Unit Tests
+ */
+
+'use strict';
+
+jest.mock('../../../ide-core/utils/Logger', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    security: jest.fn(),
+  })),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QuotaUsage } = require('../../../ide-core/policy/QuotaUsage');
+
+describe('QuotaUsage', () => {
+  const week = ['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22', '2026-10-23', '2026-10-24', '2026-10-25'];
+
+  let tmpDir;
+  let filePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quota-usage-'));
+    filePath = path.join(tmpDir, 'quota', 'usage.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('sums usage and grants per day and week', () => {
+    const usage = new QuotaUsage(filePath);
+    usage.add('alice', '2026-10-19', 30 * 60000);
+    usage.add('alice', '2026-10-20', 10 * 60000);
+    usage.add('alice', '2026-10-20', 5 * 60000);
+    usage.grant('alice', '2026-10-20', 20);
+    usage.add('bob', '2026-10-20', 60000);
+
+    expect(usage.getUsage('alice', { today: '2026-10-20', week })).toEqual({
+      today: 15 * 60000,
+      week: 45 * 60000,
+      grantedToday: 20 * 60000,
+      grantedWeek: 20 * 60000,
+    });
+  });
+
+  test('persists across restarts', () => {
+    new QuotaUsage(filePath).add('alice', '2026-10-19', 60000);
+
+    const reloaded = new QuotaUsage(filePath);
+    expect(reloaded.getUsage('alice', { today: '2026-10-19', week }).today).toBe(60000);
+  });
+
+  test('prunes days past the retention period', () => {
+    const usage = new QuotaUsage(filePath);
+    usage.add('alice', '2026-09-01', 60000);
+    usage.add('alice', '2026-10-19', 60000);
+
+    const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    expect(Object.keys(stored.users.alice.days)).toEqual(['2026-10-19']);
+  });
+});
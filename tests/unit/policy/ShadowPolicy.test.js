@@ -0,0 +1,62 @@
+/**
+ * Shadow Policy Unit Tests
+ */
+
+'use strict';
+
+const { ShadowPolicy } = require('../../../ide-core/policy/ShadowPolicy');
+
+describe('ShadowPolicy', () => {
+  const allow = { allowed: true };
+  const deny = (reason) => ({ allowed: false, reason });
+
+  let shadow;
+
+  beforeEach(() => {
+    shadow = new ShadowPolicy({ name: 'Exam Lockdown', version: '2.0.0' }, new Map(), {
+      author: 'admin-session:1234abcd',
+      note: 'Trial before exam week',
+    });
+  });
+
+  test('ignores decisions where both policies agree', () => {
+    expect(shadow.record('url', 'https://docs.python.org/', allow, allow)).toBeNull();
+    expect(shadow.record('url', 'https://x.com/', deny('URL not in whitelist'), deny('URL not in whitelist'))).toBeNull();
+
+    const report = shadow.getReport();
+    expect(report.totals).toEqual({ wouldBlock: 0, wouldAllow: 0 });
+    expect(report.rules.url.evaluated).toBe(2);
+  });
+
+  test('groups would-be denials by rule and target', () => {
+    shadow.record('url', 'https://x.com/', allow, deny('URL not in whitelist'));
+    shadow.record('url', 'https://x.com/', allow, deny('URL not in whitelist'));
+    shadow.record('url', 'https://y.com/', allow, deny('URL not in whitelist'));
+    shadow.record('process', 'python.exe', allow, deny('Process explicitly blocked'));
+
+    const report = shadow.getReport();
+    expect(report.candidate).toEqual({ name: 'Exam Lockdown', version: '2.0.0' });
+    expect(report.totals).toEqual({ wouldBlock: 4, wouldAllow: 0 });
+    expect(report.rules.url.wouldBlock).toBe(3);
+    expect(report.rules.url.targets.map(t => [t.target, t.count])).toEqual([
+      ['https://x.com/', 2],
+      ['https://y.com/', 1],
+    ]);
+    expect(report.rules.process.targets[0]).toMatchObject({
+      outcome: 'wouldBlock',
+      target: 'python.exe',
+      reason: 'Process explicitly blocked',
+    });
+  });
+
+  test('records decisions the candidate would allow', () => {
+    shadow.record('keyboard', 'alt+tab', deny('Window switching'), allow);
+
+    const report = shadow.getReport();
+    expect(report.totals).toEqual({ wouldBlock: 0, wouldAllow: 1 });
+    expect(report.rules.keyboard.targets[0]).toMatchObject({
+      outcome: 'wouldAllow',
+      reason: 'Window switching',
+    });
+  });
+});
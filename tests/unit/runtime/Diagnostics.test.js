@@ -0,0 +1,62 @@
+/**
+ * Diagnostics Unit Tests
+ */
+
+'use strict';
+
+const path = require('path');
+const { DiagnosticStream } = require('../../../ide-core/runtime/Diagnostics');
+
+describe('DiagnosticStream', () => {
+  const cwd = path.join(path.sep, 'sandbox', 'lab1');
+
+  test('parses gcc messages split across chunks', () => {
+    const stream = new DiagnosticStream(cwd);
+
+    expect(stream.push("main.cpp: In function 'int main()':\nmain.cpp:4:12: err")).toEqual([]);
+    expect(stream.push("or: expected ';' before '}' token\nsrc/a.h:2:1: warning: unused\n")).toEqual([
+      {
+        file: path.join(cwd, 'main.cpp'),
+        line: 4,
+        column: 12,
+        severity: 'error',
+        message: "expected ';' before '}' token",
+        text: "main.cpp:4:12: error: expected ';' before '}' token",
+      },
+      expect.objectContaining({ file: path.join(cwd, 'src', 'a.h'), line: 2, severity: 'warning' }),
+    ]);
+  });
+
+  test('parses javac messages without a column', () => {
+    const stream = new DiagnosticStream(cwd);
+
+    expect(stream.push('Main.java:5: error: cannot find symbol')).toEqual([]);
+    expect(stream.flush()).toEqual([
+      expect.objectContaining({ file: path.join(cwd, 'Main.java'), line: 5, column: null, severity: 'error' }),
+    ]);
+  });
+
+  test('reports Python tracebacks at the innermost frame in the program directory', () => {
+    const stream = new DiagnosticStream(cwd);
+    const ownFrame = `  File "${path.join(cwd, 'util.py')}", line 7, in parse`;
+    const diagnostics = stream.push([
+      'Traceback (most recent call last):',
+      `  File "${path.join(cwd, 'main.py')}", line 3, in <module>`,
+      '    parse("x")',
+      ownFrame,
+      '    return int(text)',
+      `  File "${path.join(path.sep, 'usr', 'lib', 'python3', 'lib.py')}", line 99, in helper`,
+      "ValueError: invalid literal for int() with base 10: 'x'",
+      '',
+    ].join('\n'));
+
+    expect(diagnostics).toEqual([{
+      file: path.join(cwd, 'util.py'),
+      line: 7,
+      column: null,
+      severity: 'error',
+      message: "ValueError: invalid literal for int() with base 10: 'x'",
+      text: ownFrame,
+    }]);
+  });
+});
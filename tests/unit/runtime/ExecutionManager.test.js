@@ -0,0 +1,168 @@
+/**
+ * Execution Manager Unit Tests
+ */
+
+'use strict';
+
+jest.mock('../../../ide-core/utils/Logger', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    security: jest.fn(),
+  })),
+}));
+
+jest.mock('../../../ide-core/runtime/RunLimits', () => ({ listProcessTree: jest.fn() }));
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { listProcessTree } = require('../../../ide-core/runtime/RunLimits');
+const { ExecutionManager, killProcess } = require('../../../ide-core/runtime/ExecutionManager');
+
+function createOwner(id) {
+  const owner = new EventEmitter();
+  owner.id = id;
+  return owner;
+}
+
+function createChild(pid) {
+  return { pid, killed: false, exitCode: null, signalCode: null, kill: jest.fn(function kill() { this.killed = true; }) };
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every 20 ms
+ * @returns {Promise<void>} Resolves once it holds
+ */
+async function waitFor(condition) {
+  while (!condition()) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('ExecutionManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new ExecutionManager();
+    listProcessTree.mockReset();
+    listProcessTree.mockImplementation(pid => [{ pid, name: 'python3' }]);
+    jest.spyOn(process, 'kill').mockImplementation(() => true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('tracks runs per owner and enforces the concurrency cap', () => {
+    const first = manager.start({ owner: createOwner(1), kind: 'run', language: 'python', file: '/a.py', maxConcurrent: 2 });
+    const second = manager.start({ owner: createOwner(2), kind: 'tests', language: 'cpp', file: '/b.cpp', maxConcurrent: 2 });
+
+    expect(first.id).not.toBe(second.id);
+    expect(manager.list(1)).toEqual([first]);
+    expect(() => manager.start({ owner: createOwner(1), kind: 'run', language: 'python', file: '/c.py', maxConcurrent: 2 }))
+      .toThrow('At most 2 programs may run at once');
+
+    manager.finish(first);
+    expect(manager.get(first.id)).toBeNull();
+    expect(manager.list()).toEqual([second]);
+  });
+
+  test('stopping a run kills its live process and the next step', () => {
+    const run = manager.start({ owner: createOwner(1), kind: 'tests', language: 'python', file: '/a.py' });
+    const compiler = createChild(100);
+    manager.attach(run, compiler);
+
+    expect(manager.describe(run)).toEqual(expect.objectContaining({ id: run.id, kind: 'tests', pid: 100, usage: null }));
+    expect(manager.stop(run.id, 'test')).toBe(100);
+    expect(compiler.kill).toHaveBeenCalledWith('SIGKILL');
+
+    manager.detach(run, compiler);
+    const next = createChild(101);
+    manager.attach(run, next);
+    expect(next.kill).toHaveBeenCalled();
+  });
+
+  test('stops the runs of a window when it is destroyed', () => {
+    const owner = createOwner(1);
+    const run = manager.start({ owner, kind: 'run', language: 'python', file: '/a.py' });
+    const other = manager.start({ owner: createOwner(2), kind: 'run', language: 'python', file: '/b.py' });
+    const child = createChild(200);
+    manager.attach(run, child);
+
+    owner.emit('destroyed');
+
+    expect(child.kill).toHaveBeenCalled();
+    expect(run.cancelled).toBe(true);
+    expect(other.cancelled).toBe(false);
+  });
+
+  test('stops the whole process tree before killing it', () => {
+    const run = manager.start({ owner: createOwner(1), kind: 'run', language: 'python', file: '/a.py' });
+    const child = createChild(300);
+    manager.attach(run, child);
+
+    // The program forks once more while it is being stopped
+    const tree = [{ pid: 300 }, { pid: 301 }, { pid: 302 }];
+    listProcessTree.mockImplementation(() => tree.slice());
+    process.kill.mockImplementation((pid, signal) => {
+      if (pid === 302 && signal === 'SIGSTOP' && tree.length === 3) {
+        tree.push({ pid: 303 });
+      }
+      return true;
+    });
+
+    manager.stop(run.id, 'test');
+
+    const calls = process.kill.mock.calls.map(([pid, signal]) => `${signal} ${pid}`);
+    expect(calls).toEqual([
+      'SIGSTOP 300', 'SIGSTOP 301', 'SIGSTOP 302', 'SIGSTOP 303',
+      'SIGKILL 300', 'SIGKILL 301', 'SIGKILL 302', 'SIGKILL 303',
+    ]);
+    expect(child.kill).toHaveBeenCalledWith('SIGKILL');
+  });
+
+  test('leaves a program that has already exited alone', () => {
+    killProcess({ ...createChild(400), exitCode: 0 });
+
+    expect(listProcessTree).not.toHaveBeenCalled();
+    expect(process.kill).not.toHaveBeenCalled();
+  });
+});
+
+describe('killProcess', () => {
+  const linuxTest = process.platform === 'linux' ? test : test.skip;
+
+  /**
+   * Whether a process is gone (or a zombie nobody has reaped yet)
+   * @param {number} pid - Process ID
+   * @returns {boolean} True once it cannot run again
+   */
+  function isGone(pid) {
+    try {
+      const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+      return stat[stat.lastIndexOf(')') + 2] === 'Z';
+    } catch {
+      return true;
+    }
+  }
+
+  linuxTest('kills background processes the program started', async () => {
+    const { listProcessTree: listActual } = jest.requireActual('../../../ide-core/runtime/RunLimits');
+    listProcessTree.mockImplementation(listActual);
+
+    const child = spawn('sh', ['-c', 'sleep 30 & sleep 30 & wait'], { stdio: 'ignore' });
+    await waitFor(() => listActual(child.pid).length === 3);
+    const background = listActual(child.pid).slice(1).map(({ pid }) => pid);
+
+    const exited = new Promise(resolve => child.on('exit', resolve));
+    killProcess(child);
+    await exited;
+
+    await waitFor(() => background.every(isGone));
+    expect(background.every(isGone)).toBe(true);
+  }, 10000);
+});
@@ -0,0 +1,153 @@
+/**
+ * Execution Sandbox Unit Tests
+ */
+
+'use strict';
+
+jest.mock('../../../ide-core/config', () => ({
+  execution: {
+    sandbox: {
+      enabled: true,
+      required: false,
+      network: false,
+      seccomp: true,
+      readOnlyPaths: ['/usr', '/etc'],
+    },
+    limits: { cpuSeconds: 10, memoryMB: 256, fileSizeMB: 16, processes: 64 },
+  },
+}));
+
+const { spawn } = require('child_process');
+const { findExecutable } = require('../../../ide-core/runtime/Toolchains');
+const { ExitReasons, signalExitReason } = require('../../../ide-core/runtime/RunLimits');
+const {
+  ExecutionSandbox,
+  buildSeccompFilter,
+  describeConfinement,
+} = require('../../../ide-core/runtime/ExecutionSandbox');
+
+describe('ExecutionSandbox', () => {
+  const tools = { bwrap: '/usr/bin/bwrap', prlimit: '/usr/bin/prlimit' };
+  const options = {
+    sandboxDir: '/home/student/.restricted-ide/sandbox',
+    cwd: '/home/student/.restricted-ide/sandbox/lab1',
+    env: { PATH: '/usr/bin', HOME: '/home/student' },
+  };
+
+  test('wraps the program in prlimit and bwrap', () => {
+    const sandbox = new ExecutionSandbox({}, { platform: 'linux', arch: 'x64', tools });
+    const launch = sandbox.prepare('python3', ['main.py'], options);
+
+    expect(launch.command).toBe('/usr/bin/prlimit');
+    expect(launch.args.slice(0, 4)).toEqual([
+      '--cpu=10:11', `--data=${512 * 1024 * 1024}`, `--fsize=${16 * 1024 * 1024}`, '--',
+    ]);
+    expect(launch.args.join(' ')).not.toContain('--nproc');
+    expect(launch.args).toContain('--unshare-all');
+    expect(launch.args).not.toContain('--share-net');
+    expect(launch.args.join(' ')).toContain(`--bind ${options.sandboxDir} ${options.sandboxDir}`);
+    expect(launch.args.join(' ')).toContain('--ro-bind-try /usr /usr');
+    expect(launch.args.slice(-3)).toEqual(['--', 'python3', 'main.py']);
+    expect(launch.launchers).toEqual(['/usr/bin/prlimit', '/usr/bin/bwrap']);
+    expect(launch.env).toEqual({ PATH: '/usr/bin', HOME: options.sandboxDir, TMPDIR: '/tmp' });
+    expect(launch.stdio).toHaveLength(4);
+    expect(launch.applied).toMatchObject({ confined: true, network: false, seccomp: true, unavailable: [] });
+  });
+
+  test('runs unconfined and reports why when bwrap is missing', () => {
+    const sandbox = new ExecutionSandbox({}, { platform: 'linux', arch: 'x64', tools: { ...tools, bwrap: null } });
+    const launch = sandbox.prepare('python3', ['main.py'], { ...options, userEnv: { TZ: 'UTC' } });
+
+    expect(launch.args.slice(-3)).toEqual(['--', 'python3', 'main.py']);
+    expect(launch.launchers).toEqual(['/usr/bin/prlimit']);
+    expect(launch.env).toEqual({ ...options.env, TZ: 'UTC' });
+    expect(describeConfinement(launch.applied))
+      .toBe('Sandbox: limits: CPU 10s, memory 256 MB, files 16 MB (unavailable: bwrap not found)');
+  });
+
+  test('refuses to run when the sandbox is required but unavailable', () => {
+    const sandbox = new ExecutionSandbox(
+      { sandbox: { required: true } },
+      { platform: 'linux', arch: 'x64', tools: { bwrap: null, prlimit: null } },
+    );
+
+    expect(() => sandbox.prepare('python3', ['main.py'], options))
+      .toThrow('Execution sandbox is required but unavailable (bwrap not found, prlimit not found)');
+  });
+
+  test('applies policy overrides for network and limits', () => {
+    const sandbox = new ExecutionSandbox(
+      { sandbox: { network: true, seccomp: false }, limits: { cpuSeconds: 0, processes: 0 } },
+      { platform: 'linux', arch: 'x64', tools },
+    );
+    const launch = sandbox.prepare('./main', [], options);
+
+    expect(launch.args).toContain('--share-net');
+    expect(launch.args).not.toContain('--seccomp');
+    expect(launch.args.some(arg => arg.startsWith('--cpu'))).toBe(false);
+    expect(launch.seccomp).toBeNull();
+    expect(describeConfinement(launch.applied))
+      .toBe('Sandbox: private filesystem; limits: memory 256 MB, files 16 MB');
+  });
+
+  test('is not applied outside Linux', () => {
+    const sandbox = new ExecutionSandbox({ sandbox: { required: true } }, { platform: 'win32', arch: 'x64' });
+    const launch = sandbox.prepare('python', ['main.py'], options);
+
+    expect(launch.command).toBe('python');
+    expect(launch.launchers).toEqual([]);
+    expect(describeConfinement(launch.applied)).toBe('Sandbox: none (unavailable: not supported on win32)');
+  });
+});
+
+describe('CPU limit', () => {
+  const prlimit = process.platform === 'linux' ? findExecutable('prlimit') : null;
+  const linuxTest = prlimit ? test : test.skip;
+
+  linuxTest('stops a busy program with SIGXCPU, not SIGKILL', async () => {
+    const sandbox = new ExecutionSandbox(
+      { sandbox: { enabled: false }, limits: { cpuSeconds: 1, memoryMB: 0, fileSizeMB: 0 } },
+      { platform: 'linux', arch: process.arch, tools: { bwrap: null, prlimit } },
+    );
+    const launch = sandbox.prepare(process.execPath, ['-e', 'for (;;) {}'], {
+      sandboxDir: __dirname,
+      cwd: __dirname,
+      env: { PATH: process.env.PATH },
+    });
+
+    const child = spawn(launch.command, launch.args, { stdio: 'ignore' });
+    const [code, signal] = await new Promise(resolve => child.on('exit', (...exit) => resolve(exit)));
+
+    expect(signal).toBe('SIGXCPU');
+    expect(signalExitReason(code, signal, false)).toBe(ExitReasons.CPU_LIMIT);
+  }, 10000);
+});
+
+describe('buildSeccompFilter', () => {
+  const readInstruction = (program, index) => ({
+    code: program.readUInt16LE(index * 8),
+    jt: program.readUInt8(index * 8 + 2),
+    jf: program.readUInt8(index * 8 + 3),
+    k: program.readUInt32LE(index * 8 + 4),
+  });
+
+  test('checks the architecture and denies listed syscalls with EPERM', () => {
+    const program = buildSeccompFilter('x64');
+    const count = program.length / 8;
+
+    expect(readInstruction(program, 1)).toEqual({ code: 0x15, jt: 1, jf: 0, k: 0xc000003e });
+    expect(readInstruction(program, count - 2)).toEqual({ code: 0x06, jt: 0, jf: 0, k: 0x7fff0000 });
+    expect(readInstruction(program, count - 1)).toEqual({ code: 0x06, jt: 0, jf: 0, k: 0x00050001 });
+
+    // Every syscall check lands on the ERRNO return when it matches
+    for (let index = 6; index < count - 2; index++) {
+      const insn = readInstruction(program, index);
+      expect(insn.code).toBe(0x15);
+      expect(index + 1 + insn.jt).toBe(count - 1);
+    }
+  });
+
+  test('returns null for architectures without a syscall table', () => {
+    expect(buildSeccompFilter('ia32')).toBeNull();
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Grading Results Unit Tests
+ */
+
+'use strict';
+
+jest.mock('../../../ide-core/utils/Logger', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  })),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { GradingResults } = require('../../../ide-core/runtime/GradingResults');
+const { verifyPolicySignature } = require('../../../ide-core/policy/PolicySignature');
+
+describe('GradingResults', () => {
+  const results = { exercise: 'Lab 1', user: 'student', finishedAt: '2026-03-02T10:00:00.000Z', passed: 2, total: 3 };
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'grading-results-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('signs results with the enrolled key', () => {
+    const keys = crypto.generateKeyPairSync('ed25519');
+    const keyPath = path.join(dir, 'results-signing.key');
+    const publicPem = keys.publicKey.export({ type: 'spki', format: 'pem' });
+    fs.writeFileSync(keyPath, keys.privateKey.export({ type: 'pkcs8', format: 'pem' }));
+
+    const { filePath, signed } = new GradingResults(path.join(dir, 'results'), keyPath).write(results);
+
+    expect(signed).toBe(true);
+    const document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const signature = JSON.parse(fs.readFileSync(`${filePath}.sig`, 'utf8'));
+    expect(verifyPolicySignature(document, signature, publicPem).valid).toBe(true);
+    expect(verifyPolicySignature({ ...document, passed: 3 }, signature, publicPem).valid).toBe(false);
+  });
+
+  test('writes unsigned results, and no key, when none is enrolled', () => {
+    const keyPath = path.join(dir, 'admin', 'results-signing.key');
+
+    const { filePath, signed } = new GradingResults(path.join(dir, 'results'), keyPath).write(results);
+
+    expect(signed).toBe(false);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ ...results, signed: false });
+    expect(fs.existsSync(`${filePath}.sig`)).toBe(false);
+    expect(fs.existsSync(path.dirname(keyPath))).toBe(false);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Language Registry Unit Tests
+ */
+
+'use strict';
+
+const path = require('path');
+const { LanguageRegistry } = require('../../../ide-core/runtime/LanguageRegistry');
+
+describe('LanguageRegistry', () => {
+  const languages = {
+    python: {
+      name: 'Python',
+      extensions: ['.py'],
+      run: { command: ['python', 'python3'], args: ['{file}'] },
+      repl: { args: ['-i'] },
+    },
+    java: {
+      name: 'Java',
+      extensions: ['.java'],
+      output: '{dir}/{base}.class',
+      compile: { command: 'javac', args: ['{file}'] },
+      run: { command: 'java', args: ['-cp', '{dir}', '{base}'] },
+    },
+    rust: {
+      name: 'Rust',
+      extensions: ['.RS'],
+      enabled: false,
+      output: '{dir}/{base}{exe}',
+      compile: { command: 'rustc', args: ['{file}', '-o', '{output}'] },
+      run: { command: '{output}' },
+    },
+    broken: {
+      extensions: ['.x'],
+      compile: { command: 'xc' },
+      run: { command: '{output}' },
+    },
+  };
+
+  const sourceDir = path.join(path.sep, 'sandbox', 'lab1');
+
+  let registry;
+
+  beforeEach(() => {
+    registry = new LanguageRegistry(languages);
+  });
+
+  test('finds languages by extension, enabled or not', () => {
+    expect(registry.findForFile(path.join(sourceDir, 'main.PY')).id).toBe('python');
+    expect(registry.findForFile(path.join(sourceDir, 'main.rs'))).toMatchObject({ id: 'rust', enabled: false });
+    expect(registry.findForFile(path.join(sourceDir, 'main.go'))).toBeNull();
+    expect(registry.getSupportedExtensions()).toEqual(['.py', '.java']);
+  });
+
+  test('skips entries that cannot be run', () => {
+    expect(registry.get('broken')).toBeNull();
+    expect(registry.errors).toEqual(['broken: compiled languages need an output name']);
+  });
+
+  test('expands command templates into single arguments', () => {
+    const file = path.join(sourceDir, 'Main.java');
+    const java = registry.get('java');
+    const vars = registry.getVariables(java, file);
+
+    expect(vars.output).toBe(path.join(sourceDir, 'Main.class'));
+    expect(registry.buildCommand(java, 'compile', vars)).toEqual({ cmd: 'javac', args: [file] });
+    expect(registry.buildCommand(java, 'run', vars)).toEqual({ cmd: 'java', args: ['-cp', sourceDir, 'Main'] });
+    expect(registry.buildCommand(java, 'version', vars)).toBeNull();
+  });
+
+  test('uses the first listed alternative unless one is given', () => {
+    const python = registry.get('python');
+    const vars = registry.getVariables(python, path.join(sourceDir, 'a b.py'));
+
+    expect(registry.buildCommand(python, 'run', vars)).toEqual({ cmd: 'python', args: [path.join(sourceDir, 'a b.py')] });
+    expect(registry.buildCommand(python, 'run', vars, 'python3').cmd).toBe('python3');
+    expect(registry.buildCommand(python, 'repl', vars)).toEqual({ cmd: 'python', args: ['-i'] });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Project Manifest Unit Tests
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LanguageRegistry } = require('../../../ide-core/runtime/LanguageRegistry');
+const { findProjectRoot, loadProject } = require('../../../ide-core/runtime/ProjectManifest');
+
+describe('ProjectManifest', () => {
+  const registry = new LanguageRegistry({
+    cpp: {
+      name: 'C++',
+      extensions: ['.cpp'],
+      output: '{dir}/{base}{exe}',
+      compile: { command: 'g++', args: ['{file}', '-o', '{output}'] },
+      run: { command: '{output}' },
+      project: {
+        output: '{build}/{name}{exe}',
+        compile: { args: ['{flags}', '{sources}', '-o', '{output}'] },
+        run: { args: ['{args}'] },
+        allowedFlags: ['^-std=c\\+\\+\\d\\d$', '^-Wall$'],
+      },
+    },
+  });
+
+  let sandbox;
+  let root;
+
+  const write = (relative, content = '') => {
+    const file = path.join(root, relative);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  };
+
+  const writeManifest = (manifest) => write('ide-project.json', JSON.stringify(manifest));
+
+  beforeEach(() => {
+    sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'ide-project-'));
+    root = path.join(sandbox, 'bank');
+    write('main.cpp');
+    write('src/account.cpp');
+    write('src/util/log.cpp');
+    write('src/account.h');
+  });
+
+  afterEach(() => {
+    fs.rmSync(sandbox, { recursive: true, force: true });
+  });
+
+  test('finds the manifest above a file, but not outside the sandbox', async () => {
+    writeManifest({ sources: ['main.cpp'] });
+
+    expect(await findProjectRoot(path.join(root, 'src', 'util', 'log.cpp'), sandbox)).toBe(root);
+    expect(await findProjectRoot(path.join(root, 'main.cpp'), path.join(root, 'src'))).toBeNull();
+  });
+
+  test('expands sources and builds the project commands', async () => {
+    writeManifest({ sources: ['main.cpp', 'src/**/*.cpp'], flags: ['-std=c++17', '-Wall'], args: ['in.txt'] });
+
+    const project = await loadProject(root, registry);
+    expect(project).toMatchObject({ name: 'bank', entry: path.join(root, 'main.cpp') });
+    expect(project.sources).toEqual([
+      path.join(root, 'main.cpp'),
+      path.join(root, 'src', 'account.cpp'),
+      path.join(root, 'src', 'util', 'log.cpp'),
+    ]);
+
+    const vars = registry.getProjectVariables(project.language, project);
+    const output = path.join(root, 'build', `bank${vars.exe}`);
+    expect(registry.buildCommand(project.language, 'compile', vars)).toEqual({
+      cmd: 'g++',
+      args: ['-std=c++17', '-Wall', ...project.sources, '-o', output],
+    });
+    expect(registry.buildCommand(project.language, 'run', vars)).toEqual({ cmd: output, args: ['in.txt'] });
+  });
+
+  test('rejects flags outside the allow-list', async () => {
+    writeManifest({ sources: ['*.cpp'], flags: ['-fplugin=evil.so'] });
+
+    await expect(loadProject(root, registry)).rejects.toThrow('Compiler flag not allowed: -fplugin=evil.so');
+  });
+
+  test('rejects sources outside the project or that match nothing', async () => {
+    writeManifest({ sources: ['../*.cpp'] });
+    await expect(loadProject(root, registry)).rejects.toThrow('Source "../*.cpp" must be inside the project');
+
+    writeManifest({ sources: ['lib/*.cpp'] });
+    await expect(loadProject(root, registry)).rejects.toThrow('Source "lib/*.cpp" matches no files');
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Run Configurations Unit Tests
+ */
+
+'use strict';
+
+jest.mock('../../../ide-core/utils/Logger', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    security: jest.fn(),
+  })),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RunConfigurations, validateRunConfig } = require('../../../ide-core/runtime/RunConfigurations');
+
+describe('validateRunConfig', () => {
+  const inputFile = path.join(os.tmpdir(), 'lab1', 'input.txt');
+
+  test('normalizes a valid configuration', () => {
+    expect(validateRunConfig({ args: ['a b', '--n=3'], stdinFile: inputFile, env: { TZ: 'UTC' } }, ['TZ'])).toEqual({
+      args: ['a b', '--n=3'],
+      stdinFile: inputFile,
+      env: { TZ: 'UTC' },
+      terminal: true,
+    });
+    expect(validateRunConfig({ terminal: false }, [])).toEqual({ args: [], stdinFile: null, env: {}, terminal: false });
+  });
+
+  test('rejects variables outside the allow-list and unusable values', () => {
+    expect(() => validateRunConfig({ env: { LD_PRELOAD: '/tmp/x.so' } }, ['TZ']))
+      .toThrow('Environment variable LD_PRELOAD is not allowed by policy');
+    expect(() => validateRunConfig({ args: 'a b' })).toThrow('Program arguments must be a list');
+    expect(() => validateRunConfig({ args: ['ok', 'bad\0'] })).toThrow('Argument 2 contains a NUL character');
+    expect(() => validateRunConfig({ stdinFile: 'input.txt' })).toThrow('Input file must be an absolute path');
+    expect(() => validateRunConfig({ terminal: 'yes' })).toThrow('Terminal mode must be true or false');
+  });
+});
+
+describe('RunConfigurations', () => {
+  let tmpDir;
+  let filePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-config-'));
+    filePath = path.join(tmpDir, 'run', 'configurations.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('keeps the last configuration per file across restarts', () => {
+    const source = path.join(tmpDir, 'main.py');
+    new RunConfigurations(filePath).set(source, { args: ['1'], stdinFile: null, env: {} });
+
+    const reloaded = new RunConfigurations(filePath);
+    expect(reloaded.get(source)).toEqual({ args: ['1'], stdinFile: null, env: {}, terminal: true });
+    expect(reloaded.get(path.join(tmpDir, 'other.py'))).toEqual({ args: [], stdinFile: null, env: {}, terminal: true });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Run Limits Unit Tests
+ */
+
+'use strict';
+
+jest.mock('../../../ide-core/config', () => ({
+  execution: {
+    limits: { wallSeconds: 30, cpuSeconds: 10, memoryMB: 512, fileSizeMB: 16, outputKB: 1024, processes: 64 },
+  },
+}));
+
+const {
+  ExitReasons,
+  RunMonitor,
+  resolveLimits,
+  signalExitReason,
+} = require('../../../ide-core/runtime/RunLimits');
+
+describe('resolveLimits', () => {
+  const java = { id: 'java', limits: { memoryMB: 1024, cpuSeconds: 5 } };
+
+  test('layers built-in, policy and per-language limits', () => {
+    const execution = { limits: { wallSeconds: 10, memoryMB: 256 } };
+
+    expect(resolveLimits(execution, java)).toEqual({
+      wallSeconds: 10, cpuSeconds: 5, memoryMB: 1024, fileSizeMB: 16, outputKB: 1024, processes: 64,
+    });
+    expect(resolveLimits(execution, { id: 'python' })).toMatchObject({ wallSeconds: 10, memoryMB: 256, cpuSeconds: 10 });
+  });
+});
+
+describe('signalExitReason', () => {
+  test('maps rlimit signals, and bwrap exit codes for them', () => {
+    expect(signalExitReason(null, 'SIGXCPU', false)).toBe(ExitReasons.CPU_LIMIT);
+    expect(signalExitReason(153, null, true)).toBe(ExitReasons.FILE_SIZE_LIMIT);
+    expect(signalExitReason(152, null, false)).toBeNull();
+    expect(signalExitReason(null, 'SIGKILL', true)).toBeNull();
+  });
+});
+
+describe('RunMonitor', () => {
+  const child = { pid: 999999 };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('stops a run that exceeds its output limit', () => {
+    const onLimit = jest.fn();
+    const monitor = new RunMonitor(child, { outputKB: 1 }, { onLimit });
+
+    expect(monitor.addOutput(1000)).toBe(true);
+    expect(monitor.addOutput(100)).toBe(false);
+    expect(monitor.addOutput(10)).toBe(false);
+    expect(onLimit).toHaveBeenCalledTimes(1);
+    expect(monitor.getExitReason(null, 'SIGKILL')).toEqual({
+      reason: ExitReasons.OUTPUT_LIMIT,
+      detail: 'printed more than 1 KB',
+    });
+  });
+
+  test('reports the wall-time limit once it passes', () => {
+    const onLimit = jest.fn();
+    const monitor = new RunMonitor(child, { wallSeconds: 2 }, { onLimit });
+    monitor.start();
+
+    jest.advanceTimersByTime(1999);
+    expect(onLimit).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(onLimit).toHaveBeenCalledWith(ExitReasons.TIME_LIMIT, 'ran longer than 2s');
+    monitor.stop();
+  });
+
+  test('ends a session that gets no input for its idle limit', () => {
+    const onLimit = jest.fn();
+    const monitor = new RunMonitor(child, { idleSeconds: 2 }, { onLimit });
+    monitor.start();
+
+    jest.advanceTimersByTime(1500);
+    monitor.recordInput();
+    jest.advanceTimersByTime(1500);
+    expect(onLimit).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(500);
+    expect(onLimit).toHaveBeenCalledWith(ExitReasons.IDLE_LIMIT, 'had no input for 2s');
+  });
+
+  test('treats a normal exit as no limit', () => {
+    const monitor = new RunMonitor(child, { cpuSeconds: 10 }, { launchers: ['/usr/bin/prlimit', '/usr/bin/bwrap'] });
+
+    expect(monitor.getExitReason(0, null)).toBeNull();
+    expect(monitor.getExitReason(152, null)).toEqual({
+      reason: ExitReasons.CPU_LIMIT,
+      detail: 'used more than 10s of CPU time',
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Runtime Manager Session Time Unit Tests
+ *
+ * A real policy engine decides the time left; the clock and the
+ * session check interval are faked.
+ */
+
+'use strict';
+
+jest.mock('../../../ide-core/utils/Logger', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    security: jest.fn(),
+    audit: jest.fn(),
+  })),
+}));
+
+// Admin passwords are not exercised here
+jest.mock('bcrypt', () => ({ hash: jest.fn(), compare: jest.fn() }));
+
+jest.mock('../../../ide-core/config', () => {
+  const mockPath = require('path');
+  const dir = require('fs').mkdtempSync(mockPath.join(require('os').tmpdir(), 'runtime-session-'));
+  return {
+    testDir: dir,
+    paths: { config: mockPath.join(dir, 'config') },
+    admin: { sessionTimeout: 60000 },
+    policy: {
+      defaultPolicyPath: mockPath.join(dir, 'default', 'default-policy.json'),
+      userPolicyPath: mockPath.join(dir, 'policies', 'user-policy.json'),
+      historyDir: mockPath.join(dir, 'policies', 'history'),
+      requireSignatures: false,
+      publicKeyPath: mockPath.join(dir, 'policy-signing.pub'),
+      hotReload: false,
+      strictValidation: true,
+      logViolations: true,
+    },
+    audit: {
+      logPath: mockPath.join(dir, 'audit', 'policy-audit.ndjson'),
+      headPath: mockPath.join(dir, 'config', 'audit-head.json'),
+    },
+    session: {
+      checkInterval: 10000,
+      quotaUsagePath: mockPath.join(dir, 'quota', 'usage.json'),
+    },
+    processControl: { whitelist: [], allowed: [], blacklist: [] },
+    fsSandbox: {
+      sandboxRoot: mockPath.join(dir, 'sandbox'),
+      allowedExtensions: ['.py'],
+      maxFileSize: 1024,
+      deniedPaths: [],
+    },
+    execution: {
+      sandbox: { enabled: true, required: false, network: false, seccomp: true, readOnlyPaths: ['/usr'] },
+      limits: { cpuSeconds: 10, memoryMB: 256, fileSizeMB: 16, processes: 64 },
+      languages: {},
+      allowedEnv: [],
+      maxConcurrentRuns: 2,
+      repl: { enabled: true, idleMinutes: 10, maxMinutes: 60 },
+    },
+  };
+});
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../../ide-core/config');
+const { PolicyEngine } = require('../../../ide-core/policy/PolicyEngine');
+const { RuntimeManager } = require('../../../ide-core/runtime/RuntimeManager');
+
+const MINUTE = 60000;
+
+/**
+ * A local time in the week of Monday 2 March 2026
+ * @param {number} hours - Hour of day
+ * @param {number} minutes - Minute of the hour
+ * @param {number} [day] - Day of March, Monday 2 by default
+ * @returns {Date} The moment
+ */
+function at(hours, minutes, day = 2) {
+  return new Date(2026, 2, day, hours, minutes);
+}
+
+const weekdays = {
+  enabled: true,
+  warnings: [15, 5, 1],
+  schedule: { timezone: 'local', windows: [{ days: [1, 2, 3, 4, 5], start: '08:00', end: '16:00' }] },
+};
+const halfHourQuota = {
+  enabled: true,
+  warnings: [5],
+  quota: { minutesPerDay: 30, idleMinutes: 5 },
+};
+
+/**
+ * Start a runtime manager under a time policy, with the clock at a moment
+ * @param {Object} time - The policy's time section
+ * @param {Date} now - Where the fake clock starts
+ * @returns {Promise<Object>} { runtime, engine, events }
+ */
+async function startSession(time, now) {
+  fs.rmSync(config.testDir, { recursive: true, force: true });
+  fs.mkdirSync(path.dirname(config.policy.userPolicyPath), { recursive: true });
+  fs.mkdirSync(config.paths.config, { recursive: true });
+  fs.writeFileSync(path.join(config.paths.config, 'admin.hash'), 'not-a-real-hash');
+  fs.writeFileSync(config.policy.userPolicyPath, JSON.stringify({ time }));
+
+  const engine = new PolicyEngine();
+  await engine.initialize();
+
+  jest.useFakeTimers({ now });
+  const runtime = new RuntimeManager(engine);
+  const events = [];
+  runtime.onSessionEvent(sessionEvent => events.push(sessionEvent));
+  runtime.initialize();
+  return { runtime, engine, events };
+}
+
+/**
+ * Move the clock to a moment, then let one session check run
+ * @param {Date} moment - New time of day
+ */
+function checkAt(moment) {
+  jest.setSystemTime(moment.getTime() - config.session.checkInterval);
+  jest.advanceTimersByTime(config.session.checkInterval);
+}
+
+describe('RuntimeManager session time', () => {
+  let session;
+
+  afterEach(() => {
+    session.runtime.cleanup();
+    jest.useRealTimers();
+  });
+
+  afterAll(() => {
+    fs.rmSync(config.testDir, { recursive: true, force: true });
+  });
+
+  test('warns once for the closest of the thresholds crossed in one step', async () => {
+    session = await startSession(weekdays, at(15, 40));
+    const { events } = session;
+    expect(events).toEqual([]);
+
+    checkAt(at(15, 57));
+    expect(events).toEqual([expect.objectContaining({ stage: 'warning', threshold: 5, remaining: 3 })]);
+
+    checkAt(at(15, 58));
+    expect(events).toHaveLength(1);
+
+    checkAt(at(15, 59));
+    expect(events.map(sessionEvent => sessionEvent.threshold)).toEqual([5, 1]);
+  });
+
+  test('ends the session when the window closes', async () => {
+    session = await startSession(weekdays, at(15, 59));
+    const { runtime, events } = session;
+
+    jest.advanceTimersByTime(MINUTE);
+
+    expect(runtime.isSessionLocked()).toBe(true);
+    expect(events.pop()).toEqual(expect.objectContaining({ stage: 'ended', endedAt: at(16, 0).getTime() }));
+    expect(runtime.getSessionStatus().reason).toEqual(expect.any(String));
+  });
+
+  test('keeps an admin override until the next window, then re-arms', async () => {
+    session = await startSession(weekdays, at(16, 5));
+    const { runtime, events } = session;
+    expect(runtime.isSessionLocked()).toBe(true);
+
+    runtime.dismissSessionLock('admin-session:test');
+    jest.advanceTimersByTime(30 * MINUTE);
+    expect(runtime.getSessionStatus().status).toBe('overridden');
+    expect(events.map(sessionEvent => sessionEvent.stage)).toEqual(['ended', 'unlocked']);
+
+    checkAt(at(8, 0, 3));
+    expect(runtime.getSessionStatus().status).toBe('open');
+
+    checkAt(at(15, 50, 3));
+    checkAt(at(16, 0, 3));
+    expect(events.slice(2).map(sessionEvent => sessionEvent.stage)).toEqual(['warning', 'ended']);
+    expect(runtime.isSessionLocked()).toBe(true);
+  });
+
+  test('does not count idle time against the quota', async () => {
+    session = await startSession(halfHourQuota, at(10, 0));
+    const { runtime, engine } = session;
+    let idleSeconds = 0;
+    runtime.setIdleProbe(() => idleSeconds);
+
+    jest.advanceTimersByTime(10 * MINUTE);
+    expect(engine.getQuotaUsage().today).toBe(10 * MINUTE);
+
+    idleSeconds = 5 * 60;
+    jest.advanceTimersByTime(10 * MINUTE);
+    expect(engine.getQuotaUsage().today).toBe(10 * MINUTE);
+
+    idleSeconds = 0;
+    jest.advanceTimersByTime(20 * MINUTE);
+    expect(runtime.isSessionLocked()).toBe(true);
+    expect(engine.getQuotaUsage().today).toBe(30 * MINUTE);
+
+    // Nor the time spent locked
+    jest.advanceTimersByTime(10 * MINUTE);
+    expect(engine.getQuotaUsage().today).toBe(30 * MINUTE);
+  });
+
+  test('counts a long gap such as a suspend as two check intervals at most', async () => {
+    session = await startSession(halfHourQuota, at(10, 0));
+    const { runtime, engine } = session;
+
+    jest.advanceTimersByTime(config.session.checkInterval);
+    expect(engine.getQuotaUsage().today).toBe(config.session.checkInterval);
+
+    jest.setSystemTime(at(12, 0));
+    jest.advanceTimersByTime(config.session.checkInterval);
+
+    expect(engine.getQuotaUsage().today).toBe(3 * config.session.checkInterval);
+    expect(runtime.isSessionLocked()).toBe(false);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Terminal Unit Tests
+ */
+
+'use strict';
+
+jest.mock('../../../ide-core/utils/Logger', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    security: jest.fn(),
+  })),
+}));
+
+jest.mock('node-pty', () => {
+  throw new Error('node-pty was not built');
+});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const {
+  Terminal,
+  checkTerminalSize,
+  isTerminalAvailable,
+  signalProgram,
+  stripAnsi,
+} = require('../../../ide-core/runtime/Terminal');
+
+describe('Terminal', () => {
+  test('is unavailable without node-pty, so runs use pipes', () => {
+    expect(isTerminalAvailable()).toBe(false);
+    expect(() => new Terminal()).toThrow('Terminal support is not available');
+  });
+
+  test('checks sizes from the renderer', () => {
+    expect(checkTerminalSize(80, 24)).toEqual({ cols: 80, rows: 24 });
+    expect(() => checkTerminalSize(80.5, 24)).toThrow('Terminal width must be 2 to 500 columns');
+    expect(() => checkTerminalSize(80, 1000)).toThrow('Terminal height must be 2 to 200 rows');
+  });
+
+  test('strips escape sequences', () => {
+    expect(stripAnsi('\x1b[1;31mError\x1b[0m: \x1b]0;title\x07bad\x1b[K\r\n')).toBe('Error: bad\r\n');
+  });
+
+  const linuxOnly = process.platform === 'linux' ? test : test.skip;
+
+  linuxOnly('signals the program but not its launchers', async () => {
+    const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 5000)']);
+    const exited = new Promise(resolve => child.on('exit', (code, signal) => resolve(signal)));
+
+    expect(signalProgram(child, [fs.realpathSync(process.execPath)], 'SIGINT')).toBe(0);
+    expect(signalProgram(child, [], 'SIGINT')).toBe(1);
+    await expect(exited).resolves.toBe('SIGINT');
+  });
+
+  linuxOnly('signals a program that is only named like a launcher', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terminal-'));
+    const program = path.join(dir, 'bwrap');
+    fs.symlinkSync(process.execPath, program);
+
+    try {
+      const child = spawn(program, ['-e', 'setTimeout(() => {}, 5000)']);
+      const exited = new Promise(resolve => child.on('exit', (code, signal) => resolve(signal)));
+
+      expect(signalProgram(child, ['/usr/bin/bwrap'], 'SIGINT')).toBe(1);
+      await expect(exited).resolves.toBe('SIGINT');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Terminal Unit Tests - the pty itself
+ *
+ * These need a node-pty build for this platform; the package ships
+ * prebuilds for Windows and macOS only, so on Linux it has to have been
+ * compiled (npm rebuild node-pty). Without one the pty tests are skipped
+ * and programs use pipes, as in the app.
+ */
+
+'use strict';
+
+jest.mock('../../../ide-core/utils/Logger', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    security: jest.fn(),
+  })),
+}));
+
+const { spawn } = require('child_process');
+const { Terminal, isTerminalAvailable } = require('../../../ide-core/runtime/Terminal');
+
+// Loads node-pty now, before any test replaces it
+const ptyTest = isTerminalAvailable() ? test : test.skip;
+
+/**
+ * Run a program on a terminal until it exits
+ * @param {Terminal} terminal - Its stdio
+ * @param {string} command - Program
+ * @param {string[]} args - Its arguments
+ * @param {Function} [afterSpawn] - Called with the child once it runs
+ * @returns {Promise<string>} Everything it wrote
+ */
+async function runOnTerminal(terminal, command, args, afterSpawn = () => {}) {
+  let output = '';
+  terminal.onData((chunk) => {
+    output += chunk;
+  });
+
+  const child = spawn(command, args, { stdio: terminal.stdio });
+  terminal.releaseSlave();
+  const exited = new Promise(resolve => child.on('exit', resolve));
+  afterSpawn(child);
+
+  await exited;
+  await terminal.drain();
+  return output;
+}
+
+describe('Terminal pty', () => {
+  let terminal;
+
+  afterEach(() => {
+    terminal?.close();
+    terminal = null;
+  });
+
+  ptyTest('gives the program a terminal of the requested size', async () => {
+    terminal = new Terminal({ cols: 100, rows: 30 });
+
+    const output = await runOnTerminal(terminal, process.execPath, [
+      '-e', 'process.stdout.write(`${process.stdin.isTTY} ${process.stdout.columns}x${process.stdout.rows}`)',
+    ]);
+
+    expect(output).toBe('true 100x30');
+  });
+
+  ptyTest('resizes the terminal', async () => {
+    terminal = new Terminal();
+    terminal.resize(60, 20);
+
+    expect(await runOnTerminal(terminal, 'stty', ['size'])).toBe('20 60\r\n');
+  });
+
+  ptyTest('passes keystrokes to the program and echoes them', async () => {
+    terminal = new Terminal();
+
+    const output = await runOnTerminal(terminal, process.execPath, [
+      '-e', 'process.stdin.once("data", data => { console.log(String(data).trim().toUpperCase()); process.exit(); })',
+    ], () => terminal.write('hello\r'));
+
+    expect(output).toBe('hello\r\nHELLO\r\n');
+  });
+});
+
+describe('Terminal node-pty check', () => {
+  afterEach(() => {
+    jest.dontMock('node-pty');
+  });
+
+  test('does not use a node-pty without the bindings it relies on', () => {
+    jest.isolateModules(() => {
+      jest.doMock('node-pty', () => ({ native: { open: jest.fn() } }));
+      const isolated = require('../../../ide-core/runtime/Terminal');
+
+      expect(isolated.isTerminalAvailable()).toBe(false);
+    });
+  });
+});
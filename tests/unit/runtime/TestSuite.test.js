@@ -0,0 +1,95 @@
+/**
+ * Test Suite Unit Tests
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { compareOutput, diffLines, loadTestSuite } = require('../../../ide-core/runtime/TestSuite');
+
+describe('loadTestSuite', () => {
+  let root;
+
+  const writeSuite = (suite) => {
+    fs.writeFileSync(path.join(root, 'ide-tests.json'), JSON.stringify(suite));
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'test-suite-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('applies suite defaults and reads case files', async () => {
+    fs.mkdirSync(path.join(root, 'tests'));
+    fs.writeFileSync(path.join(root, 'tests', 'large.in'), '1 2 3\n');
+    fs.writeFileSync(path.join(root, 'tests', 'large.out'), '6\n');
+    writeSuite({
+      name: 'Sums',
+      compare: 'whitespace',
+      timeLimitSeconds: 2,
+      cases: [
+        { input: '1 2\n', expected: '3\n' },
+        { name: 'large', inputFile: 'tests/large.in', expectedFile: 'tests/large.out', compare: 'exact', args: ['-v'] },
+      ],
+    });
+
+    const suite = await loadTestSuite(root);
+
+    expect(suite.name).toBe('Sums');
+    expect(suite.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(suite.dataFiles).toEqual([path.join(root, 'tests', 'large.in'), path.join(root, 'tests', 'large.out')]);
+    expect(suite.cases).toEqual([
+      { name: 'Case 1', input: '1 2\n', expected: '3\n', compare: 'whitespace', tolerance: 1e-6, timeLimitSeconds: 2, args: [] },
+      { name: 'large', input: '1 2 3\n', expected: '6\n', compare: 'exact', tolerance: 1e-6, timeLimitSeconds: 2, args: ['-v'] },
+    ]);
+  });
+
+  test('rejects files outside the exercise and invalid patterns', async () => {
+    writeSuite({ cases: [{ inputFile: '../secret.txt', expected: '' }] });
+    await expect(loadTestSuite(root)).rejects.toThrow('must be inside the exercise');
+
+    writeSuite({ cases: [{ expected: '(', compare: 'regex' }] });
+    await expect(loadTestSuite(root)).rejects.toThrow('Invalid ide-tests.json: case "Case 1"');
+
+    writeSuite({ cases: [{ expected: 'x', compare: 'fuzzy' }] });
+    await expect(loadTestSuite(root)).rejects.toThrow('unknown compare mode "fuzzy"');
+  });
+});
+
+describe('compareOutput', () => {
+  const check = (output, expected, compare, tolerance = 1e-6) => compareOutput(output, { expected, compare, tolerance });
+
+  test('compares in each mode', () => {
+    expect(check('3\r\n', '3\n', 'exact').passed).toBe(true);
+    expect(check('3', '3\n', 'exact').passed).toBe(false);
+    expect(check(' 1   2\n3 ', '1 2 3\n', 'whitespace').passed).toBe(true);
+    expect(check('Hello, Ada!\n\n', 'Hello, \\w+!', 'regex').passed).toBe(true);
+    expect(check('Hello, Ada! Bye', 'Hello, \\w+!', 'regex').passed).toBe(false);
+    expect(check('3.1416 x\n', '3.14159 x', 'numeric', 1e-4).passed).toBe(true);
+  });
+
+  test('explains numeric mismatches', () => {
+    expect(check('3.2\n', '3.14159', 'numeric', 1e-4).message).toBe('Value 1: expected 3.14159, got 3.2 (tolerance 0.0001)');
+    expect(check('1 2\n', '1', 'numeric').message).toBe('Expected 1 values, got 2 (tolerance 0.000001)');
+  });
+});
+
+describe('diffLines', () => {
+  test('marks changed lines with context and collapses the rest', () => {
+    const expected = ['a', 'b', 'c', 'd', 'e', 'f'].join('\n');
+    const actual = ['a', 'b', 'c', 'd', 'e', 'F'].join('\n');
+
+    expect(diffLines(expected, actual)).toEqual([
+      { type: 'skip', text: '3 matching lines' },
+      { type: 'same', text: 'd' },
+      { type: 'same', text: 'e' },
+      { type: 'removed', text: 'f' },
+      { type: 'added', text: 'F' },
+    ]);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Toolchains Unit Tests
+ */
+
+'use strict';
+
+const { LanguageRegistry } = require('../../../ide-core/runtime/LanguageRegistry');
+const { Toolchains } = require('../../../ide-core/runtime/Toolchains');
+
+describe('Toolchains', () => {
+  const registry = new LanguageRegistry({
+    javascript: {
+      name: 'JavaScript',
+      extensions: ['.js'],
+      // The first alternative does not exist; the node running the tests does
+      run: { command: ['restricted-ide-missing-node', process.execPath], args: ['{file}'] },
+      version: { command: process.execPath, args: ['--version'] },
+    },
+    rust: {
+      name: 'Rust',
+      extensions: ['.rs'],
+      output: '{dir}/{base}{exe}',
+      compile: { command: 'restricted-ide-missing-rustc', args: ['{file}', '-o', '{output}'] },
+      run: { command: '{output}' },
+    },
+  });
+
+  let toolchains;
+
+  beforeAll(async () => {
+    toolchains = new Toolchains();
+    await toolchains.probe(registry);
+  });
+
+  test('uses the first working alternative and records its version', () => {
+    const javascript = toolchains.get('javascript');
+
+    expect(javascript.available).toBe(true);
+    expect(javascript.version).toBe(process.version);
+    expect(javascript.steps.run.candidates.map(candidate => candidate.ok)).toEqual([false, true]);
+    expect(toolchains.resolveCommand(registry.get('javascript'), 'run')).toBe(process.execPath);
+  });
+
+  test('reports missing compilers and skips build artifacts', () => {
+    const rust = toolchains.get('rust');
+
+    expect(rust.available).toBe(false);
+    expect(rust.steps.run.artifact).toBe(true);
+    expect(toolchains.resolveCommand(registry.get('rust'), 'compile')).toBeUndefined();
+    expect(toolchains.getProblem(registry.get('rust')))
+      .toBe('Rust is not available on this computer (restricted-ide-missing-rustc: not found)');
+    expect(toolchains.getProblem(registry.get('javascript'))).toBeNull();
+  });
+
+  test('lists every probed language in the report', () => {
+    const report = toolchains.getReport();
+
+    expect(report.probedAt).toEqual(expect.any(Number));
+    expect(report.languages.map(language => language.id)).toEqual(['javascript', 'rust']);
+  });
+});
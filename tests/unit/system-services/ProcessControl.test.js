@@ -0,0 +1,249 @@
+/**
+ * Process Control Unit Tests
+ *
+ * /proc is synthetic: reads under it are answered from a table.
+ */
+
+'use strict';
+
+Object.defineProperty(process, 'platform', { value: 'linux' });
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const processControl = require('../../../system-services/process-control');
+
+/** The kiosk user, as whom the IDE runs, and somebody else */
+const KIOSK_UID = process.getuid();
+const OTHER_UID = KIOSK_UID + 1;
+
+/** Files and exe links of the fake /proc */
+let procFiles;
+let procLinks;
+
+/**
+ * Add a process to the fake /proc
+ * @param {Object} options - { pid, ppid, uid, comm, exe, cmdline, startTicks }
+ */
+function addProcess({ pid, ppid = 1, uid = KIOSK_UID, comm, exe = null, cmdline = [comm], startTicks = 500 }) {
+  const statFields = ['S', ppid, pid, pid, 0, -1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 20, 0, 1, 0, startTicks, 0];
+  procFiles[`/proc/${pid}/comm`] = `${comm}\n`;
+  procFiles[`/proc/${pid}/cmdline`] = `${cmdline.join('\0')}\0`;
+  procFiles[`/proc/${pid}/status`] = `Name:\t${comm}\nPPid:\t${ppid}\nUid:\t${uid}\t${uid}\t${uid}\t${uid}\n`;
+  procFiles[`/proc/${pid}/stat`] = `${pid} (${comm}) ${statFields.join(' ')}\n`;
+  if (exe) {
+    procLinks[`/proc/${pid}/exe`] = exe;
+  }
+}
+
+/**
+ * Run one monitoring pass over the fake /proc
+ * @returns {Object} { killed: pids, reports: onUnauthorized arguments }
+ */
+function checkOnce() {
+  const reports = [];
+  process.kill.mockClear();
+  processControl.startMonitoring({ interval: 60000, onUnauthorized: info => reports.push(info) });
+  processControl.stopMonitoring();
+  const killed = process.kill.mock.calls.filter(([, signal]) => signal === 'SIGKILL').map(([pid]) => pid);
+  return { killed, reports };
+}
+
+describe('process-control', () => {
+  beforeEach(() => {
+    procFiles = { '/proc/stat': 'cpu  1 2 3\nbtime 1700000000\n' };
+    procLinks = {};
+
+    const readFileSync = fs.readFileSync;
+    jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...args) => {
+      if (typeof file === 'string' && file.startsWith('/proc/')) {
+        if (!(file in procFiles)) {
+          throw Object.assign(new Error(`ENOENT: ${file}`), { code: 'ENOENT' });
+        }
+        return procFiles[file];
+      }
+      return readFileSync(file, ...args);
+    });
+    jest.spyOn(fs, 'readlinkSync').mockImplementation((file) => {
+      if (!(file in procLinks)) {
+        throw Object.assign(new Error(`EACCES: ${file}`), { code: 'EACCES' });
+      }
+      return procLinks[file];
+    });
+    const readdirSync = fs.readdirSync;
+    jest.spyOn(fs, 'readdirSync').mockImplementation((dir, ...args) => (dir === '/proc'
+      ? [...new Set(Object.keys(procFiles).map(file => file.split('/')[2])), 'self']
+      : readdirSync(dir, ...args)));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(process, 'kill').mockImplementation(() => true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('/proc backend', () => {
+    test('reads name, parents, owner, path and start time', () => {
+      addProcess({ pid: 100, ppid: 1, uid: 1000, comm: 'python3', exe: '/usr/bin/python3.11', cmdline: ['python3', 'a.py'], startTicks: 250 });
+
+      expect(processControl.getRunningProcesses()).toEqual([{
+        name: 'python3.11',
+        comm: 'python3',
+        pid: 100,
+        ppid: 1,
+        uid: 1000,
+        path: '/usr/bin/python3.11',
+        cmdline: ['python3', 'a.py'],
+        startTime: (1700000000 + 2.5) * 1000,
+      }]);
+    });
+
+    test('parses stat after the last paren of a comm with spaces and parens', () => {
+      addProcess({ pid: 101, ppid: 100, comm: 'my) (prog 1', exe: '/tmp/my) (prog 1', startTicks: 1000 });
+
+      const [info] = processControl.getRunningProcesses();
+      expect(info.comm).toBe('my) (prog 1');
+      expect(info.name).toBe('my) (prog 1');
+      expect(info.ppid).toBe(100);
+      expect(info.startTime).toBe((1700000000 + 10) * 1000);
+    });
+
+    test('falls back to comm when the exe link cannot be read', () => {
+      addProcess({ pid: 102, uid: 0, comm: 'Xorg' });
+
+      const [info] = processControl.getRunningProcesses();
+      expect(info.name).toBe('Xorg');
+      expect(info.path).toBeNull();
+      expect(info.uid).toBe(0);
+    });
+
+    test('strips the deleted marker from a replaced executable', () => {
+      addProcess({ pid: 103, comm: 'tool', exe: '/opt/tool (deleted)' });
+
+      expect(processControl.getRunningProcesses()[0].path).toBe('/opt/tool');
+    });
+
+    test('skips processes that exit while being read', () => {
+      addProcess({ pid: 104, comm: 'short' });
+      addProcess({ pid: 105, comm: 'long', exe: '/usr/bin/long' });
+      delete procFiles['/proc/104/stat'];
+
+      expect(processControl.getRunningProcesses().map(info => info.pid)).toEqual([105]);
+    });
+  });
+
+  describe('whitelist mode', () => {
+    beforeEach(() => {
+      processControl.setMode('whitelist');
+      processControl.setProtected(['/usr/lib/systemd/systemd', process.execPath]);
+      processControl.setWhitelist(['/usr/bin/pipewire', '/usr/libexec/gnome-session-binary']);
+      processControl.setBlacklist([]);
+      processControl.setUserCodePolicy({ mode: 'blacklist', blocked: ['sh'] });
+
+      // systemd -> gnome-session -> launcher script -> IDE -> renderer
+      addProcess({ pid: 1, ppid: 0, uid: OTHER_UID, comm: 'systemd', exe: '/usr/lib/systemd/systemd' });
+      addProcess({ pid: 900, ppid: 1, comm: 'gnome-session-b', exe: '/usr/libexec/gnome-session-binary' });
+      addProcess({ pid: 950, ppid: 900, comm: 'start-ide.sh', exe: '/usr/bin/bash' });
+      addProcess({ pid: process.pid, ppid: 950, comm: 'restricted-ide', exe: process.execPath });
+      addProcess({ pid: 1200, ppid: process.pid, comm: 'renderer', exe: process.execPath });
+    });
+
+    test('leaves the desktop session, the IDE and its launchers alone', () => {
+      addProcess({ pid: 960, ppid: 900, comm: 'pipewire', exe: '/usr/bin/pipewire' });
+      addProcess({ pid: 965, ppid: 1, uid: OTHER_UID, comm: 'cron', exe: '/usr/sbin/cron' });
+
+      expect(checkOnce().killed).toEqual([]);
+    });
+
+    test('kills other programs of the kiosk user', () => {
+      addProcess({ pid: 970, ppid: 900, comm: 'game', exe: '/home/kiosk/game' });
+
+      const { killed, reports } = checkOnce();
+      expect(killed).toEqual([970]);
+      expect(reports[0]).toEqual(expect.objectContaining({ pid: 970, reason: 'Process not in whitelist', trustClass: 'other' }));
+    });
+
+    test('classifies descendants of the IDE', () => {
+      const tree = processControl.getProcessTree();
+      const classOf = pid => tree.find(info => info.pid === pid).trustClass;
+
+      expect(classOf(1200)).toBe('ide');
+      expect(classOf(900)).toBe('other');
+      expect(tree.find(info => info.pid === 1200).ancestry).toEqual([1200, process.pid, 950, 900, 1]);
+    });
+
+    describe('user programs', () => {
+      beforeEach(() => {
+        // IDE -> bwrap -> bwrap -> python3 a.py
+        addProcess({ pid: 2000, ppid: process.pid, comm: 'bwrap', exe: '/usr/bin/bwrap', startTicks: 700 });
+        addProcess({ pid: 2001, ppid: 2000, comm: 'bwrap', exe: '/usr/bin/bwrap' });
+        addProcess({ pid: 2002, ppid: 2001, comm: 'python3', exe: '/usr/bin/python3.11' });
+        processControl.registerUserCodeRoot(2000, ['/usr/bin/bwrap']);
+      });
+
+      afterEach(() => {
+        processControl.unregisterUserCodeRoot(2000);
+      });
+
+      test('judges what a program starts by the user code policy', () => {
+        addProcess({ pid: 2003, ppid: 2002, comm: 'sh', exe: '/usr/bin/dash' });
+        addProcess({ pid: 2004, ppid: 2003, comm: 'helper', exe: '/tmp/helper' });
+
+        const tree = processControl.getProcessTree();
+        const classOf = pid => tree.find(info => info.pid === pid).trustClass;
+        expect([2000, 2001, 2002].map(classOf)).toEqual(['ide', 'ide', 'ide']);
+        expect([2003, 2004].map(classOf)).toEqual(['user-code', 'user-code']);
+
+        const { killed, reports } = checkOnce();
+        expect(killed).toEqual([2003]);
+        expect(reports[0]).toEqual(expect.objectContaining({ reason: 'Blocked for user programs', trustClass: 'user-code' }));
+      });
+
+      test('does not take a program named like a launcher for one', () => {
+        // A student's own binary called bwrap, e.g. built from bwrap.c
+        addProcess({ pid: 2003, ppid: 2001, comm: 'bwrap', exe: '/home/kiosk/.restricted-ide/sandbox/bwrap' });
+        addProcess({ pid: 2004, ppid: 2003, comm: 'sh', exe: '/usr/bin/dash' });
+
+        const tree = processControl.getProcessTree();
+        expect(tree.find(info => info.pid === 2004).trustClass).toBe('user-code');
+        expect(checkOnce().killed).toEqual([2004]);
+      });
+
+      test('does not take a process that reuses the PID for the program', () => {
+        // The run ended and its PID went to something else, started later
+        addProcess({ pid: 2000, ppid: process.pid, comm: 'other', exe: '/usr/bin/other', startTicks: 900 });
+        addProcess({ pid: 2005, ppid: 2000, comm: 'sh', exe: '/usr/bin/dash' });
+        expect(processControl.getProcessTree().find(info => info.pid === 2005).trustClass).toBe('ide');
+
+        // Or to a process the IDE did not start
+        addProcess({ pid: 2000, ppid: 900, comm: 'bwrap', exe: '/usr/bin/bwrap', startTicks: 700 });
+        expect(processControl.getProcessTree().find(info => info.pid === 2005).trustClass).toBe('other');
+      });
+    });
+
+    test('does not protect a binary copied under a protected name', () => {
+      addProcess({ pid: 980, ppid: 900, comm: 'systemd', exe: '/home/kiosk/systemd' });
+
+      expect(checkOnce().killed).toEqual([980]);
+    });
+
+    test('checks pinned hashes against the binary on disk', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'process-control-'));
+      const tool = path.join(dir, 'tool');
+      fs.writeFileSync(tool, 'original');
+      const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+      try {
+        processControl.setWhitelist([{ path: tool, sha256: sha256('original') }]);
+        addProcess({ pid: 990, ppid: 900, comm: 'tool', exe: tool });
+        expect(checkOnce().killed).toEqual([]);
+
+        processControl.setWhitelist([{ path: tool, sha256: sha256('replaced') }]);
+        expect(checkOnce().killed).toEqual([990]);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
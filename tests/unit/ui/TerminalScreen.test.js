@@ -0,0 +1,232 @@
+/**
+ * Terminal Screen Unit Tests
+ *
+ * The buffer behind the output panel's terminal; drawing it needs a DOM.
+ */
+
+'use strict';
+
+const {
+  TERMINAL_COLORS,
+  TERMINAL_PLAIN,
+  TerminalBuffer,
+  applyTerminalSgr,
+  terminalPaletteColor,
+} = require('../../../ide-ui/terminal-screen');
+
+/**
+ * Text of the visible screen, one string per line
+ * @param {TerminalBuffer} buffer - Terminal
+ * @returns {string[]} Lines without trailing blanks
+ */
+function screenText(buffer) {
+  return buffer.lines
+    .slice(buffer.top, buffer.top + buffer.rows)
+    .map(cells => cells.map(cell => cell.ch).join('').trimEnd());
+}
+
+describe('TerminalBuffer', () => {
+  test('prints text with carriage returns, tabs and backspaces', () => {
+    const buffer = new TerminalBuffer({ cols: 20, rows: 3 });
+
+    buffer.write('hello\rj\tx\r\nab\bc');
+
+    expect(screenText(buffer)).toEqual(['jello   x', 'ac']);
+  });
+
+  test('wraps at the right edge', () => {
+    const buffer = new TerminalBuffer({ cols: 4, rows: 3 });
+
+    buffer.write('abcdef');
+
+    expect(screenText(buffer)).toEqual(['abcd', 'ef']);
+  });
+
+  test('joins escape sequences split across chunks and drops OSC', () => {
+    const buffer = new TerminalBuffer({ cols: 20, rows: 2 });
+
+    buffer.write('\x1b]0;title\x07ok \x1b[3');
+    buffer.write('1mR');
+
+    expect(screenText(buffer)).toEqual(['ok R']);
+    expect(buffer.lines[0][3].style).toEqual({ fg: TERMINAL_COLORS[1] });
+  });
+
+  describe('cursor movement', () => {
+    test('moves relative and absolute, within the screen', () => {
+      const buffer = new TerminalBuffer({ cols: 10, rows: 4 });
+
+      buffer.write('\x1b[2;3Hab');
+      buffer.write('\x1b[A\x1b[2Dc');
+      buffer.write('\x1b[10B\x1b[20C!');
+
+      expect(screenText(buffer)).toEqual(['  c', '  ab', '', '         !']);
+    });
+
+    test('saves and restores the cursor', () => {
+      const buffer = new TerminalBuffer({ cols: 10, rows: 3 });
+
+      buffer.write('\x1b[3;5H\x1b7\x1b[1;1Hz\x1b8y');
+      buffer.write('\x1b[2;2H\x1b[s\x1b[Hw\x1b[ux');
+
+      expect(screenText(buffer)).toEqual(['w', ' x', '    y']);
+    });
+
+    test('is relative to the screen, not the scrollback', () => {
+      const buffer = new TerminalBuffer({ cols: 10, rows: 2 });
+
+      buffer.write('a\r\nb\r\nc\x1b[1;1HB');
+
+      expect(buffer.lines).toHaveLength(3);
+      expect(screenText(buffer)).toEqual(['B', 'c']);
+    });
+  });
+
+  describe('erasing', () => {
+    test('erases, deletes and inserts on a line', () => {
+      const buffer = new TerminalBuffer({ cols: 10, rows: 3 });
+      buffer.write('abcdefgh\r\nijklmnop\r\nqrstuvwx');
+
+      buffer.write('\x1b[1;4H\x1b[K');
+      buffer.write('\x1b[2;4H\x1b[1K');
+      buffer.write('\x1b[3;3H\x1b[2X');
+      expect(screenText(buffer)).toEqual(['abc', '    mnop', 'qr  uvwx']);
+
+      buffer.write('\x1b[3;1H\x1b[2P');
+      expect(screenText(buffer)[2]).toBe('  uvwx');
+      buffer.write('\x1b[2@');
+      expect(screenText(buffer)[2]).toBe('    uvwx');
+    });
+
+    test('erases the screen below the cursor, or all of it', () => {
+      const buffer = new TerminalBuffer({ cols: 10, rows: 3 });
+      buffer.write('abc\r\ndef\r\nghi');
+
+      buffer.write('\x1b[2;2H\x1b[J');
+      expect(screenText(buffer)).toEqual(['abc', 'd', '']);
+
+      buffer.write('\x1b[2J');
+      expect(screenText(buffer)).toEqual(['', '', '']);
+    });
+
+    test('erases the scrollback with ED 3', () => {
+      const buffer = new TerminalBuffer({ cols: 10, rows: 2 });
+      buffer.write('a\r\nb\r\nc');
+
+      buffer.write('\x1b[3J');
+
+      expect(buffer.lines).toEqual([[], []]);
+      expect(buffer.fullRedraw).toBe(true);
+    });
+  });
+
+  describe('SGR', () => {
+    test('applies colors and attributes', () => {
+      const buffer = new TerminalBuffer({ cols: 20, rows: 2 });
+
+      buffer.write('\x1b[1;31mA\x1b[22;94mB\x1b[38;5;196mC\x1b[48;2;1;2;3mD\x1b[0mE\x1b[7m\x1b[27mF');
+
+      const styles = buffer.lines[0].map(cell => cell.style);
+      expect(styles.slice(0, 4)).toEqual([
+        { bold: true, fg: TERMINAL_COLORS[1] },
+        { fg: TERMINAL_COLORS[12] },
+        { fg: 'rgb(255, 0, 0)' },
+        { fg: 'rgb(255, 0, 0)', bg: 'rgb(1, 2, 3)' },
+      ]);
+      expect(styles[4]).toBe(TERMINAL_PLAIN);
+      expect(styles[5]).toBe(TERMINAL_PLAIN);
+    });
+
+    test('shares one style object between cells printed in it', () => {
+      const buffer = new TerminalBuffer({ cols: 20, rows: 2 });
+
+      buffer.write('\x1b[32mxy');
+
+      expect(buffer.lines[0][0].style).toBe(buffer.lines[0][1].style);
+    });
+
+    test('maps the 256-color palette', () => {
+      expect(terminalPaletteColor(7)).toBe(TERMINAL_COLORS[7]);
+      expect(terminalPaletteColor(21)).toBe('rgb(0, 0, 255)');
+      expect(terminalPaletteColor(232)).toBe('rgb(8, 8, 8)');
+      expect(applyTerminalSgr(TERMINAL_PLAIN, [48, 5, 255])).toEqual({ bg: 'rgb(238, 238, 238)' });
+    });
+  });
+
+  describe('scrolling', () => {
+    test('scrolls the whole screen into the scrollback', () => {
+      const buffer = new TerminalBuffer({ cols: 10, rows: 2 });
+
+      buffer.write('a\r\nb\r\nc');
+
+      expect(screenText(buffer)).toEqual(['b', 'c']);
+      expect(buffer.lines).toHaveLength(3);
+    });
+
+    test('drops the oldest scrollback in blocks', () => {
+      const buffer = new TerminalBuffer({ cols: 10, rows: 2 });
+
+      buffer.write('\n'.repeat(5010));
+
+      // 5002 lines are kept at most; past that, 501 go at once
+      expect(buffer.lines).toHaveLength(5011 - 501);
+      expect(buffer.row).toBe(buffer.lines.length - 1);
+      expect(buffer.fullRedraw).toBe(true);
+    });
+
+    test('scrolls only the scroll region, without scrollback', () => {
+      const buffer = new TerminalBuffer({ cols: 10, rows: 5 });
+      buffer.write('1\r\n2\r\n3\r\n4\r\n5');
+
+      buffer.write('\x1b[2;4r');
+      expect(buffer.scrollRegion).toEqual({ top: 1, bottom: 3 });
+      expect(buffer.row - buffer.top).toBe(0);
+
+      buffer.write('\x1b[4;1H\nX');
+      expect(screenText(buffer)).toEqual(['1', '3', '4', 'X', '5']);
+
+      // Below the region, the last row does not scroll
+      buffer.write('\x1b[5;1H\n');
+      expect(buffer.lines).toHaveLength(5);
+      expect(buffer.row - buffer.top).toBe(4);
+    });
+
+    test('scrolls the region down on reverse index at its top', () => {
+      const buffer = new TerminalBuffer({ cols: 10, rows: 5 });
+      buffer.write('1\r\n2\r\n3\r\n4\r\n5\x1b[2;4r');
+
+      buffer.write('\x1b[2;1H\x1bM');
+      expect(screenText(buffer)).toEqual(['1', '', '2', '3', '5']);
+
+      buffer.write('\x1bM');
+      expect(screenText(buffer)).toEqual(['1', '', '', '2', '5']);
+    });
+
+    test('inserts and deletes lines within the region', () => {
+      const buffer = new TerminalBuffer({ cols: 10, rows: 5 });
+      buffer.write('1\r\n2\r\n3\r\n4\r\n5\x1b[2;4r');
+
+      buffer.write('\x1b[3;3H\x1b[M');
+      expect(screenText(buffer)).toEqual(['1', '2', '4', '', '5']);
+      expect(buffer.col).toBe(0);
+
+      buffer.write('\x1b[2;1H\x1b[2L');
+      expect(screenText(buffer)).toEqual(['1', '', '', '2', '5']);
+
+      buffer.write('\x1b[2S');
+      expect(screenText(buffer)).toEqual(['1', '2', '', '', '5']);
+    });
+
+    test('resets the region to the whole screen', () => {
+      const buffer = new TerminalBuffer({ cols: 10, rows: 3 });
+      buffer.write('a\r\nb\r\nc\x1b[1;2r');
+
+      buffer.write('\x1b[r');
+      expect(buffer.scrollRegion).toBeNull();
+
+      buffer.write('\x1b[3;1H\nd');
+      expect(screenText(buffer)).toEqual(['b', 'c', 'd']);
+      expect(buffer.lines).toHaveLength(4);
+    });
+  });
+});
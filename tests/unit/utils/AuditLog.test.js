@@ -0,0 +1,159 @@
+/**
+ * Audit Log Unit Tests
+ */
+
+'use strict';
+
+jest.mock('../../../ide-core/utils/Logger', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    security: jest.fn(),
+  })),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditLog, GENESIS_HASH } = require('../../../ide-core/utils/AuditLog');
+
+describe('AuditLog', () => {
+  let tmpDir;
+  let logPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+    logPath = path.join(tmpDir, 'audit', 'policy-audit.ndjson');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeRecords = (log) => {
+    log.append('URL_NAVIGATION', { data: 'https://example.com', allowed: true, reason: null });
+    log.append('PROCESS', { data: 'bash', allowed: false, reason: 'Not in whitelist' });
+    log.append('KEYBOARD', { data: 'alt+tab', allowed: false, reason: 'Window switching' });
+  };
+
+  test('chains each record to the previous hash', () => {
+    const log = new AuditLog(logPath);
+    writeRecords(log);
+
+    const records = log.read();
+    expect(records).toHaveLength(3);
+    expect(records[0].seq).toBe(1);
+    expect(records[0].prevHash).toBe(GENESIS_HASH);
+    expect(records[1].prevHash).toBe(records[0].hash);
+    expect(records[2].prevHash).toBe(records[1].hash);
+  });
+
+  test('verifies an untouched chain', () => {
+    const log = new AuditLog(logPath);
+    writeRecords(log);
+
+    expect(log.verify()).toEqual({ valid: true, entries: 3, brokenAt: null });
+  });
+
+  test('continues an existing chain after restart', () => {
+    writeRecords(new AuditLog(logPath));
+
+    const reopened = new AuditLog(logPath);
+    reopened.initialize();
+    const record = reopened.append('FILE_ACCESS', { data: 'read: a.txt', allowed: true, reason: null });
+
+    expect(record.seq).toBe(4);
+    expect(reopened.verify().valid).toBe(true);
+  });
+
+  test('stamps context fields on every record', () => {
+    const log = new AuditLog(logPath);
+    log.setContext({ profile: 'exam' });
+    writeRecords(log);
+
+    expect(log.read().map(record => record.profile)).toEqual(['exam', 'exam', 'exam']);
+    expect(log.verify().valid).toBe(true);
+  });
+
+  test('reports an edited record', () => {
+    const log = new AuditLog(logPath);
+    writeRecords(log);
+
+    const lines = fs.readFileSync(logPath, 'utf8').split('\n');
+    const edited = JSON.parse(lines[1]);
+    edited.allowed = true;
+    lines[1] = JSON.stringify(edited);
+    fs.writeFileSync(logPath, lines.join('\n'));
+
+    const result = log.verify();
+    expect(result.valid).toBe(false);
+    expect(result.brokenAt).toEqual({
+      line: 2,
+      seq: 2,
+      reason: 'Record hash does not match contents',
+    });
+  });
+
+  test('reports a removed record', () => {
+    const log = new AuditLog(logPath);
+    writeRecords(log);
+
+    const lines = fs.readFileSync(logPath, 'utf8').split('\n');
+    lines.splice(1, 1);
+    fs.writeFileSync(logPath, lines.join('\n'));
+
+    const result = log.verify();
+    expect(result.valid).toBe(false);
+    expect(result.brokenAt.line).toBe(2);
+    expect(result.brokenAt.reason).toContain('Sequence gap');
+  });
+
+  test('reports records removed from the end', () => {
+    const log = new AuditLog(logPath);
+    writeRecords(log);
+
+    const lines = fs.readFileSync(logPath, 'utf8').split('\n');
+    lines.splice(1, 2);
+    fs.writeFileSync(logPath, lines.join('\n'));
+
+    expect(log.verify()).toEqual({
+      valid: false,
+      entries: 1,
+      brokenAt: { line: 2, seq: 3, reason: 'Log ends before its head at seq 3' },
+    });
+
+    const reopened = new AuditLog(logPath);
+    reopened.initialize();
+    expect(reopened.integrityError).toBe('Log ends before its head at seq 3');
+    expect(reopened.append('PROCESS', { data: 'bash', allowed: false, reason: null })).toBeNull();
+  });
+
+  test('does not extend a chain whose last record does not parse', () => {
+    writeRecords(new AuditLog(logPath));
+    fs.appendFileSync(logPath, '{"seq": 4, "trunc\n');
+
+    const reopened = new AuditLog(logPath);
+    reopened.initialize();
+
+    expect(reopened.integrityError).toBe('Last record (line 4) does not parse');
+    expect(reopened.append('PROCESS', { data: 'bash', allowed: false, reason: null })).toBeNull();
+    expect(fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean)).toHaveLength(4);
+  });
+
+  test('accepts records written after the head, as after a crash', () => {
+    const log = new AuditLog(logPath);
+    writeRecords(log);
+    const head = fs.readFileSync(`${logPath}.head`, 'utf8');
+    log.append('PROCESS', { data: 'gcc', allowed: true, reason: null });
+    fs.writeFileSync(`${logPath}.head`, head);
+
+    const reopened = new AuditLog(logPath);
+    reopened.initialize();
+
+    expect(reopened.integrityError).toBeNull();
+    expect(reopened.append('PROCESS', { data: 'ls', allowed: true, reason: null }).seq).toBe(5);
+    expect(reopened.verify().valid).toBe(true);
+  });
+});